@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+/**
+ * dataprism.js
+ * Command line batch conversion of binary files (or one tensor of a tensor file) to PLY
+ *
+ * Uses the headless core (core/BatchConverter.js), so the output matches the viewer's
+ * export of the same settings. Run with --help for options.
+ */
+
+import { openAsBlob } from 'node:fs';
+import { open } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { convertToPointCloud } from '../src/core/BatchConverter.js';
+import { StreamingReader } from '../src/processing/StreamingReader.js';
+import { parseRecordLayout, mixedTupleLayout, tupleLayout, MIXED_TUPLE_MODES, DEFAULT_TUPLE_DIMENSIONS } from '../src/processing/RecordLayout.js';
+import { detectTensorFormat, readTensorIndex, openTensor, describeTensor } from '../src/processing/TensorFileParser.js';
+import { PLY_FORMATS, COMPACT_EXPORT_FORMAT, plyHeader, encodeVertices, encodeEdges } from '../src/processing/PlyWriter.js';
+import { getProjection, listProjections, PROJECTION_OUTPUTS } from '../src/utils/Projections.js';
+import { NORMALIZATION_STRATEGIES } from '../src/processing/Normalizers.js';
+import { DATA_TYPES } from '../src/utils/Constants.js';
+
+/**
+ * Vertices (or edges) encoded per write
+ */
+const WRITE_BATCH_VERTICES = 50000;
+
+const USAGE = `Usage: node bin/dataprism.js <input> -o <output.ply> [options]
+
+Data:
+  -t, --type <type>              Data type (default fp32): ${Object.keys(DATA_TYPES).join(', ')}
+  -e, --endian <little|big>      Byte order (default little)
+      --tuple <mode>             3-tuple, 6-tuple, xyz-rgb-mixed, xyz-rgba-mixed, n-tuple or custom (default 3-tuple)
+      --color-type <type>        Color type of the mixed tuple modes (default uint8)
+      --layout <text>            Record layout for --tuple custom, e.g. "stride=32 x=0 y=4 z=8"
+      --dimensions <n>           Values per record for --tuple n-tuple (default ${DEFAULT_TUPLE_DIMENSIONS})
+      --reduction <method>       pca, random or umap for --tuple n-tuple (default pca)
+      --tensor <name>            Read only this tensor of a safetensors/GGUF/NumPy file (its type and byte order win)
+      --offset <bytes>           Start offset (default 0)
+
+Processing:
+  -b, --bits <n>                 Quantization bits, 2-21 (default 8)
+  -p, --projection <mode>        Projection mode (default standard, see --list-projections)
+      --param <name=value>       Projection parameter, repeatable (e.g. --param maxDepth=6)
+  -n, --normalization <name>     Normalization strategy (default auto)
+      --global-stats             Share normalization statistics across chunks
+      --chunk-size <bytes>       Bytes per lattice cell (default: the whole input in one cell)
+      --grid <n>                 Lattice cells per axis (default 1)
+      --spacing <units>          Distance between lattice cells (default 2.5)
+
+Output:
+  -o, --output <file>            Output file
+  -f, --format <format>          ${[...PLY_FORMATS, COMPACT_EXPORT_FORMAT].join(', ')} (default binary_little_endian)
+      --list-projections         List projection modes and their parameters
+  -h, --help                     Show this help`;
+
+/**
+ * Parse the command line into conversion options
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object}
+ */
+function parseCommandLine(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            type: { type: 'string', short: 't', default: 'fp32' },
+            endian: { type: 'string', short: 'e', default: 'little' },
+            tuple: { type: 'string', default: '3-tuple' },
+            'color-type': { type: 'string', default: 'uint8' },
+            layout: { type: 'string' },
+            dimensions: { type: 'string', default: String(DEFAULT_TUPLE_DIMENSIONS) },
+            reduction: { type: 'string', default: 'pca' },
+            tensor: { type: 'string' },
+            offset: { type: 'string', default: '0' },
+            bits: { type: 'string', short: 'b', default: '8' },
+            projection: { type: 'string', short: 'p', default: 'standard' },
+            param: { type: 'string', multiple: true, default: [] },
+            normalization: { type: 'string', short: 'n', default: 'auto' },
+            'global-stats': { type: 'boolean', default: false },
+            'chunk-size': { type: 'string' },
+            grid: { type: 'string', default: '1' },
+            spacing: { type: 'string', default: '2.5' },
+            output: { type: 'string', short: 'o' },
+            format: { type: 'string', short: 'f', default: 'binary_little_endian' },
+            'list-projections': { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const projectionParams = {};
+    for (const entry of values.param) {
+        const match = /^(\w+)=(-?\d+(?:\.\d+)?)$/.exec(entry);
+        if (!match) {
+            throw new Error(`Invalid projection parameter "${entry}" - expected name=number`);
+        }
+        projectionParams[match[1]] = parseFloat(match[2]);
+    }
+
+    return { ...values, input: positionals[0], projectionParams };
+}
+
+/**
+ * Record layout for a tuple mode, or null for the packed 3-/6-tuple modes
+ * @param {Object} options - Parsed command line
+ * @param {string} dataType - DATA_TYPES key of the positions
+ * @returns {Object|null}
+ */
+function layoutFor(options, dataType) {
+    if (options.tuple === 'custom') {
+        if (!options.layout) {
+            throw new Error('--tuple custom requires --layout');
+        }
+        return parseRecordLayout(options.layout, dataType);
+    }
+    if (MIXED_TUPLE_MODES[options.tuple]) {
+        return mixedTupleLayout(dataType, options['color-type'], MIXED_TUPLE_MODES[options.tuple].withAlpha);
+    }
+    if (options.tuple === 'n-tuple') {
+        return tupleLayout(dataType, options.tuple, parseInt(options.dimensions));
+    }
+    return null;
+}
+
+/**
+ * Print the projection registry
+ */
+function listProjectionModes() {
+    for (const projection of listProjections()) {
+        const parameters = projection.parameters.map(p => `${p.name}=${p.defaultValue}`).join(' ');
+        console.log(`${projection.id.padEnd(24)} ${projection.label}${parameters ? `  [${parameters}]` : ''}`);
+    }
+}
+
+/**
+ * Write a point cloud to a PLY (or compact raw) file
+ * @param {string} path - Output file
+ * @param {string} format - One of PLY_FORMATS or COMPACT_EXPORT_FORMAT
+ * @param {{ points: Float32Array, colors: Float32Array, numPoints: number, edges: Uint32Array|null }} cloud - Point cloud
+ */
+async function writePointCloud(path, format, cloud) {
+    const edgeCount = cloud.edges ? cloud.edges.length / 2 : 0;
+    const file = await open(path, 'w');
+    try {
+        const header = plyHeader(format, cloud.numPoints, edgeCount);
+        if (header) {
+            await file.write(header);
+        }
+        for (let start = 0; start < cloud.numPoints; start += WRITE_BATCH_VERTICES) {
+            const end = Math.min(start + WRITE_BATCH_VERTICES, cloud.numPoints);
+            const encoded = encodeVertices(format, cloud.points, cloud.colors, null, start, end);
+            await file.write(typeof encoded === 'string' ? encoded : new Uint8Array(encoded));
+        }
+        for (let start = 0; start < edgeCount; start += WRITE_BATCH_VERTICES) {
+            const end = Math.min(start + WRITE_BATCH_VERTICES, edgeCount);
+            const encoded = encodeEdges(format, cloud.edges, start, end);
+            await file.write(typeof encoded === 'string' ? encoded : new Uint8Array(encoded));
+        }
+    } finally {
+        await file.close();
+    }
+}
+
+async function main() {
+    const options = parseCommandLine(process.argv.slice(2));
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (options['list-projections']) {
+        listProjectionModes();
+        return;
+    }
+    if (!options.input || !options.output) {
+        throw new Error(`Input and output files are required\n\n${USAGE}`);
+    }
+    if (!PLY_FORMATS.includes(options.format) && options.format !== COMPACT_EXPORT_FORMAT) {
+        throw new Error(`Unknown output format: ${options.format}. Supported formats: ${[...PLY_FORMATS, COMPACT_EXPORT_FORMAT].join(', ')}`);
+    }
+    if (!NORMALIZATION_STRATEGIES[options.normalization]) {
+        throw new Error(`Unknown normalization: ${options.normalization}. Supported strategies: ${Object.keys(NORMALIZATION_STRATEGIES).join(', ')}`);
+    }
+    const projection = getProjection(options.projection);
+    if (!projection) {
+        throw new Error(`Unknown projection mode: ${options.projection}. Use --list-projections to see the supported modes`);
+    }
+    // Paths and boxes are exported as PLY edges, which the headerless compact format cannot hold
+    if (options.format === COMPACT_EXPORT_FORMAT && (projection.output === PROJECTION_OUTPUTS.PATH || projection.output === PROJECTION_OUTPUTS.BVH)) {
+        throw new Error(`Projection ${options.projection} draws ${projection.output === PROJECTION_OUTPUTS.PATH ? 'a path' : 'boxes'}, ` +
+            `which ${COMPACT_EXPORT_FORMAT} cannot hold. Choose a PLY format`);
+    }
+
+    let source = new StreamingReader(await openAsBlob(options.input));
+    let dataType = options.type;
+    let isLittleEndian = options.endian !== 'big';
+
+    if (options.tensor) {
+        const format = detectTensorFormat(await source.read(0, 64), basename(options.input));
+        if (!format) {
+            throw new Error(`${options.input} is not a recognized tensor file`);
+        }
+        const { tensors } = await readTensorIndex(source, format);
+        const tensor = tensors.find(t => t.name === options.tensor);
+        if (!tensor) {
+            throw new Error(`No tensor named "${options.tensor}". Available tensors: ${tensors.map(t => t.name).join(', ')}`);
+        }
+        console.log(`Reading tensor ${describeTensor(tensor)}`);
+        source = await openTensor(source, tensor);
+        dataType = tensor.dataType;
+        isLittleEndian = tensor.isLittleEndian;
+    }
+
+    const cloud = await convertToPointCloud(source, {
+        dataType,
+        isLittleEndian,
+        startOffset: parseInt(options.offset),
+        chunkSize: options['chunk-size'] ? parseInt(options['chunk-size']) : undefined,
+        gridSize: parseInt(options.grid),
+        spacing: parseFloat(options.spacing),
+        quantizationBits: parseInt(options.bits),
+        projectionMode: options.projection,
+        projectionParams: options.projectionParams,
+        tupleMode: options.tuple,
+        layout: layoutFor(options, dataType),
+        normalization: { strategy: options.normalization, scope: options['global-stats'] ? 'global' : 'chunk' },
+        reduction: options.tuple === 'n-tuple' ? { method: options.reduction } : null
+    });
+
+    await writePointCloud(options.output, options.format, cloud);
+    const edges = cloud.edges ? ` and ${(cloud.edges.length / 2).toLocaleString()} edges` : '';
+    console.log(`Wrote ${cloud.numPoints.toLocaleString()} points${edges} from ${cloud.cells.length} chunk(s) to ${options.output}`);
+}
+
+main().catch((error) => {
+    console.error(`dataprism: ${error.message}`);
+    process.exitCode = 1;
+});
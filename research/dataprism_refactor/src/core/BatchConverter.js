@@ -0,0 +1,225 @@
+/**
+ * BatchConverter.js
+ * Headless DataPrism core: binary data to a merged point cloud, without DOM or THREE
+ *
+ * Runs the same pipeline as the viewer's lattice - chunking, optional global normalization
+ * statistics, quantizeProcessDataAs per chunk and lattice placement - on the current thread,
+ * so it works in Node (see bin/dataprism.js) as well as in the browser.
+ */
+
+import { quantizeProcessDataAs } from '../processing/DataProcessor.js';
+import { tupleLayout, resolveRecordLayout, recordAlignment, vectorValueLayout } from '../processing/RecordLayout.js';
+import { NORMALIZATION_STRATEGIES, scanFieldStats, finalizeFieldStats } from '../processing/Normalizers.js';
+
+/**
+ * Number of lattice chunks sampled when pre-scanning global normalization statistics
+ * @type {number}
+ */
+export const GLOBAL_STATS_SAMPLE_CHUNKS = 16;
+
+/**
+ * Box wireframe edges as pairs of corners, with corner bits 1, 2 and 4 selecting the max x, y and z side
+ * @type {Array<[number, number]>}
+ * @private
+ */
+const BOX_EDGES = [0, 1, 2, 3, 4, 5, 6, 7].flatMap(corner =>
+    [1, 2, 4].filter(bit => !(corner & bit)).map(bit => [corner, corner | bit]));
+
+/**
+ * Enumerate lattice cells in x, y, z order
+ * @param {number} gridSize - Cells per lattice axis
+ * @param {number} totalChunks - Most cells to enumerate
+ * @param {function(number): (Object|null)} describeCell - Properties of the cell with the given
+ *   chunk index (e.g. dataType, layout), or null when there is no more data
+ * @returns {Object[]} - Cells as { chunkIndex, x, y, z, ...properties }
+ */
+export function latticeCells(gridSize, totalChunks, describeCell) {
+    const cells = [];
+    for (let x = 0; x < gridSize; x++) {
+        for (let y = 0; y < gridSize; y++) {
+            for (let z = 0; z < gridSize; z++) {
+                const chunkIndex = cells.length;
+                if (chunkIndex >= totalChunks) return cells;
+
+                const properties = describeCell(chunkIndex);
+                if (!properties) return cells;
+                cells.push({ chunkIndex, x, y, z, ...properties });
+            }
+        }
+    }
+    return cells;
+}
+
+/**
+ * Position of a lattice cell, with the lattice centered on the origin
+ * @param {{ x: number, y: number, z: number }} cell - Lattice cell
+ * @param {number} gridSize - Cells per lattice axis
+ * @param {number} spacing - Distance between cell centers
+ * @returns {number[]} - [x, y, z]
+ */
+export function latticePosition(cell, gridSize, spacing) {
+    const offset = (gridSize - 1) * spacing / 2;
+    return [(cell.x * spacing) - offset, (cell.y * spacing) - offset, (cell.z * spacing) - offset];
+}
+
+/**
+ * Samples evenly spaced cells of the lattice and computes per-field value statistics
+ * @param {Object[]} cells - Lattice cells, each with its dataType, isLittleEndian and layout
+ * @param {Function} readCell - Resolves a cell to its chunk ArrayBuffer
+ * @param {string} tupleMode - Tuple interpretation mode for cells without a layout
+ * @returns {Promise<Object>} Finalized statistics per field
+ */
+export async function scanGlobalStats(cells, readCell, tupleMode) {
+    const sampleCount = Math.min(cells.length, GLOBAL_STATS_SAMPLE_CHUNKS);
+    const samplesPerChunk = Math.ceil(65536 / sampleCount);
+    const accumulators = {};
+
+    for (let i = 0; i < sampleCount; i++) {
+        const cell = cells[Math.floor(i * cells.length / sampleCount)];
+        // N-tuple values all share one 'value' field
+        const recordLayout = cell.layout && cell.layout.dimensions ? vectorValueLayout(cell.dataType) :
+            resolveRecordLayout(cell.layout || tupleLayout(cell.dataType, tupleMode), cell.dataType);
+        scanFieldStats(await readCell(cell), recordLayout, cell.isLittleEndian, accumulators, samplesPerChunk);
+    }
+
+    const stats = finalizeFieldStats(accumulators);
+    console.log(`Global normalization statistics from ${sampleCount} chunks:`, stats);
+    return stats;
+}
+
+/**
+ * Convert binary data into one point cloud, with each chunk placed at its lattice cell
+ * @param {import('../processing/StreamingReader.js').StreamingReader} source - Reader over the data
+ * @param {Object} [options={}] - Conversion options (the viewer's controls):
+ * @param {string} [options.dataType='fp32'] - DATA_TYPES key
+ * @param {boolean} [options.isLittleEndian=true] - Byte order
+ * @param {number} [options.startOffset=0] - First byte to read
+ * @param {number} [options.chunkSize] - Bytes per lattice cell (default: everything after startOffset in one cell)
+ * @param {number} [options.gridSize=1] - Cells per lattice axis
+ * @param {number} [options.spacing=2.5] - Distance between cell centers
+ * @param {number} [options.quantizationBits=8] - Quantization bits (2-21)
+ * @param {string} [options.projectionMode='standard'] - Projection id (see listProjections)
+ * @param {Object} [options.projectionParams=null] - Projection parameter values by name
+ * @param {string} [options.tupleMode='3-tuple'] - Tuple mode for data without a layout
+ * @param {Object} [options.layout=null] - Record layout (overrides tupleMode, see RecordLayout)
+ * @param {{ strategy: string, scope?: string }} [options.normalization=null] - Normalization strategy;
+ *   scope 'global' pre-scans statistics shared by all chunks
+ * @param {boolean} [options.countDensity=false] - Return per-point hit counts
+ * @param {Object} [options.reduction=null] - N-tuple reduction options (see quantizeProcessDataAs)
+ * @param {function(Object, Object): void} [options.onChunk] - Called with (cell, processedData) after each chunk
+ * @returns {Promise<{ points: Float32Array, colors: Float32Array, numPoints: number, counts: Uint32Array|null, cells: Object[], edges: Uint32Array|null }>}
+ *   points include each cell's lattice position; cells carry their chunk's numPoints and position.
+ *   Path projections add edges between consecutive points of each chunk; box projections (BVH, octree,
+ *   k-d tree) add each box's 8 corners after the data points, and its 12 edges. edges holds vertex index
+ *   pairs, or is null for projections that draw points only
+ */
+export async function convertToPointCloud(source, options = {}) {
+    const {
+        dataType = 'fp32',
+        isLittleEndian = true,
+        startOffset = 0,
+        gridSize = 1,
+        spacing = 2.5,
+        quantizationBits = 8,
+        projectionMode = 'standard',
+        projectionParams = null,
+        tupleMode = '3-tuple',
+        layout = null,
+        normalization = null,
+        countDensity = false,
+        reduction = null,
+        onChunk = null
+    } = options;
+
+    const effectiveLength = Math.max(0, source.size - startOffset);
+    if (effectiveLength === 0) {
+        throw new Error(`Start offset (${startOffset}) is beyond the data size (${source.size})`);
+    }
+
+    // Whole records only, so no struct straddles two chunks
+    let chunkSize = options.chunkSize || effectiveLength;
+    if (layout) {
+        const alignment = recordAlignment(layout);
+        chunkSize = Math.max(alignment, chunkSize - (chunkSize % alignment));
+    }
+
+    const totalChunks = Math.min(gridSize * gridSize * gridSize, Math.ceil(effectiveLength / chunkSize));
+    const cells = latticeCells(gridSize, totalChunks, () => ({ dataType, isLittleEndian, layout }));
+    const readCell = (cell) => {
+        const start = startOffset + cell.chunkIndex * chunkSize;
+        return source.read(start, start + chunkSize);
+    };
+
+    let chunkNormalization = normalization ? { strategy: normalization.strategy } : null;
+    if (normalization && normalization.scope === 'global' && NORMALIZATION_STRATEGIES[normalization.strategy].needsStats) {
+        chunkNormalization = { strategy: normalization.strategy, stats: await scanGlobalStats(cells, readCell, tupleMode) };
+    }
+
+    // Process chunks one at a time so only the current chunk's bytes are in memory
+    const results = [];
+    let numPoints = 0;
+    for (const cell of cells) {
+        const processedData = quantizeProcessDataAs(await readCell(cell), dataType, isLittleEndian, quantizationBits,
+            projectionMode, tupleMode, layout, chunkNormalization, countDensity, projectionParams, reduction);
+
+        cell.numPoints = processedData.numPoints;
+        cell.position = latticePosition(cell, gridSize, spacing);
+        results.push(processedData);
+        numPoints += processedData.numPoints;
+        if (onChunk) onChunk(cell, processedData);
+    }
+
+    // Box wireframes follow the data points: 8 corner vertices per box
+    const boxCount = results.reduce((sum, processedData) => sum + (processedData.bvhNodes ? processedData.bvhNodes.length : 0), 0);
+    const pathEdgeCount = results.reduce((sum, processedData) =>
+        sum + (processedData.pathData ? Math.max(0, processedData.numPoints - 1) : 0), 0);
+    const hasEdges = results.some(processedData => processedData.pathData || processedData.bvhNodes);
+    const vertexCount = numPoints + boxCount * 8;
+
+    // Merge the chunks, moving each to its lattice cell
+    const points = new Float32Array(vertexCount * 3);
+    const colors = new Float32Array(vertexCount * 3);
+    const counts = countDensity ? new Uint32Array(vertexCount) : null;
+    const edges = hasEdges ? new Uint32Array((pathEdgeCount + boxCount * BOX_EDGES.length) * 2) : null;
+    let pointOffset = 0;
+    let edgeOffset = 0;
+    results.forEach((processedData, i) => {
+        const position = cells[i].position;
+        for (let p = 0; p < processedData.numPoints * 3; p++) {
+            points[pointOffset * 3 + p] = processedData.points[p] + position[p % 3];
+        }
+        colors.set(processedData.colors.subarray(0, processedData.numPoints * 3), pointOffset * 3);
+        if (counts && processedData.counts) {
+            counts.set(processedData.counts.subarray(0, processedData.numPoints), pointOffset);
+        }
+        // A path runs through its chunk's points in order, and does not continue into the next chunk
+        if (processedData.pathData) {
+            for (let p = 1; p < processedData.numPoints; p++) {
+                edges[edgeOffset++] = pointOffset + p - 1;
+                edges[edgeOffset++] = pointOffset + p;
+            }
+        }
+        pointOffset += processedData.numPoints;
+    });
+
+    results.forEach((processedData, i) => {
+        for (const box of processedData.bvhNodes || []) {
+            const center = [box.center.x, box.center.y, box.center.z];
+            const size = [box.size.x, box.size.y, box.size.z];
+            for (let corner = 0; corner < 8; corner++) {
+                for (let axis = 0; axis < 3; axis++) {
+                    const side = (corner >> axis) & 1 ? 0.5 : -0.5;
+                    points[(pointOffset + corner) * 3 + axis] = center[axis] + side * size[axis] + cells[i].position[axis];
+                }
+                colors.set([box.color.r, box.color.g, box.color.b], (pointOffset + corner) * 3);
+            }
+            for (const [a, b] of BOX_EDGES) {
+                edges[edgeOffset++] = pointOffset + a;
+                edges[edgeOffset++] = pointOffset + b;
+            }
+            pointOffset += 8;
+        }
+    });
+
+    return { points, colors, numPoints: vertexCount, counts, cells, edges };
+}
@@ -8,10 +8,70 @@
 
 import { BVH } from '../spatial/BVH.js';
 import { HilbertCurve3D } from '../utils/HilbertCurve3D.js';
-import { createInstancedBVHBoxes } from '../rendering/BVHVisualization.js';
-import { applyProjection } from '../utils/Projections.js';
-import { quantizeProcessDataAs } from '../processing/DataProcessor.js';
-import { DATA_TYPES } from '../utils/Constants.js';
+import { createInstancedBVHBoxes, findBoxAt } from '../rendering/BVHVisualization.js';
+import { getProjection, listProjections } from '../utils/Projections.js';
+import { quantizeProcessDataAs, quantizePointCloud, densityWeights } from '../processing/DataProcessor.js';
+import { detectPointCloudFormat, parsePointCloud } from '../processing/PointCloudParser.js';
+import { detectTensorFormat, readTensorIndex, openTensor, describeTensor } from '../processing/TensorFileParser.js';
+import { detectDataTypes, describeSuggestion, DETECTION_SAMPLE_BYTES, HIGH_ENTROPY_BITS } from '../processing/TypeDetector.js';
+import { formatHexDump, decodeAllTypes, recordByteRanges, mergeByteRanges } from '../processing/ByteInspector.js';
+import { projectToScreen, selectInBox, selectInLasso, screenRectFrustum } from '../utils/ScreenSelection.js';
+import { WorkerPool } from '../processing/WorkerPool.js';
+import { StreamingReader } from '../processing/StreamingReader.js';
+import { parseRecordLayout, formatRecordLayout, mixedTupleLayout, tupleLayout, recordAlignment, DEFAULT_TUPLE_DIMENSIONS, MIXED_TUPLE_MODES } from '../processing/RecordLayout.js';
+import { REDUCTION_METHODS } from '../processing/DimensionReduction.js';
+import { NORMALIZATION_STRATEGIES, describeNormalizer } from '../processing/Normalizers.js';
+import { DENSE_QUANTIZATION_BITS, MAX_QUANTIZATION_BITS } from '../processing/SparseCellSet.js';
+import { PLY_FORMATS, COMPACT_EXPORT_FORMAT, plyHeader, encodeVertices } from '../processing/PlyWriter.js';
+import { latticeCells, latticePosition, scanGlobalStats } from './BatchConverter.js';
+
+/**
+ * Color stops for the density heat ramp, from cells hit once to the hottest cell
+ * @type {number[][]}
+ */
+const DENSITY_RAMP = [
+    [0.05, 0.03, 0.25],
+    [0.45, 0.05, 0.55],
+    [0.90, 0.25, 0.20],
+    [1.00, 0.75, 0.10],
+    [1.00, 1.00, 0.85]
+];
+
+/**
+ * Per-point size multipliers for density size mode (cells hit once, hottest cell)
+ * @type {number[]}
+ */
+const DENSITY_SIZE_RANGE = [0.5, 3.0];
+
+/**
+ * Per-point opacity for density opacity mode (cells hit once, hottest cell)
+ * @type {number[]}
+ */
+const DENSITY_OPACITY_RANGE = [0.1, 1.0];
+
+/**
+ * Screen distance in pixels within which a point is picked by a click
+ * @type {number}
+ */
+const PICK_PIXEL_RADIUS = 6;
+
+/**
+ * Pointer movement in pixels between press and release that still counts as a click (not an orbit drag)
+ * @type {number}
+ */
+const PICK_CLICK_TOLERANCE = 4;
+
+/**
+ * Points per leaf of the BVH built over each point cloud for picking, hover and selection
+ * @type {number}
+ */
+const SPATIAL_INDEX_LEAF_POINTS = 16;
+
+/**
+ * Offset in pixels of the hover tooltip from the pointer
+ * @type {number}
+ */
+const HOVER_TOOLTIP_OFFSET = 14;
 
 /**
  * Main application class for DataPrism
@@ -23,7 +83,17 @@ class DataPrism {
      * Initializes the 3D scene, camera, renderer, and event handlers
      */
     constructor() {
-        this.fileBuffer = null;
+        this.fileSource = null; // StreamingReader over the loaded file (bytes are read on demand)
+        this.importedCloud = null; // Parsed PLY/XYZ/PCD cloud when the loaded file is a point cloud
+        this.tensorIndex = null; // Tensor list when the loaded file is safetensors/GGUF/NumPy
+        this.tensorLabel = null; // Description of the tensor(s) shown by the last processing run
+        this.raycaster = null; // Point picking raycaster (created in init)
+        this.pickMarker = null; // Highlight for the picked point
+        this.hoverFrame = null; // Pending animation frame of the hover tooltip update
+        this.hoverBoxHelper = null; // Outline of the hovered BVH/octree/k-d tree box
+        this.selection = null; // Map of THREE.Points → selected point indices
+        this.selectionShape = null; // Box/lasso being dragged: { mode, points, additive }
+        this.selectionMarker = null; // Highlight for the selected points
         this.scene = null;
         this.camera = null;
         this.renderer = null;
@@ -36,6 +106,8 @@ class DataPrism {
         this.totalPoints = 0;
         this.controlsMinimized = false;
         this.contextLost = false; // Track WebGL context state
+        this.workerPool = null; // Lazily created chunk worker pool
+        this.processingRunId = 0; // Incremented to cancel in-progress lattice processing
 
         this.init();
         this.setupEventListeners();
@@ -193,18 +265,191 @@ class DataPrism {
             <strong>File:</strong> <span class="filename-truncate" title="${file.name}">${file.name}</span> <strong>Size:</strong> ${(file.size / (1024 * 1024)).toFixed(2)} MB
         `;
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            this.fileBuffer = e.target.result;
-            document.getElementById('processButton').disabled = false;
-            document.getElementById('exportPlyButton').disabled = true;
-            this.highlightProcessButton(); // Highlight when file is loaded
-            console.log('File loaded successfully:', file.name);
-        };
-        reader.onerror = () => {
-            console.error('Failed to read file:', file.name);
+        // Keep a handle to the file instead of reading it; chunks are sliced out on demand
+        this.fileSource = new StreamingReader(file);
+        document.getElementById('processButton').disabled = false;
+        document.getElementById('exportPlyButton').disabled = true;
+        this.highlightProcessButton(); // Highlight when file is loaded
+        console.log('File opened for streaming:', file.name);
+
+        document.getElementById('detectTypeButton').disabled = false;
+        document.getElementById('typeSuggestions').style.display = 'none';
+
+        const source = this.fileSource;
+        const importedCloud = this.updateImportedCloud().catch((error) => {
+            console.error('Failed to read file:', file.name, error);
+        });
+        const tensorIndex = this.updateTensorIndex().catch((error) => {
+            console.error('Failed to read tensor index:', file.name, error);
+        });
+
+        // Raw files get type suggestions straight away; point clouds and tensor files carry their own types
+        Promise.all([importedCloud, tensorIndex]).then(() => {
+            if (source === this.fileSource && !this.importedCloud && !this.tensorIndex) {
+                return this.suggestDataTypes();
+            }
+        }).catch((error) => {
+            console.error('Failed to detect data type:', file.name, error);
+        });
+    }
+
+    /**
+     * Samples the file at the start offset, ranks data type and byte order interpretations
+     * and lists the best ones with a button to apply each
+     */
+    async suggestDataTypes() {
+        const source = this.fileSource;
+        if (!source) return;
+
+        const startOffset = Math.min(parseInt(document.getElementById('startOffset').value) || 0, Math.max(0, source.size - 1));
+        const sample = await source.read(startOffset, startOffset + DETECTION_SAMPLE_BYTES);
+        if (source !== this.fileSource) return; // Another file was loaded meanwhile
+
+        const { entropy, suggestions } = detectDataTypes(sample, 3);
+        const suggestionsDiv = document.getElementById('typeSuggestions');
+        suggestionsDiv.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.textContent = `Entropy ${entropy.toFixed(2)} bits/byte${entropy > HIGH_ENTROPY_BITS ? ' - looks compressed or encrypted' : ''}`;
+        suggestionsDiv.appendChild(header);
+
+        suggestions.forEach((suggestion, i) => {
+            const button = document.createElement('button');
+            button.textContent = describeSuggestion(suggestion);
+            button.title = 'Apply this type and byte order';
+            if (i === 0) button.classList.add('best');
+            button.addEventListener('click', () => this.applyTypeSuggestion(suggestion));
+            suggestionsDiv.appendChild(button);
+        });
+
+        suggestionsDiv.style.display = suggestions.length > 0 ? 'block' : 'none';
+        console.log(`Type suggestions at offset ${startOffset} (entropy ${entropy.toFixed(2)} bits/byte):`, suggestions.map(describeSuggestion));
+    }
+
+    /**
+     * Applies a suggested data type and byte order to the controls
+     * @param {Object} suggestion - Suggestion from detectDataTypes
+     */
+    applyTypeSuggestion(suggestion) {
+        document.getElementById('dataType').value = suggestion.dataType;
+        document.getElementById('endianness').value = String(suggestion.isLittleEndian);
+        console.log(`Applied suggested type: ${describeSuggestion(suggestion)}`);
+        if (this.fileSource) {
+            this.highlightProcessButton();
+        }
+    }
+
+    /**
+     * Parses the loaded file as a point cloud (PLY/XYZ/PCD) when import mode allows it
+     * Falls back to raw byte interpretation if the file is not a point cloud or fails to parse.
+     * Only point cloud files are read fully into memory; raw files stay streamed.
+     */
+    async updateImportedCloud() {
+        this.importedCloud = null;
+        const source = this.fileSource;
+        if (!source) return;
+
+        const importModeSelect = document.getElementById('importMode');
+        const importMode = importModeSelect ? importModeSelect.value : 'auto';
+        if (importMode === 'raw') return;
+
+        const headerBuffer = await source.read(0, 64);
+        if (!detectPointCloudFormat(headerBuffer, this.originalFileName)) return;
+
+        try {
+            const importedCloud = parsePointCloud(await source.readAll(), this.originalFileName);
+            if (source !== this.fileSource) return; // Another file was loaded meanwhile
+            this.importedCloud = importedCloud;
+            document.getElementById('fileInfo').innerHTML +=
+                `<br><strong>Cloud:</strong> ${this.importedCloud.format.toUpperCase()} • ${this.importedCloud.numPoints.toLocaleString()} points`;
+        } catch (error) {
+            if (source !== this.fileSource) return; // Another file was loaded meanwhile
+            console.warn(`Could not parse ${this.originalFileName} as a point cloud, treating as raw bytes:`, error.message);
+            this.importedCloud = null;
+        }
+    }
+
+    /**
+     * Reads the tensor list of safetensors, GGUF and NumPy (.npy/.npz) files when import mode allows it
+     * Fills the tensor selector; raw files and unrecognized formats hide it.
+     */
+    async updateTensorIndex() {
+        this.tensorIndex = null;
+        this.populateTensorSelect();
+        const source = this.fileSource;
+        if (!source) return;
+
+        const importModeSelect = document.getElementById('importMode');
+        const importMode = importModeSelect ? importModeSelect.value : 'auto';
+        if (importMode === 'raw') return;
+
+        const format = detectTensorFormat(await source.read(0, 64), this.originalFileName);
+        if (!format) return;
+
+        try {
+            const tensorIndex = await readTensorIndex(source, format);
+            if (source !== this.fileSource) return; // Another file was loaded meanwhile
+            this.tensorIndex = tensorIndex;
+            this.populateTensorSelect();
+            document.getElementById('fileInfo').innerHTML +=
+                `<br><strong>Tensors:</strong> ${format.toUpperCase()} • ${tensorIndex.tensors.length.toLocaleString()} tensors`;
+            console.log(`Read ${tensorIndex.tensors.length} tensors from ${format} file:`, tensorIndex.tensors.map(describeTensor));
+        } catch (error) {
+            console.warn(`Could not read ${this.originalFileName} as ${format}, treating as raw bytes:`, error.message);
+            this.tensorIndex = null;
+        }
+    }
+
+    /**
+     * Fills the tensor selector from the current tensor index and shows it when there are tensors
+     */
+    populateTensorSelect() {
+        const tensorControl = document.getElementById('tensorControl');
+        const tensorSelect = document.getElementById('tensorSelect');
+        if (!tensorControl || !tensorSelect) return;
+
+        tensorSelect.innerHTML = '';
+        const addOption = (value, text) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            tensorSelect.appendChild(option);
         };
-        reader.readAsArrayBuffer(file);
+
+        addOption('file', 'Whole file (raw bytes)');
+        if (this.tensorIndex && this.tensorIndex.tensors.length > 0) {
+            addOption('all', 'All tensors (one per cell)');
+            this.tensorIndex.tensors.forEach((tensor, i) => addOption(String(i), describeTensor(tensor)));
+            // A single tensor is the common case for .npy; otherwise start with the overview
+            tensorSelect.value = this.tensorIndex.tensors.length === 1 ? '0' : 'all';
+            this.applyTensorSelection();
+        }
+        tensorControl.style.display = this.tensorIndex ? 'flex' : 'none';
+    }
+
+    /**
+     * Returns the current tensor selection
+     * @returns {'file'|'all'|Object} 'file' for the raw file, 'all' for every tensor, or a single TensorInfo
+     */
+    getTensorSelection() {
+        const tensorSelect = document.getElementById('tensorSelect');
+        if (!this.tensorIndex || !tensorSelect || tensorSelect.value === 'file') return 'file';
+        if (tensorSelect.value === 'all') return 'all';
+        return this.tensorIndex.tensors[parseInt(tensorSelect.value)] || 'file';
+    }
+
+    /**
+     * Matches the Type and Endianness controls to the selected tensor
+     */
+    applyTensorSelection() {
+        const selection = this.getTensorSelection();
+        if (typeof selection !== 'object') return;
+
+        document.getElementById('dataType').value = selection.dataType;
+        document.getElementById('endianness').value = String(selection.isLittleEndian);
+        if (!selection.exact) {
+            console.warn(`${selection.name} uses ${selection.dtype}, which has no matching data type; showing its raw bytes as ${selection.dataType}`);
+        }
     }
 
     /**
@@ -274,21 +519,24 @@ class DataPrism {
 
     /**
      * Shows the export dialog for PLY file export
+     * @param {Map<THREE.Points, Uint32Array>|null} [selection=null] - Export only these points (see applySelection)
      */
-    showExportDialog() {
+    showExportDialog(selection = null) {
         // Show export dialog
         const dialog = document.getElementById('exportDialog');
         const filenameInput = document.getElementById('exportFilename');
         const formatDiv = document.getElementById('exportFormat');
+        const plyFormatSelect = document.getElementById('exportPlyFormat');
         const cancelButton = document.getElementById('cancelExport');
         const confirmButton = document.getElementById('confirmExport');
 
         // Generate default filename from original file
         const baseFilename = this.originalFileName.split('.')[0] || 'pointcloud';
-        filenameInput.value = baseFilename + '_pointcloud';
+        const defaultName = baseFilename + (selection ? '_selection' : '_pointcloud');
+        filenameInput.value = defaultName;
 
         // Update dialog title and format info
-        document.querySelector('#exportDialog h3').textContent = 'Export to PLY';
+        document.querySelector('#exportDialog h3').textContent = selection ? 'Export Selection to PLY' : 'Export to PLY';
         formatDiv.textContent = 'Format: PLY';
 
         // Show dialog
@@ -306,11 +554,14 @@ class DataPrism {
 
             // Add default if empty
             if (!filename) {
-                filename = baseFilename + '_pointcloud';
+                filename = defaultName;
             }
 
+            // Get PLY encoding (ascii, binary_little_endian, binary_big_endian) or the compact raw format
+            const plyFormat = plyFormatSelect ? plyFormatSelect.value : 'ascii';
+
             // Add extension if not present
-            const ext = '.ply';
+            const ext = plyFormat === COMPACT_EXPORT_FORMAT ? '.bin' : '.ply';
             if (!filename.toLowerCase().endsWith(ext)) {
                 filename += ext;
             }
@@ -319,7 +570,7 @@ class DataPrism {
             dialog.style.display = 'none';
 
             // Perform the actual export
-            this._generatePLYFile(filename);
+            this._generatePLYFile(filename, plyFormat, selection);
         };
     }
 
@@ -338,16 +589,26 @@ class DataPrism {
     /**
      * Memory-efficient PLY export using streaming approach
      * @param {string} filename - Output filename
+     * @param {string} [format='ascii'] - PLY encoding: 'ascii', 'binary_little_endian' or 'binary_big_endian',
+     *   or 'raw_fp16' for a headerless fp16 XYZ + uint8 RGB record stream
+     * @param {Map<THREE.Points, Uint32Array>|null} [selection=null] - Export only these points of these objects
      * @private
      */
-    _generatePLYFile(filename) {
+    _generatePLYFile(filename, format = 'ascii', selection = null) {
+        if (!PLY_FORMATS.includes(format) && format !== COMPACT_EXPORT_FORMAT) {
+            console.warn(`Unknown PLY format "${format}", falling back to ascii`);
+            format = 'ascii';
+        }
+        const isCompact = format === COMPACT_EXPORT_FORMAT;
+        const isBinary = format !== 'ascii';
+
         // Show loading message
         document.getElementById('loadingMessage').style.display = 'block';
-        document.getElementById('loadingMessage').innerHTML = '<div>📝 Generating PLY file...</div><div style="font-size: 12px; margin-top: 8px; opacity: 0.8;">Preparing export...</div>';
+        document.getElementById('loadingMessage').innerHTML = `<div>📝 Generating PLY file...</div><div style="font-size: 12px; margin-top: 8px; opacity: 0.8;">Preparing ${format} export...</div>`;
 
         try {
             // Extract all Points objects from point clouds (which may be Groups)
-            const pointObjects = [];
+            let pointObjects = [];
             for (const cloudOrGroup of this.pointClouds) {
                 if (cloudOrGroup.type === 'Points') {
                     // Direct Points object (old style)
@@ -361,6 +622,11 @@ class DataPrism {
                     });
                 }
             }
+            if (selection) {
+                pointObjects = pointObjects.filter(pointObj => selection.has(pointObj));
+            }
+            // Indices of the points to export per object, or null for all of them
+            const pointIndices = pointObjects.map(pointObj => (selection ? selection.get(pointObj) : null));
 
             if (pointObjects.length === 0) {
                 console.error('No point objects found to export');
@@ -370,9 +636,9 @@ class DataPrism {
 
             // Count total number of vertices
             let totalVertices = 0;
-            for (const pointObj of pointObjects) {
+            for (const [objIndex, pointObj] of pointObjects.entries()) {
                 if (pointObj.geometry && pointObj.geometry.attributes && pointObj.geometry.attributes.position) {
-                    totalVertices += pointObj.geometry.attributes.position.count;
+                    totalVertices += pointIndices[objIndex] ? pointIndices[objIndex].length : pointObj.geometry.attributes.position.count;
                 } else {
                     console.warn('Point object missing geometry or position attribute:', pointObj);
                 }
@@ -391,34 +657,21 @@ class DataPrism {
                 console.log(`Warning: Large dataset detected (${totalVertices.toLocaleString()} points). This may take several minutes.`);
             }
 
-            // Create PLY header
-            const header = [
-                'ply',
-                'format ascii 1.0',
-                'comment Created by Binary Point Cloud Viewer',
-                `element vertex ${totalVertices}`,
-                'property float x',
-                'property float y',
-                'property float z',
-                'property uchar red',
-                'property uchar green',
-                'property uchar blue',
-                'end_header'
-            ].join('\n') + '\n';
-
             // Use smaller chunks for very large datasets to prevent memory issues
             const baseChunkSize = totalVertices > 5000000 ? 25000 : 50000;
             let processedVertices = 0;
             const chunks = [];
 
-            // Add header as first chunk
-            chunks.push(new Blob([header], { type: 'text/plain' }));
+            // Add header as first chunk (the compact format is headerless)
+            if (!isCompact) {
+                chunks.push(new Blob([plyHeader(format, totalVertices)], { type: 'text/plain' }));
+            }
 
             // Process point objects with smaller memory footprint
             const processPoints = (objIndex = 0) => {
                 if (objIndex >= pointObjects.length) {
                     // All objects processed, create final blob and download
-                    this._downloadBlobChunks(chunks, filename, totalVertices);
+                    this._downloadBlobChunks(chunks, filename, totalVertices, isBinary ? 'application/octet-stream' : 'text/plain');
                     return;
                 }
 
@@ -426,7 +679,8 @@ class DataPrism {
                 const pointObj = pointObjects[objIndex];
                 const positions = pointObj.geometry.attributes.position.array;
                 const colors = pointObj.geometry.attributes.color.array;
-                const count = pointObj.geometry.attributes.position.count;
+                const indices = pointIndices[objIndex];
+                const count = indices ? indices.length : pointObj.geometry.attributes.position.count;
 
                 // Get the point object's world position (from parent group)
                 let worldPos = new THREE.Vector3();
@@ -438,30 +692,8 @@ class DataPrism {
                         // Calculate end index for this chunk
                         const endIdx = Math.min(startIdx + baseChunkSize, count);
 
-                        // Use array for better performance than string concatenation
-                        const lines = [];
-
-                        // Add vertices for this chunk
-                        for (let i = startIdx; i < endIdx; i++) {
-                            const idx = i * 3;
-
-                            // Calculate world coordinates
-                            const x = positions[idx] + worldPos.x;
-                            const y = positions[idx + 1] + worldPos.y;
-                            const z = positions[idx + 2] + worldPos.z;
-
-                            // Convert normalized colors [0,1] to RGB [0,255]
-                            const r = Math.floor(colors[idx] * 255);
-                            const g = Math.floor(colors[idx + 1] * 255);
-                            const b = Math.floor(colors[idx + 2] * 255);
-
-                            // Add vertex line
-                            lines.push(`${x} ${y} ${z} ${r} ${g} ${b}`);
-                        }
-
-                        // Create blob for this chunk and add to chunks array
-                        const chunkContent = lines.join('\n') + '\n';
-                        chunks.push(new Blob([chunkContent], { type: 'text/plain' }));
+                        const encoded = encodeVertices(format, positions, colors, indices, startIdx, endIdx, worldPos.toArray());
+                        chunks.push(new Blob([encoded], { type: isBinary ? 'application/octet-stream' : 'text/plain' }));
 
                         // Update counters
                         processedVertices += (endIdx - startIdx);
@@ -505,15 +737,16 @@ class DataPrism {
      * @param {Blob[]} chunks - Array of blob chunks
      * @param {string} filename - Output filename
      * @param {number} totalVertices - Total number of vertices
+     * @param {string} [mimeType='text/plain'] - MIME type of the final blob
      * @private
      */
-    _downloadBlobChunks(chunks, filename, totalVertices) {
+    _downloadBlobChunks(chunks, filename, totalVertices, mimeType = 'text/plain') {
         try {
             document.getElementById('loadingMessage').innerHTML =
                 '<div>📝 Finalizing file...</div><div style="font-size: 11px; margin-top: 8px; opacity: 0.8;">Creating download...</div>';
 
             // Create final blob from all chunks
-            const finalBlob = new Blob(chunks, { type: 'text/plain' });
+            const finalBlob = new Blob(chunks, { type: mimeType });
             const url = URL.createObjectURL(finalBlob);
 
             // Download file
@@ -596,6 +829,54 @@ class DataPrism {
 
             this.controls = new THREE.OrbitControls(this.camera, this.renderer.domElement);
 
+            // Click (without dragging) on a point to inspect the bytes it was decoded from;
+            // in box/lasso selection mode, dragging draws the selection shape instead of orbiting
+            this.raycaster = new THREE.Raycaster();
+            let pointerDown = null;
+            canvas.addEventListener('pointerdown', (event) => {
+                pointerDown = { x: event.clientX, y: event.clientY };
+                this.hideHoverTooltip();
+                const selectionMode = document.getElementById('selectionMode').value;
+                if (selectionMode !== 'off') {
+                    this.selectionShape = { mode: selectionMode, points: [this.canvasPoint(event)], additive: event.shiftKey };
+                }
+            });
+            canvas.addEventListener('pointermove', (event) => {
+                if (this.selectionShape) {
+                    this.extendSelectionShape(this.canvasPoint(event));
+                } else if (event.buttons === 0 && this.hoverFrame === null) {
+                    // Hover tooltip for the point under the cursor, at most once per frame
+                    const { clientX, clientY } = event;
+                    this.hoverFrame = requestAnimationFrame(() => {
+                        this.hoverFrame = null;
+                        this.updateHoverTooltip(clientX, clientY);
+                    });
+                }
+            });
+            canvas.addEventListener('pointerleave', () => this.hideHoverTooltip());
+            canvas.addEventListener('pointerup', (event) => {
+                const isClick = pointerDown && Math.hypot(event.clientX - pointerDown.x, event.clientY - pointerDown.y) <= PICK_CLICK_TOLERANCE;
+                pointerDown = null;
+
+                if (this.selectionShape) {
+                    const shape = this.selectionShape;
+                    this.selectionShape = null;
+                    document.getElementById('selectionOverlay').style.display = 'none';
+                    if (!isClick) {
+                        this.applySelection(shape);
+                    } else if (!shape.additive) {
+                        this.clearSelection();
+                    }
+                    return;
+                }
+
+                if (isClick) {
+                    this.pickPoint(event.clientX, event.clientY).catch((error) => {
+                        console.error('Failed to inspect picked point:', error);
+                    });
+                }
+            });
+
             // Add grid helper
             const gridHelper = new THREE.GridHelper(10, 10);
             this.scene.add(gridHelper);
@@ -662,6 +943,93 @@ class DataPrism {
         }
     }
 
+    /**
+     * Fills the projection selector from the projection registry, keeping the current choice
+     */
+    populateProjectionSelect() {
+        const projectionSelect = document.getElementById('projectionMode');
+        const current = projectionSelect.value;
+
+        projectionSelect.innerHTML = '';
+        for (const projection of listProjections()) {
+            const option = document.createElement('option');
+            option.value = projection.id;
+            option.textContent = projection.label;
+            projectionSelect.appendChild(option);
+        }
+        projectionSelect.value = getProjection(current) ? current : 'standard';
+        this.updateProjectionControls();
+    }
+
+    /**
+     * Shows the parameter controls of the selected projection and hides all others
+     */
+    updateProjectionControls() {
+        const selected = getProjection(document.getElementById('projectionMode').value);
+        const visible = new Set(selected ? selected.parameters.map(parameter => parameter.controlId) : []);
+
+        for (const projection of listProjections()) {
+            for (const parameter of projection.parameters) {
+                const control = parameter.controlId && document.getElementById(parameter.controlId);
+                if (control) {
+                    control.style.display = visible.has(parameter.controlId) ? 'flex' : 'none';
+                }
+            }
+        }
+    }
+
+    /**
+     * Reads a projection's parameter values from their UI inputs
+     * @param {string} projectionMode - Projection id
+     * @returns {Object} - Values by parameter name; parameters without an input are left to their defaults
+     */
+    getProjectionParameters(projectionMode) {
+        const params = {};
+        const projection = getProjection(projectionMode);
+        if (!projection) return params;
+
+        for (const parameter of projection.parameters) {
+            const input = parameter.elementId && document.getElementById(parameter.elementId);
+            if (input && input.value !== '') {
+                params[parameter.name] = parseFloat(input.value);
+            }
+        }
+        return params;
+    }
+
+    /**
+     * Reads the N-tuple reduction options from their UI inputs
+     * @returns {{ method: string }} - Reduction options for quantizeProcessDataAs
+     */
+    getReductionOptions() {
+        const methodSelect = document.getElementById('reductionMethod');
+        return { method: methodSelect && REDUCTION_METHODS[methodSelect.value] ? methodSelect.value : 'pca' };
+    }
+
+    /**
+     * Vector size and reduction method of N-tuple records for loading and stats text
+     * @param {number} dimensions - Values per record
+     * @returns {string} - e.g. '64 values → PCA'
+     */
+    formatReduction(dimensions) {
+        return `${dimensions} values → ${REDUCTION_METHODS[this.getReductionOptions().method].label}`;
+    }
+
+    /**
+     * Projection name with its badge for loading and stats text
+     * @param {string} projectionMode - Projection id
+     * @returns {string} - HTML, e.g. 'hilbert-curve <span class="hilbert-indicator">(HILBERT)</span>'
+     */
+    formatProjection(projectionMode) {
+        const projection = getProjection(projectionMode);
+        if (!projection || !projection.badge) {
+            return projectionMode;
+        }
+
+        const { text, className } = projection.badge;
+        return className ? `${projectionMode} <span class="${className}">(${text})</span>` : `${projectionMode} (${text})`;
+    }
+
     /**
      * Sets up event listeners for UI controls
      */
@@ -685,44 +1053,90 @@ class DataPrism {
         });
 
         // Projection mode change handler
+        this.populateProjectionSelect();
         projectionModeSelect.addEventListener('change', () => {
-            // Show/hide BVH controls based on mode
-            const isBVHMode = projectionModeSelect.value === 'bvh-with-points' ||
-                             projectionModeSelect.value === 'bvh-only';
-
-            document.getElementById('bvhControls').style.display = isBVHMode ? 'flex' : 'none';
-            document.getElementById('bvhMinPointsControl').style.display = isBVHMode ? 'flex' : 'none';
-            document.getElementById('bvhLevelControl').style.display = isBVHMode ? 'flex' : 'none';
+            // Show only the parameter controls of the selected projection
+            this.updateProjectionControls();
 
             // Highlight process button to indicate changes need processing
-            if (this.fileBuffer) {
+            if (this.fileSource) {
                 this.highlightProcessButton();
             }
         });
 
+        // Import mode change handler - re-parse the loaded file with the new interpretation
+        const importModeSelect = document.getElementById('importMode');
+        if (importModeSelect) {
+            importModeSelect.addEventListener('change', () => {
+                if (this.fileSource) {
+                    const fileInfoDiv = document.getElementById('fileInfo');
+                    fileInfoDiv.innerHTML = fileInfoDiv.innerHTML.split(/<br><strong>(?:Cloud|Tensors):/)[0];
+                    this.updateImportedCloud().catch((error) => {
+                        console.error('Failed to re-read file:', this.originalFileName, error);
+                    });
+                    this.updateTensorIndex().catch((error) => {
+                        console.error('Failed to re-read tensor index:', this.originalFileName, error);
+                    });
+                    this.highlightProcessButton();
+                }
+            });
+        }
+
+        // Type detection - re-sample at the current start offset
+        const detectTypeButton = document.getElementById('detectTypeButton');
+        if (detectTypeButton) {
+            detectTypeButton.addEventListener('click', () => {
+                this.suggestDataTypes().catch((error) => {
+                    console.error('Failed to detect data type:', this.originalFileName, error);
+                });
+            });
+        }
+
+        // Tensor selection change handler - pick up the tensor's own type and byte order
+        const tensorSelect = document.getElementById('tensorSelect');
+        if (tensorSelect) {
+            tensorSelect.addEventListener('change', () => {
+                this.applyTensorSelection();
+                if (this.fileSource) {
+                    this.highlightProcessButton();
+                }
+            });
+        }
+
         // Tuple mode change handler
         tupleModeSelect.addEventListener('change', () => {
+            // Show the record layout editor for custom layouts, the color type for mixed tuples
+            // and the vector size and reduction method for N-tuples
+            document.getElementById('recordLayoutControl').style.display =
+                tupleModeSelect.value === 'custom' ? 'flex' : 'none';
+            document.getElementById('colorTypeControl').style.display =
+                MIXED_TUPLE_MODES[tupleModeSelect.value] ? 'flex' : 'none';
+            document.getElementById('nTupleControl').style.display =
+                tupleModeSelect.value === 'n-tuple' ? 'flex' : 'none';
+
             // Highlight process button to indicate changes need processing
-            if (this.fileBuffer) {
+            if (this.fileSource) {
                 this.highlightProcessButton();
             }
         });
 
         // Add change listeners to other processing-related controls
-        const processingControls = ['dataType', 'startOffset', 'chunkSize', 'gridSize',
+        const projectionParameterControls = listProjections().flatMap(projection => projection.parameters.map(parameter => parameter.elementId));
+        const processingControls = [...new Set(['dataType', 'startOffset', 'chunkSize', 'gridSize',
                                    'spacing', 'pointSize', 'endianness', 'useQuantization', 'quantizationBits',
-                                   'bvhMaxDepth', 'bvhMinPoints', 'bvhDisplayLevel'];
+                                   ...projectionParameterControls, 'recordLayout', 'colorType', 'tupleDimensions', 'reductionMethod',
+                                   'normalization', 'normalizationScope', 'densityMode'])].filter(Boolean);
 
         processingControls.forEach(controlId => {
             const control = document.getElementById(controlId);
             if (control) {
                 control.addEventListener('change', () => {
-                    if (this.fileBuffer) {
+                    if (this.fileSource) {
                         this.highlightProcessButton();
                     }
                 });
                 control.addEventListener('input', () => {
-                    if (this.fileBuffer) {
+                    if (this.fileSource) {
                         this.highlightProcessButton();
                     }
                 });
@@ -740,7 +1154,7 @@ class DataPrism {
         });
 
         processButton.addEventListener('click', () => {
-            if (!this.fileBuffer) return;
+            if (!this.fileSource) return;
             this.processFile();
             // Enable export button after processing
             setTimeout(() => {
@@ -755,6 +1169,35 @@ class DataPrism {
         exportPlyButton.addEventListener('click', () => {
             this.exportToPLY();
         });
+
+        // Box/lasso selection: dragging selects instead of orbiting while a selection mode is active
+        const selectionMode = document.getElementById('selectionMode');
+        if (selectionMode) {
+            selectionMode.addEventListener('change', () => {
+                this.controls.enabled = selectionMode.value === 'off';
+            });
+            document.getElementById('exportSelectionPlyButton').addEventListener('click', () => {
+                if (this.selection) this.showExportDialog(this.selection);
+            });
+            document.getElementById('exportSelectionBytesButton').addEventListener('click', () => {
+                this.exportSelectionBytes().catch((error) => {
+                    console.error('Failed to export selection bytes:', error);
+                });
+            });
+            document.getElementById('clearSelectionButton').addEventListener('click', () => this.clearSelection());
+        }
+
+        const closeInspectorButton = document.getElementById('closeInspector');
+        if (closeInspectorButton) {
+            closeInspectorButton.addEventListener('click', () => this.clearPick());
+        }
+
+        const cancelButton = document.getElementById('cancelButton');
+        if (cancelButton) {
+            cancelButton.addEventListener('click', () => {
+                this.cancelProcessing();
+            });
+        }
     }
 
     /**
@@ -816,6 +1259,12 @@ class DataPrism {
         // Remove highlight when processing starts
         this.unhighlightProcessButton();
 
+        // Abandon any lattice still being processed
+        this.processingRunId++;
+        if (this.workerPool) {
+            this.workerPool.cancel();
+        }
+
         // Clear existing point clouds and path lines
         this.clearPointClouds();
 
@@ -831,10 +1280,44 @@ class DataPrism {
         const useQuantization = document.getElementById('useQuantization').checked;
         const quantizationBits = parseInt(document.getElementById('quantizationBits').value) || 8;
         const projectionMode = document.getElementById('projectionMode').value;
+        const normalization = {
+            strategy: document.getElementById('normalization').value,
+            scope: document.getElementById('normalizationScope').value
+        };
+        const densityMode = document.getElementById('densityMode').value;
+
+        // Parse the record layout for custom struct interpretation
+        let layout = null;
+        if (tupleMode === 'custom') {
+            const layoutInput = document.getElementById('recordLayout');
+            try {
+                layout = parseRecordLayout(layoutInput.value, dataType);
+                layoutInput.value = formatRecordLayout(layout);
+            } catch (error) {
+                console.log(`Invalid record layout: ${error.message}`);
+                layoutInput.focus();
+                return;
+            }
+        } else if (MIXED_TUPLE_MODES[tupleMode]) {
+            // Positions use the selected type, colors use their own type
+            const colorType = document.getElementById('colorType').value;
+            layout = mixedTupleLayout(dataType, colorType, MIXED_TUPLE_MODES[tupleMode].withAlpha);
+        } else if (tupleMode === 'n-tuple') {
+            // Records of N packed values, reduced to 3D
+            const dimensionsInput = document.getElementById('tupleDimensions');
+            const dimensions = parseInt(dimensionsInput.value) || DEFAULT_TUPLE_DIMENSIONS;
+            try {
+                layout = tupleLayout(dataType, tupleMode, dimensions);
+            } catch (error) {
+                console.log(`Invalid N-tuple: ${error.message}`);
+                dimensionsInput.focus();
+                return;
+            }
+        }
 
         // Validate quantization bits
-        if (quantizationBits < 2 || quantizationBits > 10) {
-            console.log('Quantization bits must be between 2 and 10, using default 8');
+        if (quantizationBits < 2 || quantizationBits > MAX_QUANTIZATION_BITS) {
+            console.log(`Quantization bits must be between 2 and ${MAX_QUANTIZATION_BITS}, using default 8`);
             document.getElementById('quantizationBits').value = 8;
             return;
         }
@@ -846,14 +1329,48 @@ class DataPrism {
             return;
         }
 
-        if (startOffset >= this.fileBuffer.byteLength) {
-            console.log(`Start offset (${startOffset}) is beyond file size (${this.fileBuffer.byteLength}), using 0`);
+        // A single tensor is read as its own file; with all tensors the start offset applies within each one
+        const tensorSelection = this.importedCloud ? 'file' : this.getTensorSelection();
+        const sourceSize = typeof tensorSelection === 'object' ? tensorSelection.byteLength : this.fileSource.size;
+        if (startOffset >= sourceSize) {
+            console.log(`Start offset (${startOffset}) is beyond ${typeof tensorSelection === 'object' ? 'tensor' : 'file'} size (${sourceSize}), using 0`);
             document.getElementById('startOffset').value = 0;
             return;
         }
 
-        // Calculate chunk size in bytes
-        const chunkSize = Math.floor(chunkSizeMB * 1024 * 1024);
+        // All tensors: one lattice cell per tensor, each decoded with its own type and byte order
+        let regions = null;
+        if (tensorSelection === 'all') {
+            const fileSource = this.fileSource;
+            const colorType = document.getElementById('colorType').value;
+            regions = this.tensorIndex.tensors.map(tensor => ({
+                label: tensor.name,
+                dataType: tensor.dataType,
+                isLittleEndian: tensor.isLittleEndian,
+                layout: MIXED_TUPLE_MODES[tupleMode] ? mixedTupleLayout(tensor.dataType, colorType, MIXED_TUPLE_MODES[tupleMode].withAlpha) :
+                        tupleMode === 'n-tuple' ? tupleLayout(tensor.dataType, tupleMode, layout.dimensions) : layout,
+                byteLength: tensor.byteLength,
+                baseOffset: tensor.compressed ? null : tensor.offset, // File offset, null when inflated
+                open: () => openTensor(fileSource, tensor)
+            })).filter(region => {
+                // Tensors too small to hold one record (e.g. scalars and biases) would be empty cells
+                const stride = (region.layout || tupleLayout(region.dataType, tupleMode)).stride;
+                return region.byteLength - startOffset >= Math.ceil(stride);
+            });
+            if (regions.length === 0) {
+                console.log('No tensor is large enough to hold a single record with the current settings');
+                return;
+            }
+        }
+        this.tensorLabel = tensorSelection === 'all' ? `${regions.length} of ${this.tensorIndex.tensors.length} tensors (one per cell)` :
+                           typeof tensorSelection === 'object' ? describeTensor(tensorSelection) : null;
+
+        // Calculate chunk size in bytes (whole records only, so no struct straddles two chunks)
+        let chunkSize = Math.floor(chunkSizeMB * 1024 * 1024);
+        if (layout) {
+            const alignment = recordAlignment(layout);
+            chunkSize = Math.max(alignment, chunkSize - (chunkSize % alignment));
+        }
 
         // Show loading message
         const loadingMsg = document.getElementById('loadingMessage');
@@ -861,39 +1378,44 @@ class DataPrism {
 
         let loadingText = `<div>⏳ Processing data...</div><div style="font-size: 12px; margin-top: 8px; opacity: 0.8;">`;
         loadingText += `Mode: <span class="tuple-mode-indicator">${tupleMode.toUpperCase()}</span><br>`;
-        loadingText += `Projection: ${projectionMode}`;
-        if (projectionMode === 'continuous-path') {
-            loadingText += ` <span class="continuous-path-indicator">(PATH)</span>`;
-        } else if (projectionMode === 'hilbert-curve') {
-            loadingText += ` <span class="hilbert-indicator">(HILBERT)</span>`;
-        } else if (projectionMode === 'bvh-with-points') {
-            loadingText += ` <span class="bvh-indicator">(BVH+PTS)</span>`;
-        } else if (projectionMode === 'bvh-only') {
-            loadingText += ` <span class="bvh-indicator">(BVH)</span>`;
-        } else if (projectionMode === 'lattice-2d') {
-            loadingText += ` <span class="lattice-indicator">(LATTICE)</span>`;
-        } else if (projectionMode === 'tiled') {
-            loadingText += ` <span class="tiled-indicator">(TILED)</span>`;
-        } else if (projectionMode === 'orthographic-3plane') {
-            loadingText += ` (3x points)`;
-        }
-        loadingText += `<br>`;
+        if (this.tensorLabel) {
+            loadingText += `Tensor: ${this.tensorLabel}<br>`;
+        }
+        if (layout && layout.dimensions) {
+            loadingText += `Vectors: ${this.formatReduction(layout.dimensions)}<br>`;
+        } else if (layout) {
+            loadingText += `Layout: ${formatRecordLayout(layout)}<br>`;
+        }
+        loadingText += `Projection: ${this.formatProjection(projectionMode)}<br>`;
         if (useQuantization) {
             const qRange = Math.pow(2, quantizationBits);
-            loadingText += `Using ${quantizationBits}-bit quantization (${qRange}³ positions)<br>`;
+            loadingText += `Using ${quantizationBits}-bit quantization (${qRange}³ positions${quantizationBits > DENSE_QUANTIZATION_BITS ? ', sparse' : ''})<br>`;
         } else {
             loadingText += 'Standard processing<br>';
         }
+        if (densityMode !== 'off') {
+            loadingText += `Density: hits per cell → ${densityMode}<br>`;
+        }
         loadingText += `Start offset: ${startOffset} bytes</div>`;
         loadingMsg.innerHTML = loadingText;
 
         // Reset total points counter
         this.totalPoints = 0;
 
+        // Imported point clouds bypass byte decoding and are rendered as a single cell
+        if (this.importedCloud) {
+            loadingMsg.innerHTML = `<div>⏳ Processing imported cloud...</div><div style="font-size: 12px; margin-top: 8px; opacity: 0.8;">${this.importedCloud.format.toUpperCase()} • ${this.importedCloud.numPoints.toLocaleString()} points<br>Projection: ${projectionMode}</div>`;
+            setTimeout(() => {
+                this.createImportedPointCloud(this.importedCloud, pointSize, useQuantization, quantizationBits, projectionMode, densityMode);
+            }, 100);
+            return;
+        }
+
         // Process file asynchronously to allow UI updates
         setTimeout(async () => {
+            const source = typeof tensorSelection === 'object' ? await openTensor(this.fileSource, tensorSelection) : this.fileSource;
             await this.createPointCloudLattice(
-                this.fileBuffer,
+                source,
                 dataType,
                 startOffset,
                 chunkSize,
@@ -904,7 +1426,12 @@ class DataPrism {
                 useQuantization,
                 quantizationBits,
                 projectionMode,
-                tupleMode
+                tupleMode,
+                layout,
+                normalization,
+                densityMode,
+                regions,
+                tupleMode === 'n-tuple' ? this.getReductionOptions() : null
             );
         }, 100);
     }
@@ -944,6 +1471,9 @@ class DataPrism {
             }
             this.pathLines = [];
 
+            this.clearPick();
+            this.hideHoverTooltip();
+            this.clearSelection();
             this.totalPoints = 0;
             this.updateStatsDisplay();
         } catch (error) {
@@ -951,6 +1481,578 @@ class DataPrism {
         }
     }
 
+    /**
+     * Picks the point nearest to a screen position and shows its source bytes in the inspector
+     * @param {number} clientX - Pointer x in client coordinates
+     * @param {number} clientY - Pointer y in client coordinates
+     */
+    async pickPoint(clientX, clientY) {
+        const hit = this.findPointAt(clientX, clientY);
+        if (!hit) {
+            this.clearPick();
+            return;
+        }
+
+        this.showPickMarker(hit.position);
+        await this.inspectPoint(this.getProvenance(hit.object), hit.index);
+    }
+
+    /**
+     * Finds the point under a screen position with a BVH raycast over each point cloud
+     * @param {number} clientX - Pointer x in client coordinates
+     * @param {number} clientY - Pointer y in client coordinates
+     * @returns {{ object: THREE.Points, index: number, position: THREE.Vector3, localThreshold: number }|null} -
+     *   Point closest to the cursor within PICK_PIXEL_RADIUS, its world position and the pick radius in the object's units
+     */
+    findPointAt(clientX, clientY) {
+        if (!this.raycaster || this.pointClouds.length === 0) return null;
+
+        const threshold = this.setPickRay(clientX, clientY);
+        let best = null;
+        for (const pointsObject of this.getPointObjects()) {
+            pointsObject.updateMatrixWorld();
+            const scale = pointsObject.matrixWorld.getMaxScaleOnAxis();
+            const ray = this.raycaster.ray.clone().applyMatrix4(new THREE.Matrix4().copy(pointsObject.matrixWorld).invert());
+            const positions = pointsObject.geometry.attributes.position.array;
+            const hits = BVH.raycast(this.getSpatialIndex(pointsObject), positions, ray.origin.toArray(), ray.direction.toArray(), threshold / scale);
+
+            // Closest to the cursor, not to the camera
+            for (const hit of hits) {
+                if (!best || hit.distanceToRay * scale < best.distanceToRay) {
+                    best = { object: pointsObject, index: hit.index, distanceToRay: hit.distanceToRay * scale, localThreshold: threshold / scale };
+                }
+            }
+        }
+        if (!best) return null;
+
+        const position = new THREE.Vector3().fromBufferAttribute(best.object.geometry.attributes.position, best.index);
+        return { object: best.object, index: best.index, position: best.object.localToWorld(position), localThreshold: best.localThreshold };
+    }
+
+    /**
+     * Finds the partition box (BVH, octree or k-d tree) with an edge under a screen position
+     * @param {number} clientX - Pointer x in client coordinates
+     * @param {number} clientY - Pointer y in client coordinates
+     * @returns {{ object: THREE.LineSegments, box: Object }|null} - Box mesh and the hovered node from its userData.boxes
+     */
+    findBoxAt(clientX, clientY) {
+        if (!this.raycaster || this.pointClouds.length === 0) return null;
+
+        const threshold = this.setPickRay(clientX, clientY);
+        let best = null;
+        for (const cloud of this.pointClouds) {
+            cloud.traverse((child) => {
+                if (!child.isLineSegments || !child.userData.boxes) return;
+
+                child.updateMatrixWorld();
+                const scale = child.matrixWorld.getMaxScaleOnAxis();
+                const ray = this.raycaster.ray.clone().applyMatrix4(new THREE.Matrix4().copy(child.matrixWorld).invert());
+                const hit = findBoxAt(child.userData.boxes, ray.origin.toArray(), ray.direction.toArray(), threshold / scale);
+                if (hit && (!best || hit.distanceToRay * scale < best.distanceToRay)) {
+                    best = { object: child, box: child.userData.boxes[hit.index], distanceToRay: hit.distanceToRay * scale };
+                }
+            });
+        }
+        return best && { object: best.object, box: best.box };
+    }
+
+    /**
+     * Points the raycaster through a screen position
+     * @param {number} clientX - Pointer x in client coordinates
+     * @param {number} clientY - Pointer y in client coordinates
+     * @returns {number} Pick radius (PICK_PIXEL_RADIUS) in world units at the orbit target's distance
+     */
+    setPickRay(clientX, clientY) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(pointer, this.camera);
+
+        const distance = this.camera.position.distanceTo(this.controls ? this.controls.target : new THREE.Vector3());
+        const worldPerPixel = 2 * distance * Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2) / rect.height;
+        return PICK_PIXEL_RADIUS * worldPerPixel;
+    }
+
+    /**
+     * BVH over a Points object's positions, built on first use and kept in its userData
+     * Positions of a point cloud never change after creation, so the index stays valid for its lifetime.
+     * @param {THREE.Points} pointsObject - Point cloud
+     * @returns {Object} Flat node table from BVH.buildFlat
+     */
+    getSpatialIndex(pointsObject) {
+        if (!pointsObject.userData.spatialIndex) {
+            const position = pointsObject.geometry.attributes.position;
+            const maxDepth = Math.max(1, Math.ceil(Math.log2(position.count / SPATIAL_INDEX_LEAF_POINTS)));
+            pointsObject.userData.spatialIndex = BVH.buildFlat(position.array, { maxDepth, minPoints: SPATIAL_INDEX_LEAF_POINTS, strategy: 'median' });
+        }
+        return pointsObject.userData.spatialIndex;
+    }
+
+    /**
+     * Shows a tooltip for the point under the cursor: its index, position, record offset and neighbourhood
+     * Without a point under the cursor, shows the occupancy of the partition box whose edge is under it.
+     * @param {number} clientX - Pointer x in client coordinates
+     * @param {number} clientY - Pointer y in client coordinates
+     */
+    updateHoverTooltip(clientX, clientY) {
+        const tooltip = document.getElementById('pointTooltip');
+        const hit = tooltip && this.findPointAt(clientX, clientY);
+        if (!hit) {
+            const boxHit = tooltip && this.findBoxAt(clientX, clientY);
+            if (boxHit) {
+                this.showBoxTooltip(tooltip, boxHit, clientX, clientY);
+            } else {
+                this.hideHoverTooltip();
+            }
+            return;
+        }
+        this.hideHoverBox();
+
+        const positions = hit.object.geometry.attributes.position.array;
+        const point = Array.from(positions.subarray(hit.index * 3, hit.index * 3 + 3));
+        const spatialIndex = this.getSpatialIndex(hit.object);
+        const provenance = this.getProvenance(hit.object);
+
+        const lines = [`Point ${hit.index.toLocaleString()}${provenance ? ` • chunk ${provenance.chunkIndex}` : ''}`];
+        lines.push(`Position: ${point.map(v => Number(v.toPrecision(4))).join(', ')}`);
+        if (provenance && provenance.offsets && provenance.fileBase !== null) {
+            const fileOffset = provenance.fileBase + provenance.chunkStart + provenance.offsets[hit.index];
+            lines.push(`Offset: ${fileOffset} (0x${Math.floor(fileOffset).toString(16)})`);
+        }
+
+        // The point itself is its own nearest neighbour
+        const [, neighbour] = BVH.nearest(spatialIndex, positions, point, 2);
+        if (neighbour) {
+            lines.push(`Nearest neighbour: ${Number(neighbour.distance.toPrecision(3))}`);
+        }
+        const nearby = BVH.withinRadius(spatialIndex, positions, point, hit.localThreshold).length - 1;
+        lines.push(`Within ${PICK_PIXEL_RADIUS}px: ${nearby.toLocaleString()} other point${nearby === 1 ? '' : 's'}`);
+
+        this.placeTooltip(tooltip, lines, clientX, clientY);
+    }
+
+    /**
+     * Outlines a hovered partition box and shows its occupancy: point count, share of the parent
+     * and of all points, size, density and children
+     * @param {HTMLElement} tooltip - Tooltip element
+     * @param {{ object: THREE.LineSegments, box: Object }} boxHit - Result of findBoxAt
+     * @param {number} clientX - Pointer x in client coordinates
+     * @param {number} clientY - Pointer y in client coordinates
+     */
+    showBoxTooltip(tooltip, { object, box }, clientX, clientY) {
+        const { center, size, depth, count, parentCount, rootCount, children } = box;
+        const percent = (part, whole) => `${whole > 0 ? Number((100 * part / whole).toPrecision(3)) : 0}%`;
+        const volume = size.x * size.y * size.z;
+
+        const lines = [`Level ${depth} box • ${children > 0 ? `${children} children` : 'leaf'}`];
+        lines.push(`Points: ${count.toLocaleString()} (${percent(count, parentCount)} of parent, ${percent(count, rootCount)} of all)`);
+        lines.push(`Size: ${[size.x, size.y, size.z].map(v => Number(v.toPrecision(3))).join(' × ')}`);
+        if (volume > 0) {
+            lines.push(`Density: ${Number((count / volume).toPrecision(3)).toLocaleString()} points per unit³`);
+        }
+
+        if (!this.hoverBoxHelper) {
+            this.hoverBoxHelper = new THREE.Box3Helper(new THREE.Box3(), 0xffeb3b);
+            this.hoverBoxHelper.material.depthTest = false;
+            this.hoverBoxHelper.renderOrder = 999;
+        }
+        this.hoverBoxHelper.box.setFromCenterAndSize(new THREE.Vector3(center.x, center.y, center.z), new THREE.Vector3(size.x, size.y, size.z));
+        if (this.hoverBoxHelper.parent !== object) {
+            object.add(this.hoverBoxHelper);
+        }
+
+        this.placeTooltip(tooltip, lines, clientX, clientY);
+    }
+
+    /**
+     * Fills the hover tooltip and shows it next to the cursor
+     * @param {HTMLElement} tooltip - Tooltip element
+     * @param {string[]} lines - Tooltip lines
+     * @param {number} clientX - Pointer x in client coordinates
+     * @param {number} clientY - Pointer y in client coordinates
+     */
+    placeTooltip(tooltip, lines, clientX, clientY) {
+        tooltip.textContent = lines.join('\n');
+        tooltip.style.left = `${clientX + HOVER_TOOLTIP_OFFSET}px`;
+        tooltip.style.top = `${clientY + HOVER_TOOLTIP_OFFSET}px`;
+        tooltip.style.display = 'block';
+    }
+
+    /**
+     * Hides the hover tooltip and box outline, and cancels a pending update
+     */
+    hideHoverTooltip() {
+        if (this.hoverFrame !== null) {
+            cancelAnimationFrame(this.hoverFrame);
+            this.hoverFrame = null;
+        }
+        const tooltip = document.getElementById('pointTooltip');
+        if (tooltip) {
+            tooltip.style.display = 'none';
+        }
+        this.hideHoverBox();
+    }
+
+    /**
+     * Removes the outline of the hovered partition box
+     */
+    hideHoverBox() {
+        if (this.hoverBoxHelper && this.hoverBoxHelper.parent) {
+            this.hoverBoxHelper.parent.remove(this.hoverBoxHelper);
+        }
+    }
+
+    /**
+     * Finds the chunk provenance stored on the point cloud group that holds a Points object
+     * @param {THREE.Object3D} object - Points object (or any descendant of a point cloud)
+     * @returns {Object|null} Provenance from createPointCloudLattice, or null (e.g. imported clouds)
+     */
+    getProvenance(object) {
+        for (let node = object; node; node = node.parent) {
+            if (node.userData.provenance) return node.userData.provenance;
+        }
+        return null;
+    }
+
+    /**
+     * Collects the THREE.Points objects of all point clouds (which may be Groups)
+     * @returns {THREE.Points[]}
+     */
+    getPointObjects() {
+        const pointObjects = [];
+        for (const cloud of this.pointClouds) {
+            cloud.traverse((child) => {
+                if (child.isPoints) {
+                    pointObjects.push(child);
+                }
+            });
+        }
+        return pointObjects;
+    }
+
+    /**
+     * Converts a pointer event to canvas pixel coordinates
+     * @param {PointerEvent} event - Pointer event
+     * @returns {number[]} [x, y] relative to the canvas
+     */
+    canvasPoint(event) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        return [event.clientX - rect.left, event.clientY - rect.top];
+    }
+
+    /**
+     * Adds a pointer position to the selection shape being dragged and redraws its outline
+     * @param {number[]} point - [x, y] in canvas pixels
+     */
+    extendSelectionShape(point) {
+        const shape = this.selectionShape;
+        if (shape.mode === 'box') {
+            shape.points[1] = point;
+        } else {
+            shape.points.push(point);
+        }
+
+        let outline = shape.points;
+        if (shape.mode === 'box') {
+            const [[x0, y0], [x1, y1]] = shape.points;
+            outline = [[x0, y0], [x1, y0], [x1, y1], [x0, y1]];
+        }
+
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const overlay = document.getElementById('selectionOverlay');
+        overlay.style.display = 'block';
+        document.getElementById('selectionShape').setAttribute('points', outline.map(([x, y]) => `${x + rect.left},${y + rect.top}`).join(' '));
+    }
+
+    /**
+     * Selects the points whose screen projection falls inside a box or lasso
+     * Only points the BVH finds inside the view volume behind the shape's bounding rectangle are projected.
+     * @param {{ mode: string, points: number[][], additive: boolean }} shape - Shape in canvas pixels;
+     *   additive shapes add to the current selection instead of replacing it
+     */
+    applySelection(shape) {
+        if (shape.points.length < 2) return;
+
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.camera.updateMatrixWorld();
+        const viewProjection = new THREE.Matrix4().multiplyMatrices(this.camera.projectionMatrix, this.camera.matrixWorldInverse);
+        const selection = shape.additive && this.selection ? this.selection : new Map();
+
+        // Bounding rectangle of the shape, a pixel wider so rounding at its edges cannot drop points
+        const xs = shape.points.map(([x]) => x);
+        const ys = shape.points.map(([, y]) => y);
+        const bounds = [Math.min(...xs) - 1, Math.min(...ys) - 1, Math.max(...xs) + 1, Math.max(...ys) + 1];
+
+        for (const pointsObject of this.getPointObjects()) {
+            pointsObject.updateMatrixWorld();
+            const matrix = new THREE.Matrix4().multiplyMatrices(viewProjection, pointsObject.matrixWorld);
+            const positions = pointsObject.geometry.attributes.position.array;
+            const candidates = BVH.frustumCull(this.getSpatialIndex(pointsObject), positions, screenRectFrustum(matrix.elements, rect.width, rect.height, ...bounds));
+            if (candidates.length === 0) continue;
+
+            const candidatePositions = new Float32Array(candidates.length * 3);
+            candidates.forEach((index, i) => candidatePositions.set(positions.subarray(index * 3, index * 3 + 3), i * 3));
+            const screen = projectToScreen(candidatePositions, candidates.length, matrix.elements, rect.width, rect.height);
+
+            const inside = shape.mode === 'box'
+                ? selectInBox(screen, shape.points[0][0], shape.points[0][1], shape.points[1][0], shape.points[1][1])
+                : selectInLasso(screen, shape.points);
+            if (inside.length === 0) continue;
+            const indices = inside.map(i => candidates[i]).sort();
+
+            const previous = selection.get(pointsObject);
+            selection.set(pointsObject, previous ? Uint32Array.from(new Set([...previous, ...indices])).sort() : indices);
+        }
+
+        this.selection = selection.size > 0 ? selection : null;
+        this.updateSelectionMarker();
+        this.updateSelectionDisplay();
+    }
+
+    /**
+     * Clears the point selection
+     */
+    clearSelection() {
+        this.selection = null;
+        this.updateSelectionMarker();
+        this.updateSelectionDisplay();
+    }
+
+    /**
+     * Rebuilds the highlight drawn over the selected points
+     */
+    updateSelectionMarker() {
+        if (this.selectionMarker) {
+            this.scene.remove(this.selectionMarker);
+            this.selectionMarker.geometry.dispose();
+            this.selectionMarker.material.dispose();
+            this.selectionMarker = null;
+        }
+        if (!this.selection) return;
+
+        let total = 0;
+        for (const indices of this.selection.values()) total += indices.length;
+
+        const positions = new Float32Array(total * 3);
+        const vertex = new THREE.Vector3();
+        let offset = 0;
+        for (const [pointsObject, indices] of this.selection) {
+            const position = pointsObject.geometry.attributes.position;
+            for (const index of indices) {
+                pointsObject.localToWorld(vertex.fromBufferAttribute(position, index));
+                vertex.toArray(positions, offset);
+                offset += 3;
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        const material = new THREE.PointsMaterial({ color: 0x00e5ff, size: 3, sizeAttenuation: false, depthTest: false });
+        this.selectionMarker = new THREE.Points(geometry, material);
+        this.selectionMarker.renderOrder = 998;
+        this.scene.add(this.selectionMarker);
+    }
+
+    /**
+     * Summarizes the selection: point count, world bounds and the source byte ranges behind it
+     * @returns {{ count: number, chunks: number, min: number[], max: number[], ranges: number[][], inflatedPoints: number, unknownPoints: number }|null}
+     */
+    getSelectionSummary() {
+        if (!this.selection) return null;
+
+        const summary = { count: 0, chunks: this.selection.size, min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity], ranges: [], inflatedPoints: 0, unknownPoints: 0 };
+        const vertex = new THREE.Vector3();
+        const fileRanges = [];
+
+        for (const [pointsObject, indices] of this.selection) {
+            const position = pointsObject.geometry.attributes.position;
+            for (const index of indices) {
+                pointsObject.localToWorld(vertex.fromBufferAttribute(position, index));
+                for (let axis = 0; axis < 3; axis++) {
+                    summary.min[axis] = Math.min(summary.min[axis], vertex.getComponent(axis));
+                    summary.max[axis] = Math.max(summary.max[axis], vertex.getComponent(axis));
+                }
+            }
+            summary.count += indices.length;
+
+            const provenance = this.getProvenance(pointsObject);
+            if (!provenance || !provenance.offsets) {
+                summary.unknownPoints += indices.length;
+            } else if (provenance.fileBase === null) {
+                summary.inflatedPoints += indices.length;
+            } else {
+                const offsets = Array.from(indices, i => provenance.offsets[i]);
+                fileRanges.push(...recordByteRanges(offsets, provenance.stride, provenance.fileBase + provenance.chunkStart));
+            }
+        }
+
+        summary.ranges = mergeByteRanges(fileRanges);
+        return summary;
+    }
+
+    /**
+     * Shows selection statistics and the selection export buttons
+     */
+    updateSelectionDisplay() {
+        const selectionInfo = document.getElementById('selectionInfo');
+        const selectionActions = document.getElementById('selectionActions');
+        const summary = this.getSelectionSummary();
+        if (!selectionInfo || !selectionActions) return;
+
+        selectionInfo.style.display = summary ? 'block' : 'none';
+        selectionActions.style.display = summary ? 'block' : 'none';
+        if (!summary) return;
+
+        const format = values => values.map(v => v.toFixed(3)).join(', ');
+        let text = `<strong>Selected:</strong> ${summary.count.toLocaleString()} points in ${summary.chunks} chunk${summary.chunks === 1 ? '' : 's'}`;
+        text += `<br><strong>Bounds:</strong> [${format(summary.min)}] – [${format(summary.max)}]`;
+
+        if (summary.ranges.length > 0) {
+            const bytes = summary.ranges.reduce((sum, [start, end]) => sum + end - start, 0);
+            const first = summary.ranges[0][0];
+            const last = summary.ranges[summary.ranges.length - 1][1];
+            text += `<br><strong>Source:</strong> ${summary.ranges.length.toLocaleString()} byte range${summary.ranges.length === 1 ? '' : 's'}, ${bytes.toLocaleString()} bytes in 0x${first.toString(16)}–0x${last.toString(16)}`;
+            text += '<br>' + summary.ranges.slice(0, 4).map(([start, end]) => `0x${start.toString(16)}–0x${end.toString(16)}`).join(', ') + (summary.ranges.length > 4 ? ', …' : '');
+        }
+        if (summary.inflatedPoints > 0) {
+            text += `<br>${summary.inflatedPoints.toLocaleString()} points from compressed members (offsets within the inflated member)`;
+        }
+        if (summary.unknownPoints > 0) {
+            text += `<br>${summary.unknownPoints.toLocaleString()} points without source offsets (imported cloud)`;
+        }
+        selectionInfo.innerHTML = text;
+    }
+
+    /**
+     * Downloads the raw bytes of the records behind the selected points, in file order
+     * Touching records are merged into one range, so whole records stay aligned and the
+     * export reloads with the same type and layout.
+     */
+    async exportSelectionBytes() {
+        if (!this.selection) return;
+
+        const parts = [];
+        let skippedPoints = 0;
+
+        for (const [pointsObject, indices] of this.selection) {
+            const provenance = this.getProvenance(pointsObject);
+            if (!provenance || !provenance.offsets) {
+                skippedPoints += indices.length;
+                continue;
+            }
+
+            // Read the span covering this chunk's ranges once and slice the ranges out of it
+            const reader = provenance.region ? await provenance.region.open() : provenance.source;
+            const ranges = recordByteRanges(Array.from(indices, i => provenance.offsets[i]), provenance.stride, provenance.chunkStart);
+            const spanStart = ranges[0][0];
+            const span = await reader.read(spanStart, ranges[ranges.length - 1][1]);
+            for (const [start, end] of ranges) {
+                parts.push({ order: provenance.fileBase === null ? Infinity : provenance.fileBase + start, bytes: new Uint8Array(span, start - spanStart, end - start) });
+            }
+        }
+
+        if (parts.length === 0) {
+            console.log('No selected points have source bytes to export');
+            return;
+        }
+        if (skippedPoints > 0) {
+            console.warn(`${skippedPoints.toLocaleString()} selected points have no source bytes (imported cloud) and were skipped`);
+        }
+
+        parts.sort((a, b) => a.order - b.order);
+        const baseFilename = this.originalFileName.split('.')[0] || 'pointcloud';
+        const summary = this.getSelectionSummary();
+        console.log(`Exporting ${parts.length.toLocaleString()} byte ranges of the selection:`, summary.ranges);
+        this._downloadBlobChunks(parts.map(part => new Blob([part.bytes])), `${baseFilename}_selection.bin`, summary.count, 'application/octet-stream');
+    }
+
+    /**
+     * Shows the picked point marker at a world position
+     * @param {THREE.Vector3} position - World position of the picked point
+     */
+    showPickMarker(position) {
+        if (!this.pickMarker) {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(3), 3));
+            const material = new THREE.PointsMaterial({ color: 0xffeb3b, size: 8, sizeAttenuation: false, depthTest: false });
+            this.pickMarker = new THREE.Points(geometry, material);
+            this.pickMarker.renderOrder = 999;
+        }
+        this.pickMarker.position.copy(position);
+        if (!this.pickMarker.parent) {
+            this.scene.add(this.pickMarker);
+        }
+    }
+
+    /**
+     * Hides the picked point marker and the inspector panel
+     */
+    clearPick() {
+        if (this.pickMarker && this.pickMarker.parent) {
+            this.pickMarker.parent.remove(this.pickMarker);
+        }
+        const inspectorPanel = document.getElementById('inspectorPanel');
+        if (inspectorPanel) {
+            inspectorPanel.style.display = 'none';
+        }
+    }
+
+    /**
+     * Fills the inspector panel with a picked point's offset, raw bytes and decoded values
+     * @param {Object|null} provenance - Chunk provenance stored on the point cloud (null for imported clouds)
+     * @param {number} pointIndex - Index of the point within its chunk
+     */
+    async inspectPoint(provenance, pointIndex) {
+        const inspectorPanel = document.getElementById('inspectorPanel');
+        const content = document.getElementById('inspectorContent');
+        if (!inspectorPanel || !content) return;
+
+        content.innerHTML = '';
+        const info = document.createElement('div');
+        info.className = 'inspector-info';
+        content.appendChild(info);
+        inspectorPanel.style.display = 'block';
+
+        if (!provenance || !provenance.offsets) {
+            info.textContent = `Point ${pointIndex.toLocaleString()}\nImported point cloud - no source bytes`;
+            return;
+        }
+
+        // Record offset within the chunk's reader, then its raw bytes
+        const recordOffset = provenance.chunkStart + provenance.offsets[pointIndex];
+        const reader = provenance.region ? await provenance.region.open() : provenance.source;
+        const first = Math.floor(recordOffset);
+        const bytes = await reader.read(first, Math.ceil(recordOffset + provenance.stride));
+        const fileOffset = reader.baseOffset === null ? null : reader.baseOffset + recordOffset;
+
+        const lines = [`Point ${pointIndex.toLocaleString()} • chunk ${provenance.chunkIndex}`];
+        if (provenance.region) {
+            lines.push(`Tensor: ${provenance.region.label}`);
+        }
+        lines.push(fileOffset === null
+            ? `Offset: ${recordOffset} in inflated member (not stored in the file as is)`
+            : `Offset: ${fileOffset} (0x${Math.floor(fileOffset).toString(16)}${Number.isInteger(fileOffset) ? '' : ` + ${(fileOffset % 1) * 8} bits`})`);
+        lines.push(`Record: ${provenance.stride} bytes as ${provenance.dataType} ${provenance.isLittleEndian ? 'LE' : 'BE'}`);
+        info.textContent = lines.join('\n');
+
+        const hexDump = document.createElement('pre');
+        hexDump.className = 'inspector-hex';
+        hexDump.textContent = formatHexDump(bytes, fileOffset === null ? first : reader.baseOffset + first).join('\n');
+        content.appendChild(hexDump);
+
+        const table = document.createElement('table');
+        table.className = 'inspector-values';
+        for (const { dataType, values, truncated } of decodeAllTypes(bytes, provenance.isLittleEndian, recordOffset - first, provenance.stride)) {
+            const row = table.insertRow();
+            if (dataType === provenance.dataType) row.className = 'active';
+            row.insertCell().textContent = dataType;
+            row.insertCell().textContent = values.map(v => (Number.isInteger(v) || !Number.isFinite(v) ? String(v) : Number(v.toPrecision(6)).toString())).join(', ') + (truncated ? ', …' : '');
+        }
+        content.appendChild(table);
+    }
+
     /**
      * Updates the stats display with current point cloud information
      */
@@ -963,10 +2065,20 @@ class DataPrism {
             const startOffset = parseInt(document.getElementById('startOffset').value) || 0;
             const dataType = document.getElementById('dataType').value;
             const projectionMode = document.getElementById('projectionMode').value;
-            const config = DATA_TYPES[dataType];
+            const normalization = document.getElementById('normalization').value;
+            const normalizationScope = document.getElementById('normalizationScope').value;
+            const densityMode = document.getElementById('densityMode').value;
 
             let statsText = `<strong>Points:</strong> ${this.totalPoints.toLocaleString()}`;
 
+            if (this.tensorLabel) {
+                statsText += `<br><strong>Tensor:</strong> ${this.tensorLabel}`;
+            }
+
+            if (this.importedCloud) {
+                statsText += `<br><strong>Source:</strong> imported ${this.importedCloud.format.toUpperCase()} (${this.importedCloud.numPoints.toLocaleString()} points)`;
+            }
+
             if (this.pathLines.length > 0) {
                 statsText += `<br><strong>Paths:</strong> ${this.pathLines.length} <span class="continuous-path-indicator">LINES</span>`;
             }
@@ -976,36 +2088,33 @@ class DataPrism {
             }
 
             statsText += `<br><strong>Mode:</strong> <span class="tuple-mode-indicator">${tupleMode.toUpperCase()}</span>`;
+            if (tupleMode === 'custom') {
+                statsText += `<br><strong>Layout:</strong> ${document.getElementById('recordLayout').value}`;
+            } else if (tupleMode === 'n-tuple') {
+                statsText += `<br><strong>Vectors:</strong> ${this.formatReduction(parseInt(document.getElementById('tupleDimensions').value) || DEFAULT_TUPLE_DIMENSIONS)}`;
+            } else if (MIXED_TUPLE_MODES[tupleMode]) {
+                statsText += `<br><strong>Colors:</strong> ${document.getElementById('colorType').value.toUpperCase()}${MIXED_TUPLE_MODES[tupleMode].withAlpha ? ' (alpha → opacity)' : ''}`;
+            }
             statsText += `<br><strong>Type:</strong> ${dataType.toUpperCase()}`;
 
-            if (config.isFloat) {
-                statsText += ` (tanh normalized)`;
-            } else {
-                statsText += ` (linear normalized)`;
+            statsText += ` (${describeNormalizer(normalization, dataType)} normalized)`;
+            if (NORMALIZATION_STRATEGIES[normalization].needsStats) {
+                statsText += `<br><strong>Normalization:</strong> ${describeNormalizer(normalization, dataType)}, ${normalizationScope === 'global' ? 'global pre-scan' : 'per chunk'}`;
             }
 
-            statsText += `<br><strong>Projection:</strong> ${projectionMode}`;
-            if (projectionMode === 'continuous-path') {
-                statsText += ` <span class="continuous-path-indicator">(PATH)</span>`;
-            } else if (projectionMode === 'hilbert-curve') {
-                statsText += ` <span class="hilbert-indicator">(HILBERT)</span>`;
-            } else if (projectionMode === 'bvh-with-points') {
-                statsText += ` <span class="bvh-indicator">(BVH+PTS)</span>`;
-            } else if (projectionMode === 'bvh-only') {
-                statsText += ` <span class="bvh-indicator">(BVH)</span>`;
-            } else if (projectionMode === 'lattice-2d') {
-                statsText += ` <span class="lattice-indicator">(LATTICE)</span>`;
-            } else if (projectionMode === 'tiled') {
-                statsText += ` <span class="tiled-indicator">(TILED)</span>`;
-            }
+            statsText += `<br><strong>Projection:</strong> ${this.formatProjection(projectionMode)}`;
 
             if (useQuantization) {
                 const qRange = Math.pow(2, quantizationBits);
-                statsText += `<br><strong>Method:</strong> ${quantizationBits}-bit quantized (${qRange}³)`;
+                statsText += `<br><strong>Method:</strong> ${quantizationBits}-bit quantized (${qRange}³${quantizationBits > DENSE_QUANTIZATION_BITS ? ', sparse cells' : ''})`;
             } else {
                 statsText += `<br><strong>Method:</strong> Standard`;
             }
 
+            if (densityMode !== 'off') {
+                statsText += `<br><strong>Density:</strong> hits per cell → ${densityMode} (log scale, per chunk)`;
+            }
+
             statsDiv.innerHTML = statsText;
         } else {
             statsDiv.innerHTML = '';
@@ -1014,7 +2123,9 @@ class DataPrism {
 
     /**
      * Creates a lattice of point clouds from the buffer
-     * @param {ArrayBuffer} buffer - Binary data buffer
+     * Chunks are read from the source on demand and processed in the worker pool when
+     * available, otherwise on the main thread.
+     * @param {StreamingReader} source - Reader over the binary data
      * @param {string} dataType - Data type configuration key
      * @param {number} startOffset - Offset in bytes to start reading from
      * @param {number} chunkSize - Size of each chunk in bytes
@@ -1026,106 +2137,182 @@ class DataPrism {
      * @param {number} quantizationBits - Number of bits for quantization
      * @param {string} projectionMode - Projection mode to use
      * @param {string} tupleMode - Tuple interpretation mode (rgb, xyz, etc.)
+     * @param {Object} [layout=null] - Record layout (stride and per-component offset/type), overrides tupleMode
+     * @param {Object} [normalization=null] - { strategy, scope } where scope is 'chunk' or 'global'
+     * @param {string} [densityMode='off'] - How per-cell hit counts are shown: 'off', 'size', 'opacity' or 'color'
+     * @param {Object[]} [regions=null] - One lattice cell per region instead of consecutive chunks of the source,
+     *   each { label, dataType, isLittleEndian, layout, open } where open() resolves to a StreamingReader over the
+     *   region; the first chunkSize bytes after startOffset of each region are shown
+     * @param {Object} [reduction=null] - How N-tuple layouts are reduced to 3D (see quantizeProcessDataAs)
      */
-    async createPointCloudLattice(buffer, dataType, startOffset, chunkSize, gridSize, spacing, pointSize, isLittleEndian, useQuantization, quantizationBits, projectionMode, tupleMode) {
-        // Apply start offset to buffer
-        const effectiveBuffer = startOffset > 0 ? buffer.slice(startOffset) : buffer;
+    async createPointCloudLattice(source, dataType, startOffset, chunkSize, gridSize, spacing, pointSize, isLittleEndian, useQuantization, quantizationBits, projectionMode, tupleMode, layout = null, normalization = null, densityMode = 'off', regions = null, reduction = null) {
+        const countDensity = densityMode !== 'off';
+        const runId = this.processingRunId;
+
+        // Bytes available after the start offset
+        const effectiveLength = Math.max(0, source.size - startOffset);
 
         // Calculate how many chunks we need
         const totalChunks = Math.min(
             gridSize * gridSize * gridSize,
-            Math.floor(effectiveBuffer.byteLength / chunkSize) + 1
+            regions ? regions.length : Math.floor(effectiveLength / chunkSize) + 1
         );
+        if (regions && regions.length > totalChunks) {
+            console.log(`Showing the first ${totalChunks} of ${regions.length} regions; increase the grid size to see the rest`);
+        }
 
-        // Calculate offset from center based on user-defined spacing
-        const offset = (gridSize - 1) * spacing / 2;
+        // Projections flagged mainThread (e.g. ones using DOM or THREE globals) bypass the workers
+        const projection = getProjection(projectionMode);
+        const projectionParams = this.getProjectionParameters(projectionMode);
+        const pool = projection && projection.mainThread ? null : this.getWorkerPool();
 
-        console.log(`Creating point cloud lattice with ${totalChunks} chunks in ${tupleMode} mode, spacing: ${spacing}, quantization: ${useQuantization ? quantizationBits + '-bit' : 'off'}, projection: ${projectionMode}, start offset: ${startOffset}`);
+        console.log(`Creating point cloud lattice with ${totalChunks} chunks in ${tupleMode} mode, spacing: ${spacing}, quantization: ${useQuantization ? quantizationBits + '-bit' : 'off'}, projection: ${projectionMode}, start offset: ${startOffset}, workers: ${pool ? pool.size : 'off'}`);
 
         const loadingMsg = document.getElementById('loadingMessage');
         const startTime = Date.now();
+        this.showCancelButton(true);
+
+        // Enumerate lattice cells that have data; each cell carries how its bytes are decoded
+        const cells = latticeCells(gridSize, totalChunks, (chunkIndex) => {
+            if (regions) {
+                const region = regions[chunkIndex];
+                return { region, dataType: region.dataType, isLittleEndian: region.isLittleEndian, layout: region.layout };
+            }
+            return chunkIndex * chunkSize < effectiveLength ? { dataType, isLittleEndian, layout } : null;
+        });
 
-        // Process chunks incrementally with progress updates
-        const processChunk = async (chunkIndex, x, y, z) => {
-            // Update progress message
-            const progress = ((chunkIndex + 1) / totalChunks * 100).toFixed(1);
+        const readCell = async (cell) => {
+            if (cell.region) {
+                const regionSource = await cell.region.open();
+                return regionSource.read(startOffset, startOffset + chunkSize);
+            }
+            const start = startOffset + cell.chunkIndex * chunkSize;
+            return source.read(start, start + chunkSize);
+        };
+
+        // Global normalization: pre-scan a sample of the lattice once so every chunk shares the same mapping
+        let chunkNormalization = normalization ? { strategy: normalization.strategy } : null;
+        if (normalization && normalization.scope === 'global' && NORMALIZATION_STRATEGIES[normalization.strategy].needsStats) {
+            loadingMsg.innerHTML = `<div>📊 Scanning value statistics...</div><div style="font-size: 11px; margin-top: 8px; opacity: 0.8;">Normalization: ${describeNormalizer(normalization.strategy, dataType)} (global)</div>`;
+            const stats = await scanGlobalStats(cells, readCell, tupleMode);
+            chunkNormalization = { strategy: normalization.strategy, stats };
+        }
+
+        let completedChunks = 0;
+
+        // Update progress message
+        const showProgress = (cell) => {
+            const progress = (completedChunks / cells.length * 100).toFixed(1);
             const elapsedTime = ((Date.now() - startTime) / 1000).toFixed(1);
             const pointsProcessed = this.totalPoints.toLocaleString();
 
-            const projectionInfo = projectionMode === 'continuous-path' ? ` • PATH` :
-                                 projectionMode === 'hilbert-curve' ? ` • HILBERT` :
-                                 projectionMode === 'bvh-with-points' ? ` • BVH+PTS` :
-                                 projectionMode === 'bvh-only' ? ` • BVH` :
-                                 projectionMode === 'lattice-2d' ? ` • LATTICE` :
-                                 projectionMode === 'tiled' ? ` • TILED` :
-                                 projectionMode === 'orthographic-3plane' ? ` • 3-Plane` : '';
+            const projectionInfo = projection && projection.badge ? ` • ${projection.badge.text}` : '';
 
             loadingMsg.innerHTML = `
                 <div>🔄 Processing chunks...</div>
                 <div style="font-size: 11px; margin-top: 8px; opacity: 0.8;">
-                    Chunk ${chunkIndex + 1}/${totalChunks} (${progress}%)<br>
+                    Chunk ${completedChunks}/${cells.length} (${progress}%)${pool ? ` • ${pool.size} workers` : ''}<br>
                     Points: ${pointsProcessed} • Time: ${elapsedTime}s<br>
-                    Mode: <span class="tuple-mode-indicator">${tupleMode.toUpperCase()}</span> • Position: [${x}, ${y}, ${z}]<br>
+                    Mode: <span class="tuple-mode-indicator">${tupleMode.toUpperCase()}</span> • Position: [${cell.x}, ${cell.y}, ${cell.z}]<br>
+                    ${cell.region ? `Tensor: ${cell.region.label}<br>` : ''}
                     Projection: ${projectionMode}${projectionInfo}
                 </div>
             `;
+        };
 
-            // Calculate chunk position in the grid using user-defined spacing
-            const posX = (x * spacing) - offset;
-            const posY = (y * spacing) - offset;
-            const posZ = (z * spacing) - offset;
-
-            // Calculate chunk start and end offsets (relative to effective buffer)
-            const chunkStartOffset = chunkIndex * chunkSize;
-            const chunkEndOffset = Math.min(chunkStartOffset + chunkSize, effectiveBuffer.byteLength);
-
-            // Check if we have enough data for this chunk
-            if (chunkStartOffset >= effectiveBuffer.byteLength) {
-                return false; // Signal to stop processing
-            }
-
-            // Extract chunk buffer
-            const chunkBuffer = effectiveBuffer.slice(chunkStartOffset, chunkEndOffset);
-
-            // Process chunk data using selected method and projection
-            const processedData = quantizeProcessDataAs(chunkBuffer, dataType, isLittleEndian, quantizationBits, projectionMode, tupleMode);
-
-            // Create point cloud and optionally path lines
+        // Create point cloud and optionally path lines for a processed chunk
+        const addChunk = (cell, processedData) => {
             const pointCloud = this.createPointCloud(
                 processedData,
                 pointSize,
-                posX,
-                posY,
-                posZ
+                ...latticePosition(cell, gridSize, spacing),
+                densityMode
             );
 
+            // Remember where the chunk's points came from for the point inspector
+            pointCloud.userData.provenance = {
+                offsets: processedData.offsets,
+                chunkIndex: cell.chunkIndex,
+                chunkStart: cell.region ? startOffset : startOffset + cell.chunkIndex * chunkSize,
+                source: cell.region ? null : source,
+                region: cell.region || null,
+                fileBase: cell.region ? cell.region.baseOffset : source.baseOffset,
+                dataType: cell.dataType,
+                isLittleEndian: cell.isLittleEndian,
+                stride: (cell.layout || tupleLayout(cell.dataType, tupleMode)).stride
+            };
+
             // Add to scene
             this.scene.add(pointCloud);
             this.pointClouds.push(pointCloud);
 
             // Add to total points count
             this.totalPoints += processedData.numPoints;
-
-            return true; // Continue processing
+            completedChunks++;
+            showProgress(cell);
         };
 
-        // Process all chunks with progress updates
-        let chunkIndex = 0;
-        for (let x = 0; x < gridSize && chunkIndex < totalChunks; x++) {
-            for (let y = 0; y < gridSize && chunkIndex < totalChunks; y++) {
-                for (let z = 0; z < gridSize && chunkIndex < totalChunks; z++) {
-                    // Process this chunk
-                    const shouldContinue = await processChunk(chunkIndex, x, y, z);
-                    if (!shouldContinue) break;
+        const processOnMainThread = (cell, chunkBuffer) => {
+            return quantizeProcessDataAs(chunkBuffer, cell.dataType, cell.isLittleEndian, quantizationBits, projectionMode, tupleMode, cell.layout, chunkNormalization, countDensity, projectionParams, reduction);
+        };
 
-                    chunkIndex++;
+        try {
+            if (pool) {
+                // Keep at most one task per worker in flight so chunk copies don't pile up in memory
+                let nextCell = 0;
+                const drain = async () => {
+                    while (nextCell < cells.length && runId === this.processingRunId) {
+                        const cell = cells[nextCell++];
+                        const chunkBuffer = await readCell(cell);
+                        if (runId !== this.processingRunId) return;
+                        let processedData;
+                        try {
+                            processedData = await pool.run({
+                                buffer: chunkBuffer,
+                                dataType: cell.dataType,
+                                isLittleEndian: cell.isLittleEndian,
+                                quantizationBits,
+                                projectionMode,
+                                tupleMode,
+                                layout: cell.layout,
+                                normalization: chunkNormalization,
+                                countDensity,
+                                projectionParams,
+                                reduction
+                            }, [chunkBuffer]);
+                        } catch (error) {
+                            if (error.name === 'AbortError') throw error;
+                            console.warn(`Worker failed on chunk ${cell.chunkIndex}, retrying on main thread:`, error.message);
+                            processedData = processOnMainThread(cell, await readCell(cell));
+                        }
+                        if (runId !== this.processingRunId) return;
+                        addChunk(cell, processedData);
+                    }
+                };
+                await Promise.all(Array.from({ length: pool.size }, drain));
+            } else {
+                // Read cells one at a time so only the current chunk is in memory
+                for (const cell of cells) {
+                    const chunkBuffer = await readCell(cell);
+                    if (runId !== this.processingRunId) break;
+                    showProgress(cell);
+                    addChunk(cell, processOnMainThread(cell, chunkBuffer));
 
                     // Add small delay to allow UI updates (every few chunks)
-                    if (chunkIndex % 3 === 0) {
+                    if (completedChunks % 3 === 0) {
                         await new Promise(resolve => setTimeout(resolve, 10));
                     }
                 }
             }
+        } catch (error) {
+            if (error.name !== 'AbortError') throw error;
+        } finally {
+            this.showCancelButton(false);
+        }
+
+        if (runId !== this.processingRunId) {
+            console.log(`Processing cancelled after ${completedChunks}/${cells.length} chunks`);
+            return;
         }
 
         // Final progress update
@@ -1152,6 +2339,101 @@ class DataPrism {
         }, 1500);
     }
 
+    /**
+     * Returns the shared chunk worker pool, creating it on first use
+     * A pool whose workers failed to start is kept, so the main thread is used from then on.
+     * @returns {WorkerPool|null} Pool, or null if workers are disabled or unavailable
+     */
+    getWorkerPool() {
+        const useWorkersCheckbox = document.getElementById('useWorkers');
+        if (useWorkersCheckbox && !useWorkersCheckbox.checked) {
+            return null;
+        }
+        if (this.workerPool && this.workerPool.failed) {
+            return null;
+        }
+
+        if (!this.workerPool) {
+            try {
+                this.workerPool = new WorkerPool(new URL('../workers/ChunkWorker.js', import.meta.url));
+            } catch (error) {
+                console.warn('Worker pool unavailable, processing on main thread:', error.message);
+                return null;
+            }
+        }
+        return this.workerPool;
+    }
+
+    /**
+     * Cancels any in-progress lattice processing
+     */
+    cancelProcessing() {
+        this.processingRunId++;
+        if (this.workerPool) {
+            this.workerPool.cancel();
+        }
+
+        const loadingMsg = document.getElementById('loadingMessage');
+        loadingMsg.innerHTML = `<div>⏹ Processing cancelled</div><div style="font-size: 11px; margin-top: 8px; opacity: 0.8;">${this.pointClouds.length} chunks kept • ${this.totalPoints.toLocaleString()} points</div>`;
+        setTimeout(() => {
+            loadingMsg.style.display = 'none';
+            this.updateStatsDisplay();
+        }, 1500);
+    }
+
+    /**
+     * Shows or hides the cancel processing button
+     * @param {boolean} visible - Whether the button should be shown
+     */
+    showCancelButton(visible) {
+        const cancelButton = document.getElementById('cancelButton');
+        if (cancelButton) {
+            cancelButton.style.display = visible ? 'block' : 'none';
+        }
+    }
+    /**
+     * Creates a point cloud from an imported PLY/XYZ/PCD file
+     * @param {Object} cloud - Parsed cloud from parsePointCloud
+     * @param {number} pointSize - Size of rendered points
+     * @param {boolean} useQuantization - Whether to remove duplicate quantized positions
+     * @param {number} quantizationBits - Number of bits for quantization
+     * @param {string} projectionMode - Projection mode to use
+     * @param {string} [densityMode='off'] - How merged point counts are shown: 'off', 'size', 'opacity' or 'color'
+     */
+    createImportedPointCloud(cloud, pointSize, useQuantization, quantizationBits, projectionMode, densityMode = 'off') {
+        const loadingMsg = document.getElementById('loadingMessage');
+        const startTime = Date.now();
+
+        try {
+            const processedData = quantizePointCloud(cloud, quantizationBits, projectionMode, useQuantization, densityMode !== 'off', this.getProjectionParameters(projectionMode));
+
+            const pointCloud = this.createPointCloud(processedData, pointSize, 0, 0, 0, densityMode);
+            this.scene.add(pointCloud);
+            this.pointClouds.push(pointCloud);
+            this.totalPoints += processedData.numPoints;
+
+            const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
+            loadingMsg.innerHTML = `
+                <div>✅ Import complete!</div>
+                <div style="font-size: 11px; margin-top: 8px; opacity: 0.8;">
+                    ${this.totalPoints.toLocaleString()} of ${cloud.numPoints.toLocaleString()} points • Projection: ${projectionMode}<br>
+                    Completed in ${totalTime}s
+                </div>
+            `;
+
+            this.cameraRadius = 5;
+            this.resetCamera();
+        } catch (error) {
+            console.error('Error creating imported point cloud:', error);
+            loadingMsg.innerHTML = `<div style="color: #ff6b6b;">❌ Import Failed</div><div style="font-size: 11px; margin-top: 8px; opacity: 0.8;">${error.message}</div>`;
+        }
+
+        setTimeout(() => {
+            loadingMsg.style.display = 'none';
+            this.updateStatsDisplay();
+        }, 1500);
+    }
+
     /**
      * Creates a point cloud or group from processed data
      * @param {Object} processedData - Processed point cloud data
@@ -1159,10 +2441,28 @@ class DataPrism {
      * @param {number} x - X position
      * @param {number} y - Y position
      * @param {number} z - Z position
+     * @param {string} [densityMode='off'] - How per-point hit counts are shown: 'off', 'size', 'opacity' or 'color'
      * @returns {THREE.Group|THREE.Points} Point cloud or group
      */
-    createPointCloud(processedData, pointSize, x, y, z) {
-        const { points, colors, numPoints, pathData, bvhNodes, bvhMode, showPoints } = processedData;
+    createPointCloud(processedData, pointSize, x, y, z, densityMode = 'off') {
+        const { points, numPoints, pathData, bvhNodes, bvhMode, showPoints } = processedData;
+        let { colors, alphas } = processedData;
+        let sizes = null;
+
+        // Map density hit counts onto the chosen visual channel
+        if (processedData.counts && densityMode !== 'off') {
+            const weights = densityWeights(processedData.counts);
+            if (densityMode === 'color') {
+                colors = this.densityRampColors(weights);
+            } else if (densityMode === 'opacity') {
+                const [minOpacity, maxOpacity] = DENSITY_OPACITY_RANGE;
+                const densityAlphas = weights.map(w => minOpacity + w * (maxOpacity - minOpacity));
+                alphas = alphas ? densityAlphas.map((a, i) => a * alphas[i]) : densityAlphas;
+            } else if (densityMode === 'size') {
+                const [minScale, maxScale] = DENSITY_SIZE_RANGE;
+                sizes = weights.map(w => minScale + w * (maxScale - minScale));
+            }
+        }
 
         // Create container group for this chunk
         const group = new THREE.Group();
@@ -1177,9 +2477,9 @@ class DataPrism {
                 console.log(`Added ${bvhNodes.length} BVH boxes to scene`);
             }
 
-            // Optionally add points if in "bvh-with-points" mode
+            // Optionally add points in the "-with-points" BVH, octree and k-d tree modes
             if (showPoints && numPoints > 0) {
-                const pointCloud = this.createPointGeometry(points, colors, numPoints, pointSize);
+                const pointCloud = this.createPointGeometry(points, colors, numPoints, pointSize, alphas, sizes);
                 group.add(pointCloud);
                 console.log(`Added ${numPoints} points with BVH boxes`);
             }
@@ -1190,7 +2490,7 @@ class DataPrism {
 
         // Standard mode - create point cloud geometry
         if (numPoints > 0) {
-            const pointCloud = this.createPointGeometry(points, colors, numPoints, pointSize);
+            const pointCloud = this.createPointGeometry(points, colors, numPoints, pointSize, alphas, sizes);
             group.add(pointCloud);
 
             // If this is continuous path mode or Hilbert curve, also create line geometry
@@ -1237,9 +2537,11 @@ class DataPrism {
      * @param {Float32Array} colors - Point colors
      * @param {number} numPoints - Number of points
      * @param {number} pointSize - Size of rendered points
+     * @param {Float32Array} [alphas=null] - Optional per-point opacity in [0,1]
+     * @param {Float32Array} [sizes=null] - Optional per-point size multiplier
      * @returns {THREE.Points} Points object
      */
-    createPointGeometry(points, colors, numPoints, pointSize) {
+    createPointGeometry(points, colors, numPoints, pointSize, alphas = null, sizes = null) {
         // Create buffer geometry for points
         const geometry = new THREE.BufferGeometry();
 
@@ -1257,6 +2559,19 @@ class DataPrism {
         colorAttribute.setUsage(THREE.StaticDrawUsage);
         geometry.setAttribute('color', colorAttribute);
 
+        // Per-point opacity and size need a custom shader; PointsMaterial only supports RGB vertex colors
+        if (alphas || sizes) {
+            const alphaAttribute = new THREE.BufferAttribute(alphas ? alphas.slice(0, numPoints) : new Float32Array(numPoints).fill(1), 1);
+            alphaAttribute.setUsage(THREE.StaticDrawUsage);
+            geometry.setAttribute('alpha', alphaAttribute);
+
+            const scaleAttribute = new THREE.BufferAttribute(sizes ? sizes.slice(0, numPoints) : new Float32Array(numPoints).fill(1), 1);
+            scaleAttribute.setUsage(THREE.StaticDrawUsage);
+            geometry.setAttribute('pointScale', scaleAttribute);
+
+            return new THREE.Points(geometry, this.createAlphaPointsMaterial(pointSize));
+        }
+
         // Create point cloud material
         const material = new THREE.PointsMaterial({
             size: pointSize,
@@ -1270,6 +2585,72 @@ class DataPrism {
         return pointCloud;
     }
 
+    /**
+     * Maps density weights to heat ramp colors
+     * @param {Float32Array} weights - Per-point weights in [0,1] (see densityWeights)
+     * @returns {Float32Array} RGB colors in [0,1], three values per point
+     */
+    densityRampColors(weights) {
+        const colors = new Float32Array(weights.length * 3);
+        const segments = DENSITY_RAMP.length - 1;
+
+        for (let i = 0; i < weights.length; i++) {
+            const position = weights[i] * segments;
+            const segment = Math.min(segments - 1, Math.floor(position));
+            const t = position - segment;
+            const from = DENSITY_RAMP[segment];
+            const to = DENSITY_RAMP[segment + 1];
+
+            colors[i * 3] = from[0] + (to[0] - from[0]) * t;
+            colors[i * 3 + 1] = from[1] + (to[1] - from[1]) * t;
+            colors[i * 3 + 2] = from[2] + (to[2] - from[2]) * t;
+        }
+
+        return colors;
+    }
+
+    /**
+     * Creates a points material with per-vertex color, alpha and size scale and PointsMaterial-style size attenuation
+     * @param {number} pointSize - Size of rendered points
+     * @returns {THREE.ShaderMaterial} Material reading 'color', 'alpha' and 'pointScale' attributes
+     */
+    createAlphaPointsMaterial(pointSize) {
+        return new THREE.ShaderMaterial({
+            uniforms: {
+                size: { value: pointSize },
+                scale: { value: window.innerHeight / 2 }
+            },
+            vertexShader: `
+                attribute vec3 color;
+                attribute float alpha;
+                attribute float pointScale;
+
+                uniform float size;
+                uniform float scale;
+
+                varying vec4 vColor;
+
+                void main() {
+                    vColor = vec4(color, alpha);
+
+                    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                    gl_PointSize = size * pointScale * (scale / -mvPosition.z);
+                    gl_Position = projectionMatrix * mvPosition;
+                }
+            `,
+            fragmentShader: `
+                varying vec4 vColor;
+
+                void main() {
+                    if (vColor.a <= 0.0) discard;
+                    gl_FragColor = vColor;
+                }
+            `,
+            transparent: true,
+            depthWrite: false
+        });
+    }
+
     /**
      * Animation loop
      */
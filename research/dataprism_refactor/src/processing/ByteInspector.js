@@ -0,0 +1,101 @@
+/**
+ * ByteInspector.js
+ * Hex dump, multi-type decoding and record byte ranges, for inspecting where points came from
+ */
+
+import { DATA_TYPES } from '../utils/Constants.js';
+import { createExtendedDataView } from '../utils/FloatUtils.js';
+
+/**
+ * Most values decoded per data type
+ * @type {number}
+ */
+export const MAX_INSPECTED_VALUES = 8;
+
+/**
+ * Bytes per hex dump row
+ * @type {number}
+ */
+export const HEX_ROW_BYTES = 16;
+
+/**
+ * Format bytes as hex dump rows with absolute offsets and printable ASCII
+ * @param {ArrayBuffer} buffer - Bytes to dump
+ * @param {number} [baseOffset=0] - Offset of the first byte, shown in the address column
+ * @returns {string[]} - One row per HEX_ROW_BYTES bytes, e.g. "00000040  3f 80 00 00 ...  ?..."
+ */
+export function formatHexDump(buffer, baseOffset = 0) {
+    const bytes = new Uint8Array(buffer);
+    const rows = [];
+
+    for (let row = 0; row < bytes.length; row += HEX_ROW_BYTES) {
+        const rowBytes = bytes.subarray(row, row + HEX_ROW_BYTES);
+        const hex = Array.from(rowBytes, b => b.toString(16).padStart(2, '0')).join(' ').padEnd(HEX_ROW_BYTES * 3 - 1);
+        const ascii = Array.from(rowBytes, b => (b >= 0x20 && b < 0x7F ? String.fromCharCode(b) : '.')).join('');
+        rows.push(`${(baseOffset + row).toString(16).padStart(8, '0')}  ${hex}  ${ascii}`);
+    }
+    return rows;
+}
+
+/**
+ * Decode the start of a byte range as every scalar data type
+ * @param {ArrayBuffer} buffer - Bytes to decode
+ * @param {boolean} isLittleEndian - Byte order (bit order for sub-byte types)
+ * @param {number} [startOffset=0] - Byte offset to decode from; may be fractional (multiple of 1/8),
+ *   in which case whole-byte types start at the byte containing it
+ * @param {number} [length] - Bytes to decode (defaults to the rest of the buffer)
+ * @returns {Array<{ dataType: string, values: number[], truncated: boolean }>} - One entry per
+ *   data type that fits at least one value
+ */
+export function decodeAllTypes(buffer, isLittleEndian, startOffset = 0, length = buffer.byteLength - startOffset) {
+    const view = createExtendedDataView(buffer);
+    const decoded = [];
+
+    for (const [dataType, config] of Object.entries(DATA_TYPES)) {
+        if (config.lanes) continue;
+
+        const start = config.bits ? startOffset : Math.floor(startOffset);
+        const available = Math.min(length, buffer.byteLength - start);
+        const count = Math.floor(available / config.size + 1e-9);
+        if (count < 1) continue;
+
+        const values = [];
+        for (let i = 0; i < Math.min(count, MAX_INSPECTED_VALUES); i++) {
+            values.push(view[config.method](start + i * config.size, isLittleEndian));
+        }
+        decoded.push({ dataType, values, truncated: count > MAX_INSPECTED_VALUES });
+    }
+
+    return decoded;
+}
+
+/**
+ * Whole-byte ranges covering a set of records, merged where they touch or overlap
+ * @param {ArrayLike<number>} offsets - Record start offsets in bytes (fractional for sub-byte strides)
+ * @param {number} stride - Record size in bytes
+ * @param {number} [baseOffset=0] - Added to every offset (e.g. the chunk's position in the file)
+ * @returns {Array<[number, number]>} - Sorted [start, end) byte ranges
+ */
+export function recordByteRanges(offsets, stride, baseOffset = 0) {
+    return mergeByteRanges(Array.from(offsets, offset => [Math.floor(baseOffset + offset), Math.ceil(baseOffset + offset + stride)]));
+}
+
+/**
+ * Sort byte ranges and merge the ones that touch or overlap
+ * @param {Array<[number, number]>} ranges - [start, end) byte ranges in any order
+ * @returns {Array<[number, number]>} - Sorted, disjoint [start, end) ranges
+ */
+export function mergeByteRanges(ranges) {
+    const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+    const merged = [];
+
+    for (const [start, end] of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    }
+    return merged;
+}
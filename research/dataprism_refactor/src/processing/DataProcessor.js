@@ -3,9 +3,19 @@
  * Handles binary data processing, quantization, and normalization
  */
 
-import { applyProjection } from '../utils/Projections.js';
-import { DATA_TYPES, NORMALIZERS } from '../utils/Constants.js';
-import { createExtendedDataView } from '../utils/FloatUtils.js';
+import { applyProjection, PROJECTION_OUTPUTS } from '../utils/Projections.js';
+import { DATA_TYPES } from '../utils/Constants.js';
+import { createExtendedDataView, decodeFloatSpan, TABLE_DECODED_FORMATS } from '../utils/FloatUtils.js';
+import { tupleLayout, resolveRecordLayout, vectorValueLayout } from './RecordLayout.js';
+import { createNormalizer, scanFieldStats, finalizeFieldStats, NORMALIZATION_STRATEGIES } from './Normalizers.js';
+import { reduceVectors, REDUCTION_METHODS } from './DimensionReduction.js';
+import { SparseCellSet, DENSE_QUANTIZATION_BITS, MAX_QUANTIZATION_BITS } from './SparseCellSet.js';
+
+/**
+ * Initial number of cells the sparse cell set is sized for (it grows as needed)
+ * @type {number}
+ */
+const SPARSE_INITIAL_CELLS = 65536;
 
 /**
  * Process binary data into quantized normalized 3D points with colors (removes duplicates)
@@ -15,14 +25,33 @@ import { createExtendedDataView } from '../utils/FloatUtils.js';
  * projection transformations.
  *
  * @param {ArrayBuffer} buffer - The input binary data
- * @param {string} dataType - The data type to interpret the buffer as (int8, uint8, int16, uint16, int32, uint32, fp16, bf16, fp32, fp8_e4m3, fp8_e5m2)
+ * @param {string} dataType - The data type to interpret the buffer as (any DATA_TYPES key, e.g. int8, uint16, int64, fp16, bf16, fp32, fp64, fp8_e4m3, int4, nf4, mxfp4, fp6_e2m3, int10_10_10_2)
  * @param {boolean} isLittleEndian - Whether to read as little endian
- * @param {number} quantizationBits - Number of bits for quantization (2-10)
+ * @param {number} quantizationBits - Number of bits for quantization (2-21); above 10 bits occupied
+ *   cells are tracked in a sparse hash set instead of a dense bit array
  * @param {string} [projectionMode='standard'] - Projection mode to apply (see applyProjection for options)
- * @param {string} [tupleMode='3-tuple'] - Tuple mode: '3-tuple' (XYZ) or '6-tuple' (XYZ+RGB)
- * @returns {{ points: Float32Array, colors: Float32Array, numPoints: number, pathData?: boolean, bvhNodes?: Array, bvhMode?: boolean, showPoints?: boolean }}
+ * @param {string} [tupleMode='3-tuple'] - Tuple mode: '3-tuple' (XYZ), '6-tuple' (XYZ+RGB) or 'n-tuple'
+ *   (16 values per record reduced to XYZ; pass a layout from tupleLayout for other sizes)
+ * @param {import('./RecordLayout.js').RecordLayout} [layout=null] - Optional record layout (stride and
+ *   per-component offset/type/normalizer) for interleaved structs and mixed-type tuples; overrides tupleMode.
+ *   Fields without a type use dataType. An 'a' component yields per-point alphas. Layouts with
+ *   dimensions (N-tuples) are reduced to 3D and colored by their reduced coordinates.
+ * @param {Object} [normalization=null] - Normalization applied to fields whose normalizer is 'auto':
+ *   { strategy: string, stats?: Object, percentile?: number }. Statistical strategies use the given
+ *   (global) stats, or pre-scan this buffer when none are given (per-chunk). N-tuple values share
+ *   the stats of the 'value' field (see vectorValueLayout).
+ * @param {boolean} [countDensity=false] - Count every tuple that lands in a quantized cell instead of
+ *   only keeping the first; the hit counts are returned as counts (one per point, see densityWeights)
+ * @param {Object} [projectionParams=null] - Projection parameter values by name (defaults when omitted,
+ *   see ProjectionDefinition.parameters)
+ * @param {Object} [reduction=null] - How N-tuple records are reduced to 3D:
+ *   { method: 'pca'|'random'|'umap', neighbors?: number, epochs?: number, minDist?: number }
+ *   (see reduceVectors; PCA when omitted). PCA and UMAP are fitted to the records of this buffer.
+ * @returns {{ points: Float32Array, colors: Float32Array, numPoints: number, offsets: Float64Array, alphas?: Float32Array, counts?: Uint32Array, pathData?: boolean, bvhNodes?: Array, bvhMode?: boolean, showPoints?: boolean }}
+ *   offsets holds each point's record offset in bytes within buffer (fractional for sub-byte strides),
+ *   in the same order as points
  */
-export function quantizeProcessDataAs(buffer, dataType, isLittleEndian, quantizationBits, projectionMode = 'standard', tupleMode = '3-tuple') {
+export function quantizeProcessDataAs(buffer, dataType, isLittleEndian, quantizationBits, projectionMode = 'standard', tupleMode = '3-tuple', layout = null, normalization = null, countDensity = false, projectionParams = null, reduction = null) {
     // Input validation
     if (!buffer || !(buffer instanceof ArrayBuffer)) {
         throw new Error('Invalid buffer provided - must be an ArrayBuffer');
@@ -34,48 +63,86 @@ export function quantizeProcessDataAs(buffer, dataType, isLittleEndian, quantiza
     }
 
     // Validate quantization bits
-    if (quantizationBits < 2 || quantizationBits > 10) {
-        throw new Error('Quantization bits must be between 2 and 10');
+    if (quantizationBits < 2 || quantizationBits > MAX_QUANTIZATION_BITS) {
+        throw new Error(`Quantization bits must be between 2 and ${MAX_QUANTIZATION_BITS}`);
     }
 
-    const typeSize = config.size;
-    const valuesPerTuple = tupleMode === '6-tuple' ? 6 : 3;
-    const tupleSize = typeSize * valuesPerTuple;
-
-    if (buffer.byteLength < tupleSize) {
-        throw new Error(`Buffer too small for data type ${dataType} in ${tupleMode} mode. Need at least ${tupleSize} bytes, got ${buffer.byteLength}`);
+    // Resolve the record layout; packed tuple modes are layouts with back-to-back fields
+    const recordLayout = resolveRecordLayout(layout || tupleLayout(dataType, tupleMode), dataType);
+    const tupleSize = recordLayout.stride;
+    const recordExtent = recordLayout.extent;
+    const dimensions = recordLayout.dimensions;
+    const reductionMethod = (reduction && reduction.method) || 'pca';
+    const layoutName = dimensions
+        ? `${dimensions}-tuple mode (${REDUCTION_METHODS[reductionMethod] ? REDUCTION_METHODS[reductionMethod].label : reductionMethod})`
+        : layout ? `${tupleSize}-byte record` : `${tupleMode} mode`;
+
+    if (buffer.byteLength < recordExtent) {
+        throw new Error(`Buffer too small for data type ${dataType} in ${layoutName}. Need at least ${recordExtent} bytes, got ${buffer.byteLength}`);
     }
 
     const view = createExtendedDataView(buffer);
-    const maxOffset = buffer.byteLength - tupleSize;
-    const maxTuples = Math.floor(buffer.byteLength / tupleSize);
+    const maxOffset = buffer.byteLength - recordExtent;
+    const maxTuples = Math.floor(maxOffset / tupleSize) + 1;
 
     // Pre-allocate typed arrays for better performance
     let points = new Float32Array(maxTuples * 3);
     const colors = new Float32Array(maxTuples * 3);
+    const hasAlphaField = !!recordLayout.fields.a;
+    const alphas = hasAlphaField ? new Float32Array(maxTuples) : null;
+
+    // Density histogram: hits per occupied cell, indexed by the point kept for that cell
+    const counts = countDensity ? new Uint32Array(maxTuples) : null;
+
+    // Provenance: where in the buffer each kept point's record starts
+    const offsets = new Float64Array(maxTuples);
+
+    // Resolve each field's normalization strategy; 'auto' fields follow the requested strategy
+    const defaultStrategy = (normalization && normalization.strategy) || 'auto';
+    const fieldStrategy = field => (field.normalize && field.normalize !== 'auto' ? field.normalize : defaultStrategy);
+    let fieldStats = normalization && normalization.stats;
+    if (!fieldStats && Object.values(recordLayout.fields).some(field => NORMALIZATION_STRATEGIES[fieldStrategy(field)].needsStats)) {
+        // Per-chunk statistics from a pre-scan of this buffer
+        const statsLayout = dimensions ? vectorValueLayout(recordLayout.fields.x.type) : recordLayout;
+        fieldStats = finalizeFieldStats(scanFieldStats(buffer, statsLayout, isLittleEndian), normalization ? normalization.percentile : undefined);
+    }
 
-    // Setup normalization function based on data type
-    const readMethod = view[config.method].bind(view);
-    let normalize;
+    // Setup a reader and normalization function for each component based on its data type
+    // Readers take a record index; fp16/bf16/fp8 columns are bulk decoded up front
+    const createFieldReader = (field, name) => {
+        const normalize = createNormalizer(field.type, fieldStrategy(field), fieldStats && fieldStats[name]);
+        const fieldOffset = field.offset;
 
-    if (config.isFloat) {
-        // Use tanh for floating point normalization
-        normalize = value => {
-            // Handle special values
-            if (!isFinite(value)) {
-                return isNaN(value) ? 0 : (value > 0 ? 1 : -1);
-            }
-            // Apply tanh for smooth [-1, 1] mapping
-            return Math.tanh(value);
-        };
-    } else {
-        // Use linear normalization for integers
-        const { multiplier, offset } = NORMALIZERS[dataType];
-        normalize = value => ((value - offset) * multiplier) - 1;
+        if (TABLE_DECODED_FORMATS.includes(field.type) && Number.isInteger(fieldOffset) && Number.isInteger(tupleSize)) {
+            const column = decodeFloatSpan(field.type, buffer, fieldOffset, maxTuples, isLittleEndian, tupleSize);
+            return record => normalize(column[record]);
+        }
+
+        const readMethod = view[DATA_TYPES[field.type].method].bind(view);
+        return record => normalize(readMethod(record * tupleSize + fieldOffset, isLittleEndian));
+    };
+
+    // N-tuple records are decoded and reduced to 3D up front, then read back like any other field
+    let reduced = null;
+    if (dimensions) {
+        const valueType = recordLayout.fields.x.type;
+        const normalize = createNormalizer(valueType, defaultStrategy, fieldStats && fieldStats.value);
+        const vectors = decodeVectors(buffer, view, valueType, maxTuples, dimensions, tupleSize, recordLayout.fields.x.offset, isLittleEndian, normalize);
+        reduced = reduceVectors(vectors, maxTuples, dimensions, { ...reduction, method: reductionMethod });
     }
 
+    const readX = reduced ? record => reduced[record * 3] : createFieldReader(recordLayout.fields.x, 'x');
+    const readY = reduced ? record => reduced[record * 3 + 1] : createFieldReader(recordLayout.fields.y, 'y');
+    const readZ = reduced ? record => reduced[record * 3 + 2] : createFieldReader(recordLayout.fields.z, 'z');
+    const hasColorFields = !!recordLayout.fields.r;
+    const readR = hasColorFields ? createFieldReader(recordLayout.fields.r, 'r') : null;
+    const readG = hasColorFields ? createFieldReader(recordLayout.fields.g, 'g') : null;
+    const readB = hasColorFields ? createFieldReader(recordLayout.fields.b, 'b') : null;
+    const readA = hasAlphaField ? createFieldReader(recordLayout.fields.a, 'a') : null;
+
     let pointIndex = 0;
     let baseOffset = 0;
+    let record = 0;
 
     // Calculate quantization parameters based on bit size
     const qRange = Math.pow(2, quantizationBits);
@@ -85,55 +152,81 @@ export function quantizeProcessDataAs(buffer, dataType, isLittleEndian, quantiza
     // For 6-tuple mode, we need to quantize both coordinates and colors
     // But we only deduplicate based on coordinates to preserve color variation
     const totalQuantizedPositions = qRange * qRange * qRange;
-    const bitArraySizeInUint32 = Math.ceil(totalQuantizedPositions / 32);
-    const tupleBitArray = new Uint32Array(bitArraySizeInUint32);
+
+    // Dense bit array for low bit depths; the sparse set also maps cells to points for density counts
+    const useSparseCells = countDensity || quantizationBits > DENSE_QUANTIZATION_BITS;
+    const cellSet = useSparseCells ? new SparseCellSet(Math.min(maxTuples, SPARSE_INITIAL_CELLS)) : null;
+    const tupleBitArray = useSparseCells ? null : new Uint32Array(Math.ceil(totalQuantizedPositions / 32));
 
     // Calculate bit shifts for index generation based on quantization bits
     const yShift = quantizationBits;
     const zShift = quantizationBits * 2;
 
-    console.log(`Using ${quantizationBits}-bit quantization in ${tupleMode} mode: ${qRange}³ = ${totalQuantizedPositions.toLocaleString()} possible positions`);
+    console.log(`Using ${quantizationBits}-bit ${useSparseCells ? 'sparse' : 'dense'} quantization in ${layoutName}: ${qRange}³ = ${totalQuantizedPositions.toLocaleString()} possible positions`);
 
     try {
         while (baseOffset <= maxOffset) {
             // Read and normalize coordinates
-            const x = normalize(readMethod(baseOffset, isLittleEndian));
-            const y = normalize(readMethod(baseOffset + typeSize, isLittleEndian));
-            const z = normalize(readMethod(baseOffset + typeSize * 2, isLittleEndian));
+            const x = readX(record);
+            const y = readY(record);
+            const z = readZ(record);
 
             // Quantize coordinates: map [-1,1] to [0,qMaxIndex] with bounds checking
             const qx = Math.max(0, Math.min(qMaxIndex, Math.floor((x + 1) * qHalfRange)));
             const qy = Math.max(0, Math.min(qMaxIndex, Math.floor((y + 1) * qHalfRange)));
             const qz = Math.max(0, Math.min(qMaxIndex, Math.floor((z + 1) * qHalfRange)));
 
-            // Create unique index for this quantized position using variable bit shifts
-            const qIndex = (qz << zShift) | (qy << yShift) | qx;
+            let isNewCell;
+            if (cellSet) {
+                // Sparse set returns the point already kept for this cell, or -1 for a new cell
+                const existingPoint = cellSet.add(qx, qy, qz, pointIndex / 3);
+                isNewCell = existingPoint < 0;
+                if (counts) {
+                    if (isNewCell) {
+                        counts[pointIndex / 3] = 1;
+                    } else {
+                        // Repeat hit - keep the first tuple but record the frequency
+                        counts[existingPoint]++;
+                    }
+                }
+            } else {
+                // Create unique index for this quantized position using variable bit shifts
+                const qIndex = (qz << zShift) | (qy << yShift) | qx;
 
-            // Check if we've seen this quantized position before
-            const elementIndex = qIndex >> 5;
-            const bitPosition = qIndex & 0x1F;
-            const mask = 1 << bitPosition;
+                // Check if we've seen this quantized position before
+                const elementIndex = qIndex >> 5;
+                const bitPosition = qIndex & 0x1F;
+                const mask = 1 << bitPosition;
 
-            if ((tupleBitArray[elementIndex] & mask) === 0) {
+                isNewCell = (tupleBitArray[elementIndex] & mask) === 0;
                 // Mark this position as seen
                 tupleBitArray[elementIndex] |= mask;
+            }
+
+            if (isNewCell) {
 
                 // Store points (original normalized coordinates, not quantized)
                 points[pointIndex] = x;
                 points[pointIndex + 1] = y;
                 points[pointIndex + 2] = z;
+                offsets[pointIndex / 3] = baseOffset;
 
-                // Handle colors based on tuple mode
-                if (tupleMode === '6-tuple') {
+                // Handle colors based on layout
+                if (hasColorFields) {
                     // Read explicit color values and normalize to [-1,1] then convert to [0,1]
-                    const r = normalize(readMethod(baseOffset + typeSize * 3, isLittleEndian));
-                    const g = normalize(readMethod(baseOffset + typeSize * 4, isLittleEndian));
-                    const b = normalize(readMethod(baseOffset + typeSize * 5, isLittleEndian));
+                    const r = readR(record);
+                    const g = readG(record);
+                    const b = readB(record);
 
                     // Convert from [-1,1] to [0,1] for Three.js rendering
                     colors[pointIndex] = (r + 1) / 2;
                     colors[pointIndex + 1] = (g + 1) / 2;
                     colors[pointIndex + 2] = (b + 1) / 2;
+
+                    // Alpha drives point opacity
+                    if (hasAlphaField) {
+                        alphas[pointIndex / 3] = (readA(record) + 1) / 2;
+                    }
                 } else {
                     // Generate colors from coordinates (map from [-1,1] to [0,1] for Three.js)
                     colors[pointIndex] = (x + 1) / 2;
@@ -145,78 +238,256 @@ export function quantizeProcessDataAs(buffer, dataType, isLittleEndian, quantiza
             }
 
             baseOffset += tupleSize;
+            record++;
         }
     } catch (e) {
         console.error(`Error processing data at offset: ${baseOffset}`, e);
         // Return what we've processed so far rather than failing completely
     }
 
-    // Apply projection if requested
-    if (projectionMode !== 'standard') {
-        const projectionResult = applyProjection(points.slice(0, pointIndex), projectionMode, quantizationBits);
-
-        // Handle different projection return types
-        if (projectionResult && projectionResult.pathData) {
-            // Continuous path mode - return original points with path flag
-            points = projectionResult.points.slice(0, pointIndex);
-
-            return {
-                points,
-                colors: colors.slice(0, pointIndex),
-                numPoints: pointIndex / 3,
-                pathData: true
-            };
-        } else if (projectionResult && projectionResult.bvhData) {
-            // BVH mode - return points, colors, and BVH data
-            points = projectionResult.points;
-
-            return {
-                points,
-                colors: colors.slice(0, pointIndex),
-                numPoints: projectionResult.bvhData.showPoints ? (pointIndex / 3) : 0,
-                bvhNodes: projectionResult.bvhData.nodes,
-                bvhMode: true,
-                showPoints: projectionResult.bvhData.showPoints
-            };
-        } else if (projectionMode === 'orthographic-3plane') {
-            // Handle color expansion for 3-plane orthographic projection
-            const expandedColors = new Float32Array(colors.length * 3);
-            for (let i = 0; i < pointIndex; i += 3) {
-                const baseIdx = i * 3;
-
-                // Copy original colors for all three projected points
-                // XY plane projection
-                expandedColors[baseIdx] = colors[i];
-                expandedColors[baseIdx + 1] = colors[i + 1];
-                expandedColors[baseIdx + 2] = colors[i + 2];
-
-                // XZ plane projection
-                expandedColors[baseIdx + 3] = colors[i];
-                expandedColors[baseIdx + 4] = colors[i + 1];
-                expandedColors[baseIdx + 5] = colors[i + 2];
-
-                // YZ plane projection
-                expandedColors[baseIdx + 6] = colors[i];
-                expandedColors[baseIdx + 7] = colors[i + 1];
-                expandedColors[baseIdx + 8] = colors[i + 2];
-            }
+    return finalizeProjection(points, colors, pointIndex, projectionMode, quantizationBits, projectionParams, alphas, counts, offsets);
+}
 
-            return {
-                points: projectionResult,
-                colors: expandedColors,
-                numPoints: (pointIndex / 3) * 3
-            };
+/**
+ * Decode and normalize every value of N-tuple records
+ * @param {ArrayBuffer} buffer - Binary data
+ * @param {DataView} view - Extended view of buffer
+ * @param {string} valueType - DATA_TYPES key of every value
+ * @param {number} count - Number of records
+ * @param {number} dimensions - Values per record
+ * @param {number} stride - Record stride in bytes (may exceed dimensions values when records are padded)
+ * @param {number} offset - Byte offset of the first value in each record
+ * @param {boolean} isLittleEndian - Whether to read as little endian
+ * @param {Function} normalize - Normalizer for raw values
+ * @returns {Float32Array} - count × dimensions normalized values
+ * @private
+ */
+function decodeVectors(buffer, view, valueType, count, dimensions, stride, offset, isLittleEndian, normalize) {
+    const size = DATA_TYPES[valueType].size;
+    const vectors = new Float32Array(count * dimensions);
+
+    if (TABLE_DECODED_FORMATS.includes(valueType) && Number.isInteger(size) && Number.isInteger(stride) && Number.isInteger(offset)) {
+        if (stride === dimensions * size) {
+            // Records are packed back to back, so all values form one contiguous span
+            decodeFloatSpan(valueType, buffer, offset, count * dimensions, isLittleEndian, size, vectors);
         } else {
-            // Standard projection
-            points = projectionResult;
+            // Padded records: one span per record
+            for (let record = 0; record < count; record++) {
+                decodeFloatSpan(valueType, buffer, record * stride + offset, dimensions, isLittleEndian, size, vectors.subarray(record * dimensions, (record + 1) * dimensions));
+            }
+        }
+        for (let i = 0; i < vectors.length; i++) {
+            vectors[i] = normalize(vectors[i]);
+        }
+        return vectors;
+    }
+
+    const readMethod = view[DATA_TYPES[valueType].method].bind(view);
+    for (let record = 0; record < count; record++) {
+        for (let d = 0; d < dimensions; d++) {
+            vectors[record * dimensions + d] = normalize(readMethod(record * stride + offset + d * size, isLittleEndian));
         }
-    } else {
-        points = points.slice(0, pointIndex);
     }
+    return vectors;
+}
+
+/**
+ * Quantize and project an already-decoded point cloud (e.g. an imported PLY/XYZ/PCD file)
+ *
+ * Applies the same spatial deduplication and projection pipeline as quantizeProcessDataAs,
+ * but starts from normalized [-1,1] coordinates and [0,1] colors instead of raw bytes.
+ *
+ * @param {{ points: Float32Array, colors: Float32Array, numPoints: number }} cloud - Decoded point cloud
+ * @param {number} quantizationBits - Number of bits for quantization (2-21)
+ * @param {string} [projectionMode='standard'] - Projection mode to apply (see applyProjection for options)
+ * @param {boolean} [useQuantization=true] - Whether to remove points that fall into the same quantized cell
+ * @param {boolean} [countDensity=false] - Count the points merged into each quantized cell (requires useQuantization)
+ * @param {Object} [projectionParams=null] - Projection parameter values by name (defaults when omitted)
+ * @returns {{ points: Float32Array, colors: Float32Array, numPoints: number, counts?: Uint32Array, pathData?: boolean, bvhNodes?: Array, bvhMode?: boolean, showPoints?: boolean }}
+ */
+export function quantizePointCloud(cloud, quantizationBits, projectionMode = 'standard', useQuantization = true, countDensity = false, projectionParams = null) {
+    if (!cloud || !(cloud.points instanceof Float32Array) || !(cloud.colors instanceof Float32Array)) {
+        throw new Error('Invalid point cloud provided - expected { points, colors } Float32Arrays');
+    }
+
+    // Validate quantization bits
+    if (quantizationBits < 2 || quantizationBits > MAX_QUANTIZATION_BITS) {
+        throw new Error(`Quantization bits must be between 2 and ${MAX_QUANTIZATION_BITS}`);
+    }
+
+    const { numPoints } = cloud;
+    const points = new Float32Array(numPoints * 3);
+    const colors = new Float32Array(numPoints * 3);
+
+    const qRange = Math.pow(2, quantizationBits);
+    const qHalfRange = qRange / 2;
+    const qMaxIndex = qRange - 1;
+    const useSparseCells = useQuantization && (countDensity || quantizationBits > DENSE_QUANTIZATION_BITS);
+    const cellSet = useSparseCells ? new SparseCellSet(Math.min(numPoints, SPARSE_INITIAL_CELLS)) : null;
+    const tupleBitArray = useQuantization && !useSparseCells ? new Uint32Array(Math.ceil((qRange * qRange * qRange) / 32)) : null;
+    const yShift = quantizationBits;
+    const zShift = quantizationBits * 2;
+    const counts = useQuantization && countDensity ? new Uint32Array(numPoints) : null;
+
+    let pointIndex = 0;
+
+    for (let i = 0; i < numPoints; i++) {
+        const srcIndex = i * 3;
+        const x = cloud.points[srcIndex];
+        const y = cloud.points[srcIndex + 1];
+        const z = cloud.points[srcIndex + 2];
 
-    return {
-        points,
-        colors: colors.slice(0, pointIndex),
-        numPoints: pointIndex / 3
+        if (useQuantization) {
+            const qx = Math.max(0, Math.min(qMaxIndex, Math.floor((x + 1) * qHalfRange)));
+            const qy = Math.max(0, Math.min(qMaxIndex, Math.floor((y + 1) * qHalfRange)));
+            const qz = Math.max(0, Math.min(qMaxIndex, Math.floor((z + 1) * qHalfRange)));
+
+            if (cellSet) {
+                const existingPoint = cellSet.add(qx, qy, qz, pointIndex / 3);
+                if (existingPoint >= 0) {
+                    if (counts) counts[existingPoint]++;
+                    continue;
+                }
+                if (counts) counts[pointIndex / 3] = 1;
+            } else {
+                const qIndex = (qz << zShift) | (qy << yShift) | qx;
+                const elementIndex = qIndex >> 5;
+                const mask = 1 << (qIndex & 0x1F);
+
+                if ((tupleBitArray[elementIndex] & mask) !== 0) continue;
+                tupleBitArray[elementIndex] |= mask;
+            }
+        }
+
+        points[pointIndex] = x;
+        points[pointIndex + 1] = y;
+        points[pointIndex + 2] = z;
+        colors[pointIndex] = cloud.colors[srcIndex];
+        colors[pointIndex + 1] = cloud.colors[srcIndex + 1];
+        colors[pointIndex + 2] = cloud.colors[srcIndex + 2];
+        pointIndex += 3;
+    }
+
+    console.log(`Re-quantized imported cloud: ${numPoints.toLocaleString()} → ${(pointIndex / 3).toLocaleString()} points`);
+
+    return finalizeProjection(points, colors, pointIndex, projectionMode, quantizationBits, projectionParams, null, counts);
+}
+
+/**
+ * Map per-point hit counts to weights in [0,1] on a log scale, so that sparse cells stay
+ * visible next to hot spots with orders of magnitude more hits
+ * @param {Uint32Array} counts - Hits per point (see quantizeProcessDataAs countDensity)
+ * @param {number} [maxCount] - Count mapped to 1 (defaults to the largest count)
+ * @returns {Float32Array} - Weight per point; cells hit once map to 0
+ */
+export function densityWeights(counts, maxCount) {
+    if (maxCount === undefined) {
+        maxCount = 1;
+        for (let i = 0; i < counts.length; i++) {
+            if (counts[i] > maxCount) maxCount = counts[i];
+        }
+    }
+
+    const weights = new Float32Array(counts.length);
+    const logMax = Math.log(maxCount);
+    if (logMax > 0) {
+        for (let i = 0; i < counts.length; i++) {
+            weights[i] = Math.min(1, Math.log(Math.max(1, counts[i])) / logMax);
+        }
+    }
+    return weights;
+}
+
+/**
+ * Apply the requested projection to deduplicated points and shape the result
+ * @param {Float32Array} points - Point buffer (only the first pointIndex values are used)
+ * @param {Float32Array} colors - Color buffer matching points
+ * @param {number} pointIndex - Number of used values in points/colors (3 per point)
+ * @param {string} projectionMode - Projection mode to apply (see applyProjection for options)
+ * @param {number} quantizationBits - Number of bits for quantization (used by tiled mode)
+ * @param {Object} [projectionParams=null] - Projection parameter values by name
+ * @param {Float32Array} [alphas=null] - Optional per-point opacity in [0,1] (one value per point)
+ * @param {Uint32Array} [counts=null] - Optional per-point density hit counts (one value per point)
+ * @param {Float64Array} [offsets=null] - Optional per-point source byte offsets (one value per point)
+ * @returns {{ points: Float32Array, colors: Float32Array, numPoints: number, offsets?: Float64Array, alphas?: Float32Array, counts?: Uint32Array, pathData?: boolean, bvhNodes?: Array, bvhMode?: boolean, showPoints?: boolean }}
+ * @private
+ */
+function finalizeProjection(points, colors, pointIndex, projectionMode, quantizationBits, projectionParams = null, alphas = null, counts = null, offsets = null) {
+    const numPoints = pointIndex / 3;
+    const projected = applyProjection(points.slice(0, pointIndex), projectionMode, quantizationBits, projectionParams || {});
+    const { copies, order } = projected;
+
+    // Per-point attributes follow reordering projections (curve orderings), then the projected copies
+    const perPoint = (values, itemSize) => repeatPerPoint(reorderPerPoint(values, itemSize, numPoints, order), itemSize, copies);
+
+    const result = {
+        points: projected.points,
+        colors: perPoint(colors, 3),
+        numPoints: numPoints * copies
     };
+
+    if (projected.output === PROJECTION_OUTPUTS.PATH) {
+        // Path lines connect the points in order
+        result.pathData = true;
+    } else if (projected.output === PROJECTION_OUTPUTS.BVH) {
+        result.numPoints = projected.showPoints ? numPoints : 0;
+        result.bvhNodes = projected.bvhNodes;
+        result.bvhMode = true;
+        result.showPoints = projected.showPoints;
+    }
+
+    if (alphas) {
+        result.alphas = perPoint(alphas, 1);
+    }
+    if (counts) {
+        result.counts = perPoint(counts, 1);
+    }
+    if (offsets) {
+        result.offsets = perPoint(offsets, 1);
+    }
+
+    return result;
+}
+
+/**
+ * Take the first numPoints points' values, in projected order when the projection reorders points
+ * @param {Float32Array|Float64Array|Uint32Array} values - itemSize values per point
+ * @param {number} itemSize - Values per point
+ * @param {number} numPoints - Number of points
+ * @param {Uint32Array} [order] - Original point index of each projected point
+ * @returns {Float32Array|Float64Array|Uint32Array} - A new array of the same type
+ * @private
+ */
+function reorderPerPoint(values, itemSize, numPoints, order) {
+    if (!order) {
+        return values.slice(0, numPoints * itemSize);
+    }
+
+    const reordered = new values.constructor(numPoints * itemSize);
+    for (let i = 0; i < numPoints; i++) {
+        reordered.set(values.subarray(order[i] * itemSize, (order[i] + 1) * itemSize), i * itemSize);
+    }
+    return reordered;
+}
+
+/**
+ * Repeat each point's values for projections that emit several points per input point
+ * @param {Float32Array|Float64Array|Uint32Array} values - itemSize values per point
+ * @param {number} itemSize - Values per point
+ * @param {number} copies - Projected points per input point (copies are consecutive)
+ * @returns {Float32Array|Float64Array|Uint32Array} - values itself when copies is 1
+ * @private
+ */
+function repeatPerPoint(values, itemSize, copies) {
+    if (copies === 1) {
+        return values;
+    }
+
+    const expanded = new values.constructor(values.length * copies);
+    for (let i = 0; i < values.length; i += itemSize) {
+        for (let copy = 0; copy < copies; copy++) {
+            expanded.set(values.subarray(i, i + itemSize), i * copies + copy * itemSize);
+        }
+    }
+    return expanded;
 }
@@ -0,0 +1,485 @@
+/**
+ * DimensionReduction.js
+ * Reduce N-dimensional records (embedding rows, feature vectors) to 3D points
+ *
+ * Three methods, all returning coordinates scaled uniformly into [-1, 1]:
+ * - pca: projection onto the three principal components of the chunk (power iteration)
+ * - random: Gaussian random projection with a fixed seed, so every chunk shares the same axes
+ * - umap: UMAP embedding (fuzzy kNN graph + stochastic layout), adapted from B2Ply+UMAP to
+ *   work on N-dimensional vectors; large chunks embed a sample and place the rest next to
+ *   their nearest sampled neighbour
+ *
+ * Everything here is synchronous and DOM-free so it runs inside the chunk workers.
+ */
+
+/**
+ * Reduction methods
+ * @type {Object<string, {label: string}>}
+ */
+export const REDUCTION_METHODS = {
+    pca: { label: 'PCA' },
+    random: { label: 'Gaussian Random Projection' },
+    umap: { label: 'UMAP' }
+};
+
+/**
+ * Most vectors UMAP embeds directly; larger chunks are sampled (kNN is quadratic)
+ * @type {number}
+ */
+export const MAX_UMAP_POINTS = 2048;
+
+/**
+ * Seed of the random projection matrix and UMAP sampling, so results are reproducible
+ * @type {number}
+ */
+const REDUCTION_SEED = 0x9e3779b9;
+
+/**
+ * Power iterations per principal component
+ */
+const POWER_ITERATIONS = 100;
+
+/**
+ * UMAP defaults (as in umap-learn) and the negative samples per positive edge
+ */
+const UMAP_DEFAULTS = { neighbors: 15, epochs: 200, minDist: 0.1 };
+const UMAP_NEGATIVE_SAMPLES = 5;
+
+/**
+ * Reduce vectors to 3D points
+ * @param {Float32Array} vectors - count × dimensions values, record after record
+ * @param {number} count - Number of vectors
+ * @param {number} dimensions - Values per vector
+ * @param {{ method?: string, neighbors?: number, epochs?: number, minDist?: number }} [options={}] -
+ *   Method (one of REDUCTION_METHODS, default 'pca') and UMAP parameters
+ * @returns {Float32Array} - count × 3 coordinates in [-1, 1]
+ */
+export function reduceVectors(vectors, count, dimensions, options = {}) {
+    const method = options.method || 'pca';
+    if (!REDUCTION_METHODS[method]) {
+        throw new Error(`Unknown reduction method: ${method}. Supported methods: ${Object.keys(REDUCTION_METHODS).join(', ')}`);
+    }
+    if (!Number.isInteger(dimensions) || dimensions < 3) {
+        throw new Error(`N-tuple records need at least 3 values, got ${dimensions}`);
+    }
+
+    let points;
+    if (method === 'random') {
+        points = projectVectors(vectors, count, dimensions, null, gaussianMatrix(dimensions, 3, REDUCTION_SEED));
+    } else if (method === 'umap') {
+        points = umapEmbed(vectors, count, dimensions, { ...UMAP_DEFAULTS, ...options });
+    } else {
+        const { mean, components } = principalComponents(vectors, count, dimensions, 3);
+        points = projectVectors(vectors, count, dimensions, mean, components);
+    }
+
+    return scaleToUnitRange(points);
+}
+
+/**
+ * Principal components of a set of vectors, largest variance first
+ * Covariance eigenvectors come from power iteration with deflation; each is signed so its
+ * largest-magnitude entry is positive, which keeps the axes from flipping between chunks.
+ * @param {Float32Array} vectors - count × dimensions values
+ * @param {number} count - Number of vectors
+ * @param {number} dimensions - Values per vector
+ * @param {number} [componentCount=3] - Components to return
+ * @returns {{ mean: Float64Array, components: Float64Array, variances: number[] }} - components holds
+ *   componentCount unit vectors of length dimensions, one after another
+ */
+export function principalComponents(vectors, count, dimensions, componentCount = 3) {
+    const mean = new Float64Array(dimensions);
+    for (let i = 0; i < count; i++) {
+        for (let d = 0; d < dimensions; d++) {
+            mean[d] += vectors[i * dimensions + d];
+        }
+    }
+    for (let d = 0; d < dimensions; d++) {
+        mean[d] /= Math.max(1, count);
+    }
+
+    // Covariance matrix (dimensions × dimensions)
+    const covariance = new Float64Array(dimensions * dimensions);
+    const centered = new Float64Array(dimensions);
+    for (let i = 0; i < count; i++) {
+        for (let d = 0; d < dimensions; d++) {
+            centered[d] = vectors[i * dimensions + d] - mean[d];
+        }
+        for (let a = 0; a < dimensions; a++) {
+            for (let b = a; b < dimensions; b++) {
+                covariance[a * dimensions + b] += centered[a] * centered[b];
+            }
+        }
+    }
+    for (let a = 0; a < dimensions; a++) {
+        for (let b = a; b < dimensions; b++) {
+            covariance[a * dimensions + b] /= Math.max(1, count - 1);
+            covariance[b * dimensions + a] = covariance[a * dimensions + b];
+        }
+    }
+
+    const components = new Float64Array(componentCount * dimensions);
+    const variances = [];
+    for (let c = 0; c < componentCount; c++) {
+        // Start from a fixed vector that is not orthogonal to typical data
+        let vector = Float64Array.from({ length: dimensions }, (_, d) => 1 + d / dimensions);
+        let eigenvalue = 0;
+
+        for (let iteration = 0; iteration < POWER_ITERATIONS; iteration++) {
+            const next = new Float64Array(dimensions);
+            for (let a = 0; a < dimensions; a++) {
+                let sum = 0;
+                for (let b = 0; b < dimensions; b++) {
+                    sum += covariance[a * dimensions + b] * vector[b];
+                }
+                next[a] = sum;
+            }
+            // Keep the iterate orthogonal to the components already found
+            for (let previous = 0; previous < c; previous++) {
+                orthogonalize(next, components.subarray(previous * dimensions, (previous + 1) * dimensions));
+            }
+
+            const norm = Math.hypot(...next);
+            if (norm === 0) {
+                // No variance left: any unit vector orthogonal to the others will do
+                next.fill(0);
+                next[c % dimensions] = 1;
+                for (let previous = 0; previous < c; previous++) {
+                    orthogonalize(next, components.subarray(previous * dimensions, (previous + 1) * dimensions));
+                }
+                vector = normalize(next);
+                eigenvalue = 0;
+                break;
+            }
+            eigenvalue = norm;
+            vector = next.map(v => v / norm);
+        }
+
+        // Deterministic sign: the largest-magnitude entry is positive
+        let largest = 0;
+        for (let d = 1; d < dimensions; d++) {
+            if (Math.abs(vector[d]) > Math.abs(vector[largest])) largest = d;
+        }
+        if (vector[largest] < 0) {
+            vector = vector.map(v => -v);
+        }
+
+        components.set(vector, c * dimensions);
+        variances.push(eigenvalue);
+    }
+
+    return { mean, components, variances };
+}
+
+/**
+ * Project vectors onto three axes
+ * @param {Float32Array} vectors - count × dimensions values
+ * @param {number} count - Number of vectors
+ * @param {number} dimensions - Values per vector
+ * @param {Float64Array|null} mean - Subtracted before projecting (null for none)
+ * @param {Float64Array} axes - Three axes of length dimensions, one after another
+ * @returns {Float32Array} - count × 3 coordinates
+ * @private
+ */
+function projectVectors(vectors, count, dimensions, mean, axes) {
+    const points = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        for (let axis = 0; axis < 3; axis++) {
+            let sum = 0;
+            for (let d = 0; d < dimensions; d++) {
+                sum += (vectors[i * dimensions + d] - (mean ? mean[d] : 0)) * axes[axis * dimensions + d];
+            }
+            points[i * 3 + axis] = sum;
+        }
+    }
+    return points;
+}
+
+/**
+ * Gaussian random matrix with entries N(0, 1/columns), stored column after column
+ * @param {number} rows - Input dimensions
+ * @param {number} columns - Output dimensions
+ * @param {number} seed - Random seed
+ * @returns {Float64Array}
+ */
+export function gaussianMatrix(rows, columns, seed) {
+    const random = seededRandom(seed);
+    const matrix = new Float64Array(rows * columns);
+    const scale = 1 / Math.sqrt(columns);
+
+    for (let i = 0; i < matrix.length; i++) {
+        // Box-Muller transform
+        const u = 1 - random();
+        const v = random();
+        matrix[i] = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v) * scale;
+    }
+    return matrix;
+}
+
+/**
+ * UMAP embedding of vectors into 3D
+ * @param {Float32Array} vectors - count × dimensions values
+ * @param {number} count - Number of vectors
+ * @param {number} dimensions - Values per vector
+ * @param {{ neighbors: number, epochs: number, minDist: number }} options - UMAP parameters
+ * @returns {Float32Array} - count × 3 coordinates (unscaled)
+ * @private
+ */
+function umapEmbed(vectors, count, dimensions, options) {
+    if (count < 2) {
+        return new Float32Array(count * 3);
+    }
+
+    // Embed an evenly spread sample of large chunks
+    const sampleCount = Math.min(count, MAX_UMAP_POINTS);
+    const sample = Uint32Array.from({ length: sampleCount }, (_, i) => Math.floor(i * count / sampleCount));
+    const sampleVectors = new Float32Array(sampleCount * dimensions);
+    sample.forEach((record, i) => {
+        sampleVectors.set(vectors.subarray(record * dimensions, (record + 1) * dimensions), i * dimensions);
+    });
+
+    const k = Math.min(options.neighbors, sampleCount - 1);
+    const { knnIndex, knnDistance } = nearestNeighbors(sampleVectors, sampleCount, dimensions, k);
+    const { rho, sigma } = smoothDistances(knnDistance, sampleCount, k);
+    const { edges, weights } = fuzzyGraph(knnIndex, knnDistance, rho, sigma, sampleCount, k);
+
+    // PCA initialization (deterministic, and already roughly preserves global structure)
+    const { mean, components } = principalComponents(sampleVectors, sampleCount, dimensions, 3);
+    const embedding = scaleToUnitRange(projectVectors(sampleVectors, sampleCount, dimensions, mean, components));
+    for (let i = 0; i < embedding.length; i++) {
+        embedding[i] *= 10;
+    }
+    optimizeLayout(embedding, edges, weights, sampleCount, options.epochs, options.minDist);
+
+    if (sampleCount === count) {
+        return embedding;
+    }
+
+    // Place every record at the embedding of its nearest sampled vector
+    const points = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        let nearest = 0;
+        let nearestDistance = Infinity;
+        for (let s = 0; s < sampleCount; s++) {
+            const distance = squaredDistance(vectors, i * dimensions, sampleVectors, s * dimensions, dimensions);
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = s;
+            }
+        }
+        points.set(embedding.subarray(nearest * 3, nearest * 3 + 3), i * 3);
+    }
+    return points;
+}
+
+/**
+ * Exact k nearest neighbours by brute force (Euclidean)
+ * @private
+ */
+function nearestNeighbors(vectors, count, dimensions, k) {
+    const knnIndex = new Int32Array(count * k).fill(-1);
+    const knnDistance = new Float32Array(count * k);
+    const distances = new Float64Array(count);
+    const candidates = new Uint32Array(count);
+
+    for (let i = 0; i < count; i++) {
+        for (let j = 0; j < count; j++) {
+            distances[j] = j === i ? Infinity : squaredDistance(vectors, i * dimensions, vectors, j * dimensions, dimensions);
+            candidates[j] = j;
+        }
+        // Partial selection would be faster; sorting keeps it simple at MAX_UMAP_POINTS
+        candidates.sort((a, b) => distances[a] - distances[b]);
+        for (let n = 0; n < k; n++) {
+            knnIndex[i * k + n] = candidates[n];
+            knnDistance[i * k + n] = Math.sqrt(distances[candidates[n]]);
+        }
+    }
+    return { knnIndex, knnDistance };
+}
+
+/**
+ * Per-point distance to the nearest neighbour (rho) and bandwidth (sigma) so the fuzzy
+ * membership of the k neighbours sums to log2(k)
+ * @private
+ */
+function smoothDistances(knnDistance, count, k) {
+    const rho = new Float32Array(count);
+    const sigma = new Float32Array(count);
+    const target = Math.log2(k);
+
+    for (let i = 0; i < count; i++) {
+        let nearest = Infinity;
+        for (let j = 0; j < k; j++) {
+            const d = knnDistance[i * k + j];
+            if (d > 0 && d < nearest) nearest = d;
+        }
+        rho[i] = nearest === Infinity ? 0 : nearest;
+
+        // Binary search for sigma
+        let lo = 1e-5, hi = 1e5, mid = 1;
+        for (let iteration = 0; iteration < 64; iteration++) {
+            mid = (lo + hi) / 2;
+            let sum = 0;
+            for (let j = 0; j < k; j++) {
+                sum += Math.exp(-Math.max(0, knnDistance[i * k + j] - rho[i]) / mid);
+            }
+            if (Math.abs(sum - target) < 1e-5) break;
+            if (sum > target) hi = mid; else lo = mid;
+        }
+        sigma[i] = mid;
+    }
+    return { rho, sigma };
+}
+
+/**
+ * Symmetrized fuzzy neighbour graph: w = a + b - a·b for the two directed memberships
+ * @private
+ */
+function fuzzyGraph(knnIndex, knnDistance, rho, sigma, count, k) {
+    const directed = new Map();
+    for (let i = 0; i < count; i++) {
+        for (let j = 0; j < k; j++) {
+            const neighbour = knnIndex[i * k + j];
+            if (neighbour < 0) continue;
+            const weight = Math.exp(-Math.max(0, knnDistance[i * k + j] - rho[i]) / sigma[i]);
+            const key = Math.min(i, neighbour) * count + Math.max(i, neighbour);
+            const entry = directed.get(key) || [0, 0];
+            entry[i < neighbour ? 0 : 1] = Math.max(entry[i < neighbour ? 0 : 1], weight);
+            directed.set(key, entry);
+        }
+    }
+
+    const edges = [];
+    const weights = [];
+    for (const [key, [ab, ba]] of directed) {
+        const weight = ab + ba - ab * ba;
+        if (weight > 0.001) {
+            edges.push(Math.floor(key / count), key % count);
+            weights.push(weight);
+        }
+    }
+    return { edges: Int32Array.from(edges), weights: Float32Array.from(weights) };
+}
+
+/**
+ * Stochastic gradient descent on the UMAP cross-entropy with negative sampling
+ * @private
+ */
+function optimizeLayout(embedding, edges, weights, count, epochs, minDist) {
+    // Curve parameters a, b approximated from min_dist (spread 1)
+    const b = 0.7915 + 0.1 * Math.log(Math.max(0.01, minDist) / 0.1);
+    const a = 1 / Math.pow(Math.max(0.001, minDist), 2 * b);
+    const random = seededRandom(REDUCTION_SEED);
+    const edgeCount = weights.length;
+
+    let maxWeight = 0;
+    for (let e = 0; e < edgeCount; e++) maxWeight = Math.max(maxWeight, weights[e]);
+    const epochsPerSample = Float32Array.from(weights, w => maxWeight / w);
+    const nextSampleEpoch = Float32Array.from(epochsPerSample);
+
+    const clamp = value => Math.max(-4, Math.min(4, value));
+    for (let epoch = 0; epoch < epochs; epoch++) {
+        const alpha = 1 - epoch / epochs;
+
+        for (let e = 0; e < edgeCount; e++) {
+            if (nextSampleEpoch[e] > epoch) continue;
+            nextSampleEpoch[e] += epochsPerSample[e];
+
+            const i = edges[e * 2];
+            const j = edges[e * 2 + 1];
+
+            // Attraction along the edge
+            const distSq = squaredDistance(embedding, i * 3, embedding, j * 3, 3) + 1e-6;
+            const attraction = -2 * a * b * Math.pow(distSq, b - 1) / (1 + a * Math.pow(distSq, b));
+            for (let axis = 0; axis < 3; axis++) {
+                const gradient = clamp(attraction * (embedding[i * 3 + axis] - embedding[j * 3 + axis]));
+                embedding[i * 3 + axis] += alpha * gradient;
+                embedding[j * 3 + axis] -= alpha * gradient;
+            }
+
+            // Repulsion from random points
+            for (let negative = 0; negative < UMAP_NEGATIVE_SAMPLES; negative++) {
+                const other = Math.floor(random() * count);
+                if (other === i) continue;
+                const distSqN = squaredDistance(embedding, i * 3, embedding, other * 3, 3) + 1e-6;
+                const repulsion = 2 * b / ((0.001 + distSqN) * (1 + a * Math.pow(distSqN, b)));
+                for (let axis = 0; axis < 3; axis++) {
+                    embedding[i * 3 + axis] += alpha * clamp(repulsion * (embedding[i * 3 + axis] - embedding[other * 3 + axis]));
+                }
+            }
+        }
+    }
+    return embedding;
+}
+
+/**
+ * Scale points uniformly (preserving their shape) so the largest coordinate magnitude is 1,
+ * after centering each axis on its midrange
+ * @param {Float32Array} points - x, y, z per point (modified in place)
+ * @returns {Float32Array} - points
+ * @private
+ */
+function scaleToUnitRange(points) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < points.length; i++) {
+        if (!Number.isFinite(points[i])) points[i] = 0;
+        min[i % 3] = Math.min(min[i % 3], points[i]);
+        max[i % 3] = Math.max(max[i % 3], points[i]);
+    }
+
+    const center = min.map((low, axis) => (low + max[axis]) / 2);
+    const halfExtent = Math.max(...max.map((high, axis) => (high - min[axis]) / 2));
+    const scale = halfExtent > 0 ? 1 / halfExtent : 0;
+    for (let i = 0; i < points.length; i++) {
+        points[i] = (points[i] - center[i % 3]) * scale;
+    }
+    return points;
+}
+
+/**
+ * Squared Euclidean distance between two vectors stored in (possibly different) arrays
+ * @private
+ */
+function squaredDistance(a, aOffset, b, bOffset, dimensions) {
+    let sum = 0;
+    for (let d = 0; d < dimensions; d++) {
+        const difference = a[aOffset + d] - b[bOffset + d];
+        sum += difference * difference;
+    }
+    return sum;
+}
+
+/**
+ * Subtract the projection of vector onto a unit axis (in place)
+ * @private
+ */
+function orthogonalize(vector, axis) {
+    let dot = 0;
+    for (let d = 0; d < vector.length; d++) dot += vector[d] * axis[d];
+    for (let d = 0; d < vector.length; d++) vector[d] -= dot * axis[d];
+}
+
+/**
+ * Scale a vector to unit length (zero vectors stay zero)
+ * @private
+ */
+function normalize(vector) {
+    const norm = Math.hypot(...vector);
+    return norm > 0 ? vector.map(v => v / norm) : vector;
+}
+
+/**
+ * Deterministic uniform random numbers in [0, 1) (mulberry32)
+ * @private
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,272 @@
+/**
+ * Normalizers.js
+ * Value normalization strategies mapping decoded values to the [-1,1] range
+ *
+ * Simple strategies (tanh, linear, unit) work value by value. Statistical strategies
+ * (min/max, percentile, log, symlog, z-score, mu-law) need a pre-scan of the data,
+ * done either per chunk or once over a sample of the whole file.
+ */
+
+import { DATA_TYPES, NORMALIZERS } from '../utils/Constants.js';
+import { createExtendedDataView } from '../utils/FloatUtils.js';
+
+/**
+ * Percentage clipped from each tail by the 'percentile' strategy
+ * @type {number}
+ */
+export const DEFAULT_PERCENTILE = 1;
+
+/**
+ * Maximum number of values kept per field when pre-scanning for statistics
+ * @type {number}
+ */
+export const MAX_STAT_SAMPLES = 65536;
+
+/**
+ * Mu-law compression parameter (same as 8-bit telephony companding)
+ */
+const MU = 255;
+
+/**
+ * Normalization strategies
+ *   - 'auto': tanh for floats, linear over the type's range for integers (or the type's autoNormalize)
+ *   - 'tanh': smooth squash of any real value into [-1,1]
+ *   - 'linear': integer type range mapped to [-1,1]; floats are clamped to [-1,1]
+ *   - 'unit': values already in [0,1] (e.g. float colors) mapped to [-1,1]
+ *   - 'minmax': observed min/max mapped to [-1,1]
+ *   - 'percentile': like minmax but clipped to the DEFAULT_PERCENTILE tails
+ *   - 'log': log1p of the distance from the observed minimum
+ *   - 'symlog': sign-preserving log with a linear region of 0.1 standard deviations around zero
+ *   - 'zscore': standard score, with ±3 standard deviations mapped to ±1
+ *   - 'mulaw': mu-law companding of values scaled by the largest observed magnitude
+ * @type {Object<string, {label: string, needsStats: boolean}>}
+ */
+export const NORMALIZATION_STRATEGIES = {
+    auto: { label: 'auto', needsStats: false },
+    tanh: { label: 'tanh', needsStats: false },
+    linear: { label: 'linear', needsStats: false },
+    unit: { label: 'unit', needsStats: false },
+    minmax: { label: 'min/max', needsStats: true },
+    percentile: { label: `${DEFAULT_PERCENTILE}-${100 - DEFAULT_PERCENTILE} percentile`, needsStats: true },
+    log: { label: 'log', needsStats: true },
+    symlog: { label: 'symlog', needsStats: true },
+    zscore: { label: 'z-score', needsStats: true },
+    mulaw: { label: 'mu-law', needsStats: true }
+};
+
+/**
+ * Names of all normalization strategies, usable as per-component normalizers in record layouts
+ * @type {string[]}
+ */
+export const FIELD_NORMALIZERS = Object.keys(NORMALIZATION_STRATEGIES);
+
+/**
+ * Human readable label for a strategy as applied to a data type
+ * @param {string} strategy - Strategy name
+ * @param {string} dataType - DATA_TYPES key
+ * @returns {string}
+ */
+export function describeNormalizer(strategy, dataType) {
+    if (strategy === 'auto') {
+        return DATA_TYPES[dataType] ? autoStrategy(DATA_TYPES[dataType]) : 'linear';
+    }
+    return NORMALIZATION_STRATEGIES[strategy] ? NORMALIZATION_STRATEGIES[strategy].label : strategy;
+}
+
+/**
+ * Create the normalization function for a data type, mapping raw values to [-1,1]
+ * @param {string} dataType - DATA_TYPES key
+ * @param {string} [strategy='auto'] - One of FIELD_NORMALIZERS
+ * @param {Object} [stats=null] - Finalized field statistics (see finalizeFieldStats), required by statistical strategies
+ * @returns {function(number): number}
+ */
+export function createNormalizer(dataType, strategy = 'auto', stats = null) {
+    const config = DATA_TYPES[dataType];
+    if (!config) {
+        throw new Error(`Unsupported data type: ${dataType}. Supported types: ${Object.keys(DATA_TYPES).join(', ')}`);
+    }
+    if (!NORMALIZATION_STRATEGIES[strategy]) {
+        throw new Error(`Unknown normalizer: ${strategy}. Supported normalizers: ${FIELD_NORMALIZERS.join(', ')}`);
+    }
+    if (NORMALIZATION_STRATEGIES[strategy].needsStats && !stats) {
+        throw new Error(`Normalizer ${strategy} requires value statistics from a pre-scan`);
+    }
+
+    if (strategy === 'auto') {
+        strategy = autoStrategy(config);
+    }
+
+    switch (strategy) {
+        case 'tanh':
+            return value => {
+                // Handle special values
+                if (!isFinite(value)) {
+                    return isNaN(value) ? 0 : (value > 0 ? 1 : -1);
+                }
+                // Apply tanh for smooth [-1, 1] mapping
+                return Math.tanh(value);
+            };
+
+        case 'unit':
+            return value => (isNaN(value) ? -1 : Math.max(-1, Math.min(1, value * 2 - 1)));
+
+        case 'minmax':
+            return rangeNormalizer(stats.min, stats.max);
+
+        case 'percentile':
+            return rangeNormalizer(stats.low, stats.high);
+
+        case 'log': {
+            const logRange = Math.log1p(stats.max - stats.min) || 1;
+            return guardSpecial(value => clampUnit(2 * Math.log1p(Math.max(0, value - stats.min)) / logRange - 1));
+        }
+
+        case 'symlog': {
+            const threshold = stats.std > 0 ? stats.std / 10 : 1;
+            const logRange = Math.log1p(stats.maxAbs / threshold) || 1;
+            return guardSpecial(value => clampUnit(Math.sign(value) * Math.log1p(Math.abs(value) / threshold) / logRange));
+        }
+
+        case 'zscore': {
+            const std = stats.std > 0 ? stats.std : 1;
+            return guardSpecial(value => clampUnit((value - stats.mean) / (3 * std)));
+        }
+
+        case 'mulaw': {
+            const maxAbs = stats.maxAbs > 0 ? stats.maxAbs : 1;
+            const logMu = Math.log1p(MU);
+            return guardSpecial(value => {
+                const x = clampUnit(value / maxAbs);
+                return Math.sign(x) * Math.log1p(MU * Math.abs(x)) / logMu;
+            });
+        }
+
+        case 'linear':
+        default: {
+            if (config.isFloat) {
+                return value => (isNaN(value) ? 0 : Math.max(-1, Math.min(1, value)));
+            }
+            // Use linear normalization for integers
+            const { multiplier, offset } = NORMALIZERS[dataType];
+            return value => ((value - offset) * multiplier) - 1;
+        }
+    }
+}
+
+/**
+ * Pre-scan a buffer and accumulate raw value statistics for each field of a record layout
+ * Values are sampled at a fixed record stride so at most maxSamples values are kept per field.
+ * @param {ArrayBuffer} buffer - Binary data
+ * @param {Object} recordLayout - Resolved record layout (see resolveRecordLayout)
+ * @param {boolean} isLittleEndian - Whether to read as little endian
+ * @param {Object} [accumulators={}] - Existing accumulators to merge into (for global scans across chunks)
+ * @param {number} [maxSamples=MAX_STAT_SAMPLES] - Maximum values sampled per field from this buffer
+ * @returns {Object<string, Object>} - Accumulator per field name
+ */
+export function scanFieldStats(buffer, recordLayout, isLittleEndian, accumulators = {}, maxSamples = MAX_STAT_SAMPLES) {
+    const view = createExtendedDataView(buffer);
+    const extent = recordLayout.extent || recordLayout.stride;
+    const numRecords = buffer.byteLength >= extent ? Math.floor((buffer.byteLength - extent) / recordLayout.stride) + 1 : 0;
+    const recordStep = Math.max(1, Math.ceil(numRecords / maxSamples));
+
+    for (const [name, field] of Object.entries(recordLayout.fields)) {
+        const acc = accumulators[name] || (accumulators[name] = { count: 0, sum: 0, sumSq: 0, min: Infinity, max: -Infinity, samples: [] });
+        const readMethod = view[DATA_TYPES[field.type].method].bind(view);
+
+        for (let record = 0; record < numRecords; record += recordStep) {
+            const value = readMethod(record * recordLayout.stride + field.offset, isLittleEndian);
+            if (!isFinite(value)) continue;
+
+            acc.count++;
+            acc.sum += value;
+            acc.sumSq += value * value;
+            if (value < acc.min) acc.min = value;
+            if (value > acc.max) acc.max = value;
+            acc.samples.push(value);
+        }
+
+        // Keep memory bounded when merging many chunks
+        if (acc.samples.length > MAX_STAT_SAMPLES) {
+            const step = acc.samples.length / MAX_STAT_SAMPLES;
+            acc.samples = Array.from({ length: MAX_STAT_SAMPLES }, (_, i) => acc.samples[Math.floor(i * step)]);
+        }
+    }
+
+    return accumulators;
+}
+
+/**
+ * Turn scan accumulators into the statistics used by the normalizers
+ * @param {Object<string, Object>} accumulators - Result of scanFieldStats
+ * @param {number} [percentile=DEFAULT_PERCENTILE] - Percentage clipped from each tail for low/high
+ * @returns {Object<string, {min: number, max: number, mean: number, std: number, low: number, high: number, maxAbs: number, count: number}>}
+ */
+export function finalizeFieldStats(accumulators, percentile = DEFAULT_PERCENTILE) {
+    const stats = {};
+
+    for (const [name, acc] of Object.entries(accumulators)) {
+        if (acc.count === 0) {
+            stats[name] = { min: -1, max: 1, mean: 0, std: 1, low: -1, high: 1, maxAbs: 1, count: 0 };
+            continue;
+        }
+
+        const mean = acc.sum / acc.count;
+        const variance = Math.max(0, acc.sumSq / acc.count - mean * mean);
+        const sorted = Float64Array.from(acc.samples).sort();
+        const pick = (p) => sorted[Math.min(sorted.length - 1, Math.max(0, Math.floor(p / 100 * (sorted.length - 1))))];
+
+        stats[name] = {
+            min: acc.min,
+            max: acc.max,
+            mean,
+            std: Math.sqrt(variance),
+            low: pick(percentile),
+            high: pick(100 - percentile),
+            maxAbs: Math.max(Math.abs(acc.min), Math.abs(acc.max)),
+            count: acc.count
+        };
+    }
+
+    return stats;
+}
+
+/**
+ * Strategy used by 'auto' for a data type
+ * @private
+ */
+function autoStrategy(config) {
+    return config.autoNormalize || (config.isFloat ? 'tanh' : 'linear');
+}
+
+/**
+ * Map [lo, hi] linearly to [-1,1], clamping outside values
+ * @private
+ */
+function rangeNormalizer(lo, hi) {
+    const span = hi - lo;
+    if (!(span > 0)) {
+        return guardSpecial(() => 0);
+    }
+    return guardSpecial(value => clampUnit(2 * (value - lo) / span - 1));
+}
+
+/**
+ * Wrap a normalizer so NaN maps to 0 and infinities to ±1
+ * @private
+ */
+function guardSpecial(normalize) {
+    return value => {
+        if (!isFinite(value)) {
+            return isNaN(value) ? 0 : (value > 0 ? 1 : -1);
+        }
+        return normalize(value);
+    };
+}
+
+/**
+ * Clamp a value to [-1,1]
+ * @private
+ */
+function clampUnit(value) {
+    return value < -1 ? -1 : (value > 1 ? 1 : value);
+}
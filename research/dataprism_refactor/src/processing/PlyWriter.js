@@ -0,0 +1,180 @@
+/**
+ * PlyWriter.js
+ * PLY (ASCII and binary) and compact raw fp16 encoding of point clouds
+ *
+ * Pure functions over position/color arrays, shared by the browser export and the Node CLI.
+ * Vertices (and edges, for paths and box wireframes) are encoded in ranges so large clouds can be
+ * written chunk by chunk.
+ */
+
+import { encodeFloatSpan } from '../utils/FloatUtils.js';
+
+/**
+ * Supported PLY encodings for export
+ * @type {string[]}
+ */
+export const PLY_FORMATS = ['ascii', 'binary_little_endian', 'binary_big_endian'];
+
+/**
+ * Bytes per vertex in binary PLY export (3 x float32 + 3 x uchar)
+ * @type {number}
+ */
+export const PLY_BINARY_VERTEX_SIZE = 15;
+
+/**
+ * Bytes per edge in binary PLY export (2 x int32 vertex indices)
+ * @type {number}
+ */
+export const PLY_BINARY_EDGE_SIZE = 8;
+
+/**
+ * Headerless compact export: little endian fp16 XYZ followed by uint8 RGB per point,
+ * which reloads as XYZ + RGB (Color Type) with Type Float16 and Color Type Uint8
+ * @type {string}
+ */
+export const COMPACT_EXPORT_FORMAT = 'raw_fp16';
+
+/**
+ * Bytes per vertex in the compact export (3 x fp16 + 3 x uint8)
+ * @type {number}
+ */
+export const COMPACT_VERTEX_SIZE = 9;
+
+/**
+ * PLY header for XYZ + RGB vertices, optionally followed by edges between them
+ * @param {string} format - One of PLY_FORMATS
+ * @param {number} vertexCount - Number of vertices that follow
+ * @param {number} [edgeCount=0] - Number of edges after the vertices; no edge element when 0
+ * @returns {string} - Header text, or '' for the headerless compact format
+ */
+export function plyHeader(format, vertexCount, edgeCount = 0) {
+    if (format === COMPACT_EXPORT_FORMAT) {
+        return '';
+    }
+
+    const edgeElement = edgeCount > 0 ? [`element edge ${edgeCount}`, 'property int vertex1', 'property int vertex2'] : [];
+    return [
+        'ply',
+        `format ${format} 1.0`,
+        'comment Created by Binary Point Cloud Viewer',
+        `element vertex ${vertexCount}`,
+        'property float x',
+        'property float y',
+        'property float z',
+        'property uchar red',
+        'property uchar green',
+        'property uchar blue',
+        ...edgeElement,
+        'end_header'
+    ].join('\n') + '\n';
+}
+
+/**
+ * Encode a range of vertices
+ * @param {string} format - One of PLY_FORMATS or COMPACT_EXPORT_FORMAT
+ * @param {Float32Array} positions - x, y, z per point
+ * @param {Float32Array} colors - r, g, b in [0, 1] per point
+ * @param {Uint32Array|null} indices - Points to encode, or null for all points in order
+ * @param {number} start - First entry of indices (or first point) to encode
+ * @param {number} end - Entry just past the last one to encode
+ * @param {number[]} [offset=[0, 0, 0]] - Added to every position (e.g. the lattice cell position)
+ * @returns {ArrayBuffer|string} - Binary records, or ASCII lines each ending in a newline
+ */
+export function encodeVertices(format, positions, colors, indices, start, end, offset = [0, 0, 0]) {
+    if (format === COMPACT_EXPORT_FORMAT) {
+        // Compact records: 3 x fp16 position + 3 x uint8 color, encoded a component at a time
+        const count = end - start;
+        const buffer = new ArrayBuffer(count * COMPACT_VERTEX_SIZE);
+        const bytes = new Uint8Array(buffer);
+        const component = new Float32Array(count);
+
+        for (let axis = 0; axis < 3; axis++) {
+            for (let i = 0; i < count; i++) {
+                const point = indices ? indices[start + i] : start + i;
+                component[i] = positions[point * 3 + axis] + offset[axis];
+            }
+            encodeFloatSpan('fp16', component, buffer, axis * 2, true, COMPACT_VERTEX_SIZE);
+        }
+
+        for (let i = 0; i < count; i++) {
+            const idx = (indices ? indices[start + i] : start + i) * 3;
+            const byteOffset = i * COMPACT_VERTEX_SIZE + 6;
+            bytes[byteOffset] = Math.floor(colors[idx] * 255);
+            bytes[byteOffset + 1] = Math.floor(colors[idx + 1] * 255);
+            bytes[byteOffset + 2] = Math.floor(colors[idx + 2] * 255);
+        }
+
+        return buffer;
+    }
+
+    if (format !== 'ascii') {
+        // Binary records: 3 x float32 position + 3 x uint8 color
+        const isLittleEndian = format === 'binary_little_endian';
+        const buffer = new ArrayBuffer((end - start) * PLY_BINARY_VERTEX_SIZE);
+        const view = new DataView(buffer);
+        let byteOffset = 0;
+
+        for (let i = start; i < end; i++) {
+            const idx = (indices ? indices[i] : i) * 3;
+
+            view.setFloat32(byteOffset, positions[idx] + offset[0], isLittleEndian);
+            view.setFloat32(byteOffset + 4, positions[idx + 1] + offset[1], isLittleEndian);
+            view.setFloat32(byteOffset + 8, positions[idx + 2] + offset[2], isLittleEndian);
+            view.setUint8(byteOffset + 12, Math.floor(colors[idx] * 255));
+            view.setUint8(byteOffset + 13, Math.floor(colors[idx + 1] * 255));
+            view.setUint8(byteOffset + 14, Math.floor(colors[idx + 2] * 255));
+
+            byteOffset += PLY_BINARY_VERTEX_SIZE;
+        }
+
+        return buffer;
+    }
+
+    // Use array for better performance than string concatenation
+    const lines = [];
+    for (let i = start; i < end; i++) {
+        const idx = (indices ? indices[i] : i) * 3;
+
+        // World coordinates and [0,1] colors converted to RGB [0,255]
+        const x = positions[idx] + offset[0];
+        const y = positions[idx + 1] + offset[1];
+        const z = positions[idx + 2] + offset[2];
+        const r = Math.floor(colors[idx] * 255);
+        const g = Math.floor(colors[idx + 1] * 255);
+        const b = Math.floor(colors[idx + 2] * 255);
+
+        lines.push(`${x} ${y} ${z} ${r} ${g} ${b}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Encode a range of edges
+ * @param {string} format - One of PLY_FORMATS (the compact format has no edges)
+ * @param {Uint32Array} edges - Pairs of vertex indices
+ * @param {number} start - First edge to encode
+ * @param {number} end - Edge just past the last one to encode
+ * @returns {ArrayBuffer|string} - Binary records, or ASCII lines each ending in a newline
+ */
+export function encodeEdges(format, edges, start, end) {
+    if (format === COMPACT_EXPORT_FORMAT) {
+        throw new Error(`The ${COMPACT_EXPORT_FORMAT} format cannot hold edges`);
+    }
+
+    if (format !== 'ascii') {
+        const isLittleEndian = format === 'binary_little_endian';
+        const buffer = new ArrayBuffer((end - start) * PLY_BINARY_EDGE_SIZE);
+        const view = new DataView(buffer);
+        for (let i = start; i < end; i++) {
+            view.setInt32((i - start) * PLY_BINARY_EDGE_SIZE, edges[i * 2], isLittleEndian);
+            view.setInt32((i - start) * PLY_BINARY_EDGE_SIZE + 4, edges[i * 2 + 1], isLittleEndian);
+        }
+        return buffer;
+    }
+
+    const lines = [];
+    for (let i = start; i < end; i++) {
+        lines.push(`${edges[i * 2]} ${edges[i * 2 + 1]}`);
+    }
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,564 @@
+/**
+ * PointCloudParser.js
+ * Parsers for point cloud file formats (PLY, XYZ/CSV, PCD)
+ *
+ * Decodes saved point clouds into the same { points, colors, numPoints } shape
+ * produced by quantizeProcessDataAs, so exported clouds can be reloaded,
+ * re-projected and re-quantized.
+ */
+
+/**
+ * PLY scalar property types mapped to DataView readers and byte sizes
+ * Includes both the classic names (uchar, float) and the sized aliases (uint8, float32)
+ */
+const PLY_TYPES = {
+    char: { size: 1, method: 'getInt8', max: 127 },
+    int8: { size: 1, method: 'getInt8', max: 127 },
+    uchar: { size: 1, method: 'getUint8', max: 255 },
+    uint8: { size: 1, method: 'getUint8', max: 255 },
+    short: { size: 2, method: 'getInt16', max: 32767 },
+    int16: { size: 2, method: 'getInt16', max: 32767 },
+    ushort: { size: 2, method: 'getUint16', max: 65535 },
+    uint16: { size: 2, method: 'getUint16', max: 65535 },
+    int: { size: 4, method: 'getInt32', max: 2147483647 },
+    int32: { size: 4, method: 'getInt32', max: 2147483647 },
+    uint: { size: 4, method: 'getUint32', max: 4294967295 },
+    uint32: { size: 4, method: 'getUint32', max: 4294967295 },
+    float: { size: 4, method: 'getFloat32', max: 1 },
+    float32: { size: 4, method: 'getFloat32', max: 1 },
+    double: { size: 8, method: 'getFloat64', max: 1 },
+    float64: { size: 8, method: 'getFloat64', max: 1 }
+};
+
+/**
+ * PCD field TYPE/SIZE pairs mapped to DataView readers
+ */
+const PCD_TYPES = {
+    I1: 'getInt8', I2: 'getInt16', I4: 'getInt32',
+    U1: 'getUint8', U2: 'getUint16', U4: 'getUint32',
+    F4: 'getFloat32', F8: 'getFloat64'
+};
+
+/**
+ * Property names accepted for each color channel
+ */
+const COLOR_NAMES = {
+    r: ['red', 'r', 'diffuse_red'],
+    g: ['green', 'g', 'diffuse_green'],
+    b: ['blue', 'b', 'diffuse_blue']
+};
+
+/**
+ * File extensions recognized as point cloud files
+ * @type {Object<string, string>}
+ */
+export const POINT_CLOUD_EXTENSIONS = {
+    ply: 'ply',
+    xyz: 'xyz',
+    csv: 'xyz',
+    pts: 'xyz',
+    pcd: 'pcd'
+};
+
+/**
+ * Detect the point cloud format of a file from its name and magic bytes
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} [fileName=''] - Original file name (used for extension matching)
+ * @returns {string|null} - 'ply', 'pcd', 'xyz', or null if the file is not a recognized point cloud
+ */
+export function detectPointCloudFormat(buffer, fileName = '') {
+    const magic = new TextDecoder('ascii').decode(new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 64)));
+
+    if (magic.startsWith('ply\n') || magic.startsWith('ply\r\n')) {
+        return 'ply';
+    }
+    if (/^(#\s*\.PCD|VERSION\s)/.test(magic)) {
+        return 'pcd';
+    }
+
+    const extension = fileName.split('.').pop().toLowerCase();
+    return POINT_CLOUD_EXTENSIONS[extension] || null;
+}
+
+/**
+ * Parse a point cloud file into normalized points and colors
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} [fileName=''] - Original file name (used for format detection)
+ * @param {Object} [options] - Parse options
+ * @param {boolean} [options.normalize=true] - Fit coordinates into [-1,1] (uniform scale, centered)
+ * @returns {{ points: Float32Array, colors: Float32Array, numPoints: number, format: string, hasColors: boolean, bounds: { min: number[], max: number[] } }}
+ */
+export function parsePointCloud(buffer, fileName = '', options = {}) {
+    if (!buffer || !(buffer instanceof ArrayBuffer)) {
+        throw new Error('Invalid buffer provided - must be an ArrayBuffer');
+    }
+
+    const format = detectPointCloudFormat(buffer, fileName);
+    let cloud;
+
+    switch (format) {
+        case 'ply':
+            cloud = parsePLY(buffer);
+            break;
+        case 'pcd':
+            cloud = parsePCD(buffer);
+            break;
+        case 'xyz':
+            cloud = parseXYZ(buffer);
+            break;
+        default:
+            throw new Error(`Unrecognized point cloud format: ${fileName || 'unnamed file'}`);
+    }
+
+    if (cloud.numPoints === 0) {
+        throw new Error(`No points found in ${format.toUpperCase()} file`);
+    }
+
+    const bounds = calculateBounds(cloud.points, cloud.numPoints);
+    if (!cloud.hasColors) {
+        colorsFromPositions(cloud.points, cloud.colors, cloud.numPoints, bounds);
+    }
+    if (options.normalize !== false) {
+        normalizeToUnitCube(cloud.points, cloud.numPoints, bounds);
+    }
+
+    console.log(`Parsed ${format.toUpperCase()} point cloud: ${cloud.numPoints.toLocaleString()} points${cloud.hasColors ? ' with colors' : ''}`);
+
+    return { ...cloud, format, bounds };
+}
+
+/**
+ * Parse an ASCII or binary (little/big endian) PLY file
+ * Only the vertex element is decoded; other elements (faces, edges) are skipped.
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {{ points: Float32Array, colors: Float32Array, numPoints: number, hasColors: boolean }}
+ */
+export function parsePLY(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const headerEnd = findHeaderEnd(bytes, 'end_header');
+    if (headerEnd < 0) {
+        throw new Error('Invalid PLY file: missing end_header');
+    }
+
+    const headerLines = new TextDecoder('ascii').decode(bytes.subarray(0, headerEnd)).split(/\r?\n/);
+    let format = null;
+    const elements = [];
+
+    for (const rawLine of headerLines) {
+        const tokens = rawLine.trim().split(/\s+/);
+        switch (tokens[0]) {
+            case 'format':
+                format = tokens[1];
+                break;
+            case 'element':
+                elements.push({ name: tokens[1], count: parseInt(tokens[2]), properties: [] });
+                break;
+            case 'property': {
+                const element = elements[elements.length - 1];
+                if (!element) throw new Error('Invalid PLY file: property before element');
+                if (tokens[1] === 'list') {
+                    element.properties.push({ name: tokens[4], list: true, countType: tokens[2], type: tokens[3] });
+                } else {
+                    element.properties.push({ name: tokens[2], list: false, type: tokens[1] });
+                }
+                break;
+            }
+        }
+    }
+
+    if (!['ascii', 'binary_little_endian', 'binary_big_endian'].includes(format)) {
+        throw new Error(`Unsupported PLY format: ${format}`);
+    }
+
+    const vertexElement = elements.find(e => e.name === 'vertex');
+    if (!vertexElement) {
+        throw new Error('Invalid PLY file: no vertex element');
+    }
+
+    for (const property of vertexElement.properties) {
+        if (!PLY_TYPES[property.type] || (property.list && !PLY_TYPES[property.countType])) {
+            throw new Error(`Unsupported PLY property type: ${property.type}`);
+        }
+    }
+
+    // Locate the columns we care about
+    const names = vertexElement.properties.map(p => p.name);
+    const xIdx = names.indexOf('x');
+    const yIdx = names.indexOf('y');
+    const zIdx = names.indexOf('z');
+    if (xIdx < 0 || yIdx < 0 || zIdx < 0) {
+        throw new Error('Invalid PLY file: vertex element lacks x/y/z');
+    }
+    const colorIdx = ['r', 'g', 'b'].map(c => names.findIndex(n => COLOR_NAMES[c].includes(n)));
+    const hasColors = colorIdx.every(i => i >= 0);
+    const colorScale = hasColors ? colorIdx.map(i => 1 / PLY_TYPES[vertexElement.properties[i].type].max) : null;
+
+    const numPoints = vertexElement.count;
+    const points = new Float32Array(numPoints * 3);
+    const colors = new Float32Array(numPoints * 3);
+    const values = new Float64Array(vertexElement.properties.length);
+
+    const storeVertex = (i) => {
+        const idx = i * 3;
+        points[idx] = values[xIdx];
+        points[idx + 1] = values[yIdx];
+        points[idx + 2] = values[zIdx];
+        if (hasColors) {
+            colors[idx] = values[colorIdx[0]] * colorScale[0];
+            colors[idx + 1] = values[colorIdx[1]] * colorScale[1];
+            colors[idx + 2] = values[colorIdx[2]] * colorScale[2];
+        }
+    };
+
+    if (format === 'ascii') {
+        const body = new TextDecoder('ascii').decode(bytes.subarray(headerEnd));
+        const tokens = body.split(/\s+/).filter(t => t.length > 0);
+        let t = 0;
+
+        for (const element of elements) {
+            const isVertex = element === vertexElement;
+            for (let i = 0; i < element.count; i++) {
+                for (let p = 0; p < element.properties.length; p++) {
+                    const property = element.properties[p];
+                    if (property.list) {
+                        const count = parseInt(tokens[t++]);
+                        t += count;
+                        values[p] = 0;
+                    } else {
+                        values[p] = parseFloat(tokens[t++]);
+                    }
+                }
+                if (t > tokens.length) {
+                    throw new Error(`Truncated PLY file: expected ${element.count} ${element.name} entries`);
+                }
+                if (isVertex) storeVertex(i);
+            }
+            if (isVertex) break;
+        }
+    } else {
+        const littleEndian = format === 'binary_little_endian';
+        const view = new DataView(buffer);
+        let offset = headerEnd;
+
+        for (const element of elements) {
+            const isVertex = element === vertexElement;
+            // Bounds check before every read, so a short file fails like the ASCII branch
+            const need = (size) => {
+                if (offset + size > buffer.byteLength) {
+                    throw new Error(`Truncated PLY file: expected ${element.count} ${element.name} entries`);
+                }
+            };
+            for (let i = 0; i < element.count; i++) {
+                for (let p = 0; p < element.properties.length; p++) {
+                    const property = element.properties[p];
+                    if (property.list) {
+                        const countType = PLY_TYPES[property.countType];
+                        need(countType.size);
+                        const count = view[countType.method](offset, littleEndian);
+                        const listSize = countType.size + count * PLY_TYPES[property.type].size;
+                        need(listSize);
+                        offset += listSize;
+                        values[p] = 0;
+                    } else {
+                        const type = PLY_TYPES[property.type];
+                        need(type.size);
+                        values[p] = view[type.method](offset, littleEndian);
+                        offset += type.size;
+                    }
+                }
+                if (isVertex) storeVertex(i);
+            }
+            if (isVertex) break;
+        }
+    }
+
+    return { points, colors, numPoints, hasColors };
+}
+
+/**
+ * Parse a plain-text XYZ/CSV point list
+ * Each line holds x y z and optionally r g b, separated by whitespace, commas or semicolons.
+ * Colors above 1 are treated as 0-255 values. Non-numeric lines (headers, comments) are skipped.
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {{ points: Float32Array, colors: Float32Array, numPoints: number, hasColors: boolean }}
+ */
+export function parseXYZ(buffer) {
+    const lines = new TextDecoder('utf-8').decode(buffer).split(/\r?\n/);
+    const rows = [];
+    let hasColors = true;
+    let colorMax = 0;
+
+    for (const rawLine of lines) {
+        const line = rawLine.trim();
+        if (line.length === 0 || line.startsWith('#') || line.startsWith('//')) continue;
+
+        const values = line.split(/[\s,;]+/).map(Number);
+        if (values.length < 3 || values.slice(0, 3).some(v => !isFinite(v))) continue;
+
+        if (values.length < 6 || values.slice(3, 6).some(v => !isFinite(v))) {
+            hasColors = false;
+        } else {
+            colorMax = Math.max(colorMax, values[3], values[4], values[5]);
+        }
+        rows.push(values);
+    }
+
+    const numPoints = rows.length;
+    const points = new Float32Array(numPoints * 3);
+    const colors = new Float32Array(numPoints * 3);
+    const colorScale = colorMax > 1 ? 1 / 255 : 1;
+
+    for (let i = 0; i < numPoints; i++) {
+        const row = rows[i];
+        const idx = i * 3;
+        points[idx] = row[0];
+        points[idx + 1] = row[1];
+        points[idx + 2] = row[2];
+        if (hasColors) {
+            colors[idx] = row[3] * colorScale;
+            colors[idx + 1] = row[4] * colorScale;
+            colors[idx + 2] = row[5] * colorScale;
+        }
+    }
+
+    return { points, colors, numPoints, hasColors };
+}
+
+/**
+ * Parse a Point Cloud Library PCD file (ascii, binary or binary_compressed)
+ * Reads x/y/z and, when present, the packed rgb/rgba field.
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {{ points: Float32Array, colors: Float32Array, numPoints: number, hasColors: boolean }}
+ */
+export function parsePCD(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const headerEnd = findHeaderEnd(bytes, 'DATA');
+    if (headerEnd < 0) {
+        throw new Error('Invalid PCD file: missing DATA line');
+    }
+
+    const header = {};
+    for (const rawLine of new TextDecoder('ascii').decode(bytes.subarray(0, headerEnd)).split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (line.length === 0 || line.startsWith('#')) continue;
+        const [key, ...rest] = line.split(/\s+/);
+        header[key.toUpperCase()] = rest;
+    }
+
+    const fields = header.FIELDS || [];
+    const sizes = (header.SIZE || []).map(Number);
+    const types = header.TYPE || [];
+    const counts = header.COUNT ? header.COUNT.map(Number) : fields.map(() => 1);
+    // POINTS, or WIDTH x HEIGHT for files that leave it out
+    const headerCount = key => header[key] && /^\d+$/.test(header[key][0]) ? parseInt(header[key][0]) : NaN;
+    const numPoints = header.POINTS ? headerCount('POINTS') : headerCount('WIDTH') * headerCount('HEIGHT');
+    if (!Number.isInteger(numPoints)) {
+        throw new Error('Invalid PCD file: missing POINTS');
+    }
+    const dataFormat = header.DATA ? header.DATA[0] : '';
+
+    const readers = fields.map((_, f) => {
+        const method = PCD_TYPES[types[f] + sizes[f]];
+        if (!method) throw new Error(`Unsupported PCD field type: ${types[f]}${sizes[f]}`);
+        return method;
+    });
+
+    const xIdx = fields.indexOf('x');
+    const yIdx = fields.indexOf('y');
+    const zIdx = fields.indexOf('z');
+    if (xIdx < 0 || yIdx < 0 || zIdx < 0) {
+        throw new Error('Invalid PCD file: fields lack x/y/z');
+    }
+    const rgbIdx = fields.findIndex(f => f === 'rgb' || f === 'rgba');
+    const hasColors = rgbIdx >= 0;
+
+    const points = new Float32Array(numPoints * 3);
+    const colors = new Float32Array(numPoints * 3);
+
+    // Packed rgb is stored as the bit pattern of a float or uint32; reinterpret it as 0x00RRGGBB
+    const packed = new DataView(new ArrayBuffer(4));
+    const storeColor = (idx, value, isFloatBits) => {
+        if (isFloatBits) {
+            packed.setFloat32(0, value, true);
+            value = packed.getUint32(0, true);
+        }
+        colors[idx] = ((value >> 16) & 0xFF) / 255;
+        colors[idx + 1] = ((value >> 8) & 0xFF) / 255;
+        colors[idx + 2] = (value & 0xFF) / 255;
+    };
+    const rgbIsFloat = hasColors && types[rgbIdx] === 'F';
+
+    if (dataFormat === 'ascii') {
+        // Column offset of each field (fields may have COUNT > 1)
+        const columns = [];
+        let column = 0;
+        for (let f = 0; f < fields.length; f++) {
+            columns.push(column);
+            column += counts[f];
+        }
+
+        const lines = new TextDecoder('ascii').decode(bytes.subarray(headerEnd)).split(/\r?\n/);
+        let i = 0;
+        for (const rawLine of lines) {
+            if (i >= numPoints) break;
+            const line = rawLine.trim();
+            if (line.length === 0) continue;
+            const values = line.split(/\s+/).map(Number);
+            const idx = i * 3;
+            points[idx] = values[columns[xIdx]];
+            points[idx + 1] = values[columns[yIdx]];
+            points[idx + 2] = values[columns[zIdx]];
+            if (hasColors) storeColor(idx, values[columns[rgbIdx]], rgbIsFloat);
+            i++;
+        }
+        return { points, colors, numPoints: i, hasColors };
+    }
+
+    if (dataFormat !== 'binary' && dataFormat !== 'binary_compressed') {
+        throw new Error(`Unsupported PCD data format: ${dataFormat}`);
+    }
+
+    const pointSize = fields.reduce((sum, _, f) => sum + sizes[f] * counts[f], 0);
+    let view;
+    let fieldOffset; // (field, point) => byte offset
+
+    if (dataFormat === 'binary') {
+        view = new DataView(buffer, headerEnd);
+        const offsets = [];
+        let offset = 0;
+        for (let f = 0; f < fields.length; f++) {
+            offsets.push(offset);
+            offset += sizes[f] * counts[f];
+        }
+        fieldOffset = (f, i) => i * pointSize + offsets[f];
+    } else {
+        // binary_compressed: uint32 compressed size, uint32 uncompressed size, LZF data in
+        // structure-of-arrays order (all x, then all y, ...)
+        const sizeView = new DataView(buffer, headerEnd, 8);
+        const compressedSize = sizeView.getUint32(0, true);
+        const uncompressedSize = sizeView.getUint32(4, true);
+        const decompressed = decompressLZF(new Uint8Array(buffer, headerEnd + 8, compressedSize), uncompressedSize);
+        view = new DataView(decompressed.buffer);
+        const offsets = [];
+        let offset = 0;
+        for (let f = 0; f < fields.length; f++) {
+            offsets.push(offset);
+            offset += sizes[f] * counts[f] * numPoints;
+        }
+        fieldOffset = (f, i) => offsets[f] + i * sizes[f] * counts[f];
+    }
+
+    if (view.byteLength < numPoints * pointSize) {
+        throw new Error(`Truncated PCD file: expected ${numPoints * pointSize} data bytes, got ${view.byteLength}`);
+    }
+
+    for (let i = 0; i < numPoints; i++) {
+        const idx = i * 3;
+        points[idx] = view[readers[xIdx]](fieldOffset(xIdx, i), true);
+        points[idx + 1] = view[readers[yIdx]](fieldOffset(yIdx, i), true);
+        points[idx + 2] = view[readers[zIdx]](fieldOffset(zIdx, i), true);
+        if (hasColors) storeColor(idx, view[readers[rgbIdx]](fieldOffset(rgbIdx, i), true), rgbIsFloat);
+    }
+
+    return { points, colors, numPoints, hasColors };
+}
+
+/**
+ * Find the byte offset just past the header line starting with the given keyword
+ * @private
+ */
+function findHeaderEnd(bytes, keyword) {
+    const limit = Math.min(bytes.length, 65536);
+    let lineStart = 0;
+    for (let i = 0; i < limit; i++) {
+        if (bytes[i] !== 0x0A) continue;
+        let match = true;
+        for (let k = 0; k < keyword.length; k++) {
+            if (bytes[lineStart + k] !== keyword.charCodeAt(k)) {
+                match = false;
+                break;
+            }
+        }
+        if (match) return i + 1;
+        lineStart = i + 1;
+    }
+    return -1;
+}
+
+/**
+ * Decompress an LZF block (as used by PCD binary_compressed)
+ * @private
+ */
+function decompressLZF(input, outputLength) {
+    const output = new Uint8Array(outputLength);
+    let ip = 0;
+    let op = 0;
+
+    while (ip < input.length) {
+        let ctrl = input[ip++];
+        if (ctrl < 32) {
+            // Literal run of ctrl + 1 bytes
+            ctrl++;
+            if (op + ctrl > outputLength) throw new Error('LZF output overrun');
+            if (ip + ctrl > input.length) throw new Error('LZF input truncated in a literal run');
+            while (ctrl--) output[op++] = input[ip++];
+        } else {
+            // Back reference: one offset byte, preceded by a length byte for long references
+            let length = ctrl >> 5;
+            let ref = op - ((ctrl & 0x1F) << 8) - 1;
+            if (ip + (length === 7 ? 2 : 1) > input.length) throw new Error('LZF input truncated in a back reference');
+            if (length === 7) length += input[ip++];
+            ref -= input[ip++];
+            length += 2;
+            if (ref < 0 || op + length > outputLength) throw new Error('LZF invalid back reference');
+            while (length--) output[op++] = output[ref++];
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Calculate per-axis bounds of a point array
+ * @private
+ */
+function calculateBounds(points, numPoints) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < numPoints * 3; i += 3) {
+        for (let a = 0; a < 3; a++) {
+            const v = points[i + a];
+            if (v < min[a]) min[a] = v;
+            if (v > max[a]) max[a] = v;
+        }
+    }
+    return { min, max };
+}
+
+/**
+ * Fit points into [-1,1] around their center with a uniform scale (preserves aspect ratio)
+ * @private
+ */
+function normalizeToUnitCube(points, numPoints, bounds) {
+    const center = bounds.min.map((v, a) => (v + bounds.max[a]) / 2);
+    const halfExtent = Math.max(...bounds.max.map((v, a) => (v - bounds.min[a]) / 2));
+    const scale = halfExtent > 0 ? 1 / halfExtent : 1;
+    for (let i = 0; i < numPoints * 3; i += 3) {
+        points[i] = (points[i] - center[0]) * scale;
+        points[i + 1] = (points[i + 1] - center[1]) * scale;
+        points[i + 2] = (points[i + 2] - center[2]) * scale;
+    }
+}
+
+/**
+ * Generate colors from positions (same scheme as 3-tuple mode) for clouds without color data
+ * @private
+ */
+function colorsFromPositions(points, colors, numPoints, bounds) {
+    const range = bounds.max.map((v, a) => (v - bounds.min[a]) || 1);
+    for (let i = 0; i < numPoints * 3; i += 3) {
+        colors[i] = (points[i] - bounds.min[0]) / range[0];
+        colors[i + 1] = (points[i + 1] - bounds.min[1]) / range[1];
+        colors[i + 2] = (points[i + 2] - bounds.min[2]) / range[2];
+    }
+}
@@ -0,0 +1,303 @@
+/**
+ * RecordLayout.js
+ * Record layout descriptors for interleaved/struct data
+ *
+ * A layout describes one record: its stride in bytes and, for each output component
+ * (x, y, z and optionally r, g, b, a), the byte offset within the record, the
+ * DATA_TYPES entry to decode it as and the normalizer to apply. The packed 3-tuple
+ * and 6-tuple modes are just layouts whose fields sit back to back.
+ *
+ * Offsets and strides are in bytes and may be fractional in steps of 1/8 for sub-byte
+ * types (e.g. int4 at offset 0.5 is the second nibble).
+ *
+ * N-tuple layouts additionally carry `dimensions`: each record is that many packed values,
+ * reduced to 3D by DimensionReduction rather than read field by field (x/y/z point at the
+ * first three values so offsets, strides and extents still work as for any other layout).
+ *
+ * @typedef {{ offset: number, type: string, normalize?: string }} LayoutField
+ * @typedef {{ stride: number, fields: Object<string, LayoutField>, dimensions?: number }} RecordLayout
+ */
+
+import { DATA_TYPES } from '../utils/Constants.js';
+import { FIELD_NORMALIZERS } from './Normalizers.js';
+
+/**
+ * Components a layout may define; x/y/z are required, r/g/b must be given together
+ * and a (alpha) requires r/g/b
+ * @type {string[]}
+ */
+export const LAYOUT_COMPONENTS = ['x', 'y', 'z', 'r', 'g', 'b', 'a'];
+
+/**
+ * Default number of values per record in 'n-tuple' mode
+ * @type {number}
+ */
+export const DEFAULT_TUPLE_DIMENSIONS = 16;
+
+/**
+ * Tuple modes whose colors use their own data type (see mixedTupleLayout)
+ * @type {Object<string, {withAlpha: boolean}>}
+ */
+export const MIXED_TUPLE_MODES = {
+    'xyz-rgb-mixed': { withAlpha: false },
+    'xyz-rgba-mixed': { withAlpha: true }
+};
+
+/**
+ * Build the layout for a tightly packed tuple of a single data type
+ * @param {string} dataType - DATA_TYPES key used for every component
+ * @param {string} [tupleMode='3-tuple'] - '3-tuple' (XYZ), '6-tuple' (XYZ+RGB) or 'n-tuple'
+ *   (dimensions values reduced to XYZ)
+ * @param {number} [dimensions=DEFAULT_TUPLE_DIMENSIONS] - Values per record in 'n-tuple' mode
+ * @returns {RecordLayout}
+ */
+export function tupleLayout(dataType, tupleMode = '3-tuple', dimensions = DEFAULT_TUPLE_DIMENSIONS) {
+    const config = DATA_TYPES[dataType];
+    if (!config) {
+        throw new Error(`Unsupported data type: ${dataType}. Supported types: ${Object.keys(DATA_TYPES).join(', ')}`);
+    }
+
+    if (tupleMode === 'n-tuple') {
+        validateDimensions(dimensions);
+        if (config.lanes) {
+            throw new Error(`Vector type ${dataType} cannot be used for N-tuples; use its lane type ${config.lanes[0]} instead`);
+        }
+        const fields = {};
+        packComponents(fields, ['x', 'y', 'z'], dataType, 0);
+        return { stride: dimensions * config.size, fields, dimensions };
+    }
+
+    const fields = {};
+    let stride = packComponents(fields, ['x', 'y', 'z'], dataType, 0);
+    if (tupleMode === '6-tuple') {
+        stride = packComponents(fields, ['r', 'g', 'b'], dataType, stride);
+    }
+
+    return { stride, fields };
+}
+
+/**
+ * Build the layout for packed positions followed by packed colors of a different type,
+ * e.g. three fp32 coordinates followed by uint8 RGB(A)
+ * @param {string} positionType - DATA_TYPES key for x, y, z
+ * @param {string} colorType - DATA_TYPES key for r, g, b (and a)
+ * @param {boolean} [withAlpha=false] - Whether a fourth color channel drives point opacity
+ * @returns {RecordLayout}
+ */
+export function mixedTupleLayout(positionType, colorType, withAlpha = false) {
+    const positionConfig = DATA_TYPES[positionType];
+    const colorConfig = DATA_TYPES[colorType];
+    if (!positionConfig || !colorConfig) {
+        throw new Error(`Unsupported data type: ${positionConfig ? colorType : positionType}. Supported types: ${Object.keys(DATA_TYPES).join(', ')}`);
+    }
+
+    // Float colors are conventionally stored in [0,1]; integer colors span their type's range.
+    // Both are pinned so the file-wide normalization strategy only applies to positions.
+    const colorNormalize = colorConfig.isFloat ? 'unit' : 'linear';
+    const fields = {};
+    const colorOffset = packComponents(fields, ['x', 'y', 'z'], positionType, 0);
+    const stride = packComponents(fields, withAlpha ? ['r', 'g', 'b', 'a'] : ['r', 'g', 'b'], colorType, colorOffset, colorNormalize);
+
+    return { stride, fields };
+}
+
+/**
+ * Layout that reads every value of a packed buffer as one record, used to gather
+ * normalization statistics over all values of N-tuple records (the 'value' field)
+ * @param {string} dataType - DATA_TYPES key
+ * @returns {RecordLayout & { extent: number }}
+ */
+export function vectorValueLayout(dataType) {
+    const { size } = DATA_TYPES[dataType];
+    return { stride: size, extent: size, fields: { value: { offset: 0, type: dataType } } };
+}
+
+/**
+ * Throw unless an N-tuple has a whole number of at least three values
+ * @private
+ */
+function validateDimensions(dimensions) {
+    if (!Number.isInteger(dimensions) || dimensions < 3) {
+        throw new Error(`N-tuple records need a whole number of at least 3 values, got ${dimensions}`);
+    }
+}
+
+/**
+ * Place components back to back starting at an offset
+ * Vector types (e.g. 10:10:10:2) hold one component per lane inside a single element.
+ * @param {Object<string, LayoutField>} fields - Fields to add to
+ * @param {string[]} components - Component names in order
+ * @param {string} dataType - DATA_TYPES key
+ * @param {number} offset - Byte offset of the first component
+ * @param {string} [normalize] - Normalizer for every component
+ * @returns {number} - Byte offset just past the last component
+ * @private
+ */
+function packComponents(fields, components, dataType, offset, normalize) {
+    const config = DATA_TYPES[dataType];
+
+    if (config.lanes) {
+        if (components.length > config.lanes.length) {
+            throw new Error(`Data type ${dataType} has ${config.lanes.length} lanes, cannot hold ${components.join(', ')}`);
+        }
+        let laneOffset = offset;
+        config.lanes.forEach((lane, i) => {
+            if (i < components.length) {
+                fields[components[i]] = { offset: laneOffset, type: lane, normalize };
+            }
+            laneOffset += DATA_TYPES[lane].size;
+        });
+        return offset + config.size;
+    }
+
+    components.forEach((component, i) => {
+        fields[component] = { offset: offset + i * config.size, type: dataType, normalize };
+    });
+    return offset + components.length * config.size;
+}
+
+/**
+ * Validate a layout and fill in defaults
+ * @param {RecordLayout} layout - Layout to validate (field types may be omitted)
+ * @param {string} defaultType - DATA_TYPES key for fields without an explicit type
+ * @returns {RecordLayout & { extent: number }} - Layout with every field typed, plus the
+ *   number of bytes a record actually touches (may be less than stride)
+ */
+export function resolveRecordLayout(layout, defaultType) {
+    if (!layout || !layout.fields) {
+        throw new Error('Invalid record layout - expected { stride, fields }');
+    }
+
+    const fields = {};
+    let extent = 0;
+
+    for (const [component, field] of Object.entries(layout.fields)) {
+        if (!LAYOUT_COMPONENTS.includes(component)) {
+            throw new Error(`Unknown layout component "${component}". Expected one of: ${LAYOUT_COMPONENTS.join(', ')}`);
+        }
+
+        const type = field.type || defaultType;
+        const config = DATA_TYPES[type];
+        if (!config) {
+            throw new Error(`Unsupported data type for ${component}: ${type}. Supported types: ${Object.keys(DATA_TYPES).join(', ')}`);
+        }
+        if (config.lanes) {
+            throw new Error(`Vector type ${type} cannot be used for a single component; use its lane type ${config.lanes[0]} instead`);
+        }
+        if (!isEighthMultiple(field.offset) || field.offset < 0) {
+            throw new Error(`Invalid offset for ${component}: ${field.offset}`);
+        }
+        const normalize = field.normalize || 'auto';
+        if (!FIELD_NORMALIZERS.includes(normalize)) {
+            throw new Error(`Unknown normalizer for ${component}: ${normalize}. Supported normalizers: ${FIELD_NORMALIZERS.join(', ')}`);
+        }
+
+        fields[component] = { offset: field.offset, type, normalize };
+        extent = Math.max(extent, field.offset + config.size);
+    }
+
+    for (const component of ['x', 'y', 'z']) {
+        if (!fields[component]) {
+            throw new Error(`Record layout must define ${component}`);
+        }
+    }
+
+    const colorCount = ['r', 'g', 'b'].filter(c => fields[c]).length;
+    if (colorCount !== 0 && colorCount !== 3) {
+        throw new Error('Record layout must define all of r, g, b or none of them');
+    }
+    if (fields.a && colorCount === 0) {
+        throw new Error('Record layout alpha (a) requires r, g, b');
+    }
+
+    const stride = layout.stride === undefined ? extent : layout.stride;
+    if (!isEighthMultiple(stride) || stride <= 0) {
+        throw new Error(`Invalid record stride: ${layout.stride}`);
+    }
+    if (extent > stride) {
+        throw new Error(`Record fields span ${extent} bytes, which exceeds the stride of ${stride}`);
+    }
+
+    if (layout.dimensions !== undefined) {
+        validateDimensions(layout.dimensions);
+        const valuesEnd = fields.x.offset + layout.dimensions * DATA_TYPES[fields.x.type].size;
+        if (valuesEnd > stride) {
+            throw new Error(`N-tuple values span ${valuesEnd} bytes, which exceeds the stride of ${stride}`);
+        }
+        return { stride, fields, extent: Math.max(extent, stride), dimensions: layout.dimensions };
+    }
+
+    return { stride, fields, extent };
+}
+
+/**
+ * Whether a byte offset lands on a bit boundary
+ * @private
+ */
+function isEighthMultiple(value) {
+    return Number.isInteger(value * 8);
+}
+
+/**
+ * Smallest whole number of bytes holding a whole number of records
+ * Used to align chunk boundaries for layouts with fractional (sub-byte) strides.
+ * @param {RecordLayout} layout - Layout with a stride in bytes
+ * @returns {number}
+ */
+export function recordAlignment(layout) {
+    let alignment = layout.stride;
+    while (!Number.isInteger(alignment)) {
+        alignment += layout.stride;
+    }
+    return alignment;
+}
+
+/**
+ * Parse a layout from its text form, e.g. "stride=32 x=0 y=4 z=8 r=24:uint8 g=25:uint8 b=26:uint8"
+ * or "stride=4 x=0:uint10 y=1.25:uint10 z=2.5:uint10" for bit-packed fields
+ *
+ * Tokens may be separated by spaces, commas or semicolons. Each component is
+ * `<name>=<offset>[:<type>[:<normalizer>]]`; components without a type use the default
+ * type and components without a normalizer use 'auto'.
+ * If stride is omitted it defaults to the bytes spanned by the fields.
+ *
+ * @param {string} text - Layout text
+ * @param {string} defaultType - DATA_TYPES key for fields without an explicit type
+ * @returns {RecordLayout & { extent: number }}
+ */
+export function parseRecordLayout(text, defaultType) {
+    const layout = { fields: {} };
+
+    for (const token of text.trim().split(/[\s,;]+/).filter(t => t.length > 0)) {
+        const match = /^(\w+)\s*=\s*(\d+(?:\.\d+)?)(?::(\w+))?(?::(\w+))?$/.exec(token);
+        if (!match) {
+            throw new Error(`Invalid layout entry "${token}" - expected name=offset[:type[:normalizer]] or stride=bytes`);
+        }
+
+        const [, name, value, type, normalize] = match;
+        if (name === 'stride') {
+            layout.stride = parseFloat(value);
+        } else {
+            layout.fields[name] = { offset: parseFloat(value), type, normalize };
+        }
+    }
+
+    return resolveRecordLayout(layout, defaultType);
+}
+
+/**
+ * Format a layout back into its text form
+ * @param {RecordLayout} layout - Layout to format
+ * @returns {string}
+ */
+export function formatRecordLayout(layout) {
+    const parts = [`stride=${layout.stride}`];
+    for (const component of LAYOUT_COMPONENTS) {
+        const field = layout.fields[component];
+        if (field) {
+            const normalize = field.normalize && field.normalize !== 'auto' ? `:${field.normalize}` : '';
+            parts.push(`${component}=${field.offset}:${field.type}${normalize}`);
+        }
+    }
+    return parts.join(' ');
+}
@@ -0,0 +1,128 @@
+/**
+ * SparseCellSet.js
+ * Open-addressing hash set of quantized cells for high quantization bit depths
+ *
+ * A dense bit array needs 2^(3q) bits, which is 128 MB at q=10 and impossible beyond
+ * that. The number of occupied cells is bounded by the number of tuples in a chunk,
+ * so a hash set sized to the input scales to 21 bits per axis (63-bit cell index).
+ *
+ * Each cell index is packed into two uint32 words (21 bits per axis) and probed
+ * linearly. Every entry also carries an int32 value so the set doubles as a cell →
+ * point map for density counting.
+ */
+
+/**
+ * Highest quantization depth that uses the dense bit array
+ * @type {number}
+ */
+export const DENSE_QUANTIZATION_BITS = 10;
+
+/**
+ * Highest supported quantization depth (21 bits per axis packs into 63 bits)
+ * @type {number}
+ */
+export const MAX_QUANTIZATION_BITS = 21;
+
+/**
+ * Marker for an empty slot in the high key word (a packed high word never sets bit 31)
+ */
+const EMPTY = 0xFFFFFFFF;
+
+/**
+ * Maximum fill ratio before the table grows
+ */
+const MAX_LOAD = 0.5;
+
+/**
+ * Hash set of quantized (qx, qy, qz) cells with one int32 value per cell
+ */
+export class SparseCellSet {
+    /**
+     * @param {number} [expectedCount=1024] - Expected number of distinct cells, used to size the table
+     */
+    constructor(expectedCount = 1024) {
+        let capacity = 16;
+        while (capacity * MAX_LOAD < expectedCount) {
+            capacity *= 2;
+        }
+        this.allocate(capacity);
+        this.size = 0;
+    }
+
+    /**
+     * Allocate empty key and value tables
+     * @private
+     */
+    allocate(capacity) {
+        this.capacity = capacity;
+        this.mask = capacity - 1;
+        this.keysLow = new Uint32Array(capacity);
+        this.keysHigh = new Uint32Array(capacity).fill(EMPTY);
+        this.values = new Int32Array(capacity);
+    }
+
+    /**
+     * Find the slot holding a key, or the empty slot where it would be inserted
+     * @private
+     */
+    findSlot(low, high) {
+        // Murmur3-style mix of both words
+        let h = Math.imul(low ^ Math.imul(high, 0x9E3779B1), 0x85EBCA6B);
+        h ^= h >>> 13;
+        h = Math.imul(h, 0xC2B2AE35);
+        h ^= h >>> 16;
+
+        let slot = h & this.mask;
+        while (this.keysHigh[slot] !== EMPTY && (this.keysHigh[slot] !== high || this.keysLow[slot] !== low)) {
+            slot = (slot + 1) & this.mask;
+        }
+        return slot;
+    }
+
+    /**
+     * Double the table and reinsert every entry
+     * @private
+     */
+    grow() {
+        const { keysLow, keysHigh, values, capacity } = this;
+        this.allocate(capacity * 2);
+
+        for (let i = 0; i < capacity; i++) {
+            if (keysHigh[i] !== EMPTY) {
+                const slot = this.findSlot(keysLow[i], keysHigh[i]);
+                this.keysLow[slot] = keysLow[i];
+                this.keysHigh[slot] = keysHigh[i];
+                this.values[slot] = values[i];
+            }
+        }
+    }
+
+    /**
+     * Add a cell if it is not present yet
+     * @param {number} qx - Quantized x (0 to 2^21-1)
+     * @param {number} qy - Quantized y (0 to 2^21-1)
+     * @param {number} qz - Quantized z (0 to 2^21-1)
+     * @param {number} [value=0] - Value stored with a newly added cell
+     * @returns {number} -1 if the cell was added, otherwise the value stored for it
+     */
+    add(qx, qy, qz, value = 0) {
+        // 21 bits per axis: x and the low 11 bits of y, then the high 10 bits of y and z
+        const low = (qx | (qy << 21)) >>> 0;
+        const high = (qy >>> 11) | (qz << 10);
+
+        const slot = this.findSlot(low, high);
+        if (this.keysHigh[slot] !== EMPTY) {
+            return this.values[slot];
+        }
+
+        this.keysLow[slot] = low;
+        this.keysHigh[slot] = high;
+        this.values[slot] = value;
+        this.size++;
+
+        if (this.size > this.capacity * MAX_LOAD) {
+            this.grow();
+        }
+        return -1;
+    }
+}
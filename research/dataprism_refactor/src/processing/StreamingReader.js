@@ -0,0 +1,106 @@
+/**
+ * StreamingReader.js
+ * Random-access and sequential chunk reading over a Blob/File without loading it into memory
+ *
+ * Uses Blob.slice so only the requested byte range is ever read, which lets multi-gigabyte
+ * files be explored chunk by chunk. An ArrayBuffer can be wrapped too (e.g. for fetched data
+ * or tests), in which case ranges are sliced from memory.
+ */
+
+/**
+ * Range reader over a Blob, File or ArrayBuffer
+ */
+export class StreamingReader {
+    /**
+     * @param {Blob|ArrayBuffer} source - Data to read from
+     */
+    constructor(source) {
+        if (source instanceof ArrayBuffer) {
+            this.buffer = source;
+            this.blob = null;
+            this.size = source.byteLength;
+        } else if (source && typeof source.slice === 'function' && typeof source.size === 'number') {
+            this.buffer = null;
+            this.blob = source;
+            this.size = source.size;
+        } else {
+            throw new Error('Invalid source provided - must be a Blob, File or ArrayBuffer');
+        }
+
+        // Offset of this reader's first byte in the original file (see subrange); null when
+        // the bytes do not exist in the file as such (e.g. inflated from a compressed member)
+        this.baseOffset = 0;
+    }
+
+    /**
+     * Read a byte range
+     * @param {number} start - Start offset in bytes (inclusive)
+     * @param {number} end - End offset in bytes (exclusive, clamped to the source size)
+     * @returns {Promise<ArrayBuffer>} - A new ArrayBuffer holding only the requested range
+     */
+    async read(start, end) {
+        start = Math.max(0, start);
+        end = Math.min(end, this.size);
+        if (end <= start) {
+            return new ArrayBuffer(0);
+        }
+
+        if (this.buffer) {
+            return this.buffer.slice(start, end);
+        }
+
+        const slice = this.blob.slice(start, end);
+        if (typeof slice.arrayBuffer === 'function') {
+            return slice.arrayBuffer();
+        }
+
+        // Older browsers without Blob.arrayBuffer
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(reader.error || new Error(`Failed to read bytes ${start}-${end}`));
+            reader.readAsArrayBuffer(slice);
+        });
+    }
+
+    /**
+     * Get a reader over a byte range of this source, without reading it
+     * @param {number} start - Start offset in bytes (inclusive)
+     * @param {number} end - End offset in bytes (exclusive, clamped to the source size)
+     * @returns {StreamingReader}
+     */
+    subrange(start, end) {
+        start = Math.max(0, start);
+        end = Math.max(start, Math.min(end, this.size));
+        const reader = new StreamingReader(this.buffer ? this.buffer.slice(start, end) : this.blob.slice(start, end));
+        reader.baseOffset = this.baseOffset === null ? null : this.baseOffset + start;
+        return reader;
+    }
+
+    /**
+     * Read the whole source into memory
+     * Only use for formats that must be parsed as a unit (e.g. imported point clouds).
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async readAll() {
+        return this.buffer || this.read(0, this.size);
+    }
+
+    /**
+     * Sequentially yield fixed-size chunks, reading each one only when requested
+     * @param {number} startOffset - Byte offset of the first chunk
+     * @param {number} chunkSize - Size of each chunk in bytes
+     * @param {number} [maxChunks=Infinity] - Maximum number of chunks to yield
+     * @yields {{ chunkIndex: number, start: number, end: number, buffer: ArrayBuffer }}
+     */
+    async *chunks(startOffset, chunkSize, maxChunks = Infinity) {
+        if (chunkSize <= 0) {
+            throw new Error('Chunk size must be positive');
+        }
+
+        for (let chunkIndex = 0, start = startOffset; chunkIndex < maxChunks && start < this.size; chunkIndex++, start += chunkSize) {
+            const end = Math.min(start + chunkSize, this.size);
+            yield { chunkIndex, start, end, buffer: await this.read(start, end) };
+        }
+    }
+}
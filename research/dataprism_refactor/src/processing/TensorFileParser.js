@@ -0,0 +1,576 @@
+/**
+ * TensorFileParser.js
+ * Tensor index readers for model and array files (safetensors, GGUF, NumPy .npy/.npz)
+ *
+ * Only headers are read: each format is turned into a list of tensors with their
+ * source dtype, shape and byte range, plus the matching DATA_TYPES entry, so a single
+ * tensor can be streamed out of a multi-gigabyte file without touching the rest.
+ *
+ * @typedef {Object} TensorInfo
+ * @property {string} name - Tensor name (member name for .npz)
+ * @property {string} dtype - Dtype as written in the file (e.g. 'BF16', '<f4', 'Q4_K')
+ * @property {string} dataType - DATA_TYPES key used to decode the elements
+ * @property {boolean} exact - False when the dtype has no DATA_TYPES equivalent (e.g. GGUF
+ *   quantized blocks) and dataType is a raw byte fallback
+ * @property {number[]} shape - Dimensions, slowest varying first
+ * @property {number} elementCount - Number of elements
+ * @property {number} offset - Absolute byte offset of the tensor data in the file
+ * @property {number} byteLength - Size of the tensor data in bytes
+ * @property {boolean} isLittleEndian - Byte order of the elements
+ * @property {Object} [compressed] - For deflated .npz members: { memberOffset, compressedSize, dataOffset }
+ */
+
+import { StreamingReader } from './StreamingReader.js';
+
+/**
+ * File extensions recognized as tensor files
+ * @type {Object<string, string>}
+ */
+export const TENSOR_FILE_EXTENSIONS = {
+    safetensors: 'safetensors',
+    gguf: 'gguf',
+    npy: 'npy',
+    npz: 'npz'
+};
+
+/**
+ * safetensors dtypes mapped to DATA_TYPES keys
+ */
+const SAFETENSORS_DTYPES = {
+    F64: 'fp64', F32: 'fp32', F16: 'fp16', BF16: 'bf16',
+    F8_E4M3: 'fp8_e4m3', F8_E5M2: 'fp8_e5m2',
+    I64: 'int64', I32: 'int32', I16: 'int16', I8: 'int8',
+    U64: 'uint64', U32: 'uint32', U16: 'uint16', U8: 'uint8',
+    BOOL: 'uint8'
+};
+
+/**
+ * Bytes per element of each safetensors dtype
+ */
+const SAFETENSORS_SIZES = {
+    F64: 8, F32: 4, F16: 2, BF16: 2, F8_E4M3: 1, F8_E5M2: 1,
+    I64: 8, I32: 4, I16: 2, I8: 1, U64: 8, U32: 4, U16: 2, U8: 1, BOOL: 1
+};
+
+/**
+ * GGML tensor types: name, elements per block, bytes per block and DATA_TYPES key
+ * Block-quantized types have no DATA_TYPES equivalent and are exposed as raw uint8.
+ */
+const GGML_TYPES = {
+    0: { name: 'F32', blockSize: 1, typeSize: 4, dataType: 'fp32' },
+    1: { name: 'F16', blockSize: 1, typeSize: 2, dataType: 'fp16' },
+    2: { name: 'Q4_0', blockSize: 32, typeSize: 18 },
+    3: { name: 'Q4_1', blockSize: 32, typeSize: 20 },
+    6: { name: 'Q5_0', blockSize: 32, typeSize: 22 },
+    7: { name: 'Q5_1', blockSize: 32, typeSize: 24 },
+    8: { name: 'Q8_0', blockSize: 32, typeSize: 34 },
+    9: { name: 'Q8_1', blockSize: 32, typeSize: 36 },
+    10: { name: 'Q2_K', blockSize: 256, typeSize: 84 },
+    11: { name: 'Q3_K', blockSize: 256, typeSize: 110 },
+    12: { name: 'Q4_K', blockSize: 256, typeSize: 144 },
+    13: { name: 'Q5_K', blockSize: 256, typeSize: 176 },
+    14: { name: 'Q6_K', blockSize: 256, typeSize: 210 },
+    15: { name: 'Q8_K', blockSize: 256, typeSize: 292 },
+    16: { name: 'IQ2_XXS', blockSize: 256, typeSize: 66 },
+    17: { name: 'IQ2_XS', blockSize: 256, typeSize: 74 },
+    18: { name: 'IQ3_XXS', blockSize: 256, typeSize: 98 },
+    19: { name: 'IQ1_S', blockSize: 256, typeSize: 50 },
+    20: { name: 'IQ4_NL', blockSize: 32, typeSize: 18 },
+    21: { name: 'IQ3_S', blockSize: 256, typeSize: 110 },
+    22: { name: 'IQ2_S', blockSize: 256, typeSize: 82 },
+    23: { name: 'IQ4_XS', blockSize: 256, typeSize: 136 },
+    24: { name: 'I8', blockSize: 1, typeSize: 1, dataType: 'int8' },
+    25: { name: 'I16', blockSize: 1, typeSize: 2, dataType: 'int16' },
+    26: { name: 'I32', blockSize: 1, typeSize: 4, dataType: 'int32' },
+    27: { name: 'I64', blockSize: 1, typeSize: 8, dataType: 'int64' },
+    28: { name: 'F64', blockSize: 1, typeSize: 8, dataType: 'fp64' },
+    29: { name: 'IQ1_M', blockSize: 256, typeSize: 56 },
+    30: { name: 'BF16', blockSize: 1, typeSize: 2, dataType: 'bf16' },
+    34: { name: 'TQ1_0', blockSize: 256, typeSize: 54 },
+    35: { name: 'TQ2_0', blockSize: 256, typeSize: 66 },
+    39: { name: 'MXFP4', blockSize: 32, typeSize: 17 }
+};
+
+/**
+ * GGUF metadata value types: byte size for fixed-size values
+ */
+const GGUF_VALUE_SIZES = { 0: 1, 1: 1, 2: 2, 3: 2, 4: 4, 5: 4, 6: 4, 7: 1, 10: 8, 11: 8, 12: 8 };
+const GGUF_STRING = 8;
+const GGUF_ARRAY = 9;
+
+/**
+ * Default GGUF tensor data alignment when general.alignment is absent
+ */
+const GGUF_DEFAULT_ALIGNMENT = 32;
+
+/**
+ * NumPy dtype kinds and sizes mapped to DATA_TYPES keys
+ */
+const NUMPY_DTYPES = {
+    f2: 'fp16', f4: 'fp32', f8: 'fp64',
+    i1: 'int8', i2: 'int16', i4: 'int32', i8: 'int64',
+    u1: 'uint8', u2: 'uint16', u4: 'uint32', u8: 'uint64',
+    b1: 'uint8'
+};
+
+/**
+ * Initial header read size; grown until the header parses
+ */
+const INITIAL_HEADER_BYTES = 1 << 20;
+
+/**
+ * Largest header we are willing to load (GGUF tokenizer vocabularies can be tens of MB)
+ */
+const MAX_HEADER_BYTES = 256 << 20;
+
+/**
+ * Detect the tensor file format from its name and magic bytes
+ * @param {ArrayBuffer} buffer - At least the first 16 bytes of the file
+ * @param {string} [fileName=''] - Original file name (used for extension matching)
+ * @returns {string|null} - 'safetensors', 'gguf', 'npy', 'npz' or null
+ */
+export function detectTensorFormat(buffer, fileName = '') {
+    const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 16));
+    const magic = String.fromCharCode(...bytes);
+    const extension = fileName.split('.').pop().toLowerCase();
+
+    if (magic.startsWith('GGUF')) {
+        return 'gguf';
+    }
+    if (magic.startsWith('\x93NUMPY')) {
+        return 'npy';
+    }
+    if (magic.startsWith('PK\x03\x04') && extension === 'npz') {
+        return 'npz';
+    }
+    // safetensors: u64 header length followed by a JSON object
+    if (bytes.length >= 9 && bytes[8] === 0x7B && bytes[6] === 0 && bytes[7] === 0) {
+        return 'safetensors';
+    }
+
+    return TENSOR_FILE_EXTENSIONS[extension] && extension !== 'npz' ? TENSOR_FILE_EXTENSIONS[extension] : null;
+}
+
+/**
+ * Read the tensor index of a tensor file
+ * @param {import('./StreamingReader.js').StreamingReader} source - Reader over the whole file
+ * @param {string} format - Format from detectTensorFormat
+ * @returns {Promise<{ format: string, tensors: TensorInfo[], metadata: Object }>}
+ */
+export async function readTensorIndex(source, format) {
+    switch (format) {
+        case 'safetensors':
+            return readSafetensorsIndex(source);
+        case 'gguf':
+            return readGrowingHeader(source, buffer => parseGGUFIndex(buffer, source.size));
+        case 'npy': {
+            const tensor = await readNpyTensor(source, 0, 'array');
+            return { format, tensors: [tensor], metadata: {} };
+        }
+        case 'npz':
+            return readNpzIndex(source);
+        default:
+            throw new Error(`Unsupported tensor format: ${format}`);
+    }
+}
+
+/**
+ * Get a reader over just one tensor's bytes
+ * Uncompressed tensors are sliced lazily; deflated .npz members are inflated into memory.
+ * @param {import('./StreamingReader.js').StreamingReader} source - Reader over the whole file
+ * @param {TensorInfo} tensor - Tensor from readTensorIndex
+ * @returns {Promise<import('./StreamingReader.js').StreamingReader>}
+ */
+export async function openTensor(source, tensor) {
+    if (!tensor.compressed) {
+        return source.subrange(tensor.offset, tensor.offset + tensor.byteLength);
+    }
+
+    const { memberOffset, compressedSize, dataOffset } = tensor.compressed;
+    const member = await inflate(source, memberOffset, compressedSize);
+    const reader = new StreamingReader(member.slice(dataOffset, dataOffset + tensor.byteLength));
+    reader.baseOffset = null; // Inflated bytes have no offset in the archive
+    return reader;
+}
+
+/**
+ * Short human readable description of a tensor, e.g. "layers.0.attn.q (BF16 [4096, 4096])"
+ * @param {TensorInfo} tensor - Tensor from readTensorIndex
+ * @returns {string}
+ */
+export function describeTensor(tensor) {
+    const fallback = tensor.exact ? '' : ` as ${tensor.dataType}`;
+    return `${tensor.name} (${tensor.dtype}${fallback} [${tensor.shape.join(', ')}])`;
+}
+
+/**
+ * Read successively larger header prefixes until the parser no longer runs out of bytes
+ * @private
+ */
+async function readGrowingHeader(source, parse) {
+    for (let length = INITIAL_HEADER_BYTES; ; length *= 2) {
+        const buffer = await source.read(0, Math.min(length, source.size));
+        try {
+            return parse(buffer);
+        } catch (error) {
+            if (!(error instanceof RangeError) || buffer.byteLength >= source.size || length >= MAX_HEADER_BYTES) {
+                throw error instanceof RangeError ? new Error('Tensor file header is truncated or too large') : error;
+            }
+        }
+    }
+}
+
+/**
+ * Parse a safetensors header: u64 little endian length, JSON { name: { dtype, shape, data_offsets } }
+ * @private
+ */
+async function readSafetensorsIndex(source) {
+    const lengthView = new DataView(await source.read(0, 8));
+    const headerLength = Number(lengthView.getBigUint64(0, true));
+    if (headerLength <= 0 || 8 + headerLength > source.size || headerLength > MAX_HEADER_BYTES) {
+        throw new Error(`Invalid safetensors header length: ${headerLength}`);
+    }
+
+    const header = JSON.parse(new TextDecoder('utf-8').decode(await source.read(8, 8 + headerLength)));
+    const dataStart = 8 + headerLength;
+    const tensors = [];
+
+    for (const [name, entry] of Object.entries(header)) {
+        if (name === '__metadata__') continue;
+
+        const [begin, end] = entry.data_offsets;
+        const dataType = SAFETENSORS_DTYPES[entry.dtype];
+        tensors.push({
+            name,
+            dtype: entry.dtype,
+            dataType: dataType || 'uint8',
+            exact: !!dataType,
+            shape: entry.shape,
+            elementCount: entry.shape.reduce((a, b) => a * b, 1),
+            offset: dataStart + begin,
+            byteLength: end - begin,
+            isLittleEndian: true
+        });
+
+        if (SAFETENSORS_SIZES[entry.dtype] && end - begin !== tensors[tensors.length - 1].elementCount * SAFETENSORS_SIZES[entry.dtype]) {
+            console.warn(`safetensors tensor ${name} spans ${end - begin} bytes, expected ${tensors[tensors.length - 1].elementCount * SAFETENSORS_SIZES[entry.dtype]}`);
+        }
+    }
+
+    tensors.sort((a, b) => a.offset - b.offset);
+    return { format: 'safetensors', tensors, metadata: header.__metadata__ || {} };
+}
+
+/**
+ * Parse a GGUF (v2/v3) header: metadata key/values followed by tensor infos
+ * @private
+ */
+function parseGGUFIndex(buffer, fileSize) {
+    const view = new DataView(buffer);
+    // GGUF is little endian unless the version reads byte-swapped
+    const littleEndian = view.getUint32(4, true) < 0x10000;
+    const version = view.getUint32(4, littleEndian);
+    if (version < 2) {
+        throw new Error(`GGUF version ${version} is not supported (need 2 or later)`);
+    }
+
+    let offset = 8;
+    const u32 = () => { const v = view.getUint32(offset, littleEndian); offset += 4; return v; };
+    const u64 = () => { const v = Number(view.getBigUint64(offset, littleEndian)); offset += 8; return v; };
+    const string = () => {
+        const length = u64();
+        const text = new TextDecoder('utf-8').decode(new Uint8Array(buffer, offset, length));
+        offset += length;
+        return text;
+    };
+    const scalar = (type) => {
+        const size = GGUF_VALUE_SIZES[type];
+        let value;
+        switch (type) {
+            case 0: value = view.getUint8(offset); break;
+            case 1: value = view.getInt8(offset); break;
+            case 2: value = view.getUint16(offset, littleEndian); break;
+            case 3: value = view.getInt16(offset, littleEndian); break;
+            case 4: value = view.getUint32(offset, littleEndian); break;
+            case 5: value = view.getInt32(offset, littleEndian); break;
+            case 6: value = view.getFloat32(offset, littleEndian); break;
+            case 7: value = view.getUint8(offset) !== 0; break;
+            case 10: value = Number(view.getBigUint64(offset, littleEndian)); break;
+            case 11: value = Number(view.getBigInt64(offset, littleEndian)); break;
+            case 12: value = view.getFloat64(offset, littleEndian); break;
+            default: throw new Error(`Unknown GGUF metadata type: ${type}`);
+        }
+        offset += size;
+        return value;
+    };
+
+    const tensorCount = u64();
+    const kvCount = u64();
+    const metadata = {};
+
+    for (let i = 0; i < kvCount; i++) {
+        const key = string();
+        const type = u32();
+        if (type === GGUF_STRING) {
+            metadata[key] = string();
+        } else if (type === GGUF_ARRAY) {
+            // Arrays (e.g. tokenizer vocabularies) are skipped and summarized by length
+            const itemType = u32();
+            const length = u64();
+            if (itemType === GGUF_STRING) {
+                for (let j = 0; j < length; j++) {
+                    const itemLength = u64();
+                    offset += itemLength;
+                }
+            } else if (GGUF_VALUE_SIZES[itemType]) {
+                offset += length * GGUF_VALUE_SIZES[itemType];
+            } else {
+                throw new Error(`Unsupported GGUF array item type: ${itemType}`);
+            }
+            metadata[key] = { array: itemType, length };
+        } else {
+            metadata[key] = scalar(type);
+        }
+    }
+
+    const tensors = [];
+    for (let i = 0; i < tensorCount; i++) {
+        const name = string();
+        const dims = [];
+        const dimCount = u32();
+        for (let d = 0; d < dimCount; d++) dims.push(u64());
+        const ggmlType = u32();
+        const relativeOffset = u64();
+
+        const type = GGML_TYPES[ggmlType] || { name: `GGML_${ggmlType}` };
+        const elementCount = dims.reduce((a, b) => a * b, 1);
+        tensors.push({
+            name,
+            dtype: type.name,
+            dataType: type.dataType || 'uint8',
+            exact: !!type.dataType,
+            // ggml lists the fastest varying dimension first
+            shape: dims.slice().reverse(),
+            elementCount,
+            relativeOffset,
+            byteLength: type.blockSize ? Math.ceil(elementCount / type.blockSize) * type.typeSize : null,
+            isLittleEndian: littleEndian
+        });
+    }
+
+    const alignment = metadata['general.alignment'] || GGUF_DEFAULT_ALIGNMENT;
+    const dataStart = Math.ceil(offset / alignment) * alignment;
+
+    tensors.sort((a, b) => a.relativeOffset - b.relativeOffset);
+    tensors.forEach((tensor, i) => {
+        tensor.offset = dataStart + tensor.relativeOffset;
+        delete tensor.relativeOffset;
+        // Unknown types span up to the next tensor
+        if (tensor.byteLength === null) {
+            tensor.byteLength = (i + 1 < tensors.length ? dataStart + tensors[i + 1].relativeOffset : fileSize) - tensor.offset;
+        }
+    });
+
+    return { format: 'gguf', tensors, metadata: { version, ...metadata } };
+}
+
+/**
+ * Parse a .npy header at an offset: magic, version, header length, then a Python dict literal
+ * such as {'descr': '<f4', 'fortran_order': False, 'shape': (3, 4), }
+ * @private
+ */
+async function readNpyTensor(source, start, name) {
+    const preamble = new DataView(await source.read(start, start + 12));
+    const major = preamble.getUint8(6);
+    const headerLength = major === 1 ? preamble.getUint16(8, true) : preamble.getUint32(8, true);
+    const headerStart = start + (major === 1 ? 10 : 12);
+    const header = new TextDecoder(major >= 3 ? 'utf-8' : 'latin1').decode(await source.read(headerStart, headerStart + headerLength));
+    return npyTensorFromHeader(header, name, headerStart + headerLength);
+}
+
+/**
+ * Build a TensorInfo from a .npy header dict literal
+ * @private
+ */
+function npyTensorFromHeader(header, name, dataOffset) {
+    const descr = /'descr'\s*:\s*'([^']*)'/.exec(header);
+    const shape = /'shape'\s*:\s*\(([^)]*)\)/.exec(header);
+    if (!descr || !shape) {
+        throw new Error(`Invalid .npy header for ${name}: ${header.trim()}`);
+    }
+
+    const [, byteOrder, kind] = /^([<>|=]?)([a-zA-Z])(\d*)$/.exec(descr[1]) || [];
+    const size = parseInt(descr[1].replace(/^[<>|=]?[a-zA-Z]/, '')) || 0;
+    const dataType = NUMPY_DTYPES[`${kind}${size}`];
+    const dims = shape[1].split(',').map(d => d.trim()).filter(d => d.length > 0).map(Number);
+    const elementCount = dims.reduce((a, b) => a * b, 1);
+
+    if (/'fortran_order'\s*:\s*True/.test(header)) {
+        console.warn(`${name} is stored in Fortran (column-major) order; elements are shown in file order`);
+    }
+
+    return {
+        name,
+        dtype: descr[1],
+        dataType: dataType || 'uint8',
+        exact: !!dataType,
+        shape: dims,
+        elementCount,
+        offset: dataOffset,
+        byteLength: dataType ? elementCount * size : elementCount * (size || 1),
+        isLittleEndian: byteOrder !== '>'
+    };
+}
+
+/**
+ * List the .npy members of an .npz (zip) archive from its central directory
+ * Stored members are sliced in place; deflated members (np.savez_compressed) are inflated
+ * just far enough to read their .npy header.
+ * @private
+ */
+async function readNpzIndex(source) {
+    const entries = await readZipDirectory(source);
+    const tensors = [];
+
+    for (const entry of entries) {
+        if (!entry.name.endsWith('.npy')) continue;
+        const name = entry.name.slice(0, -4);
+
+        // Local header: fixed 30 bytes, then its own name and extra field lengths
+        const local = new DataView(await source.read(entry.localOffset, entry.localOffset + 30));
+        if (local.getUint32(0, true) !== 0x04034B50) {
+            throw new Error(`Invalid zip local header for ${entry.name}`);
+        }
+        const memberOffset = entry.localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+
+        if (entry.method === 0) {
+            tensors.push(await readNpyTensor(source, memberOffset, name));
+        } else if (entry.method === 8) {
+            const prefix = await inflate(source, memberOffset, entry.compressedSize, 65536);
+            const preamble = new DataView(prefix);
+            const major = preamble.getUint8(6);
+            const headerLength = major === 1 ? preamble.getUint16(8, true) : preamble.getUint32(8, true);
+            const headerStart = major === 1 ? 10 : 12;
+            const header = new TextDecoder('latin1').decode(new Uint8Array(prefix, headerStart, headerLength));
+            const tensor = npyTensorFromHeader(header, name, headerStart + headerLength);
+            tensor.compressed = { memberOffset, compressedSize: entry.compressedSize, dataOffset: tensor.offset };
+            tensors.push(tensor);
+        } else {
+            console.warn(`Skipping ${entry.name}: unsupported zip compression method ${entry.method}`);
+        }
+    }
+
+    return { format: 'npz', tensors, metadata: {} };
+}
+
+/**
+ * Read the central directory of a zip archive (with zip64 support)
+ * @private
+ */
+async function readZipDirectory(source) {
+    // End of central directory record: 22 bytes plus up to 64 KB of comment
+    const tailStart = Math.max(0, source.size - 22 - 65535);
+    const tail = await source.read(tailStart, source.size);
+    const tailView = new DataView(tail);
+
+    let eocd = -1;
+    for (let i = tail.byteLength - 22; i >= 0; i--) {
+        if (tailView.getUint32(i, true) === 0x06054B50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) {
+        throw new Error('Invalid .npz archive: end of central directory not found');
+    }
+
+    let entryCount = tailView.getUint16(eocd + 10, true);
+    let directorySize = tailView.getUint32(eocd + 12, true);
+    let directoryOffset = tailView.getUint32(eocd + 16, true);
+
+    // Zip64 end of central directory locator sits just before the classic record
+    if (eocd >= 20 && tailView.getUint32(eocd - 20, true) === 0x07064B50) {
+        const zip64Offset = Number(tailView.getBigUint64(eocd - 12, true));
+        const zip64 = new DataView(await source.read(zip64Offset, zip64Offset + 56));
+        entryCount = Number(zip64.getBigUint64(32, true));
+        directorySize = Number(zip64.getBigUint64(40, true));
+        directoryOffset = Number(zip64.getBigUint64(48, true));
+    }
+
+    const directory = new DataView(await source.read(directoryOffset, directoryOffset + directorySize));
+    const entries = [];
+    let offset = 0;
+
+    for (let i = 0; i < entryCount; i++) {
+        if (directory.getUint32(offset, true) !== 0x02014B50) {
+            throw new Error('Invalid .npz archive: corrupt central directory');
+        }
+        const method = directory.getUint16(offset + 10, true);
+        let compressedSize = directory.getUint32(offset + 20, true);
+        let uncompressedSize = directory.getUint32(offset + 24, true);
+        const nameLength = directory.getUint16(offset + 28, true);
+        const extraLength = directory.getUint16(offset + 30, true);
+        const commentLength = directory.getUint16(offset + 32, true);
+        let localOffset = directory.getUint32(offset + 42, true);
+        const name = new TextDecoder('utf-8').decode(new Uint8Array(directory.buffer, offset + 46, nameLength));
+
+        // Zip64 extended information extra field replaces saturated 32-bit values, in order
+        let extra = offset + 46 + nameLength;
+        const extraEnd = extra + extraLength;
+        while (extra + 4 <= extraEnd) {
+            const id = directory.getUint16(extra, true);
+            const size = directory.getUint16(extra + 2, true);
+            if (id === 0x0001) {
+                let field = extra + 4;
+                const next = () => { const v = Number(directory.getBigUint64(field, true)); field += 8; return v; };
+                if (uncompressedSize === 0xFFFFFFFF) uncompressedSize = next();
+                if (compressedSize === 0xFFFFFFFF) compressedSize = next();
+                if (localOffset === 0xFFFFFFFF) localOffset = next();
+            }
+            extra += 4 + size;
+        }
+
+        entries.push({ name, method, compressedSize, uncompressedSize, localOffset });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+/**
+ * Inflate a raw deflate stream from the source, optionally stopping after a prefix
+ * @param {import('./StreamingReader.js').StreamingReader} source - Reader over the file
+ * @param {number} start - Offset of the compressed data
+ * @param {number} length - Compressed size in bytes
+ * @param {number} [limit=Infinity] - Stop once at least this many bytes are inflated
+ * @returns {Promise<ArrayBuffer>}
+ * @private
+ */
+async function inflate(source, start, length, limit = Infinity) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('Compressed .npz members need DecompressionStream, which this browser does not support');
+    }
+
+    const compressed = await source.read(start, start + length);
+    const reader = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+    const parts = [];
+    let total = 0;
+
+    while (total < limit) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        parts.push(value);
+        total += value.byteLength;
+    }
+    if (total >= limit) {
+        await reader.cancel();
+    }
+
+    const output = new Uint8Array(total);
+    let position = 0;
+    for (const part of parts) {
+        output.set(part, position);
+        position += part.byteLength;
+    }
+    return output.buffer;
+}
@@ -0,0 +1,282 @@
+/**
+ * TypeDetector.js
+ * Data type and byte order suggestions for raw binary data
+ *
+ * Every DATA_TYPES candidate is decoded from a sample of the data in both byte orders
+ * and scored on signals that separate the right interpretation from the wrong ones:
+ * - NaN/Inf rate: misread floats hit the all-ones exponent far more often than real data
+ * - Exponent plausibility: real floats are normal numbers of moderate magnitude with a few
+ *   dominant exponents, whereas misread bytes give subnormals, huge magnitudes and
+ *   exponents spread across the whole field
+ * - Smoothness: neighbouring values of real data are closer than random pairs, while a wrong
+ *   width or byte order scrambles neighbours
+ * Byte entropy of the sample is reported alongside, since compressed or encrypted data
+ * has no right interpretation at all.
+ *
+ * @typedef {Object} TypeSuggestion
+ * @property {string} dataType - DATA_TYPES key
+ * @property {boolean} isLittleEndian - Byte order (always true for single-byte types)
+ * @property {number} score - Combined score, higher is better
+ * @property {number} confidence - Share of the total (softmax) weight among all candidates, 0 to 1
+ * @property {{ nonFinite: number, plausibility: number, smoothness: number }} metrics - Individual signals, 0 to 1
+ */
+
+import { DATA_TYPES } from '../utils/Constants.js';
+import { createExtendedDataView } from '../utils/FloatUtils.js';
+
+/**
+ * Bytes sampled from the data for detection
+ * @type {number}
+ */
+export const DETECTION_SAMPLE_BYTES = 65536;
+
+/**
+ * Maximum values decoded per candidate
+ * @type {number}
+ */
+export const MAX_DETECTION_VALUES = 4096;
+
+/**
+ * Byte entropy (bits per byte) above which the data is likely compressed or encrypted
+ * @type {number}
+ */
+export const HIGH_ENTROPY_BITS = 7.9;
+
+/**
+ * Smallest normal magnitude of each float format; smaller non-zero values are subnormal
+ */
+const FLOAT_MIN_NORMAL = {
+    fp16: 2 ** -14, bf16: 2 ** -126, fp32: 2 ** -126, fp64: 2 ** -1022,
+    fp8_e4m3: 2 ** -6, fp8_e5m2: 2 ** -14, fp6_e2m3: 1, fp6_e3m2: 2 ** -2, mxfp4: 1, nf4: 0
+};
+
+/**
+ * Number of distinct binary exponents (normal and subnormal) each float format can produce
+ */
+const FLOAT_EXPONENT_SPAN = {
+    fp16: 40, bf16: 261, fp32: 277, fp64: 2098,
+    fp8_e4m3: 18, fp8_e5m2: 32, fp6_e2m3: 6, fp6_e3m2: 9, mxfp4: 4, nf4: 5
+};
+
+/**
+ * Magnitude range considered plausible for real float data
+ */
+const PLAUSIBLE_MAGNITUDE = [1e-10, 1e10];
+
+/**
+ * Integers have no exponent field to check, so they start from a neutral plausibility that
+ * drops with the rate of wrap-arounds (neighbours more than half the type's range apart),
+ * which is how signed data read as unsigned (and vice versa) shows up
+ */
+const INTEGER_PLAUSIBILITY = 0.6;
+const WRAP_PENALTY = 50;
+
+/**
+ * Types that are rarely used for bulk data; they only win with clearly better evidence
+ */
+const RARE_TYPE_PENALTY = 0.1;
+const COMMON_TYPES = ['int8', 'uint8', 'int16', 'uint16', 'int32', 'uint32', 'fp16', 'bf16', 'fp32', 'fp64'];
+
+/**
+ * Weights of the individual signals in the combined score
+ */
+const WEIGHTS = { smoothness: 0.5, plausibility: 0.35, nonFinite: 1.0 };
+
+/**
+ * Softmax temperature turning scores into confidences
+ */
+const CONFIDENCE_TEMPERATURE = 0.08;
+
+/**
+ * Largest neighbour distance checked for smoothness (covers interleaved XYZ and XYZW)
+ */
+const MAX_SMOOTHNESS_LAG = 4;
+
+/**
+ * Shannon entropy of the byte histogram
+ * @param {ArrayBuffer} buffer - Data to measure
+ * @returns {number} - Bits per byte, 0 (constant) to 8 (uniformly random)
+ */
+export function byteEntropy(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (bytes.length === 0) return 0;
+
+    const histogram = new Uint32Array(256);
+    for (let i = 0; i < bytes.length; i++) {
+        histogram[bytes[i]]++;
+    }
+
+    let entropy = 0;
+    for (let i = 0; i < 256; i++) {
+        if (histogram[i] > 0) {
+            const p = histogram[i] / bytes.length;
+            entropy -= p * Math.log2(p);
+        }
+    }
+    return entropy;
+}
+
+/**
+ * Score one interpretation of the data
+ * @param {ArrayBuffer} buffer - Sample of the data
+ * @param {string} dataType - DATA_TYPES key (vector types are not supported)
+ * @param {boolean} isLittleEndian - Byte order to decode with
+ * @returns {TypeSuggestion|null} - Scored candidate without confidence, or null if the sample is too short
+ */
+export function scoreDataType(buffer, dataType, isLittleEndian) {
+    const config = DATA_TYPES[dataType];
+    if (!config || config.lanes) {
+        throw new Error(`Cannot score data type: ${dataType}`);
+    }
+
+    const count = Math.min(MAX_DETECTION_VALUES, Math.floor(buffer.byteLength / config.size));
+    if (count < 16) return null;
+
+    const view = createExtendedDataView(buffer);
+    const values = new Float64Array(count);
+    let nonFinite = 0;
+    let plausible = 0;
+    let finiteCount = 0;
+    const exponents = new Map();
+
+    for (let i = 0; i < count; i++) {
+        const value = view[config.method](i * config.size, isLittleEndian);
+        if (!Number.isFinite(value)) {
+            nonFinite++;
+            continue;
+        }
+        // Clamp so differences of misread 64-bit values stay finite
+        values[finiteCount++] = Math.max(-1e150, Math.min(1e150, value));
+
+        if (config.isFloat) {
+            const magnitude = Math.abs(value);
+            if (magnitude === 0 || (magnitude >= FLOAT_MIN_NORMAL[dataType] && magnitude >= PLAUSIBLE_MAGNITUDE[0] && magnitude <= PLAUSIBLE_MAGNITUDE[1])) {
+                plausible++;
+            }
+            if (magnitude > 0) {
+                const exponent = Math.floor(Math.log2(magnitude));
+                exponents.set(exponent, (exponents.get(exponent) || 0) + 1);
+            }
+        }
+    }
+
+    let plausibility;
+    if (config.isFloat) {
+        plausibility = finiteCount > 0 ? (plausible / finiteCount) * (0.5 + 0.5 * exponentConcentration(exponents, dataType)) : 0;
+    } else {
+        const halfRange = (config.max - config.min) / 2;
+        let wraps = 0;
+        for (let i = 1; i < finiteCount; i++) {
+            if (Math.abs(values[i] - values[i - 1]) > halfRange) wraps++;
+        }
+        plausibility = INTEGER_PLAUSIBILITY * Math.exp(-WRAP_PENALTY * wraps / count);
+    }
+
+    const metrics = {
+        nonFinite: nonFinite / count,
+        plausibility,
+        smoothness: smoothness(values.subarray(0, finiteCount))
+    };
+    const prior = COMMON_TYPES.includes(dataType) ? 0 : -RARE_TYPE_PENALTY;
+    const score = WEIGHTS.smoothness * metrics.smoothness + WEIGHTS.plausibility * metrics.plausibility - WEIGHTS.nonFinite * metrics.nonFinite + prior;
+
+    return { dataType, isLittleEndian, score, confidence: 0, metrics };
+}
+
+/**
+ * How concentrated the exponents are: 1 when all values share one exponent, 0 when they are
+ * spread evenly over every exponent the format can represent
+ * @private
+ */
+function exponentConcentration(exponents, dataType) {
+    let total = 0;
+    for (const n of exponents.values()) total += n;
+    if (total === 0 || exponents.size === 1) return 1;
+
+    let entropy = 0;
+    for (const n of exponents.values()) {
+        const p = n / total;
+        entropy -= p * Math.log2(p);
+    }
+
+    return Math.max(0, 1 - entropy / Math.log2(Math.min(FLOAT_EXPONENT_SPAN[dataType], total)));
+}
+
+/**
+ * 1 minus the ratio of the mean neighbour distance (best lag up to MAX_SMOOTHNESS_LAG) to the
+ * mean distance between unrelated values; 0 for noise or constant data, near 1 for smooth data
+ * @private
+ */
+function smoothness(values) {
+    const n = values.length;
+    if (n < 2 * MAX_SMOOTHNESS_LAG) return 0;
+
+    // Baseline: values half the sample apart are unrelated for anything but periodic data
+    const half = n >> 1;
+    let baseline = 0;
+    for (let i = 0; i < half; i++) {
+        baseline += Math.abs(values[i + half] - values[i]);
+    }
+    baseline /= half;
+    if (!(baseline > 0) || !Number.isFinite(baseline)) return 0;
+
+    let best = Infinity;
+    for (let lag = 1; lag <= MAX_SMOOTHNESS_LAG; lag++) {
+        let distance = 0;
+        for (let i = lag; i < n; i++) {
+            distance += Math.abs(values[i] - values[i - lag]);
+        }
+        best = Math.min(best, distance / (n - lag));
+    }
+
+    return Math.max(0, Math.min(1, 1 - best / baseline));
+}
+
+/**
+ * Rank every data type and byte order for a sample of the data
+ * @param {ArrayBuffer} buffer - Sample of the data (DETECTION_SAMPLE_BYTES is plenty)
+ * @param {number} [maxSuggestions=5] - Number of suggestions to return
+ * @returns {{ entropy: number, suggestions: TypeSuggestion[] }} - Byte entropy and the best
+ *   interpretations, most likely first
+ */
+export function detectDataTypes(buffer, maxSuggestions = 5) {
+    const candidates = [];
+
+    for (const [dataType, config] of Object.entries(DATA_TYPES)) {
+        if (config.lanes) continue;
+        // Byte order only matters for multi-byte and sub-byte (bit order) types
+        const byteOrders = config.size === 1 ? [true] : [true, false];
+        for (const isLittleEndian of byteOrders) {
+            const candidate = scoreDataType(buffer, dataType, isLittleEndian);
+            if (candidate) candidates.push(candidate);
+        }
+    }
+
+    const maxScore = Math.max(...candidates.map(c => c.score));
+    let totalWeight = 0;
+    for (const candidate of candidates) {
+        candidate.confidence = Math.exp((candidate.score - maxScore) / CONFIDENCE_TEMPERATURE);
+        totalWeight += candidate.confidence;
+    }
+    for (const candidate of candidates) {
+        candidate.confidence /= totalWeight;
+    }
+
+    candidates.sort((a, b) => b.score - a.score);
+    return { entropy: byteEntropy(buffer), suggestions: candidates.slice(0, maxSuggestions) };
+}
+
+/**
+ * Short human readable description of a suggestion, e.g. "fp32 LE 87% (smooth, plausible exponents)"
+ * @param {TypeSuggestion} suggestion - Suggestion from detectDataTypes
+ * @returns {string}
+ */
+export function describeSuggestion(suggestion) {
+    const { dataType, isLittleEndian, confidence, metrics } = suggestion;
+    const byteOrder = DATA_TYPES[dataType].size === 1 ? '' : isLittleEndian ? ' LE' : ' BE';
+    const reasons = [];
+    if (metrics.smoothness > 0.5) reasons.push('smooth');
+    if (DATA_TYPES[dataType].isFloat && metrics.plausibility > 0.5) reasons.push('plausible exponents');
+    if (metrics.nonFinite > 0.01) reasons.push(`${(metrics.nonFinite * 100).toFixed(0)}% NaN/Inf`);
+    return `${dataType}${byteOrder} ${(confidence * 100).toFixed(0)}%${reasons.length ? ` (${reasons.join(', ')})` : ''}`;
+}
@@ -0,0 +1,214 @@
+/**
+ * WorkerPool.js
+ * Fixed-size pool of module Web Workers with a FIFO task queue and cancellation
+ *
+ * Each task is posted as { taskId, ...message } and the worker must reply with
+ * { taskId, result } or { taskId, error }.
+ */
+
+/**
+ * Consecutive workers that may fail before replying once (e.g. a module script that cannot load)
+ * before the pool gives up instead of respawning them
+ * @type {number}
+ */
+const MAX_STARTUP_FAILURES = 3;
+
+/**
+ * Pool of Web Workers running the same module script
+ */
+export class WorkerPool {
+    /**
+     * @param {URL|string} workerUrl - URL of the module worker script
+     * @param {number} [size] - Number of workers (defaults to hardwareConcurrency - 1, clamped to 1-8)
+     */
+    constructor(workerUrl, size = WorkerPool.defaultSize()) {
+        if (typeof Worker === 'undefined') {
+            throw new Error('Web Workers are not supported in this environment');
+        }
+
+        this.workerUrl = workerUrl;
+        this.size = Math.max(1, size);
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.active = new Map(); // worker -> task
+        this.nextTaskId = 0;
+        this.startupFailures = 0; // Consecutive workers that errored before their first reply
+        this.failed = false; // Set once the workers cannot start; the pool then rejects all tasks
+
+        for (let i = 0; i < this.size; i++) {
+            this.spawnWorker();
+        }
+
+        console.log(`Worker pool started with ${this.size} workers`);
+    }
+
+    /**
+     * Default pool size for this machine
+     * @returns {number}
+     */
+    static defaultSize() {
+        const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+        return Math.max(1, Math.min(8, cores - 1));
+    }
+
+    /**
+     * Create a worker and add it to the idle list
+     * @private
+     */
+    spawnWorker() {
+        const worker = new Worker(this.workerUrl, { type: 'module' });
+        let started = false;
+
+        worker.onmessage = (e) => {
+            started = true;
+            this.startupFailures = 0;
+            const task = this.active.get(worker);
+            if (!task || e.data.taskId !== task.taskId) return;
+
+            this.active.delete(worker);
+            if (e.data.error) {
+                task.reject(new Error(e.data.error));
+            } else {
+                task.resolve(e.data.result);
+            }
+            this.release(worker);
+        };
+
+        worker.onerror = (e) => {
+            e.preventDefault();
+            const task = this.active.get(worker);
+            this.active.delete(worker);
+            const message = e.message || 'failed to load worker script';
+            if (task) {
+                task.reject(new Error(`Worker error: ${message}`));
+            }
+
+            if (!started && ++this.startupFailures >= MAX_STARTUP_FAILURES) {
+                this.fail(message);
+            } else {
+                this.replaceWorker(worker);
+            }
+        };
+
+        this.workers.push(worker);
+        this.idle.push(worker);
+        return worker;
+    }
+
+    /**
+     * Terminate a worker and start a fresh one in its place
+     * @private
+     */
+    replaceWorker(worker) {
+        worker.terminate();
+        this.workers = this.workers.filter(w => w !== worker);
+        this.idle = this.idle.filter(w => w !== worker);
+        if (this.failed) return;
+        this.spawnWorker();
+        this.dispatch();
+    }
+
+    /**
+     * Give up on the workers: shut them down and reject every queued and running task
+     * @param {string} reason - Error of the last failed worker
+     * @private
+     */
+    fail(reason) {
+        console.warn(`Worker pool stopped after ${this.startupFailures} workers failed to start: ${reason}`);
+        this.failed = true;
+
+        const error = new Error(`Worker pool unavailable: ${reason}`);
+        for (const task of [...this.queue, ...this.active.values()]) {
+            task.reject(error);
+        }
+        this.queue = [];
+        this.active.clear();
+
+        for (const worker of this.workers) {
+            worker.terminate();
+        }
+        this.workers = [];
+        this.idle = [];
+    }
+
+    /**
+     * Return a worker to the idle list and start the next queued task
+     * @private
+     */
+    release(worker) {
+        this.idle.push(worker);
+        this.dispatch();
+    }
+
+    /**
+     * Hand queued tasks to idle workers
+     * @private
+     */
+    dispatch() {
+        while (this.idle.length > 0 && this.queue.length > 0) {
+            const worker = this.idle.shift();
+            const task = this.queue.shift();
+            this.active.set(worker, task);
+            worker.postMessage({ taskId: task.taskId, ...task.message }, task.transfer);
+        }
+    }
+
+    /**
+     * Queue a task for the next available worker
+     * @param {Object} message - Task payload posted to the worker
+     * @param {Transferable[]} [transfer=[]] - Objects to transfer (e.g. ArrayBuffers) instead of copying
+     * @returns {Promise<*>} - Resolves with the worker's result, rejects on error or cancellation, or at once
+     *   if the pool has failed
+     */
+    run(message, transfer = []) {
+        return new Promise((resolve, reject) => {
+            if (this.failed) {
+                reject(new Error('Worker pool unavailable: workers failed to start'));
+                return;
+            }
+            this.queue.push({ taskId: this.nextTaskId++, message, transfer, resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Cancel all queued and running tasks
+     * Running workers are terminated and replaced, since a busy worker cannot be interrupted.
+     */
+    cancel() {
+        const cancelled = this.queue.length + this.active.size;
+        const cancelError = () => {
+            const error = new Error('Task cancelled');
+            error.name = 'AbortError';
+            return error;
+        };
+
+        for (const task of this.queue) {
+            task.reject(cancelError());
+        }
+        this.queue = [];
+
+        for (const [worker, task] of this.active) {
+            task.reject(cancelError());
+            this.active.delete(worker);
+            this.replaceWorker(worker);
+        }
+
+        if (cancelled > 0) {
+            console.log(`Worker pool cancelled ${cancelled} tasks`);
+        }
+    }
+
+    /**
+     * Cancel outstanding work and shut down all workers
+     */
+    terminate() {
+        this.cancel();
+        for (const worker of this.workers) {
+            worker.terminate();
+        }
+        this.workers = [];
+        this.idle = [];
+    }
+}
@@ -2,10 +2,19 @@
  * BVHVisualization.js
  * Creates instanced wireframe boxes for BVH (Bounding Volume Hierarchy) visualization
  * Uses custom shaders to apply per-instance transforms efficiently
+ * The same boxes are drawn for octrees and k-d trees, which share the BVH's flattened node output.
  */
 
+// Corner pairs of the 12 box edges; bit 0/1/2 of a corner selects the max side on x/y/z
+const BOX_EDGES = [
+    [0, 1], [2, 3], [4, 5], [6, 7], // along x
+    [0, 2], [1, 3], [4, 6], [5, 7], // along y
+    [0, 4], [1, 5], [2, 6], [3, 7]  // along z
+];
+
 /**
  * Create instanced wireframe boxes for BVH visualization
+ * The nodes are kept in userData.boxes so hovering can find a box (see findBoxAt).
  * @param {Array} bvhNodes - Array of BVH nodes with {center, size, color} properties
  * @returns {THREE.LineSegments} - Instanced line segments mesh for rendering
  */
@@ -116,6 +125,7 @@ export function createInstancedBVHBoxes(bvhNodes) {
 
         // Create line segments
         const lineSegments = new THREE.LineSegments(geometry, material);
+        lineSegments.userData.boxes = bvhNodes;
 
         console.log(`Successfully created BVH line segments with ${numBoxes} instances`);
 
@@ -126,3 +136,78 @@ export function createInstancedBVHBoxes(bvhNodes) {
         throw error;
     }
 }
+
+/**
+ * Find the box with an edge under a ray, for hovering the boxes of createInstancedBVHBoxes
+ * Edges of nested boxes often coincide, so among edges equally close to the ray (within a thousandth
+ * of the threshold) the deepest box wins.
+ * @param {Array} boxes - Nodes with {center, size, depth} (e.g. from BVH.flattenTable), in the ray's space
+ * @param {number[]} origin - Ray origin [x, y, z]
+ * @param {number[]} direction - Unit ray direction [x, y, z]
+ * @param {number} threshold - Maximum distance between the ray and an edge
+ * @returns {{ index: number, distance: number, distanceToRay: number }|null} - Box index, distance along the
+ *   ray and distance from the ray of the closest edge, or null if no edge is within the threshold
+ */
+export function findBoxAt(boxes, origin, direction, threshold) {
+    const tolerance = threshold * 1e-3;
+    const corners = new Float64Array(8 * 3);
+    const closest = { distanceSq: 0, distance: 0 };
+    let best = null;
+
+    for (let index = 0; index < boxes.length; index++) {
+        const { center, size, depth = 0 } = boxes[index];
+        for (let corner = 0; corner < 8; corner++) {
+            corners[corner * 3] = center.x + (corner & 1 ? 0.5 : -0.5) * size.x;
+            corners[corner * 3 + 1] = center.y + (corner & 2 ? 0.5 : -0.5) * size.y;
+            corners[corner * 3 + 2] = center.z + (corner & 4 ? 0.5 : -0.5) * size.z;
+        }
+
+        for (const [a, b] of BOX_EDGES) {
+            raySegmentClosest(origin, direction, corners, a * 3, b * 3, closest);
+            const distanceToRay = Math.sqrt(closest.distanceSq);
+            if (distanceToRay > threshold) continue;
+
+            // Ties go to the deeper box, then to the edge nearer along the ray
+            const tied = best && Math.abs(distanceToRay - best.distanceToRay) <= tolerance;
+            const better = tied ? depth > best.depth || (depth === best.depth && closest.distance < best.distance) :
+                !best || distanceToRay < best.distanceToRay;
+            if (better) {
+                best = { index, distance: closest.distance, distanceToRay, depth };
+            }
+        }
+    }
+    return best && { index: best.index, distance: best.distance, distanceToRay: best.distanceToRay };
+}
+
+/**
+ * Closest approach of a ray (t >= 0) and the segment between two corners
+ * Clamps the segment parameter, then the ray parameter, then the segment parameter again.
+ * @private
+ */
+function raySegmentClosest(origin, direction, corners, a, b, out) {
+    const ex = corners[b] - corners[a];
+    const ey = corners[b + 1] - corners[a + 1];
+    const ez = corners[b + 2] - corners[a + 2];
+    const wx = corners[a] - origin[0];
+    const wy = corners[a + 1] - origin[1];
+    const wz = corners[a + 2] - origin[2];
+
+    const de = direction[0] * ex + direction[1] * ey + direction[2] * ez;
+    const ee = ex * ex + ey * ey + ez * ez;
+    const dw = direction[0] * wx + direction[1] * wy + direction[2] * wz;
+    const ew = ex * wx + ey * wy + ez * wz;
+    const denominator = ee - de * de;
+
+    const clamp01 = value => Math.min(1, Math.max(0, value));
+    let u = ee > 0 && denominator > 1e-12 * ee ? clamp01((de * dw - ew) / denominator) : 0;
+    const t = Math.max(0, dw + u * de);
+    if (ee > 0) {
+        u = clamp01((t * de - ew) / ee);
+    }
+
+    const dx = origin[0] + t * direction[0] - (corners[a] + u * ex);
+    const dy = origin[1] + t * direction[1] - (corners[a + 1] + u * ey);
+    const dz = origin[2] + t * direction[2] - (corners[a + 2] + u * ez);
+    out.distanceSq = dx * dx + dy * dy + dz * dz;
+    out.distance = t;
+}
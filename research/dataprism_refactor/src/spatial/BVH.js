@@ -4,6 +4,46 @@
  * Creates a binary tree of axis-aligned bounding boxes for spatial organization
  */
 
+/**
+ * Split strategies of the builder: binned surface area heuristic, or the median of the longest axis
+ * @type {string[]}
+ */
+export const BVH_SPLIT_STRATEGIES = ['sah', 'median'];
+
+/**
+ * Candidate split planes per axis of the SAH builder
+ * @type {number}
+ */
+export const SAH_BINS = 16;
+
+/**
+ * Uint32 entries per node of a flat node table: first index, point count, first child, child count, depth
+ * A node's children are stored consecutively (two for the BVH and k-d tree, up to eight for the
+ * octree); leaves have no children. Octree and KDTree emit the same table, so flattenTable and
+ * the spatial queries below work on all three.
+ * @type {number}
+ */
+export const BVH_NODE_STRIDE = 5;
+
+/**
+ * Float32 entries per node bounds: minX, minY, minZ, maxX, maxY, maxZ
+ * @type {number}
+ */
+export const BVH_BOUNDS_STRIDE = 6;
+
+/**
+ * Plain description of one node's box, as returned by flattenTree and flattenTable
+ * @typedef {Object} BoxNode
+ * @property {{x: number, y: number, z: number}} center - Box center
+ * @property {{x: number, y: number, z: number}} size - Box extent per axis
+ * @property {{r: number, g: number, b: number}} color - Color by depth
+ * @property {number} depth - Node depth (0 for the root)
+ * @property {number} count - Points in the node
+ * @property {number} parentCount - Points in the parent node (the root's own count for the root)
+ * @property {number} rootCount - Points in the whole tree
+ * @property {number} children - Child nodes (0 for leaves)
+ */
+
 /**
  * BVH class for building and managing bounding volume hierarchies
  */
@@ -13,17 +53,12 @@ export class BVH {
      * @param {Float32Array} points - Array of 3D coordinates
      * @param {number} maxDepth - Maximum tree depth
      * @param {number} minPoints - Minimum points per leaf node
+     * @param {string} [strategy='sah'] - One of BVH_SPLIT_STRATEGIES
      * @returns {Object} Root node of BVH tree
      */
-    static build(points, maxDepth = 8, minPoints = 8) {
+    static build(points, maxDepth = 8, minPoints = 8, strategy = 'sah') {
         try {
-            const numPoints = points.length / 3;
-            const indices = new Array(numPoints);
-            for (let i = 0; i < numPoints; i++) indices[i] = i;
-
-            console.log(`Building BVH with ${numPoints} points, maxDepth=${maxDepth}, minPoints=${minPoints}`);
-
-            return this.buildNode(points, indices, 0, maxDepth, minPoints);
+            return this.toTree(this.buildFlat(points, { maxDepth, minPoints, strategy }));
         } catch (error) {
             console.error('Error in BVH.build:', error);
             console.error('Error stack:', error.stack);
@@ -32,61 +67,100 @@ export class BVH {
     }
 
     /**
-     * Recursively build BVH node
-     * @private
+     * Build a BVH as a flat node table
+     * Partitions one Uint32Array of point indices in place, so a node's points are
+     * indices[first .. first + count) and no arrays are allocated per level.
+     * @param {Float32Array} points - Array of 3D coordinates
+     * @param {Object} [options]
+     * @param {number} [options.maxDepth=8] - Maximum tree depth
+     * @param {number} [options.minPoints=8] - Minimum points per leaf node
+     * @param {string} [options.strategy='sah'] - One of BVH_SPLIT_STRATEGIES
+     * @param {number} [options.bins=SAH_BINS] - Candidate split planes per axis for 'sah'
+     * @returns {{ nodeCount: number, nodes: Uint32Array, bounds: Float32Array, indices: Uint32Array }} -
+     *   BVH_NODE_STRIDE entries per node in nodes, BVH_BOUNDS_STRIDE in bounds; node 0 is the root
      */
-    static buildNode(points, indices, depth, maxDepth, minPoints) {
-        // Calculate AABB for this node
-        const bounds = this.calculateAABB(points, indices);
-
-        const node = {
-            bounds: bounds,
-            indices: indices,
-            depth: depth,
-            left: null,
-            right: null,
-            isLeaf: false
-        };
+    static buildFlat(points, { maxDepth = 8, minPoints = 8, strategy = 'sah', bins = SAH_BINS } = {}) {
+        if (!BVH_SPLIT_STRATEGIES.includes(strategy)) {
+            throw new Error(`Unknown BVH split strategy: ${strategy}. Supported strategies: ${BVH_SPLIT_STRATEGIES.join(', ')}`);
+        }
+
+        const numPoints = points.length / 3;
+        const indices = new Uint32Array(numPoints);
+        for (let i = 0; i < numPoints; i++) indices[i] = i;
+
+        console.log(`Building BVH with ${numPoints} points, maxDepth=${maxDepth}, minPoints=${minPoints}, strategy=${strategy}`);
+
+        // Every split leaves at least one point on each side, so a tree has at most 2n - 1 nodes
+        const capacity = Math.max(1, Math.min(2 * numPoints - 1, 2 ** (maxDepth + 1) - 1));
+        const nodes = new Uint32Array(capacity * BVH_NODE_STRIDE);
+        const bounds = new Float32Array(capacity * BVH_BOUNDS_STRIDE);
+        const binning = strategy === 'sah' ? createBinning(bins) : null;
+
+        let nodeCount = 1;
+        nodes[1] = numPoints;
+        const stack = [0];
+
+        while (stack.length > 0) {
+            const node = stack.pop();
+            const n = node * BVH_NODE_STRIDE;
+            const first = nodes[n];
+            const count = nodes[n + 1];
+            const depth = nodes[n + 4];
+            const b = node * BVH_BOUNDS_STRIDE;
 
-        // Check termination conditions
-        if (depth >= maxDepth || indices.length <= minPoints) {
-            node.isLeaf = true;
-            return node;
+            segmentBounds(points, indices, first, count, bounds, b);
+
+            // Check termination conditions
+            if (depth >= maxDepth || count <= Math.max(1, minPoints)) {
+                continue;
+            }
+
+            let split = binning ? sahPartition(points, indices, first, count, bounds, b, binning) : 0;
+            if (split === 0) {
+                // Median strategy, or no SAH plane separates the points (all of them coincide)
+                split = medianPartition(points, indices, first, count, bounds, b);
+            }
+
+            const left = nodeCount;
+            nodeCount += 2;
+            nodes[n + 2] = left;
+            nodes[n + 3] = 2;
+            nodes.set([first, split, 0, 0, depth + 1, first + split, count - split, 0, 0, depth + 1], left * BVH_NODE_STRIDE);
+            stack.push(left + 1, left);
         }
 
-        // Find longest axis and split
-        const size = {
-            x: bounds.max.x - bounds.min.x,
-            y: bounds.max.y - bounds.min.y,
-            z: bounds.max.z - bounds.min.z
+        return {
+            nodeCount,
+            nodes: nodes.slice(0, nodeCount * BVH_NODE_STRIDE),
+            bounds: bounds.slice(0, nodeCount * BVH_BOUNDS_STRIDE),
+            indices
         };
+    }
 
-        let axis = 0; // 0=x, 1=y, 2=z
-        let maxSize = size.x;
-        if (size.y > maxSize) { axis = 1; maxSize = size.y; }
-        if (size.z > maxSize) { axis = 2; maxSize = size.z; }
-
-        // Sort indices along chosen axis
-        indices.sort((a, b) => {
-            const aVal = points[a * 3 + axis];
-            const bVal = points[b * 3 + axis];
-            return aVal - bVal;
-        });
-
-        // Split at median
-        const mid = Math.floor(indices.length / 2);
-        const leftIndices = indices.slice(0, mid);
-        const rightIndices = indices.slice(mid);
-
-        // Recursively build children
-        if (leftIndices.length > 0) {
-            node.left = this.buildNode(points, leftIndices, depth + 1, maxDepth, minPoints);
-        }
-        if (rightIndices.length > 0) {
-            node.right = this.buildNode(points, rightIndices, depth + 1, maxDepth, minPoints);
-        }
+    /**
+     * Convert a binary flat node table (BVH or k-d tree) into linked node objects
+     * Node indices are views into the table's index buffer, not copies.
+     * @param {Object} table - Result of buildFlat or KDTree.build
+     * @param {number} [node=0] - Table node to convert
+     * @returns {Object} Node with bounds, indices, depth, left, right and isLeaf
+     */
+    static toTree(table, node = 0) {
+        const n = node * BVH_NODE_STRIDE;
+        const b = node * BVH_BOUNDS_STRIDE;
+        const first = table.nodes[n];
+        const left = table.nodes[n + 2];
 
-        return node;
+        return {
+            bounds: {
+                min: { x: table.bounds[b], y: table.bounds[b + 1], z: table.bounds[b + 2] },
+                max: { x: table.bounds[b + 3], y: table.bounds[b + 4], z: table.bounds[b + 5] }
+            },
+            indices: table.indices.subarray(first, first + table.nodes[n + 1]),
+            depth: table.nodes[n + 4],
+            left: left ? this.toTree(table, left) : null,
+            right: left ? this.toTree(table, left + 1) : null,
+            isLeaf: left === 0
+        };
     }
 
     /**
@@ -125,54 +199,619 @@ export class BVH {
     }
 
     /**
-     * Flatten tree into arrays for instanced rendering
-     * Note: Requires THREE.js to be available globally for Vector3 and Color
+     * Flatten tree into plain node descriptions for instanced rendering
+     * Returns plain objects (no THREE types) so trees can be built in workers and in Node.
      * @param {Object} node - BVH root node
-     * @param {Array} centers - Output array for centers (not used, kept for API compatibility)
-     * @param {Array} sizes - Output array for sizes (not used, kept for API compatibility)
-     * @param {Array} colors - Output array for colors (not used, kept for API compatibility)
+     * @param {number[]} [centers] - Optional output array, receives x, y, z of each box center
+     * @param {number[]} [sizes] - Optional output array, receives the x, y, z extent of each box
+     * @param {number[]} [colors] - Optional output array, receives r, g, b of each box
      * @param {number} maxDepth - Maximum depth for coloring
      * @param {number} displayLevel - Optional: only show nodes at this depth level (-1 for all)
-     * @returns {Array} Array of {center, size, color} objects
+     * @returns {BoxNode[]}
      */
     static flattenTree(node, centers, sizes, colors, maxDepth, displayLevel = -1) {
         const nodes = [];
+        const rootCount = node ? node.indices.length : 0;
 
-        const traverse = (n) => {
+        const traverse = (n, parentCount) => {
             if (!n) return;
 
-            // Skip if filtering by specific level
-            if (displayLevel >= 0 && n.depth !== displayLevel) {
-                traverse(n.left);
-                traverse(n.right);
-                return;
+            // Only the nodes of one level when filtering by level
+            if (displayLevel < 0 || n.depth === displayLevel) {
+                const { min, max } = n.bounds;
+                const occupancy = { count: n.indices.length, parentCount, rootCount, children: (n.left ? 1 : 0) + (n.right ? 1 : 0) };
+                pushBox(nodes, centers, sizes, colors, min.x, min.y, min.z, max.x, max.y, max.z, n.depth, maxDepth, occupancy);
             }
 
-            // Calculate center and size
-            const center = new THREE.Vector3(
-                (n.bounds.min.x + n.bounds.max.x) / 2,
-                (n.bounds.min.y + n.bounds.max.y) / 2,
-                (n.bounds.min.z + n.bounds.max.z) / 2
-            );
+            traverse(n.left, n.indices.length);
+            traverse(n.right, n.indices.length);
+        };
 
-            const size = new THREE.Vector3(
-                n.bounds.max.x - n.bounds.min.x,
-                n.bounds.max.y - n.bounds.min.y,
-                n.bounds.max.z - n.bounds.min.z
-            );
+        traverse(node, rootCount);
+        return nodes;
+    }
 
-            // Color based on depth (rainbow gradient)
-            const t = n.depth / Math.max(1, maxDepth);
-            const color = new THREE.Color();
-            color.setHSL(t * 0.7, 0.8, 0.5); // 0 to 0.7 goes from red to blue
+    /**
+     * Flatten a node table into plain node descriptions, in the same order as flattenTree
+     * @param {Object} table - Result of buildFlat, Octree.build or KDTree.build
+     * @param {number[]} [centers] - Optional output array, receives x, y, z of each box center
+     * @param {number[]} [sizes] - Optional output array, receives the x, y, z extent of each box
+     * @param {number[]} [colors] - Optional output array, receives r, g, b of each box
+     * @param {number} maxDepth - Maximum depth for coloring
+     * @param {number} displayLevel - Optional: only show nodes at this depth level (-1 for all)
+     * @returns {BoxNode[]}
+     */
+    static flattenTable(table, centers, sizes, colors, maxDepth, displayLevel = -1) {
+        const nodes = [];
+        const rootCount = table.nodes[1];
+        const stack = [0, rootCount];
 
-            nodes.push({ center, size, color });
+        while (stack.length > 0) {
+            const parentCount = stack.pop();
+            const node = stack.pop();
+            const n = node * BVH_NODE_STRIDE;
+            const count = table.nodes[n + 1];
+            const depth = table.nodes[n + 4];
 
-            traverse(n.left);
-            traverse(n.right);
-        };
+            if (displayLevel < 0 || depth === displayLevel) {
+                const b = node * BVH_BOUNDS_STRIDE;
+                const bounds = table.bounds;
+                const occupancy = { count, parentCount, rootCount, children: table.nodes[n + 3] };
+                pushBox(nodes, centers, sizes, colors, bounds[b], bounds[b + 1], bounds[b + 2], bounds[b + 3], bounds[b + 4], bounds[b + 5], depth, maxDepth, occupancy);
+            }
+            // Children in reverse so the first child is popped first, each with this node's count
+            const firstChild = table.nodes[n + 2];
+            for (let child = firstChild + table.nodes[n + 3] - 1; child >= firstChild && child > 0; child--) {
+                stack.push(child, count);
+            }
+        }
 
-        traverse(node);
         return nodes;
     }
+
+    /**
+     * The k points nearest to a position
+     * @param {Object} table - Result of buildFlat
+     * @param {Float32Array} points - Points the table was built from
+     * @param {number[]} point - Query position [x, y, z]
+     * @param {number} [k=1] - Number of neighbours
+     * @returns {Array<{index: number, distance: number}>} Up to k points, nearest first
+     */
+    static nearest(table, points, point, k = 1) {
+        const [qx, qy, qz] = point;
+        const best = [];
+        if (k < 1 || table.indices.length === 0) return best;
+
+        // Depth first, nearer child first; a node is skipped once k points closer than its box are known
+        const stack = [0, boxDistanceSq(table.bounds, 0, qx, qy, qz)];
+        while (stack.length > 0) {
+            const distanceSq = stack.pop();
+            const node = stack.pop();
+            if (best.length === k && distanceSq >= best[k - 1].distanceSq) continue;
+
+            const n = node * BVH_NODE_STRIDE;
+            const firstChild = table.nodes[n + 2];
+            const childCount = table.nodes[n + 3];
+            if (childCount > 0) {
+                // Farthest child pushed first, so the nearest is searched first
+                const children = [];
+                for (let child = firstChild; child < firstChild + childCount; child++) {
+                    children.push([child, boxDistanceSq(table.bounds, child * BVH_BOUNDS_STRIDE, qx, qy, qz)]);
+                }
+                children.sort((a, b) => b[1] - a[1]);
+                for (const [child, childDistanceSq] of children) stack.push(child, childDistanceSq);
+                continue;
+            }
+
+            for (let i = table.nodes[n]; i < table.nodes[n] + table.nodes[n + 1]; i++) {
+                const index = table.indices[i];
+                const dx = points[index * 3] - qx;
+                const dy = points[index * 3 + 1] - qy;
+                const dz = points[index * 3 + 2] - qz;
+                const pointDistanceSq = dx * dx + dy * dy + dz * dz;
+                if (best.length === k && pointDistanceSq >= best[k - 1].distanceSq) continue;
+
+                // Insertion into the sorted candidates (k is small)
+                let at = best.length === k ? k - 1 : best.length;
+                while (at > 0 && best[at - 1].distanceSq > pointDistanceSq) {
+                    best[at] = best[at - 1];
+                    at--;
+                }
+                best[at] = { index, distanceSq: pointDistanceSq };
+            }
+        }
+
+        return best.map(({ index, distanceSq }) => ({ index, distance: Math.sqrt(distanceSq) }));
+    }
+
+    /**
+     * Points within a distance of a position
+     * @param {Object} table - Result of buildFlat
+     * @param {Float32Array} points - Points the table was built from
+     * @param {number[]} point - Query position [x, y, z]
+     * @param {number} radius - Search radius (inclusive)
+     * @returns {Uint32Array} Point indices, in tree order
+     */
+    static withinRadius(table, points, point, radius) {
+        const [qx, qy, qz] = point;
+        const radiusSq = radius * radius;
+        const found = [];
+        if (table.indices.length === 0) return new Uint32Array(0);
+
+        const stack = [0];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            const b = node * BVH_BOUNDS_STRIDE;
+            if (boxDistanceSq(table.bounds, b, qx, qy, qz) > radiusSq) continue;
+
+            const n = node * BVH_NODE_STRIDE;
+            const first = table.nodes[n];
+            const end = first + table.nodes[n + 1];
+            if (boxFarthestSq(table.bounds, b, qx, qy, qz) <= radiusSq) {
+                // The whole box is inside the sphere
+                for (let i = first; i < end; i++) found.push(table.indices[i]);
+                continue;
+            }
+
+            if (table.nodes[n + 3] > 0) {
+                pushChildren(stack, table.nodes, n);
+                continue;
+            }
+
+            for (let i = first; i < end; i++) {
+                const index = table.indices[i];
+                const dx = points[index * 3] - qx;
+                const dy = points[index * 3 + 1] - qy;
+                const dz = points[index * 3 + 2] - qz;
+                if (dx * dx + dy * dy + dz * dz <= radiusSq) found.push(index);
+            }
+        }
+
+        return Uint32Array.from(found);
+    }
+
+    /**
+     * Points within a distance of a ray, as THREE.Raycaster tests THREE.Points
+     * @param {Object} table - Result of buildFlat
+     * @param {Float32Array} points - Points the table was built from
+     * @param {number[]} origin - Ray origin [x, y, z]
+     * @param {number[]} direction - Ray direction [x, y, z] (need not be normalized)
+     * @param {number} threshold - Largest distance from the ray of a hit
+     * @returns {Array<{index: number, distance: number, distanceToRay: number}>} Hits in front of the
+     *   origin, nearest along the ray first; distance is measured along the ray
+     */
+    static raycast(table, points, origin, direction, threshold) {
+        const [ox, oy, oz] = origin;
+        const length = Math.hypot(direction[0], direction[1], direction[2]);
+        const hits = [];
+        if (!(length > 0) || table.indices.length === 0) return hits;
+
+        const dx = direction[0] / length;
+        const dy = direction[1] / length;
+        const dz = direction[2] / length;
+        const thresholdSq = threshold * threshold;
+
+        const stack = [0];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (!rayHitsBox(table.bounds, node * BVH_BOUNDS_STRIDE, ox, oy, oz, dx, dy, dz, threshold)) continue;
+
+            const n = node * BVH_NODE_STRIDE;
+            if (table.nodes[n + 3] > 0) {
+                pushChildren(stack, table.nodes, n);
+                continue;
+            }
+
+            for (let i = table.nodes[n]; i < table.nodes[n] + table.nodes[n + 1]; i++) {
+                const index = table.indices[i];
+                const px = points[index * 3] - ox;
+                const py = points[index * 3 + 1] - oy;
+                const pz = points[index * 3 + 2] - oz;
+                const t = px * dx + py * dy + pz * dz;
+                if (t < 0) continue;
+                const distanceSq = px * px + py * py + pz * pz - t * t;
+                if (distanceSq <= thresholdSq) {
+                    hits.push({ index, distance: t, distanceToRay: Math.sqrt(Math.max(0, distanceSq)) });
+                }
+            }
+        }
+
+        return hits.sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * Points inside a convex volume bounded by planes (e.g. a camera or selection frustum)
+     * @param {Object} table - Result of buildFlat
+     * @param {Float32Array} points - Points the table was built from
+     * @param {Array<number[]>} planes - [nx, ny, nz, d] per plane; a point is inside when nx x + ny y + nz z + d >= 0 for every plane
+     * @returns {Uint32Array} Point indices, in tree order
+     */
+    static frustumCull(table, points, planes) {
+        const found = [];
+        if (table.indices.length === 0) return new Uint32Array(0);
+
+        const stack = [0];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            const b = node * BVH_BOUNDS_STRIDE;
+            const n = node * BVH_NODE_STRIDE;
+            const first = table.nodes[n];
+            const end = first + table.nodes[n + 1];
+
+            let inside = true;
+            let outside = false;
+            for (const plane of planes) {
+                const side = boxPlaneSide(table.bounds, b, plane);
+                if (side < 0) {
+                    outside = true;
+                    break;
+                }
+                if (side === 0) inside = false;
+            }
+            if (outside) continue;
+
+            if (inside) {
+                for (let i = first; i < end; i++) found.push(table.indices[i]);
+                continue;
+            }
+
+            if (table.nodes[n + 3] > 0) {
+                pushChildren(stack, table.nodes, n);
+                continue;
+            }
+
+            for (let i = first; i < end; i++) {
+                const index = table.indices[i];
+                const x = points[index * 3];
+                const y = points[index * 3 + 1];
+                const z = points[index * 3 + 2];
+                if (planes.every(([nx, ny, nz, d]) => nx * x + ny * y + nz * z + d >= 0)) found.push(index);
+            }
+        }
+
+        return Uint32Array.from(found);
+    }
+}
+
+/**
+ * Push a node's children so the first child is popped first
+ * @private
+ */
+function pushChildren(stack, nodes, n) {
+    for (let child = nodes[n + 2] + nodes[n + 3] - 1; child >= nodes[n + 2]; child--) {
+        stack.push(child);
+    }
+}
+
+/**
+ * Squared distance from a position to the nearest point of the box at bounds[b .. b + 6)
+ * @private
+ */
+function boxDistanceSq(bounds, b, x, y, z) {
+    const dx = Math.max(bounds[b] - x, 0, x - bounds[b + 3]);
+    const dy = Math.max(bounds[b + 1] - y, 0, y - bounds[b + 4]);
+    const dz = Math.max(bounds[b + 2] - z, 0, z - bounds[b + 5]);
+    return dx * dx + dy * dy + dz * dz;
+}
+
+/**
+ * Squared distance from a position to the farthest corner of the box at bounds[b .. b + 6)
+ * @private
+ */
+function boxFarthestSq(bounds, b, x, y, z) {
+    const dx = Math.max(x - bounds[b], bounds[b + 3] - x);
+    const dy = Math.max(y - bounds[b + 1], bounds[b + 4] - y);
+    const dz = Math.max(z - bounds[b + 2], bounds[b + 5] - z);
+    return dx * dx + dy * dy + dz * dz;
+}
+
+/**
+ * Whether a ray (unit direction) passes within margin of the box at bounds[b .. b + 6), in front of its origin
+ * Slab test against the box grown by margin on every side.
+ * @private
+ */
+function rayHitsBox(bounds, b, ox, oy, oz, dx, dy, dz, margin) {
+    let near = 0;
+    let far = Infinity;
+    const origin = [ox, oy, oz];
+    const direction = [dx, dy, dz];
+
+    for (let axis = 0; axis < 3; axis++) {
+        const min = bounds[b + axis] - margin;
+        const max = bounds[b + axis + 3] + margin;
+        if (direction[axis] === 0) {
+            if (origin[axis] < min || origin[axis] > max) return false;
+            continue;
+        }
+        let t0 = (min - origin[axis]) / direction[axis];
+        let t1 = (max - origin[axis]) / direction[axis];
+        if (t0 > t1) [t0, t1] = [t1, t0];
+        if (t0 > near) near = t0;
+        if (t1 < far) far = t1;
+        if (near > far) return false;
+    }
+    return true;
+}
+
+/**
+ * Which side of a plane the box at bounds[b .. b + 6) is on
+ * @returns {number} 1 if entirely inside (nx x + ny y + nz z + d >= 0), -1 if entirely outside, 0 if it straddles the plane
+ * @private
+ */
+function boxPlaneSide(bounds, b, [nx, ny, nz, d]) {
+    // Corners farthest along and against the plane normal
+    const far = nx * (nx >= 0 ? bounds[b + 3] : bounds[b]) + ny * (ny >= 0 ? bounds[b + 4] : bounds[b + 1]) + nz * (nz >= 0 ? bounds[b + 5] : bounds[b + 2]) + d;
+    if (far < 0) return -1;
+    const near = nx * (nx >= 0 ? bounds[b] : bounds[b + 3]) + ny * (ny >= 0 ? bounds[b + 1] : bounds[b + 4]) + nz * (nz >= 0 ? bounds[b + 2] : bounds[b + 5]) + d;
+    return near >= 0 ? 1 : 0;
+}
+
+/**
+ * Append one box to the flattened output
+ * @private
+ */
+function pushBox(nodes, centers, sizes, colors, minX, minY, minZ, maxX, maxY, maxZ, depth, maxDepth, occupancy) {
+    // Calculate center and size
+    const center = { x: (minX + maxX) / 2, y: (minY + maxY) / 2, z: (minZ + maxZ) / 2 };
+    const size = { x: maxX - minX, y: maxY - minY, z: maxZ - minZ };
+
+    // Color based on depth (rainbow gradient)
+    const t = depth / Math.max(1, maxDepth);
+    const color = hslToRgb(t * 0.7, 0.8, 0.5); // 0 to 0.7 goes from red to blue
+
+    nodes.push({ center, size, color, depth, ...occupancy });
+    if (centers) centers.push(center.x, center.y, center.z);
+    if (sizes) sizes.push(size.x, size.y, size.z);
+    if (colors) colors.push(color.r, color.g, color.b);
+}
+
+/**
+ * Write the bounds of indices[first .. first + count) to out[offset .. offset + 6)
+ * @param {Float32Array} points - Array of 3D coordinates
+ * @param {Uint32Array} indices - Point indices
+ * @param {number} first - First entry of the range
+ * @param {number} count - Entries in the range
+ * @param {Float32Array} out - Receives minX, minY, minZ, maxX, maxY, maxZ
+ * @param {number} offset - Position of minX in out
+ */
+export function segmentBounds(points, indices, first, count, out, offset) {
+    let minX = Infinity, minY = Infinity, minZ = Infinity;
+    let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+
+    for (let i = first; i < first + count; i++) {
+        const p = indices[i] * 3;
+        const x = points[p];
+        const y = points[p + 1];
+        const z = points[p + 2];
+        if (x < minX) minX = x;
+        if (y < minY) minY = y;
+        if (z < minZ) minZ = z;
+        if (x > maxX) maxX = x;
+        if (y > maxY) maxY = y;
+        if (z > maxZ) maxZ = z;
+    }
+
+    out[offset] = minX;
+    out[offset + 1] = minY;
+    out[offset + 2] = minZ;
+    out[offset + 3] = maxX;
+    out[offset + 4] = maxY;
+    out[offset + 5] = maxZ;
+}
+
+/**
+ * Split at the median of the longest axis
+ * @returns {number} Points on the left side
+ * @private
+ */
+function medianPartition(points, indices, first, count, bounds, b) {
+    let axis = 0; // 0=x, 1=y, 2=z
+    let maxSize = bounds[b + 3] - bounds[b];
+    if (bounds[b + 4] - bounds[b + 1] > maxSize) { axis = 1; maxSize = bounds[b + 4] - bounds[b + 1]; }
+    if (bounds[b + 5] - bounds[b + 2] > maxSize) { axis = 2; }
+
+    return selectMedian(points, indices, first, count, axis);
+}
+
+/**
+ * Move the floor(count / 2) smallest points of indices[first .. first + count) along an axis
+ * to the front of the range (quickselect, no sort); the median point ends up right after them
+ * @param {Float32Array} points - Array of 3D coordinates
+ * @param {Uint32Array} indices - Point indices, partitioned in place
+ * @param {number} first - First entry of the range
+ * @param {number} count - Entries in the range
+ * @param {number} axis - 0 = x, 1 = y, 2 = z
+ * @returns {number} Points on the left side (floor(count / 2))
+ */
+export function selectMedian(points, indices, first, count, axis) {
+    const mid = Math.floor(count / 2);
+    const k = first + mid;
+    let lo = first;
+    let hi = first + count - 1;
+
+    while (hi > lo) {
+        const pivot = points[indices[(lo + hi) >>> 1] * 3 + axis];
+        let i = lo;
+        let j = hi;
+        while (i <= j) {
+            while (points[indices[i] * 3 + axis] < pivot) i++;
+            while (points[indices[j] * 3 + axis] > pivot) j--;
+            if (i <= j) {
+                const swap = indices[i];
+                indices[i++] = indices[j];
+                indices[j--] = swap;
+            }
+        }
+        if (k <= j) hi = j;
+        else if (k >= i) lo = i;
+        else break;
+    }
+
+    return mid;
+}
+
+/**
+ * Scratch buffers of the SAH builder, reused for every node
+ * @private
+ */
+function createBinning(bins) {
+    if (!Number.isInteger(bins) || bins < 2) {
+        throw new Error(`Invalid SAH bin count: ${bins}`);
+    }
+    return {
+        bins,
+        counts: new Uint32Array(bins),
+        boxes: new Float64Array(bins * 6),
+        rightCosts: new Float64Array(bins),
+        rightCounts: new Uint32Array(bins),
+        sweep: new Float64Array(6)
+    };
+}
+
+/**
+ * Surface area of a box, or its summed extent when the node is flat or a line, where
+ * every area would be zero and the heuristic could not tell splits apart
+ * @private
+ */
+function boxMeasure(box, offset, useArea) {
+    const dx = box[offset + 3] - box[offset];
+    const dy = box[offset + 4] - box[offset + 1];
+    const dz = box[offset + 5] - box[offset + 2];
+    return useArea ? dx * dy + dy * dz + dz * dx : dx + dy + dz;
+}
+
+/**
+ * Empty box at box[offset .. offset + 6)
+ * @private
+ */
+function resetBox(box, offset) {
+    box[offset] = box[offset + 1] = box[offset + 2] = Infinity;
+    box[offset + 3] = box[offset + 4] = box[offset + 5] = -Infinity;
+}
+
+/**
+ * Grow a box to contain the box at source[sourceOffset .. sourceOffset + 6)
+ * @private
+ */
+function growBox(box, offset, source, sourceOffset) {
+    for (let axis = 0; axis < 3; axis++) {
+        if (source[sourceOffset + axis] < box[offset + axis]) box[offset + axis] = source[sourceOffset + axis];
+        if (source[sourceOffset + axis + 3] > box[offset + axis + 3]) box[offset + axis + 3] = source[sourceOffset + axis + 3];
+    }
+}
+
+/**
+ * Grow a box to contain the point at points[p .. p + 3)
+ * @private
+ */
+function growBoxToPoint(box, offset, points, p) {
+    for (let axis = 0; axis < 3; axis++) {
+        const value = points[p + axis];
+        if (value < box[offset + axis]) box[offset + axis] = value;
+        if (value > box[offset + axis + 3]) box[offset + axis + 3] = value;
+    }
+}
+
+/**
+ * Split at the binned plane of least surface area cost (area x points summed over both sides)
+ * and partition the segment in place
+ * @returns {number} Points on the left side, or 0 if no plane separates the points
+ * @private
+ */
+function sahPartition(points, indices, first, count, bounds, b, binning) {
+    const { bins, counts, boxes, rightCosts, rightCounts, sweep: box } = binning;
+    const useArea = boxMeasure(bounds, b, true) > 0;
+    let bestCost = Infinity;
+    let bestAxis = -1;
+    let bestBin = 0;
+
+    for (let axis = 0; axis < 3; axis++) {
+        const min = bounds[b + axis];
+        const extent = bounds[b + axis + 3] - min;
+        if (!(extent > 0)) continue;
+        const scale = bins / extent;
+
+        counts.fill(0);
+        for (let bin = 0; bin < bins; bin++) resetBox(boxes, bin * 6);
+        for (let i = first; i < first + count; i++) {
+            const p = indices[i] * 3;
+            const bin = Math.min(bins - 1, Math.floor((points[p + axis] - min) * scale));
+            counts[bin]++;
+            growBoxToPoint(boxes, bin * 6, points, p);
+        }
+
+        // Right side of each plane, swept from the last bin
+        resetBox(box, 0);
+        let rightCount = 0;
+        for (let bin = bins - 1; bin > 0; bin--) {
+            rightCount += counts[bin];
+            if (counts[bin]) growBox(box, 0, boxes, bin * 6);
+            rightCounts[bin] = rightCount;
+            rightCosts[bin] = rightCount ? boxMeasure(box, 0, useArea) * rightCount : 0;
+        }
+
+        // Plane before bin s: bins < s go left
+        resetBox(box, 0);
+        let leftCount = 0;
+        for (let bin = 1; bin < bins; bin++) {
+            leftCount += counts[bin - 1];
+            if (counts[bin - 1]) growBox(box, 0, boxes, (bin - 1) * 6);
+            if (leftCount === 0 || rightCounts[bin] === 0) continue;
+            const cost = boxMeasure(box, 0, useArea) * leftCount + rightCosts[bin];
+            if (cost < bestCost) {
+                bestCost = cost;
+                bestAxis = axis;
+                bestBin = bin;
+            }
+        }
+    }
+
+    if (bestAxis < 0) {
+        return 0;
+    }
+
+    const min = bounds[b + bestAxis];
+    const scale = bins / (bounds[b + bestAxis + 3] - min);
+    let i = first;
+    let j = first + count - 1;
+    while (i <= j) {
+        const bin = Math.min(bins - 1, Math.floor((points[indices[i] * 3 + bestAxis] - min) * scale));
+        if (bin < bestBin) {
+            i++;
+        } else {
+            const swap = indices[i];
+            indices[i] = indices[j];
+            indices[j--] = swap;
+        }
+    }
+
+    return i - first;
+}
+
+/**
+ * Convert HSL to RGB, matching THREE.Color.setHSL
+ * @param {number} h - Hue [0, 1)
+ * @param {number} s - Saturation [0, 1]
+ * @param {number} l - Lightness [0, 1]
+ * @returns {{r: number, g: number, b: number}}
+ * @private
+ */
+function hslToRgb(h, s, l) {
+    h = ((h % 1) + 1) % 1;
+    if (s === 0) {
+        return { r: l, g: l, b: l };
+    }
+
+    const p = l <= 0.5 ? l * (1 + s) : l + s - (l * s);
+    const q = (2 * l) - p;
+    const hueToRgb = (t) => {
+        if (t < 0) t += 1;
+        if (t > 1) t -= 1;
+        if (t < 1 / 6) return q + (p - q) * 6 * t;
+        if (t < 1 / 2) return p;
+        if (t < 2 / 3) return q + (p - q) * 6 * (2 / 3 - t);
+        return q;
+    };
+
+    return { r: hueToRgb(h + 1 / 3), g: hueToRgb(h), b: hueToRgb(h - 1 / 3) };
 }
@@ -0,0 +1,84 @@
+/**
+ * KDTree.js
+ * k-d tree over a point cloud: median splits on x, y and z in turn
+ *
+ * Emits the same flat node table as BVH.buildFlat (see BVH_NODE_STRIDE), so its boxes are
+ * flattened with BVH.flattenTable and the BVH spatial queries run on it. Node bounds are the
+ * k-d cells (the parent cell cut at the split plane), not the tight bounds of their points.
+ */
+
+import { BVH_NODE_STRIDE, BVH_BOUNDS_STRIDE, segmentBounds, selectMedian } from './BVH.js';
+
+/**
+ * k-d tree builder
+ */
+export class KDTree {
+    /**
+     * Build a k-d tree as a flat node table
+     * Nodes at depth d split on axis d mod 3 at the median point, partitioning one index buffer in place.
+     * @param {Float32Array} points - Array of 3D coordinates
+     * @param {Object} [options]
+     * @param {number} [options.maxDepth=8] - Maximum tree depth
+     * @param {number} [options.minPoints=8] - Minimum points per leaf node
+     * @returns {{ nodeCount: number, nodes: Uint32Array, bounds: Float32Array, indices: Uint32Array }} -
+     *   BVH_NODE_STRIDE entries per node in nodes, BVH_BOUNDS_STRIDE in bounds; node 0 is the root
+     */
+    static build(points, { maxDepth = 8, minPoints = 8 } = {}) {
+        const numPoints = points.length / 3;
+        const indices = new Uint32Array(numPoints);
+        for (let i = 0; i < numPoints; i++) indices[i] = i;
+
+        console.log(`Building k-d tree with ${numPoints} points, maxDepth=${maxDepth}, minPoints=${minPoints}`);
+
+        // Both sides of a median split hold at least one point, so a tree has at most 2n - 1 nodes
+        const capacity = Math.max(1, Math.min(2 * numPoints - 1, 2 ** (maxDepth + 1) - 1));
+        const nodes = new Uint32Array(capacity * BVH_NODE_STRIDE);
+        const bounds = new Float32Array(capacity * BVH_BOUNDS_STRIDE);
+
+        // The root cell is the points' bounding box
+        segmentBounds(points, indices, 0, numPoints, bounds, 0);
+
+        let nodeCount = 1;
+        nodes[1] = numPoints;
+        const stack = [0];
+
+        while (stack.length > 0) {
+            const node = stack.pop();
+            const n = node * BVH_NODE_STRIDE;
+            const first = nodes[n];
+            const count = nodes[n + 1];
+            const depth = nodes[n + 4];
+
+            // Check termination conditions
+            if (depth >= maxDepth || count <= Math.max(1, minPoints)) {
+                continue;
+            }
+
+            const axis = depth % 3;
+            const split = selectMedian(points, indices, first, count, axis);
+            const plane = points[indices[first + split] * 3 + axis];
+
+            const left = nodeCount;
+            nodeCount += 2;
+            nodes[n + 2] = left;
+            nodes[n + 3] = 2;
+            nodes.set([first, split, 0, 0, depth + 1, first + split, count - split, 0, 0, depth + 1], left * BVH_NODE_STRIDE);
+
+            // Children are the parent cell cut at the median point's coordinate
+            const parent = bounds.slice(node * BVH_BOUNDS_STRIDE, (node + 1) * BVH_BOUNDS_STRIDE);
+            bounds.set(parent, left * BVH_BOUNDS_STRIDE);
+            bounds.set(parent, (left + 1) * BVH_BOUNDS_STRIDE);
+            bounds[left * BVH_BOUNDS_STRIDE + 3 + axis] = plane;
+            bounds[(left + 1) * BVH_BOUNDS_STRIDE + axis] = plane;
+
+            stack.push(left + 1, left);
+        }
+
+        return {
+            nodeCount,
+            nodes: nodes.slice(0, nodeCount * BVH_NODE_STRIDE),
+            bounds: bounds.slice(0, nodeCount * BVH_BOUNDS_STRIDE),
+            indices
+        };
+    }
+}
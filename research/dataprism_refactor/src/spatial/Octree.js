@@ -0,0 +1,135 @@
+/**
+ * Octree.js
+ * Octree over a point cloud: uniform subdivision of a cube into eight octants
+ *
+ * Emits the same flat node table as BVH.buildFlat (see BVH_NODE_STRIDE), so its boxes are
+ * flattened with BVH.flattenTable and the BVH spatial queries run on it. Node bounds are the
+ * octree cells rather than the tight bounds of their points, and empty octants are not stored.
+ */
+
+import { BVH_NODE_STRIDE, BVH_BOUNDS_STRIDE, segmentBounds } from './BVH.js';
+
+/**
+ * Nodes allocated up front; the table doubles when it fills
+ * @type {number}
+ */
+const INITIAL_NODE_CAPACITY = 1024;
+
+/**
+ * Octree builder
+ */
+export class Octree {
+    /**
+     * Build an octree as a flat node table
+     * The root cell is the cube of the points' largest extent, anchored at their minimum corner.
+     * @param {Float32Array} points - Array of 3D coordinates
+     * @param {Object} [options]
+     * @param {number} [options.maxDepth=8] - Maximum tree depth
+     * @param {number} [options.minPoints=8] - Minimum points per leaf node
+     * @returns {{ nodeCount: number, nodes: Uint32Array, bounds: Float32Array, indices: Uint32Array }} -
+     *   BVH_NODE_STRIDE entries per node in nodes, BVH_BOUNDS_STRIDE in bounds; node 0 is the root
+     */
+    static build(points, { maxDepth = 8, minPoints = 8 } = {}) {
+        const numPoints = points.length / 3;
+        const indices = new Uint32Array(numPoints);
+        for (let i = 0; i < numPoints; i++) indices[i] = i;
+
+        console.log(`Building octree with ${numPoints} points, maxDepth=${maxDepth}, minPoints=${minPoints}`);
+
+        let nodes = new Uint32Array(INITIAL_NODE_CAPACITY * BVH_NODE_STRIDE);
+        let bounds = new Float32Array(INITIAL_NODE_CAPACITY * BVH_BOUNDS_STRIDE);
+        const octants = new Uint8Array(numPoints);
+        const scratch = new Uint32Array(numPoints);
+        const counts = new Uint32Array(8);
+        const starts = new Uint32Array(8);
+        const next = new Uint32Array(8);
+
+        // Root cell: a cube, so every octant is a cube too
+        segmentBounds(points, indices, 0, numPoints, bounds, 0);
+        if (numPoints > 0) {
+            const side = Math.max(bounds[3] - bounds[0], bounds[4] - bounds[1], bounds[5] - bounds[2]);
+            for (let axis = 0; axis < 3; axis++) {
+                bounds[3 + axis] = Math.fround(bounds[axis] + side);
+            }
+        }
+
+        let nodeCount = 1;
+        nodes[1] = numPoints;
+        const stack = [0];
+
+        while (stack.length > 0) {
+            const node = stack.pop();
+            const n = node * BVH_NODE_STRIDE;
+            const first = nodes[n];
+            const count = nodes[n + 1];
+            const depth = nodes[n + 4];
+            const b = node * BVH_BOUNDS_STRIDE;
+
+            // Check termination conditions
+            if (depth >= maxDepth || count <= Math.max(1, minPoints)) {
+                continue;
+            }
+
+            // Octant of each point: bit 0 for the upper x half, bit 1 for y, bit 2 for z. The split
+            // planes are rounded to float32 first so points and the stored child cells agree.
+            const mid = [0, 1, 2].map(axis => Math.fround((bounds[b + axis] + bounds[b + 3 + axis]) / 2));
+            counts.fill(0);
+            for (let i = first; i < first + count; i++) {
+                const p = indices[i] * 3;
+                const octant = (points[p] >= mid[0] ? 1 : 0) | (points[p + 1] >= mid[1] ? 2 : 0) | (points[p + 2] >= mid[2] ? 4 : 0);
+                octants[i] = octant;
+                counts[octant]++;
+            }
+
+            // Counting sort of the range by octant
+            for (let octant = 1; octant < 8; octant++) starts[octant] = starts[octant - 1] + counts[octant - 1];
+            next.set(starts);
+            for (let i = first; i < first + count; i++) {
+                scratch[first + next[octants[i]]++] = indices[i];
+            }
+            indices.set(scratch.subarray(first, first + count), first);
+
+            // Non-empty octants become consecutive children
+            const occupied = counts.reduce((total, c) => total + (c > 0 ? 1 : 0), 0);
+            if (nodeCount + occupied > nodes.length / BVH_NODE_STRIDE) {
+                const capacity = Math.max(nodeCount + occupied, nodes.length / BVH_NODE_STRIDE * 2);
+                nodes = grow(nodes, capacity * BVH_NODE_STRIDE);
+                bounds = grow(bounds, capacity * BVH_BOUNDS_STRIDE);
+            }
+
+            nodes[n + 2] = nodeCount;
+            nodes[n + 3] = occupied;
+            for (let octant = 0; octant < 8; octant++) {
+                if (counts[octant] === 0) continue;
+
+                const child = nodeCount++;
+                nodes.set([first + starts[octant], counts[octant], 0, 0, depth + 1], child * BVH_NODE_STRIDE);
+                for (let axis = 0; axis < 3; axis++) {
+                    const upper = (octant >> axis) & 1;
+                    bounds[child * BVH_BOUNDS_STRIDE + axis] = upper ? mid[axis] : bounds[b + axis];
+                    bounds[child * BVH_BOUNDS_STRIDE + 3 + axis] = upper ? bounds[b + 3 + axis] : mid[axis];
+                }
+            }
+            for (let child = nodeCount - 1; child >= nodes[n + 2]; child--) {
+                stack.push(child);
+            }
+        }
+
+        return {
+            nodeCount,
+            nodes: nodes.slice(0, nodeCount * BVH_NODE_STRIDE),
+            bounds: bounds.slice(0, nodeCount * BVH_BOUNDS_STRIDE),
+            indices
+        };
+    }
+}
+
+/**
+ * Copy a typed array into a larger one of the same type
+ * @private
+ */
+function grow(array, length) {
+    const grown = new array.constructor(length);
+    grown.set(array);
+    return grown;
+}
@@ -6,6 +6,13 @@
 /**
  * Data type configuration constants
  * Defines supported data types with their properties
+ *
+ * Sub-byte types set `bits` and have a fractional `size` in bytes, so their byte offsets
+ * fall on multiples of 1/8. Their bits are read LSB-first in little endian mode and
+ * MSB-first in big endian mode. Vector types pack several `lanes` into one element and
+ * expand to one component per lane in tuple layouts. `autoNormalize` overrides the 'auto'
+ * normalizer for types whose values already lie in [-1,1]. Each `method` has a matching
+ * setter (getX → setX) on the extended DataView for writing values back.
  */
 export const DATA_TYPES = {
     int8: { size: 1, min: -128, max: 127, method: 'getInt8', isFloat: false },
@@ -14,11 +21,25 @@ export const DATA_TYPES = {
     uint16: { size: 2, min: 0, max: 65535, method: 'getUint16', isFloat: false },
     int32: { size: 4, min: -2147483648, max: 2147483647, method: 'getInt32', isFloat: false },
     uint32: { size: 4, min: 0, max: 4294967295, method: 'getUint32', isFloat: false },
+    int64: { size: 8, min: -(2 ** 63), max: 2 ** 63 - 1, method: 'getInt64Number', isFloat: false },
+    uint64: { size: 8, min: 0, max: 2 ** 64 - 1, method: 'getUint64Number', isFloat: false },
     fp16: { size: 2, method: 'getFloat16', isFloat: true },
     bf16: { size: 2, method: 'getBFloat16', isFloat: true },
     fp32: { size: 4, method: 'getFloat32', isFloat: true },
+    fp64: { size: 8, method: 'getFloat64', isFloat: true },
     fp8_e4m3: { size: 1, method: 'getFloat8E4M3', isFloat: true },
-    fp8_e5m2: { size: 1, method: 'getFloat8E5M2', isFloat: true }
+    fp8_e5m2: { size: 1, method: 'getFloat8E5M2', isFloat: true },
+    fp6_e2m3: { size: 0.75, bits: 6, method: 'getFloat6E2M3', isFloat: true },
+    fp6_e3m2: { size: 0.75, bits: 6, method: 'getFloat6E3M2', isFloat: true },
+    mxfp4: { size: 0.5, bits: 4, method: 'getFloat4E2M1', isFloat: true },
+    nf4: { size: 0.5, bits: 4, method: 'getNF4', isFloat: true, autoNormalize: 'linear' },
+    int4: { size: 0.5, bits: 4, min: -8, max: 7, method: 'getInt4', isFloat: false },
+    uint4: { size: 0.5, bits: 4, min: 0, max: 15, method: 'getUint4', isFloat: false },
+    uint2: { size: 0.25, bits: 2, min: 0, max: 3, method: 'getUint2', isFloat: false },
+    int10: { size: 1.25, bits: 10, min: -512, max: 511, method: 'getInt10', isFloat: false },
+    uint10: { size: 1.25, bits: 10, min: 0, max: 1023, method: 'getUint10', isFloat: false },
+    int10_10_10_2: { size: 4, lanes: ['int10', 'int10', 'int10', 'uint2'], isFloat: false },
+    uint10_10_10_2: { size: 4, lanes: ['uint10', 'uint10', 'uint10', 'uint2'], isFloat: false }
 };
 
 /**
@@ -27,7 +48,7 @@ export const DATA_TYPES = {
  */
 export const NORMALIZERS = Object.fromEntries(
     Object.entries(DATA_TYPES)
-        .filter(([type, config]) => !config.isFloat)
+        .filter(([type, config]) => !config.isFloat && !config.lanes)
         .map(([type, config]) => [
             type,
             {
@@ -1,9 +1,23 @@
 /**
  * FloatUtils.js
  * Floating-point format conversion utilities for DataPrism
- * Supports fp16, bf16, fp8_e4m3, and fp8_e5m2 formats
+ * Supports fp16, bf16, fp8_e4m3, fp8_e5m2, fp6_e2m3, fp6_e3m2, fp4_e2m1 (MXFP4) and NF4 formats,
+ * plus 64-bit integers and sub-byte integer fields
+ *
+ * Decoders and encoders are provided for every format. Encoders round to nearest, ties to even.
  */
 
+/**
+ * NF4 (4-bit NormalFloat) code book from QLoRA: quantiles of a standard normal scaled to [-1,1]
+ * @type {Float32Array}
+ */
+export const NF4_VALUES = new Float32Array([
+    -1.0, -0.6961928009986877, -0.5250730514526367, -0.39491748809814453,
+    -0.28444138169288635, -0.18477343022823334, -0.09105003625154495, 0.0,
+    0.07958029955625534, 0.16093020141124725, 0.24611230194568634, 0.33791524171829224,
+    0.44070982933044434, 0.5626170039176941, 0.7229568362236023, 1.0
+]);
+
 /**
  * Convert IEEE 754 half precision (fp16) to single precision (fp32)
  * @param {number} uint16Value - 16-bit unsigned integer representing fp16
@@ -110,36 +124,549 @@ export function fp8e5m2ToFloat32(uint8Value) {
     return (sign ? -1 : 1) * Math.pow(2, exponent - 15) * (1 + mantissa / 4);
 }
 
+/**
+ * Convert 6-bit floating point E2M3 format (OCP MX FP6) to single precision (fp32)
+ * There are no infinities or NaNs; the largest magnitude is 7.5.
+ * @param {number} uint6Value - 6-bit unsigned integer representing fp6_e2m3
+ * @returns {number} - JavaScript number (fp32/fp64)
+ */
+export function fp6e2m3ToFloat32(uint6Value) {
+    const sign = (uint6Value & 0x20) >> 5;
+    const exponent = (uint6Value & 0x18) >> 3; // 2 bits
+    const mantissa = uint6Value & 0x07;        // 3 bits
+
+    if (exponent === 0) {
+        if (mantissa === 0) return sign ? -0.0 : 0.0;
+        return (sign ? -1 : 1) * (mantissa / 8);
+    }
+    return (sign ? -1 : 1) * Math.pow(2, exponent - 1) * (1 + mantissa / 8);
+}
+
+/**
+ * Convert 6-bit floating point E3M2 format (OCP MX FP6) to single precision (fp32)
+ * There are no infinities or NaNs; the largest magnitude is 28.
+ * @param {number} uint6Value - 6-bit unsigned integer representing fp6_e3m2
+ * @returns {number} - JavaScript number (fp32/fp64)
+ */
+export function fp6e3m2ToFloat32(uint6Value) {
+    const sign = (uint6Value & 0x20) >> 5;
+    const exponent = (uint6Value & 0x1C) >> 2; // 3 bits
+    const mantissa = uint6Value & 0x03;        // 2 bits
+
+    if (exponent === 0) {
+        if (mantissa === 0) return sign ? -0.0 : 0.0;
+        return (sign ? -1 : 1) * Math.pow(2, -2) * (mantissa / 4);
+    }
+    return (sign ? -1 : 1) * Math.pow(2, exponent - 3) * (1 + mantissa / 4);
+}
+
+/**
+ * Convert 4-bit floating point E2M1 format (the MXFP4 element type) to single precision (fp32)
+ * Only the element is decoded; MX block scales are not applied.
+ * @param {number} uint4Value - 4-bit unsigned integer representing fp4_e2m1
+ * @returns {number} - JavaScript number (fp32/fp64)
+ */
+export function fp4e2m1ToFloat32(uint4Value) {
+    const sign = (uint4Value & 0x8) >> 3;
+    const exponent = (uint4Value & 0x6) >> 1; // 2 bits
+    const mantissa = uint4Value & 0x1;        // 1 bit
+
+    if (exponent === 0) {
+        if (mantissa === 0) return sign ? -0.0 : 0.0;
+        return (sign ? -1 : 1) * 0.5;
+    }
+    return (sign ? -1 : 1) * Math.pow(2, exponent - 1) * (1 + mantissa / 2);
+}
+
+/**
+ * Encode a number into a small IEEE-style binary float format
+ *
+ * Rounds to nearest with ties to even, including into and out of the subnormal range.
+ * Formats with infinities reserve the all-ones exponent for Inf/NaN; formats without
+ * them (fp6, fp4) use it for finite values and always saturate.
+ *
+ * @param {number} value - Value to encode
+ * @param {number} exponentBits - Exponent field width
+ * @param {number} mantissaBits - Mantissa field width
+ * @param {number} bias - Exponent bias
+ * @param {boolean} hasInfNaN - Whether the all-ones exponent encodes Inf/NaN
+ * @param {boolean} saturate - Clamp overflow (and Infinity) to the largest finite value
+ * @returns {number} - Bit pattern (sign in the top bit)
+ * @private
+ */
+function encodeMinifloat(value, exponentBits, mantissaBits, bias, hasInfNaN, saturate) {
+    const signBit = 1 << (exponentBits + mantissaBits);
+    const exponentMask = (1 << exponentBits) - 1;
+    const mantissaScale = 1 << mantissaBits;
+
+    if (Number.isNaN(value)) {
+        // Canonical quiet NaN; formats without NaN encode zero
+        return hasInfNaN ? (exponentMask << mantissaBits) | (mantissaScale >> 1) : 0;
+    }
+
+    const sign = value < 0 || Object.is(value, -0) ? signBit : 0;
+    const magnitude = Math.abs(value);
+    const maxExponent = hasInfNaN ? exponentMask - 1 : exponentMask;
+    const maxFinite = sign | (maxExponent << mantissaBits) | (mantissaScale - 1);
+    const overflow = hasInfNaN && !saturate ? sign | (exponentMask << mantissaBits) : maxFinite;
+
+    if (magnitude === Infinity) {
+        return overflow;
+    }
+
+    const minNormal = Math.pow(2, 1 - bias);
+    if (magnitude < minNormal) {
+        // Subnormal: a mantissa of 2^mantissaBits rounds up into the smallest normal code
+        return sign | roundHalfEven(magnitude / minNormal * mantissaScale);
+    }
+
+    let exponent = Math.floor(Math.log2(magnitude));
+    // Guard against log2 rounding at exact powers of two
+    if (Math.pow(2, exponent) > magnitude) exponent--;
+    if (Math.pow(2, exponent + 1) <= magnitude) exponent++;
+
+    let mantissa = roundHalfEven((magnitude / Math.pow(2, exponent) - 1) * mantissaScale);
+    if (mantissa === mantissaScale) {
+        mantissa = 0;
+        exponent++;
+    }
+
+    const biasedExponent = exponent + bias;
+    if (biasedExponent > maxExponent) {
+        return overflow;
+    }
+    return sign | (biasedExponent << mantissaBits) | mantissa;
+}
+
+/**
+ * Round to the nearest integer, ties to even
+ * @private
+ */
+function roundHalfEven(value) {
+    const floor = Math.floor(value);
+    const fraction = value - floor;
+    if (fraction > 0.5 || (fraction === 0.5 && (floor & 1) === 1)) {
+        return floor + 1;
+    }
+    return floor;
+}
+
+/**
+ * Convert a number to IEEE 754 half precision (fp16)
+ * Values beyond ±65504 (after rounding) become ±Infinity; NaN becomes 0x7E00.
+ * @param {number} value - Value to encode
+ * @returns {number} - 16-bit unsigned integer representing fp16
+ */
+export function float32ToFp16(value) {
+    return encodeMinifloat(value, 5, 10, 15, true, false);
+}
+
+/**
+ * Convert a number to Google's bfloat16 (bf16)
+ * Rounds from the full value (not by truncating fp32 bits); NaN becomes 0x7FC0.
+ * @param {number} value - Value to encode
+ * @returns {number} - 16-bit unsigned integer representing bf16
+ */
+export function float32ToBf16(value) {
+    return encodeMinifloat(value, 8, 7, 127, true, false);
+}
+
+/**
+ * Convert a number to 8-bit floating point E4M3
+ * Uses the same IEEE-style layout as fp8e4m3ToFloat32 (largest finite value 240).
+ * @param {number} value - Value to encode
+ * @param {boolean} [saturate=true] - Clamp overflow to ±240 instead of encoding ±Infinity
+ * @returns {number} - 8-bit unsigned integer representing fp8_e4m3
+ */
+export function float32ToFp8E4M3(value, saturate = true) {
+    return encodeMinifloat(value, 4, 3, 7, true, saturate);
+}
+
+/**
+ * Convert a number to 8-bit floating point E5M2
+ * @param {number} value - Value to encode
+ * @param {boolean} [saturate=true] - Clamp overflow to ±57344 instead of encoding ±Infinity
+ * @returns {number} - 8-bit unsigned integer representing fp8_e5m2
+ */
+export function float32ToFp8E5M2(value, saturate = true) {
+    return encodeMinifloat(value, 5, 2, 15, true, saturate);
+}
+
+/**
+ * Convert a number to 6-bit floating point E2M3 (saturates at ±7.5, NaN encodes as 0)
+ * @param {number} value - Value to encode
+ * @returns {number} - 6-bit unsigned integer representing fp6_e2m3
+ */
+export function float32ToFp6E2M3(value) {
+    return encodeMinifloat(value, 2, 3, 1, false, true);
+}
+
+/**
+ * Convert a number to 6-bit floating point E3M2 (saturates at ±28, NaN encodes as 0)
+ * @param {number} value - Value to encode
+ * @returns {number} - 6-bit unsigned integer representing fp6_e3m2
+ */
+export function float32ToFp6E3M2(value) {
+    return encodeMinifloat(value, 3, 2, 3, false, true);
+}
+
+/**
+ * Convert a number to 4-bit floating point E2M1 (saturates at ±6, NaN encodes as 0)
+ * @param {number} value - Value to encode
+ * @returns {number} - 4-bit unsigned integer representing fp4_e2m1
+ */
+export function float32ToFp4E2M1(value) {
+    return encodeMinifloat(value, 2, 1, 1, false, true);
+}
+
+/**
+ * Convert a number to the nearest NF4 code (ties go to the lower code, NaN encodes as 0)
+ * @param {number} value - Value to encode
+ * @returns {number} - 4-bit code indexing NF4_VALUES
+ */
+export function float32ToNF4(value) {
+    let best = 0;
+    if (Number.isNaN(value)) {
+        return NF4_VALUES.indexOf(0);
+    }
+    for (let code = 1; code < NF4_VALUES.length; code++) {
+        if (Math.abs(NF4_VALUES[code] - value) < Math.abs(NF4_VALUES[best] - value)) {
+            best = code;
+        }
+    }
+    return best;
+}
+
+/**
+ * Lookup tables mapping every bit pattern of a small float format to its value
+ * Built on first use from the per-value converters above, so both always agree.
+ * @private
+ */
+const decodeTables = {};
+
+/**
+ * Per-value converter and code count for each table-driven format
+ * @private
+ */
+const TABLE_FORMATS = {
+    fp16: { convert: fp16ToFloat32, encode: float32ToFp16, codes: 65536, size: 2 },
+    bf16: { convert: bf16ToFloat32, encode: float32ToBf16, codes: 65536, size: 2 },
+    fp8_e4m3: { convert: fp8e4m3ToFloat32, encode: float32ToFp8E4M3, codes: 256, size: 1 },
+    fp8_e5m2: { convert: fp8e5m2ToFloat32, encode: float32ToFp8E5M2, codes: 256, size: 1 }
+};
+
+/**
+ * Formats with lookup-table and bulk decoding (DATA_TYPES keys)
+ * @type {string[]}
+ */
+export const TABLE_DECODED_FORMATS = Object.keys(TABLE_FORMATS);
+
+/**
+ * Get the lookup table for a format: index with the raw bit pattern to get the value
+ * fp16/bf16 tables have 65536 entries, fp8 tables 256. Every value in these formats is
+ * exactly representable as fp32, so the tables are lossless.
+ * @param {string} format - One of TABLE_DECODED_FORMATS
+ * @returns {Float32Array}
+ */
+export function getDecodeTable(format) {
+    let table = decodeTables[format];
+    if (!table) {
+        const spec = TABLE_FORMATS[format];
+        if (!spec) {
+            throw new Error(`No decode table for format: ${format}. Supported formats: ${TABLE_DECODED_FORMATS.join(', ')}`);
+        }
+        table = new Float32Array(spec.codes);
+        for (let code = 0; code < spec.codes; code++) {
+            table[code] = spec.convert(code);
+        }
+        decodeTables[format] = table;
+    }
+    return table;
+}
+
+/**
+ * Whether this platform stores multi-byte typed array elements little endian
+ * @private
+ */
+const PLATFORM_LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+/**
+ * Decode a span of fp16/bf16/fp8 values into a Float32Array in one pass
+ *
+ * Contiguous, aligned spans in platform byte order are read through a typed array view;
+ * anything else (big endian, odd offsets, interleaved strides) assembles codes byte by byte.
+ *
+ * @param {string} format - One of TABLE_DECODED_FORMATS
+ * @param {ArrayBuffer} buffer - Source data
+ * @param {number} [byteOffset=0] - Byte offset of the first value
+ * @param {number} [count] - Number of values (defaults to as many as fit)
+ * @param {boolean} [littleEndian=true] - Byte order of 16-bit formats
+ * @param {number} [byteStride] - Bytes between consecutive values (defaults to the format size)
+ * @param {Float32Array} [target] - Output array (allocated when omitted)
+ * @returns {Float32Array} - Decoded values
+ */
+export function decodeFloatSpan(format, buffer, byteOffset = 0, count, littleEndian = true, byteStride, target) {
+    const table = getDecodeTable(format);
+    const size = TABLE_FORMATS[format].size;
+    const stride = byteStride || size;
+    if (count === undefined) {
+        count = buffer.byteLength >= byteOffset + size ? Math.floor((buffer.byteLength - byteOffset - size) / stride) + 1 : 0;
+    }
+    if (count > 0 && byteOffset + (count - 1) * stride + size > buffer.byteLength) {
+        throw new Error(`Span of ${count} ${format} values at offset ${byteOffset} exceeds buffer of ${buffer.byteLength} bytes`);
+    }
+    const out = target || new Float32Array(count);
+    if (count === 0) {
+        return out;
+    }
+
+    if (size === 1) {
+        const bytes = new Uint8Array(buffer);
+        for (let i = 0, o = byteOffset; i < count; i++, o += stride) {
+            out[i] = table[bytes[o]];
+        }
+    } else if (stride % 2 === 0 && byteOffset % 2 === 0 && littleEndian === PLATFORM_LITTLE_ENDIAN) {
+        const codes = new Uint16Array(buffer, byteOffset, (count - 1) * (stride / 2) + 1);
+        const step = stride / 2;
+        for (let i = 0, c = 0; i < count; i++, c += step) {
+            out[i] = table[codes[c]];
+        }
+    } else {
+        const bytes = new Uint8Array(buffer);
+        for (let i = 0, o = byteOffset; i < count; i++, o += stride) {
+            out[i] = table[littleEndian ? bytes[o] | (bytes[o + 1] << 8) : (bytes[o] << 8) | bytes[o + 1]];
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Encode numbers into a span of fp16/bf16/fp8 values in one pass (inverse of decodeFloatSpan)
+ * @param {string} format - One of TABLE_DECODED_FORMATS
+ * @param {ArrayLike<number>} values - Values to encode
+ * @param {ArrayBuffer} [buffer] - Destination (allocated to fit when omitted)
+ * @param {number} [byteOffset=0] - Byte offset of the first value
+ * @param {boolean} [littleEndian=true] - Byte order of 16-bit formats
+ * @param {number} [byteStride] - Bytes between consecutive values (defaults to the format size),
+ *   so interleaved records can be filled one component at a time
+ * @returns {ArrayBuffer} - The destination buffer
+ */
+export function encodeFloatSpan(format, values, buffer, byteOffset = 0, littleEndian = true, byteStride) {
+    const spec = TABLE_FORMATS[format];
+    if (!spec) {
+        throw new Error(`No encoder for format: ${format}. Supported formats: ${TABLE_DECODED_FORMATS.join(', ')}`);
+    }
+    const stride = byteStride || spec.size;
+    const count = values.length;
+    const requiredBytes = count > 0 ? byteOffset + (count - 1) * stride + spec.size : byteOffset;
+    const out = buffer || new ArrayBuffer(requiredBytes);
+    if (requiredBytes > out.byteLength) {
+        throw new Error(`Span of ${count} ${format} values at offset ${byteOffset} exceeds buffer of ${out.byteLength} bytes`);
+    }
+
+    const bytes = new Uint8Array(out);
+    for (let i = 0, o = byteOffset; i < count; i++, o += stride) {
+        const code = spec.encode(values[i]);
+        if (spec.size === 1) {
+            bytes[o] = code;
+        } else if (littleEndian) {
+            bytes[o] = code & 0xFF;
+            bytes[o + 1] = code >> 8;
+        } else {
+            bytes[o] = code >> 8;
+            bytes[o + 1] = code & 0xFF;
+        }
+    }
+
+    return out;
+}
+
 /**
  * Create an Extended DataView with support for custom floating-point formats
+ * Every getX method has a matching setX(byteOffset, value, littleEndian) encoder.
  * @param {ArrayBuffer} buffer - The buffer to wrap
  * @returns {DataView} - Extended DataView with additional methods
  */
 export function createExtendedDataView(buffer) {
     const view = new DataView(buffer);
 
+    // Small float formats decode through lookup tables
+    const fp16Table = getDecodeTable('fp16');
+    const bf16Table = getDecodeTable('bf16');
+    const fp8e4m3Table = getDecodeTable('fp8_e4m3');
+    const fp8e5m2Table = getDecodeTable('fp8_e5m2');
+
     // Add fp16 support
     view.getFloat16 = function(byteOffset, littleEndian = false) {
-        const uint16Value = this.getUint16(byteOffset, littleEndian);
-        return fp16ToFloat32(uint16Value);
+        return fp16Table[this.getUint16(byteOffset, littleEndian)];
     };
 
     // Add bf16 support
     view.getBFloat16 = function(byteOffset, littleEndian = false) {
-        const uint16Value = this.getUint16(byteOffset, littleEndian);
-        return bf16ToFloat32(uint16Value);
+        return bf16Table[this.getUint16(byteOffset, littleEndian)];
     };
 
     // Add fp8_e4m3 support
     view.getFloat8E4M3 = function(byteOffset) {
-        const uint8Value = this.getUint8(byteOffset);
-        return fp8e4m3ToFloat32(uint8Value);
+        return fp8e4m3Table[this.getUint8(byteOffset)];
     };
 
     // Add fp8_e5m2 support
     view.getFloat8E5M2 = function(byteOffset) {
-        const uint8Value = this.getUint8(byteOffset);
-        return fp8e5m2ToFloat32(uint8Value);
+        return fp8e5m2Table[this.getUint8(byteOffset)];
+    };
+
+    // Add 64-bit integer support (converted to the nearest double)
+    view.getInt64Number = function(byteOffset, littleEndian = false) {
+        return Number(this.getBigInt64(byteOffset, littleEndian));
+    };
+
+    view.getUint64Number = function(byteOffset, littleEndian = false) {
+        return Number(this.getBigUint64(byteOffset, littleEndian));
+    };
+
+    // Add sub-byte field support; byteOffset may be fractional in steps of 1/8
+    // Bits are packed LSB-first for little endian and MSB-first for big endian
+    view.getBits = function(byteOffset, bitCount, littleEndian = false) {
+        const bitOffset = Math.round(byteOffset * 8);
+        const firstByte = bitOffset >> 3;
+        const shift = bitOffset & 7;
+        const byteCount = (shift + bitCount + 7) >> 3;
+
+        let word = 0;
+        for (let i = 0; i < byteCount; i++) {
+            const byte = this.getUint8(firstByte + i);
+            word = littleEndian ? word | (byte << (8 * i)) : (word << 8) | byte;
+        }
+
+        const mask = (1 << bitCount) - 1;
+        return littleEndian ? (word >>> shift) & mask : (word >>> (byteCount * 8 - shift - bitCount)) & mask;
+    };
+
+    view.getUint2 = function(byteOffset, littleEndian = false) {
+        return this.getBits(byteOffset, 2, littleEndian);
+    };
+
+    view.getUint4 = function(byteOffset, littleEndian = false) {
+        return this.getBits(byteOffset, 4, littleEndian);
+    };
+
+    view.getInt4 = function(byteOffset, littleEndian = false) {
+        return (this.getBits(byteOffset, 4, littleEndian) << 28) >> 28;
+    };
+
+    view.getUint10 = function(byteOffset, littleEndian = false) {
+        return this.getBits(byteOffset, 10, littleEndian);
+    };
+
+    view.getInt10 = function(byteOffset, littleEndian = false) {
+        return (this.getBits(byteOffset, 10, littleEndian) << 22) >> 22;
+    };
+
+    // Add fp4_e2m1 (MXFP4 element) and NF4 support
+    view.getFloat4E2M1 = function(byteOffset, littleEndian = false) {
+        return fp4e2m1ToFloat32(this.getBits(byteOffset, 4, littleEndian));
+    };
+
+    view.getNF4 = function(byteOffset, littleEndian = false) {
+        return NF4_VALUES[this.getBits(byteOffset, 4, littleEndian)];
+    };
+
+    // Add fp6 (OCP MX E2M3 / E3M2) support
+    view.getFloat6E2M3 = function(byteOffset, littleEndian = false) {
+        return fp6e2m3ToFloat32(this.getBits(byteOffset, 6, littleEndian));
+    };
+
+    view.getFloat6E3M2 = function(byteOffset, littleEndian = false) {
+        return fp6e3m2ToFloat32(this.getBits(byteOffset, 6, littleEndian));
+    };
+
+    // Encoders mirroring the getters above
+    view.setFloat16 = function(byteOffset, value, littleEndian = false) {
+        this.setUint16(byteOffset, float32ToFp16(value), littleEndian);
+    };
+
+    view.setBFloat16 = function(byteOffset, value, littleEndian = false) {
+        this.setUint16(byteOffset, float32ToBf16(value), littleEndian);
+    };
+
+    view.setFloat8E4M3 = function(byteOffset, value) {
+        this.setUint8(byteOffset, float32ToFp8E4M3(value));
+    };
+
+    view.setFloat8E5M2 = function(byteOffset, value) {
+        this.setUint8(byteOffset, float32ToFp8E5M2(value));
+    };
+
+    // 64-bit integers are truncated toward zero and clamped to the type's range
+    view.setInt64Number = function(byteOffset, value, littleEndian = false) {
+        const clamped = Math.max(-(2 ** 63), Math.min(2 ** 63 - 1024, Math.trunc(value) || 0));
+        this.setBigInt64(byteOffset, BigInt(clamped), littleEndian);
+    };
+
+    view.setUint64Number = function(byteOffset, value, littleEndian = false) {
+        const clamped = Math.max(0, Math.min(2 ** 64 - 2048, Math.trunc(value) || 0));
+        this.setBigUint64(byteOffset, BigInt(clamped), littleEndian);
+    };
+
+    // Write a sub-byte field, leaving the surrounding bits untouched
+    view.setBits = function(byteOffset, bitCount, value, littleEndian = false) {
+        const bitOffset = Math.round(byteOffset * 8);
+        const firstByte = bitOffset >> 3;
+        const shift = bitOffset & 7;
+        const byteCount = (shift + bitCount + 7) >> 3;
+        const mask = (1 << bitCount) - 1;
+        const fieldShift = littleEndian ? shift : byteCount * 8 - shift - bitCount;
+
+        let word = 0;
+        for (let i = 0; i < byteCount; i++) {
+            const byte = this.getUint8(firstByte + i);
+            word = littleEndian ? word | (byte << (8 * i)) : (word << 8) | byte;
+        }
+        word = (word & ~(mask << fieldShift)) | ((value & mask) << fieldShift);
+        for (let i = 0; i < byteCount; i++) {
+            this.setUint8(firstByte + i, littleEndian ? (word >>> (8 * i)) & 0xFF : (word >>> (8 * (byteCount - 1 - i))) & 0xFF);
+        }
+    };
+
+    // Sub-byte integers truncate toward zero like the native setters, but clamp instead of wrapping
+    const clampInt = (value, min, max) => Math.max(min, Math.min(max, Math.trunc(value) || 0));
+
+    view.setUint2 = function(byteOffset, value, littleEndian = false) {
+        this.setBits(byteOffset, 2, clampInt(value, 0, 3), littleEndian);
+    };
+
+    view.setUint4 = function(byteOffset, value, littleEndian = false) {
+        this.setBits(byteOffset, 4, clampInt(value, 0, 15), littleEndian);
+    };
+
+    view.setInt4 = function(byteOffset, value, littleEndian = false) {
+        this.setBits(byteOffset, 4, clampInt(value, -8, 7), littleEndian);
+    };
+
+    view.setUint10 = function(byteOffset, value, littleEndian = false) {
+        this.setBits(byteOffset, 10, clampInt(value, 0, 1023), littleEndian);
+    };
+
+    view.setInt10 = function(byteOffset, value, littleEndian = false) {
+        this.setBits(byteOffset, 10, clampInt(value, -512, 511), littleEndian);
+    };
+
+    view.setFloat4E2M1 = function(byteOffset, value, littleEndian = false) {
+        this.setBits(byteOffset, 4, float32ToFp4E2M1(value), littleEndian);
+    };
+
+    view.setNF4 = function(byteOffset, value, littleEndian = false) {
+        this.setBits(byteOffset, 4, float32ToNF4(value), littleEndian);
+    };
+
+    view.setFloat6E2M3 = function(byteOffset, value, littleEndian = false) {
+        this.setBits(byteOffset, 6, float32ToFp6E2M3(value), littleEndian);
+    };
+
+    view.setFloat6E3M2 = function(byteOffset, value, littleEndian = false) {
+        this.setBits(byteOffset, 6, float32ToFp6E3M2(value), littleEndian);
     };
 
     return view;
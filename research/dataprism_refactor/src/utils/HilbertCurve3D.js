@@ -2,76 +2,119 @@
  * HilbertCurve3D.js
  * 3D Hilbert Curve implementation for space-filling curve generation
  * Preserves locality by mapping 1D indices to 3D coordinates
+ *
+ * Uses Skilling's transform ("Programming the Hilbert curve", AIP Conf. Proc. 707, 2004):
+ * coordinates are converted in place to the "transposed" Hilbert index, whose bits
+ * interleaved (x most significant) form the index. Consecutive indices are always
+ * unit-distance neighbours, and the curve starts at the origin.
  */
 
 /**
  * HilbertCurve3D class for 3D space-filling curve operations
  */
 export class HilbertCurve3D {
-    // Rotation matrices for the 8 octants of the Hilbert curve
-    static rotations = [
-        [0, 1, 2], [0, 2, 1], [1, 0, 2], [1, 2, 0],
-        [2, 0, 1], [2, 1, 0], [0, 1, 2], [0, 2, 1]
-    ];
+    /**
+     * Largest supported order (bits per coordinate); 3 x 10 bits keeps the index within 32 bits
+     * @type {number}
+     */
+    static MAX_ORDER = 10;
 
     /**
      * Convert 3D coordinates to Hilbert index
-     * @param {number} x - X coordinate
-     * @param {number} y - Y coordinate
-     * @param {number} z - Z coordinate
-     * @param {number} order - Order of the Hilbert curve (resolution)
-     * @returns {number} - Hilbert index
+     * @param {number} x - X coordinate [0, 2^order)
+     * @param {number} y - Y coordinate [0, 2^order)
+     * @param {number} z - Z coordinate [0, 2^order)
+     * @param {number} order - Order of the Hilbert curve (resolution, 1 to MAX_ORDER)
+     * @returns {number} - Hilbert index [0, 8^order)
      */
     static coordsToIndex(x, y, z, order) {
-        let index = 0;
-        for (let i = order - 1; i >= 0; i--) {
-            const bits = [
-                (x >> i) & 1,
-                (y >> i) & 1,
-                (z >> i) & 1
-            ];
+        this.validateOrder(order);
+        const axes = [x, y, z];
+        const top = 1 << (order - 1);
 
-            // Calculate octant
-            const octant = bits[0] * 4 + bits[1] * 2 + bits[2];
-            index = (index << 3) | octant;
+        // Inverse undo of the excess work done by the Gray decode
+        for (let q = top; q > 1; q >>= 1) {
+            const p = q - 1;
+            for (let i = 0; i < 3; i++) {
+                if (axes[i] & q) {
+                    axes[0] ^= p; // Invert
+                } else {
+                    const t = (axes[0] ^ axes[i]) & p; // Exchange
+                    axes[0] ^= t;
+                    axes[i] ^= t;
+                }
+            }
+        }
+
+        // Gray encode
+        axes[1] ^= axes[0];
+        axes[2] ^= axes[1];
+        let t = 0;
+        for (let q = top; q > 1; q >>= 1) {
+            if (axes[2] & q) t ^= q - 1;
+        }
+        for (let i = 0; i < 3; i++) {
+            axes[i] ^= t;
+        }
 
-            // Apply rotation for next level
-            const temp = [bits[0], bits[1], bits[2]];
-            const rot = this.rotations[octant];
-            bits[0] = temp[rot[0]];
-            bits[1] = temp[rot[1]];
-            bits[2] = temp[rot[2]];
+        // Interleave the transposed index bits
+        let index = 0;
+        for (let bit = order - 1; bit >= 0; bit--) {
+            index = index * 8 + ((axes[0] >> bit) & 1) * 4 + ((axes[1] >> bit) & 1) * 2 + ((axes[2] >> bit) & 1);
         }
         return index;
     }
 
     /**
      * Convert Hilbert index to 3D coordinates
-     * @param {number} index - Hilbert index
-     * @param {number} order - Order of the Hilbert curve (resolution)
+     * @param {number} index - Hilbert index [0, 8^order)
+     * @param {number} order - Order of the Hilbert curve (resolution, 1 to MAX_ORDER)
      * @returns {Array} - [x, y, z] coordinates
      */
     static indexToCoords(index, order) {
-        let x = 0, y = 0, z = 0;
-        let octant = 0;
+        this.validateOrder(order);
 
-        for (let i = 0; i < order; i++) {
-            octant = index & 7;
-            index >>= 3;
+        // De-interleave into the transposed index
+        const axes = [0, 0, 0];
+        for (let bit = 0; bit < order; bit++) {
+            const octant = index % 8;
+            index = Math.floor(index / 8);
+            axes[0] |= ((octant >> 2) & 1) << bit;
+            axes[1] |= ((octant >> 1) & 1) << bit;
+            axes[2] |= (octant & 1) << bit;
+        }
 
-            const rot = this.rotations[octant];
-            const bits = [
-                (octant >> 2) & 1,
-                (octant >> 1) & 1,
-                octant & 1
-            ];
+        // Gray decode
+        const t = axes[2] >> 1;
+        axes[2] ^= axes[1];
+        axes[1] ^= axes[0];
+        axes[0] ^= t;
 
-            // Apply inverse rotation
-            x = (x << 1) | bits[rot[0]];
-            y = (y << 1) | bits[rot[1]];
-            z = (z << 1) | bits[rot[2]];
+        // Undo excess work
+        for (let q = 2; q !== 1 << order; q <<= 1) {
+            const p = q - 1;
+            for (let i = 2; i >= 0; i--) {
+                if (axes[i] & q) {
+                    axes[0] ^= p;
+                } else {
+                    const t = (axes[0] ^ axes[i]) & p;
+                    axes[0] ^= t;
+                    axes[i] ^= t;
+                }
+            }
         }
 
-        return [x, y, z];
+        return axes;
+    }
+
+    /**
+     * Throw unless order is an integer from 1 to MAX_ORDER
+     * @param {number} order - Order of the Hilbert curve
+     * @private
+     */
+    static validateOrder(order) {
+        if (!Number.isInteger(order) || order < 1 || order > this.MAX_ORDER) {
+            throw new Error(`Hilbert curve order must be an integer between 1 and ${this.MAX_ORDER}`);
+        }
     }
 }
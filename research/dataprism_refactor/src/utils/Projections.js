@@ -1,366 +1,620 @@
 /**
  * Projections Module
- * Provides various projection modes for transforming 3D point clouds
+ * Registry of projection modes for transforming 3D point clouds
+ *
+ * Each mode is a plugin definition registered with registerProjection. The definition
+ * declares everything the pipeline and UI need to know about the mode, so adding a
+ * projection does not require changes to DataProcessor, the loading text or the stats panel:
+ * - id / label: value and name in the projection dropdown
+ * - output: how the transformed points are used (see PROJECTION_OUTPUTS)
+ * - parameters: numeric inputs the transform reads, with their defaults and UI controls
+ * - badge: optional short tag shown next to the mode name
+ * - transform(points, context): the projection itself
+ *
+ * @typedef {Object} ProjectionParameter
+ * @property {string} name - Key in the params object passed to transform
+ * @property {string} label - Human readable name
+ * @property {number} defaultValue - Value used when the UI does not provide one
+ * @property {number} [min] - Smallest valid value
+ * @property {number} [max] - Largest valid value
+ * @property {string} [elementId] - Id of the input holding the value in the UI
+ * @property {string} [controlId] - Id of the control row shown only while the mode is selected
+ *
+ * @typedef {Object} ProjectionDefinition
+ * @property {string} id - Mode identifier (projectionMode value)
+ * @property {string} label - Name in the projection dropdown
+ * @property {string} output - One of PROJECTION_OUTPUTS
+ * @property {ProjectionParameter[]} [parameters=[]] - Parameters read by transform
+ * @property {{ text: string, className?: string }} [badge] - Tag shown next to the mode name
+ * @property {number} [copies=1] - Points emitted per input point ('expanded' output)
+ * @property {boolean} [mainThread=false] - Must run on the main thread (e.g. uses DOM or THREE globals)
+ * @property {function(Float32Array, { quantizationBits: number, params: Object }): (Float32Array|Object)} transform -
+ *   'points' and 'expanded' return a Float32Array (copies × input length for 'expanded', copies of a
+ *   point stored consecutively); 'path' returns { points, order? } where order maps new to original
+ *   point indices; 'bvh' returns { points, nodes, showPoints }
  */
 
-import { BVH } from '../spatial/BVH.js';
+import { BVH, BVH_SPLIT_STRATEGIES } from '../spatial/BVH.js';
+import { Octree } from '../spatial/Octree.js';
+import { KDTree } from '../spatial/KDTree.js';
 import { HilbertCurve3D } from './HilbertCurve3D.js';
+import { mortonIndex3D, grayCodeIndex3D, peanoIndex3D, hilbertIndexToXY, mortonIndexToXY } from './SpaceFillingCurves.js';
+
+/**
+ * Output kinds of a projection
+ * - points: one projected point per input point
+ * - path: points (possibly reordered) drawn with connecting lines
+ * - bvh: points plus the boxes of a BVH, octree or k-d tree (points optionally hidden)
+ * - expanded: several projected points per input point (see ProjectionDefinition.copies)
+ */
+export const PROJECTION_OUTPUTS = Object.freeze({
+    POINTS: 'points',
+    PATH: 'path',
+    BVH: 'bvh',
+    EXPANDED: 'expanded'
+});
+
+/**
+ * Registered projections by id, in registration (dropdown) order
+ * @type {Map<string, ProjectionDefinition>}
+ */
+const registry = new Map();
+
+/**
+ * Register a projection mode, replacing any mode with the same id
+ * @param {ProjectionDefinition} definition - Projection plugin
+ * @returns {ProjectionDefinition} - The registered definition with defaults filled in
+ */
+export function registerProjection(definition) {
+    if (!definition || typeof definition.id !== 'string' || typeof definition.transform !== 'function') {
+        throw new Error('Projection needs an id and a transform function');
+    }
+    if (!Object.values(PROJECTION_OUTPUTS).includes(definition.output)) {
+        throw new Error(`Projection ${definition.id} has unknown output kind: ${definition.output}`);
+    }
+
+    const registered = {
+        label: definition.id,
+        parameters: [],
+        badge: null,
+        copies: 1,
+        mainThread: false,
+        ...definition
+    };
+    registry.set(registered.id, registered);
+    return registered;
+}
+
+/**
+ * Look up a registered projection
+ * @param {string} id - Projection mode
+ * @returns {ProjectionDefinition|null}
+ */
+export function getProjection(id) {
+    return registry.get(id) || null;
+}
+
+/**
+ * All registered projections in registration order
+ * @returns {ProjectionDefinition[]}
+ */
+export function listProjections() {
+    return Array.from(registry.values());
+}
+
+/**
+ * Fill in and validate a projection's parameters
+ * @param {ProjectionDefinition} definition - Projection
+ * @param {Object} [params={}] - Provided values by parameter name; missing or non-numeric values use the default
+ * @returns {Object} - Value for every declared parameter
+ */
+export function resolveProjectionParameters(definition, params = {}) {
+    const resolved = {};
+    for (const parameter of definition.parameters) {
+        const value = params && params[parameter.name] !== undefined ? Number(params[parameter.name]) : parameter.defaultValue;
+        if (Number.isNaN(value) || (parameter.min !== undefined && value < parameter.min) || (parameter.max !== undefined && value > parameter.max)) {
+            throw new Error(`Invalid ${parameter.name}: ${params[parameter.name]}`);
+        }
+        resolved[parameter.name] = value;
+    }
+    return resolved;
+}
 
 /**
  * Apply projection transformation to 3D points
  *
  * @param {Float32Array} points - Array of 3D point coordinates (x, y, z, x, y, z, ...)
- * @param {string} projectionMode - The projection mode to apply:
- *   - 'standard': No projection (returns points as-is)
- *   - 'bvh-with-points': BVH visualization with points
- *   - 'bvh-only': BVH visualization without points
- *   - 'continuous-path': Creates a continuous path through points
- *   - 'hilbert-curve': Arranges points along a 3D Hilbert curve
- *   - 'lattice-2d': Projects to a 2D lattice grid
- *   - 'tiled': Tiled projection with quantization
- *   - 'orthographic-3plane': Creates 3 orthographic projections (XY, XZ, YZ)
- *   - 'orthographic-xy': Orthographic projection onto XY plane
- *   - 'orthographic-xz': Orthographic projection onto XZ plane
- *   - 'orthographic-yz': Orthographic projection onto YZ plane
- *   - 'stereographic': Stereographic projection from sphere to plane
- *   - 'equirectangular': Equirectangular projection (lat/lon)
- *   - 'cylindrical': Cylindrical projection around Y axis
+ * @param {string} projectionMode - Id of a registered projection (see listProjections); unknown
+ *   modes fall back to 'standard'
  * @param {number} [quantizationBits=8] - Number of bits for quantization (used in tiled mode)
- * @returns {Float32Array|Object} Transformed points or special projection data object
+ * @param {Object} [params={}] - Parameter values by name (see ProjectionDefinition.parameters)
+ * @returns {{ output: string, points: Float32Array, copies: number, order?: Uint32Array, bvhNodes?: Array, showPoints?: boolean }}
+ *   Projected points and the output kind they are meant for
  */
-export function applyProjection(points, projectionMode, quantizationBits = 8) {
-    if (projectionMode === 'standard') {
-        return points; // No projection
+export function applyProjection(points, projectionMode, quantizationBits = 8, params = {}) {
+    let definition = getProjection(projectionMode);
+    if (!definition) {
+        console.warn(`Unknown projection mode "${projectionMode}", falling back to standard`);
+        definition = getProjection('standard');
     }
 
-    // BVH visualization modes
-    if (projectionMode === 'bvh-with-points' || projectionMode === 'bvh-only') {
-        try {
-            const numPoints = points.length / 3;
+    const projected = definition.transform(points, {
+        quantizationBits,
+        params: resolveProjectionParameters(definition, params)
+    });
 
-            console.log(`Starting BVH projection mode: ${projectionMode}, numPoints: ${numPoints}`);
+    switch (definition.output) {
+        case PROJECTION_OUTPUTS.PATH:
+            return { output: definition.output, points: projected.points, copies: 1, order: projected.order };
 
-            // Get BVH parameters from UI
-            const maxDepthElement = document.getElementById('bvhMaxDepth');
-            const minPointsElement = document.getElementById('bvhMinPoints');
-            const displayLevelElement = document.getElementById('bvhDisplayLevel');
+        case PROJECTION_OUTPUTS.BVH:
+            if (!projected.nodes || projected.nodes.length === 0) {
+                // Nothing to draw as boxes - handle the points like a standard projection
+                return { output: PROJECTION_OUTPUTS.POINTS, points: projected.points, copies: 1 };
+            }
+            return { output: definition.output, points: projected.points, copies: 1, bvhNodes: projected.nodes, showPoints: projected.showPoints };
 
-            const maxDepth = maxDepthElement ? parseInt(maxDepthElement.value) : 8;
-            const minPoints = minPointsElement ? parseInt(minPointsElement.value) : 8;
-            const displayLevel = displayLevelElement ? parseInt(displayLevelElement.value) : -1;
+        default:
+            return { output: definition.output, points: projected, copies: definition.copies };
+    }
+}
 
-            console.log(`BVH parameters: maxDepth=${maxDepth}, minPoints=${minPoints}, displayLevel=${displayLevel}`);
+/**
+ * Convert normalized coordinates [-1,1] to a discrete grid coordinate [0, gridSize-1]
+ * @private
+ */
+function toGrid(value, gridSize) {
+    return Math.max(0, Math.min(gridSize - 1, Math.floor((value + 1) / 2 * gridSize)));
+}
 
-            // Validate parameters
-            if (isNaN(maxDepth) || maxDepth < 1 || maxDepth > 12) {
-                throw new Error(`Invalid maxDepth: ${maxDepth}`);
-            }
-            if (isNaN(minPoints) || minPoints < 1) {
-                throw new Error(`Invalid minPoints: ${minPoints}`);
-            }
-            if (numPoints === 0) {
-                throw new Error('No points to build BVH');
-            }
+/**
+ * Build a projection transform that maps each point on its own
+ * @param {function(number, number, number, Float32Array, number): void} project - Writes the
+ *   projection of (x, y, z) to out[i], out[i + 1], out[i + 2]
+ * @private
+ */
+function perPoint(project) {
+    return (points) => {
+        const projectedPoints = new Float32Array(points.length);
+        for (let i = 0; i < points.length; i += 3) {
+            project(points[i], points[i + 1], points[i + 2], projectedPoints, i);
+        }
+        return projectedPoints;
+    };
+}
 
-            // Build BVH tree
-            console.log('Building BVH tree...');
-            const bvhRoot = BVH.build(points, maxDepth, minPoints);
-            console.log('BVH tree built successfully');
+/**
+ * Transform shared by the BVH, octree and k-d tree modes
+ * @param {string} name - Structure name for log messages
+ * @param {function(Float32Array, Object): Object} buildTable - Builds the flat node table from the points and params
+ * @param {boolean} showPoints - Whether the points are drawn with the boxes
+ * @private
+ */
+function treeTransform(name, buildTable, showPoints) {
+    return (points, { params }) => {
+        const { maxDepth, minPoints, displayLevel } = params;
+        const numPoints = points.length / 3;
 
-            // Flatten tree for rendering
-            console.log('Flattening BVH tree...');
-            const bvhNodes = BVH.flattenTree(bvhRoot, null, null, null, maxDepth, displayLevel);
-            console.log(`BVH flattened: ${bvhNodes.length} boxes at ${displayLevel >= 0 ? 'level ' + displayLevel : 'all levels'}`);
+        try {
+            console.log(`Starting ${name} projection: numPoints: ${numPoints}, maxDepth=${maxDepth}, minPoints=${minPoints}, displayLevel=${displayLevel}`);
+            if (numPoints === 0) {
+                throw new Error(`No points to build ${name}`);
+            }
 
-            if (bvhNodes.length === 0) {
-                console.warn('No BVH nodes generated - returning standard points');
-                return points; // Just return points as-is for standard handling
+            const table = buildTable(points, params);
+            const nodes = BVH.flattenTable(table, null, null, null, maxDepth, displayLevel);
+            console.log(`${name} flattened: ${nodes.length} boxes at ${displayLevel >= 0 ? 'level ' + displayLevel : 'all levels'}`);
+            if (nodes.length === 0) {
+                console.warn(`No ${name} nodes generated - returning standard points`);
             }
 
-            // Return special structure indicating BVH mode
-            // We return the points as-is and attach bvhData which will be handled specially
-            return {
-                points: points, // Keep original points
-                bvhData: {
-                    nodes: bvhNodes,
-                    showPoints: projectionMode === 'bvh-with-points'
-                }
-            };
+            // Points are kept as-is; the boxes are drawn from the flattened nodes
+            return { points, nodes, showPoints };
         } catch (error) {
-            console.error('Error in BVH projection mode:', error);
-            console.error('Error stack:', error.stack);
-            console.error('Error details:', {
-                message: error.message,
-                name: error.name,
-                projectionMode: projectionMode,
-                pointsLength: points.length
-            });
-            // Return standard points as fallback
-            return points;
+            console.error(`Error in ${name} projection mode:`, error);
+            // Standard points as fallback
+            return { points, nodes: [], showPoints };
         }
-    }
+    };
+}
 
-    // Special case for continuous path - return both points and path data
-    if (projectionMode === 'continuous-path') {
-        return {
-            points: points,
-            pathData: true, // Flag to indicate this chunk should create path lines
-            numPoints: points.length / 3
-        };
-    }
+/**
+ * BVH transform shared by the BVH modes, with the split strategy chosen by the split parameter
+ * @private
+ */
+function bvhTransform(showPoints) {
+    return treeTransform('BVH', (points, { maxDepth, minPoints, split }) =>
+        BVH.buildFlat(points, { maxDepth, minPoints, strategy: BVH_SPLIT_STRATEGIES[Math.round(split)] }), showPoints);
+}
 
-    // Hilbert curve projection - rearrange points along a 3D Hilbert curve
-    if (projectionMode === 'hilbert-curve') {
-        const numPoints = points.length / 3;
-        const order = Math.max(2, Math.min(8, Math.ceil(Math.log2(Math.cbrt(numPoints))))); // Adaptive order
-        const gridSize = Math.pow(2, order);
+/**
+ * Octree transform: uniform subdivision of the bounding cube
+ * @private
+ */
+function octreeTransform(showPoints) {
+    return treeTransform('octree', (points, { maxDepth, minPoints }) => Octree.build(points, { maxDepth, minPoints }), showPoints);
+}
+
+/**
+ * k-d tree transform: median splits cycling through x, y and z
+ * @private
+ */
+function kdTreeTransform(showPoints) {
+    return treeTransform('k-d tree', (points, { maxDepth, minPoints }) => KDTree.build(points, { maxDepth, minPoints }), showPoints);
+}
 
-        // Create array to store points with their Hilbert indices
-        const indexedPoints = [];
+/**
+ * Tiled projection: (col, row) = (z % sqrt(2^q), floor(z / sqrt(2^q))), then
+ * (col * 2^q + x, row * 2^q + y), normalized back to [-1, 1] in the z=0 plane
+ * @private
+ */
+function tiledTransform(points, { quantizationBits }) {
+    const qRange = Math.pow(2, quantizationBits);
+    const sqrtQRange = Math.floor(Math.sqrt(qRange));
+    const maxTiledCoord = Math.max(sqrtQRange * qRange + qRange - 1, 1);
+
+    return perPoint((x, y, z, out, i) => {
+        const discreteZ = toGrid(z, qRange);
+        const tiledX = (discreteZ % sqrtQRange) * qRange + toGrid(x, qRange);
+        const tiledY = Math.floor(discreteZ / sqrtQRange) * qRange + toGrid(y, qRange);
+
+        out[i] = (tiledX / maxTiledCoord) * 2 - 1;
+        out[i + 1] = (tiledY / maxTiledCoord) * 2 - 1;
+        out[i + 2] = 0;
+    })(points);
+}
+
+/**
+ * Path transform that sorts points by their index along a 3D space-filling curve
+ * @param {function(number, number, number, number): number} curveIndex - (x, y, z, order) → curve index
+ * @param {number} base - Cells per axis per curve level (2 for binary curves, 3 for Peano)
+ * @param {number} maxOrder - Largest curve order (keeps indices small and sorting fast)
+ * @private
+ */
+function curveOrderTransform(curveIndex, base, maxOrder) {
+    return (points) => {
+        const numPoints = points.length / 3;
+        // Adaptive order: about one point per cell
+        const order = Math.max(base === 2 ? 2 : 1, Math.min(maxOrder, Math.ceil(Math.log(Math.cbrt(numPoints)) / Math.log(base))));
+        const gridSize = Math.pow(base, order);
 
+        const keys = new Float64Array(numPoints);
         for (let i = 0; i < numPoints; i++) {
-            const pointIndex = i * 3;
-            const x = points[pointIndex];
-            const y = points[pointIndex + 1];
-            const z = points[pointIndex + 2];
-
-            // Convert normalized coordinates [-1,1] to discrete grid [0, gridSize-1]
-            const discreteX = Math.max(0, Math.min(gridSize - 1, Math.floor((x + 1) / 2 * gridSize)));
-            const discreteY = Math.max(0, Math.min(gridSize - 1, Math.floor((y + 1) / 2 * gridSize)));
-            const discreteZ = Math.max(0, Math.min(gridSize - 1, Math.floor((z + 1) / 2 * gridSize)));
-
-            // Calculate Hilbert index for this point
-            const hilbertIndex = HilbertCurve3D.coordsToIndex(discreteX, discreteY, discreteZ, order);
-
-            indexedPoints.push({
-                hilbertIndex: hilbertIndex,
-                originalIndex: i,
-                x: x,
-                y: y,
-                z: z
-            });
+            keys[i] = curveIndex(
+                toGrid(points[i * 3], gridSize),
+                toGrid(points[i * 3 + 1], gridSize),
+                toGrid(points[i * 3 + 2], gridSize),
+                order
+            );
         }
 
-        // Sort points by Hilbert index to create a continuous path
-        indexedPoints.sort((a, b) => a.hilbertIndex - b.hilbertIndex);
-
-        // Create new point array in Hilbert order
+        // Stable sort by curve index to create a continuous path
+        const curveOrder = Array.from({ length: numPoints }, (_, i) => i).sort((a, b) => keys[a] - keys[b]);
         const orderedPoints = new Float32Array(points.length);
-        for (let i = 0; i < indexedPoints.length; i++) {
-            const pt = indexedPoints[i];
-            orderedPoints[i * 3] = pt.x;
-            orderedPoints[i * 3 + 1] = pt.y;
-            orderedPoints[i * 3 + 2] = pt.z;
-        }
+        curveOrder.forEach((source, i) => {
+            orderedPoints.set(points.subarray(source * 3, source * 3 + 3), i * 3);
+        });
+
+        return { points: orderedPoints, order: Uint32Array.from(curveOrder) };
+    };
+}
 
-        // Return with path data flag to draw connecting lines
-        return {
-            points: orderedPoints,
-            pathData: true,
-            numPoints: numPoints
-        };
+/**
+ * Positions along a 2D curve in the z=0 plane, normalized to [-1, 1] like lattice-2d
+ * @param {function(number, number): number[]} indexToXY - (curve position, order) → [x, y] cell
+ * @param {number} numPoints - Number of points to place
+ * @param {Uint32Array} [positions=null] - Each point's curve position (defaults to its position in the data)
+ * @returns {Float32Array}
+ * @private
+ */
+function curveLayout(indexToXY, numPoints, positions = null) {
+    const order = Math.max(1, Math.ceil(Math.log2(numPoints) / 2));
+    const side = Math.pow(2, order);
+    const projectedPoints = new Float32Array(numPoints * 3);
+
+    for (let i = 0; i < numPoints; i++) {
+        const [x, y] = indexToXY(positions ? positions[i] : i, order);
+        projectedPoints[i * 3] = (x / (side - 1)) * 2 - 1;
+        projectedPoints[i * 3 + 1] = (y / (side - 1)) * 2 - 1;
     }
+    return projectedPoints;
+}
 
-    // New Lattice 2D projection case
-    if (projectionMode === 'lattice-2d') {
+// Shared by the BVH, octree and k-d tree modes (one set of controls)
+const TREE_PARAMETERS = [
+    { name: 'maxDepth', label: 'Tree Depth', defaultValue: 8, min: 1, max: 12, elementId: 'bvhMaxDepth', controlId: 'bvhControls' },
+    { name: 'minPoints', label: 'Min Points', defaultValue: 8, min: 1, elementId: 'bvhMinPoints', controlId: 'bvhMinPointsControl' },
+    { name: 'displayLevel', label: 'Show Level', defaultValue: -1, min: -1, elementId: 'bvhDisplayLevel', controlId: 'bvhLevelControl' }
+];
+
+const BVH_PARAMETERS = [
+    ...TREE_PARAMETERS,
+    // Index into BVH_SPLIT_STRATEGIES: 0 = binned SAH, 1 = median of the longest axis
+    { name: 'split', label: 'BVH Split', defaultValue: 0, min: 0, max: BVH_SPLIT_STRATEGIES.length - 1, elementId: 'bvhSplit', controlId: 'bvhSplitControl' }
+];
+
+registerProjection({
+    id: 'standard',
+    label: 'Standard',
+    output: PROJECTION_OUTPUTS.POINTS,
+    transform: (points) => points // No projection
+});
+
+registerProjection({
+    id: 'continuous-path',
+    label: 'Continuous Path',
+    output: PROJECTION_OUTPUTS.PATH,
+    badge: { text: 'PATH', className: 'continuous-path-indicator' },
+    // Points stay in data order and are connected by path lines
+    transform: (points) => ({ points })
+});
+
+registerProjection({
+    id: 'hilbert-curve',
+    label: 'Hilbert Curve',
+    output: PROJECTION_OUTPUTS.PATH,
+    badge: { text: 'HILBERT', className: 'hilbert-indicator' },
+    // Rearrange points along a 3D Hilbert curve
+    transform: curveOrderTransform(HilbertCurve3D.coordsToIndex.bind(HilbertCurve3D), 2, 8)
+});
+
+registerProjection({
+    id: 'morton-curve',
+    label: 'Morton Curve (Z-order)',
+    output: PROJECTION_OUTPUTS.PATH,
+    badge: { text: 'MORTON', className: 'curve-indicator' },
+    transform: curveOrderTransform(mortonIndex3D, 2, 8)
+});
+
+registerProjection({
+    id: 'peano-curve',
+    label: 'Peano Curve',
+    output: PROJECTION_OUTPUTS.PATH,
+    badge: { text: 'PEANO', className: 'curve-indicator' },
+    transform: curveOrderTransform(peanoIndex3D, 3, 5)
+});
+
+registerProjection({
+    id: 'gray-curve',
+    label: 'Gray-Code Curve',
+    output: PROJECTION_OUTPUTS.PATH,
+    badge: { text: 'GRAY', className: 'curve-indicator' },
+    transform: curveOrderTransform(grayCodeIndex3D, 2, 8)
+});
+
+registerProjection({
+    id: 'curve-layout-hilbert',
+    label: 'Curve Layout (Hilbert)',
+    output: PROJECTION_OUTPUTS.POINTS,
+    badge: { text: 'LAYOUT', className: 'curve-indicator' },
+    // Inverse of the curve orderings: file order along a 2D Hilbert curve, so nearby bytes stay nearby
+    transform: (points) => curveLayout(hilbertIndexToXY, points.length / 3)
+});
+
+registerProjection({
+    id: 'curve-layout-morton',
+    label: 'Curve Layout (Morton)',
+    output: PROJECTION_OUTPUTS.POINTS,
+    badge: { text: 'LAYOUT', className: 'curve-indicator' },
+    transform: (points) => curveLayout(mortonIndexToXY, points.length / 3)
+});
+
+registerProjection({
+    id: 'curve-layout-compare',
+    label: 'Curve Layout: File vs Value Order',
+    output: PROJECTION_OUTPUTS.EXPANDED,
+    badge: { text: 'FILE | VALUE', className: 'curve-indicator' },
+    copies: 2,
+    // Left: file order along a 2D Hilbert curve; right: 3D Hilbert (value) order along the same curve.
+    // Points that are close in both halves are local in the byte stream and in value space.
+    transform: (points) => {
         const numPoints = points.length / 3;
-        const latticeSize = Math.ceil(Math.sqrt(numPoints));
+        const fileLayout = curveLayout(hilbertIndexToXY, numPoints);
+        const valueOrder = curveOrderTransform(HilbertCurve3D.coordsToIndex.bind(HilbertCurve3D), 2, 8)(points).order;
 
-        // Create new projected points array
-        const projectedPoints = new Float32Array(points.length);
+        // The value-space half places each point at its rank along the 3D curve
+        const rank = new Uint32Array(numPoints);
+        valueOrder.forEach((original, position) => {
+            rank[original] = position;
+        });
+        const valueLayout = curveLayout(hilbertIndexToXY, numPoints, rank);
 
+        const projectedPoints = new Float32Array(points.length * 2);
         for (let i = 0; i < numPoints; i++) {
-            const pointIndex = i * 3;
-
-            // Calculate lattice position
-            const row = Math.floor(i / latticeSize);
-            const col = i % latticeSize;
-
-            // Map to normalized coordinates [-1, 1] with proper spacing
-            const x = latticeSize > 1 ? (col / (latticeSize - 1)) * 2 - 1 : 0;
-            const y = latticeSize > 1 ? (row / (latticeSize - 1)) * 2 - 1 : 0;
-
-            projectedPoints[pointIndex] = x;
-            projectedPoints[pointIndex + 1] = y;
-            projectedPoints[pointIndex + 2] = 0; // Flatten to z=0 plane
+            projectedPoints.set([fileLayout[i * 3] * 0.48 - 0.52, fileLayout[i * 3 + 1] * 0.48, 0], i * 6);
+            projectedPoints.set([valueLayout[i * 3] * 0.48 + 0.52, valueLayout[i * 3 + 1] * 0.48, 0], i * 6 + 3);
         }
-
         return projectedPoints;
     }
-
-    // New Tiled projection case
-    if (projectionMode === 'tiled') {
-        const q = quantizationBits;
-        const qRange = Math.pow(2, q);
-        const sqrtQRange = Math.floor(Math.sqrt(qRange));
-
-        // Create new projected points array
+});
+
+registerProjection({
+    id: 'bvh-with-points',
+    label: 'BVH + Points',
+    output: PROJECTION_OUTPUTS.BVH,
+    badge: { text: 'BVH+PTS', className: 'bvh-indicator' },
+    parameters: BVH_PARAMETERS,
+    transform: bvhTransform(true)
+});
+
+registerProjection({
+    id: 'bvh-only',
+    label: 'BVH Only',
+    output: PROJECTION_OUTPUTS.BVH,
+    badge: { text: 'BVH', className: 'bvh-indicator' },
+    parameters: BVH_PARAMETERS,
+    transform: bvhTransform(false)
+});
+
+registerProjection({
+    id: 'octree-with-points',
+    label: 'Octree + Points',
+    output: PROJECTION_OUTPUTS.BVH,
+    badge: { text: 'OCT+PTS', className: 'bvh-indicator' },
+    parameters: TREE_PARAMETERS,
+    transform: octreeTransform(true)
+});
+
+registerProjection({
+    id: 'octree-only',
+    label: 'Octree Only',
+    output: PROJECTION_OUTPUTS.BVH,
+    badge: { text: 'OCTREE', className: 'bvh-indicator' },
+    parameters: TREE_PARAMETERS,
+    transform: octreeTransform(false)
+});
+
+registerProjection({
+    id: 'kdtree-with-points',
+    label: 'k-d Tree + Points',
+    output: PROJECTION_OUTPUTS.BVH,
+    badge: { text: 'KD+PTS', className: 'bvh-indicator' },
+    parameters: TREE_PARAMETERS,
+    transform: kdTreeTransform(true)
+});
+
+registerProjection({
+    id: 'kdtree-only',
+    label: 'k-d Tree Only',
+    output: PROJECTION_OUTPUTS.BVH,
+    badge: { text: 'KD-TREE', className: 'bvh-indicator' },
+    parameters: TREE_PARAMETERS,
+    transform: kdTreeTransform(false)
+});
+
+registerProjection({
+    id: 'lattice-2d',
+    label: 'Lattice 2D',
+    output: PROJECTION_OUTPUTS.POINTS,
+    badge: { text: 'LATTICE', className: 'lattice-indicator' },
+    // Lay points out in data order on a square grid in the z=0 plane
+    transform: (points) => {
+        const numPoints = points.length / 3;
+        const latticeSize = Math.ceil(Math.sqrt(numPoints));
         const projectedPoints = new Float32Array(points.length);
 
-        for (let i = 0; i < points.length; i += 3) {
-            const x = points[i];
-            const y = points[i + 1];
-            const z = points[i + 2];
-
-            // Convert normalized coordinates [-1,1] to discrete grid [0, qRange-1]
-            const discreteX = Math.max(0, Math.min(qRange - 1, Math.floor((x + 1) / 2 * qRange)));
-            const discreteY = Math.max(0, Math.min(qRange - 1, Math.floor((y + 1) / 2 * qRange)));
-            const discreteZ = Math.max(0, Math.min(qRange - 1, Math.floor((z + 1) / 2 * qRange)));
-
-            // Apply tiling formula: (col, row) = (z % sqrt(2^q), floor(z / sqrt(2^q)))
-            const col = discreteZ % sqrtQRange;
-            const row = Math.floor(discreteZ / sqrtQRange);
-
-            // Calculate tiled coordinates: col * 2^q + x, row * 2^q + y
-            const tiledX = col * qRange + discreteX;
-            const tiledY = row * qRange + discreteY;
+        for (let i = 0; i < numPoints; i++) {
+            const row = Math.floor(i / latticeSize);
+            const col = i % latticeSize;
 
-            // Normalize back for display (scale to fit in reasonable viewing area)
-            const maxTiledCoord = Math.max(sqrtQRange * qRange + qRange - 1, 1);
-            projectedPoints[i] = (tiledX / maxTiledCoord) * 2 - 1;
-            projectedPoints[i + 1] = (tiledY / maxTiledCoord) * 2 - 1;
-            projectedPoints[i + 2] = 0; // Flatten to z=0 plane
+            // Map to normalized coordinates [-1, 1] with proper spacing
+            projectedPoints[i * 3] = latticeSize > 1 ? (col / (latticeSize - 1)) * 2 - 1 : 0;
+            projectedPoints[i * 3 + 1] = latticeSize > 1 ? (row / (latticeSize - 1)) * 2 - 1 : 0;
+            projectedPoints[i * 3 + 2] = 0;
         }
 
         return projectedPoints;
     }
+});
+
+registerProjection({
+    id: 'tiled',
+    label: 'Tiled',
+    output: PROJECTION_OUTPUTS.POINTS,
+    badge: { text: 'TILED', className: 'tiled-indicator' },
+    // Slice the quantized cube along Z and tile the slices in a 2D grid
+    transform: tiledTransform
+});
+
+registerProjection({
+    id: 'stereographic',
+    label: 'Stereographic',
+    output: PROJECTION_OUTPUTS.POINTS,
+    transform: perPoint((x, y, z, out, i) => {
+        // Normalize to unit sphere
+        const magnitude = Math.sqrt(x * x + y * y + z * z);
+        if (magnitude > 0) {
+            x /= magnitude;
+            y /= magnitude;
+            z /= magnitude;
+        }
 
-    // Special case for 3-plane orthographic - creates 3x more points
-    if (projectionMode === 'orthographic-3plane') {
-        const projectedPoints = new Float32Array(points.length * 3); // Triple the size
+        // Stereographic projection from north pole (0,0,1) to z=0 plane, scaled down by half;
+        // points very close to the pole go to the origin
+        if (z < 0.999) {
+            out[i] = x / (1 - z) * 0.5;
+            out[i + 1] = y / (1 - z) * 0.5;
+        }
+    })
+});
+
+registerProjection({
+    id: 'equirectangular',
+    label: 'Equirectangular',
+    output: PROJECTION_OUTPUTS.POINTS,
+    transform: perPoint((x, y, z, out, i) => {
+        const r = Math.sqrt(x * x + y * y + z * z);
+        if (r > 0) {
+            // Azimuth [-π, π] and elevation [0, π], both mapped to [-1, 1]
+            out[i] = Math.atan2(y, x) / Math.PI;
+            out[i + 1] = (Math.acos(Math.abs(z) / r) / Math.PI) * 2 - 1;
+        }
+    })
+});
+
+registerProjection({
+    id: 'orthographic-xy',
+    label: 'Orthographic XY',
+    output: PROJECTION_OUTPUTS.POINTS,
+    // View from Z axis
+    transform: perPoint((x, y, z, out, i) => {
+        out[i] = x;
+        out[i + 1] = y;
+    })
+});
+
+registerProjection({
+    id: 'orthographic-xz',
+    label: 'Orthographic XZ',
+    output: PROJECTION_OUTPUTS.POINTS,
+    // View from Y axis
+    transform: perPoint((x, y, z, out, i) => {
+        out[i] = x;
+        out[i + 1] = z;
+    })
+});
+
+registerProjection({
+    id: 'orthographic-yz',
+    label: 'Orthographic YZ',
+    output: PROJECTION_OUTPUTS.POINTS,
+    // View from X axis
+    transform: perPoint((x, y, z, out, i) => {
+        out[i] = y;
+        out[i + 1] = z;
+    })
+});
+
+registerProjection({
+    id: 'orthographic-3plane',
+    label: 'Orthographic 3-Plane',
+    output: PROJECTION_OUTPUTS.EXPANDED,
+    badge: { text: '3x points' },
+    copies: 3,
+    // Each point projected onto the XY (z = 0), XZ (y = 0) and YZ (x = 0) planes
+    transform: (points) => {
+        const projectedPoints = new Float32Array(points.length * 3);
 
         for (let i = 0; i < points.length; i += 3) {
             const x = points[i];
             const y = points[i + 1];
             const z = points[i + 2];
-
-            // Calculate base index for the three projected points
             const baseIdx = i * 3;
 
-            // Project onto XY plane (z = 0)
-            projectedPoints[baseIdx] = x;
-            projectedPoints[baseIdx + 1] = y;
-            projectedPoints[baseIdx + 2] = 0;
-
-            // Project onto XZ plane (y = 0)
-            projectedPoints[baseIdx + 3] = x;
-            projectedPoints[baseIdx + 4] = 0;
-            projectedPoints[baseIdx + 5] = z;
-
-            // Project onto YZ plane (x = 0)
-            projectedPoints[baseIdx + 6] = 0;
-            projectedPoints[baseIdx + 7] = y;
-            projectedPoints[baseIdx + 8] = z;
+            projectedPoints.set([x, y, 0, x, 0, z, 0, y, z], baseIdx);
         }
 
         return projectedPoints;
     }
-
-    // Standard single-point projections
-    const projectedPoints = new Float32Array(points.length);
-
-    for (let i = 0; i < points.length; i += 3) {
-        let x = points[i];
-        let y = points[i + 1];
-        let z = points[i + 2];
-
-        switch (projectionMode) {
-            case 'stereographic':
-                // Normalize to unit sphere
-                const magnitude = Math.sqrt(x * x + y * y + z * z);
-                if (magnitude > 0) {
-                    x /= magnitude;
-                    y /= magnitude;
-                    z /= magnitude;
-                }
-
-                // Stereographic projection from north pole (0,0,1) to z=0 plane
-                if (z < 0.999) { // Avoid division by zero
-                    const denominator = 1 - z;
-                    const projX = x / denominator;
-                    const projY = y / denominator;
-
-                    // Scale down the projection for better visualization
-                    const scale = 0.5;
-                    projectedPoints[i] = projX * scale;
-                    projectedPoints[i + 1] = projY * scale;
-                    projectedPoints[i + 2] = 0; // Flatten to z=0 plane
-                } else {
-                    // Point very close to north pole, place at origin
-                    projectedPoints[i] = 0;
-                    projectedPoints[i + 1] = 0;
-                    projectedPoints[i + 2] = 0;
-                }
-                break;
-
-            case 'equirectangular':
-                // Convert cartesian to spherical coordinates
-                const r = Math.sqrt(x * x + y * y + z * z);
-                if (r > 0) {
-                    // Spherical coordinates: theta (azimuth), phi (elevation)
-                    const theta = Math.atan2(y, x); // azimuth [-π, π]
-                    const phi = Math.acos(Math.abs(z) / r); // elevation [0, π]
-
-                    // Map to equirectangular coordinates
-                    // Longitude: theta mapped to [-1, 1]
-                    // Latitude: phi mapped to [-1, 1]
-                    projectedPoints[i] = theta / Math.PI; // maps [-π,π] to [-1,1]
-                    projectedPoints[i + 1] = (phi / Math.PI) * 2 - 1; // maps [0,π] to [-1,1]
-                    projectedPoints[i + 2] = 0; // Flatten to z=0 plane
-                } else {
-                    projectedPoints[i] = 0;
-                    projectedPoints[i + 1] = 0;
-                    projectedPoints[i + 2] = 0;
-                }
-                break;
-
-            case 'orthographic-xy':
-                // Project onto XY plane (view from Z axis)
-                projectedPoints[i] = x;
-                projectedPoints[i + 1] = y;
-                projectedPoints[i + 2] = 0;
-                break;
-
-            case 'orthographic-xz':
-                // Project onto XZ plane (view from Y axis)
-                projectedPoints[i] = x;
-                projectedPoints[i + 1] = z;
-                projectedPoints[i + 2] = 0;
-                break;
-
-            case 'orthographic-yz':
-                // Project onto YZ plane (view from X axis)
-                projectedPoints[i] = y;
-                projectedPoints[i + 1] = z;
-                projectedPoints[i + 2] = 0;
-                break;
-
-            case 'cylindrical':
-                // Cylindrical projection: wrap around Y axis
-                const radius = Math.sqrt(x * x + z * z);
-                if (radius > 0) {
-                    // Azimuth angle around Y axis
-                    const angle = Math.atan2(z, x); // [-π, π]
-
-                    // Map to cylindrical coordinates
-                    projectedPoints[i] = angle / Math.PI; // maps [-π,π] to [-1,1]
-                    projectedPoints[i + 1] = y; // height remains the same
-                    projectedPoints[i + 2] = 0; // Flatten to z=0 plane
-                } else {
-                    projectedPoints[i] = 0;
-                    projectedPoints[i + 1] = y;
-                    projectedPoints[i + 2] = 0;
-                }
-                break;
-
-            default:
-                // Fallback to standard (no projection)
-                projectedPoints[i] = x;
-                projectedPoints[i + 1] = y;
-                projectedPoints[i + 2] = z;
-                break;
-        }
-    }
-
-    return projectedPoints;
-}
+});
+
+registerProjection({
+    id: 'cylindrical',
+    label: 'Cylindrical',
+    output: PROJECTION_OUTPUTS.POINTS,
+    // Wrap around the Y axis: azimuth [-π, π] → [-1, 1], height unchanged
+    transform: perPoint((x, y, z, out, i) => {
+        out[i] = Math.sqrt(x * x + z * z) > 0 ? Math.atan2(z, x) / Math.PI : 0;
+        out[i + 1] = y;
+    })
+});
@@ -0,0 +1,151 @@
+/**
+ * ScreenSelection.js
+ * Screen-space box and lasso selection of projected points
+ *
+ * Works on plain arrays so it has no THREE dependency: positions are projected with a
+ * column-major 4x4 model-view-projection matrix (as in THREE.Matrix4.elements) into
+ * canvas pixel coordinates, then tested against the selection shape.
+ */
+
+/**
+ * Project local point positions to canvas pixel coordinates
+ * @param {Float32Array} positions - Point positions (x, y, z per point)
+ * @param {number} count - Number of points
+ * @param {ArrayLike<number>} matrix - Column-major model-view-projection matrix (16 elements)
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @returns {Float32Array} - x, y per point; NaN for points behind the camera or outside the depth range
+ */
+export function projectToScreen(positions, count, matrix, width, height) {
+    const m = matrix;
+    const screen = new Float32Array(count * 2);
+
+    for (let i = 0; i < count; i++) {
+        const x = positions[i * 3];
+        const y = positions[i * 3 + 1];
+        const z = positions[i * 3 + 2];
+
+        const w = m[3] * x + m[7] * y + m[11] * z + m[15];
+        const ndcZ = (m[2] * x + m[6] * y + m[10] * z + m[14]) / w;
+        if (w <= 0 || ndcZ < -1 || ndcZ > 1) {
+            screen[i * 2] = screen[i * 2 + 1] = NaN;
+            continue;
+        }
+
+        const ndcX = (m[0] * x + m[4] * y + m[8] * z + m[12]) / w;
+        const ndcY = (m[1] * x + m[5] * y + m[9] * z + m[13]) / w;
+        screen[i * 2] = (ndcX + 1) / 2 * width;
+        screen[i * 2 + 1] = (1 - ndcY) / 2 * height;
+    }
+
+    return screen;
+}
+
+/**
+ * Indices of projected points inside an axis-aligned screen rectangle
+ * @param {Float32Array} screen - Projected x, y per point (see projectToScreen)
+ * @param {number} x0 - One corner x
+ * @param {number} y0 - One corner y
+ * @param {number} x1 - Opposite corner x
+ * @param {number} y1 - Opposite corner y
+ * @returns {Uint32Array}
+ */
+export function selectInBox(screen, x0, y0, x1, y1) {
+    const [minX, maxX] = x0 < x1 ? [x0, x1] : [x1, x0];
+    const [minY, maxY] = y0 < y1 ? [y0, y1] : [y1, y0];
+    const selected = [];
+
+    for (let i = 0; i < screen.length / 2; i++) {
+        const x = screen[i * 2];
+        const y = screen[i * 2 + 1];
+        // NaN (clipped) points fail every comparison
+        if (x >= minX && x <= maxX && y >= minY && y <= maxY) {
+            selected.push(i);
+        }
+    }
+    return Uint32Array.from(selected);
+}
+
+/**
+ * Indices of projected points inside a lasso polygon
+ * @param {Float32Array} screen - Projected x, y per point (see projectToScreen)
+ * @param {Array<[number, number]>} polygon - Lasso vertices in screen pixels (closed implicitly)
+ * @returns {Uint32Array}
+ */
+export function selectInLasso(screen, polygon) {
+    if (polygon.length < 3) return new Uint32Array(0);
+
+    // Bounding box rejects most points before the polygon test
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const [x, y] of polygon) {
+        minX = Math.min(minX, x);
+        maxX = Math.max(maxX, x);
+        minY = Math.min(minY, y);
+        maxY = Math.max(maxY, y);
+    }
+
+    const selected = [];
+    for (let i = 0; i < screen.length / 2; i++) {
+        const x = screen[i * 2];
+        const y = screen[i * 2 + 1];
+        if (x >= minX && x <= maxX && y >= minY && y <= maxY && pointInPolygon(x, y, polygon)) {
+            selected.push(i);
+        }
+    }
+    return Uint32Array.from(selected);
+}
+
+/**
+ * Even-odd test of a point against a polygon
+ * @param {number} x - Point x
+ * @param {number} y - Point y
+ * @param {Array<[number, number]>} polygon - Polygon vertices
+ * @returns {boolean}
+ */
+export function pointInPolygon(x, y, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, yi] = polygon[i];
+        const [xj, yj] = polygon[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Planes of the view volume behind a screen rectangle, in the space the matrix projects from
+ * A point is inside when nx x + ny y + nz z + d >= 0 for every plane, which matches the points
+ * projectToScreen places inside the rectangle (see BVH.frustumCull).
+ * @param {ArrayLike<number>} matrix - Column-major model-view-projection matrix (16 elements)
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @param {number} x0 - One corner x
+ * @param {number} y0 - One corner y
+ * @param {number} x1 - Opposite corner x
+ * @param {number} y1 - Opposite corner y
+ * @returns {Array<number[]>} - [nx, ny, nz, d] for the left, right, bottom, top, near and far planes
+ */
+export function screenRectFrustum(matrix, width, height, x0, y0, x1, y1) {
+    const m = matrix;
+    const row = r => [m[r], m[r + 4], m[r + 8], m[r + 12]];
+    const [rowX, rowY, rowZ, rowW] = [row(0), row(1), row(2), row(3)];
+    const combine = (a, sa, b, sb) => a.map((value, i) => value * sa + b[i] * sb);
+
+    // Screen pixels to normalized device coordinates (y points up in NDC)
+    const left = Math.min(x0, x1) / width * 2 - 1;
+    const right = Math.max(x0, x1) / width * 2 - 1;
+    const bottom = 1 - Math.max(y0, y1) / height * 2;
+    const top = 1 - Math.min(y0, y1) / height * 2;
+
+    // ndc.x >= left  <=>  clip.x - left * clip.w >= 0, and likewise for the other sides
+    return [
+        combine(rowX, 1, rowW, -left),
+        combine(rowW, right, rowX, -1),
+        combine(rowY, 1, rowW, -bottom),
+        combine(rowW, top, rowY, -1),
+        combine(rowW, 1, rowZ, 1),
+        combine(rowW, 1, rowZ, -1)
+    ];
+}
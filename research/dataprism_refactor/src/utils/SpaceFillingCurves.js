@@ -0,0 +1,130 @@
+/**
+ * SpaceFillingCurves.js
+ * Morton (Z-order), Gray-code and Peano curve indices in 3D, and 2D Hilbert/Morton curve positions
+ *
+ * The 3D functions map a grid cell to its position along the curve (for ordering points by
+ * value); the 2D functions map a curve position back to a grid cell (for laying points out
+ * by file order). Indices are built with arithmetic rather than bit operators so they stay
+ * exact beyond 32 bits (up to 2^53).
+ */
+
+/**
+ * Morton (Z-order) index of a 3D grid cell: the coordinate bits interleaved, x most significant
+ * @param {number} x - X cell coordinate [0, 2^order)
+ * @param {number} y - Y cell coordinate [0, 2^order)
+ * @param {number} z - Z cell coordinate [0, 2^order)
+ * @param {number} order - Bits per coordinate
+ * @returns {number} - Curve index [0, 8^order)
+ */
+export function mortonIndex3D(x, y, z, order) {
+    let index = 0;
+    for (let bit = order - 1; bit >= 0; bit--) {
+        index = index * 8 + ((x >> bit) & 1) * 4 + ((y >> bit) & 1) * 2 + ((z >> bit) & 1);
+    }
+    return index;
+}
+
+/**
+ * Gray-code curve index of a 3D grid cell (Faloutsos): the position whose binary reflected
+ * Gray code is the Morton code, so consecutive cells differ in exactly one interleaved bit
+ * @param {number} x - X cell coordinate [0, 2^order)
+ * @param {number} y - Y cell coordinate [0, 2^order)
+ * @param {number} z - Z cell coordinate [0, 2^order)
+ * @param {number} order - Bits per coordinate
+ * @returns {number} - Curve index [0, 8^order)
+ */
+export function grayCodeIndex3D(x, y, z, order) {
+    // Inverse Gray code: each index bit is the XOR of all Morton bits from the top down to it
+    let index = 0;
+    let parity = 0;
+    for (let bit = order - 1; bit >= 0; bit--) {
+        for (const coordinate of [x, y, z]) {
+            parity ^= (coordinate >> bit) & 1;
+            index = index * 2 + parity;
+        }
+    }
+    return index;
+}
+
+/**
+ * Peano curve index of a 3D grid cell
+ * Index digits (base 3, most significant first) cycle through x, y, z. Each coordinate digit
+ * equals its index digit, reflected (2 - digit) when the preceding index digits of the other
+ * two axes sum to an odd number; this serpentine reflection makes the curve continuous.
+ * @param {number} x - X cell coordinate [0, 3^order)
+ * @param {number} y - Y cell coordinate [0, 3^order)
+ * @param {number} z - Z cell coordinate [0, 3^order)
+ * @param {number} order - Base-3 digits per coordinate
+ * @returns {number} - Curve index [0, 27^order)
+ */
+export function peanoIndex3D(x, y, z, order) {
+    const coordinates = [x, y, z];
+    const axisSums = [0, 0, 0];
+    let total = 0;
+    let index = 0;
+
+    for (let level = order - 1; level >= 0; level--) {
+        const scale = Math.pow(3, level);
+        for (let axis = 0; axis < 3; axis++) {
+            const digit = Math.floor(coordinates[axis] / scale) % 3;
+            const reflected = (total - axisSums[axis]) % 2 === 1;
+            const indexDigit = reflected ? 2 - digit : digit;
+
+            index = index * 3 + indexDigit;
+            total += indexDigit;
+            axisSums[axis] += indexDigit;
+        }
+    }
+    return index;
+}
+
+/**
+ * Cell of a 2D Hilbert curve position
+ * @param {number} index - Curve position [0, 4^order)
+ * @param {number} order - Bits per coordinate
+ * @returns {number[]} - [x, y] in [0, 2^order)
+ */
+export function hilbertIndexToXY(index, order) {
+    const side = Math.pow(2, order);
+    let x = 0;
+    let y = 0;
+    let t = index;
+
+    for (let s = 1; s < side; s *= 2) {
+        const rx = Math.floor(t / 2) % 2;
+        const ry = (t % 2) ^ rx;
+
+        // Rotate the quadrant so the sub-curve connects to its neighbours
+        if (ry === 0) {
+            if (rx === 1) {
+                x = s - 1 - x;
+                y = s - 1 - y;
+            }
+            [x, y] = [y, x];
+        }
+
+        x += s * rx;
+        y += s * ry;
+        t = Math.floor(t / 4);
+    }
+    return [x, y];
+}
+
+/**
+ * Cell of a 2D Morton (Z-order) curve position: the index bits de-interleaved, x most significant
+ * @param {number} index - Curve position [0, 4^order)
+ * @param {number} order - Bits per coordinate
+ * @returns {number[]} - [x, y] in [0, 2^order)
+ */
+export function mortonIndexToXY(index, order) {
+    let x = 0;
+    let y = 0;
+    let t = index;
+
+    for (let bit = 0; bit < order; bit++) {
+        y += (t % 2) * Math.pow(2, bit);
+        x += (Math.floor(t / 2) % 2) * Math.pow(2, bit);
+        t = Math.floor(t / 4);
+    }
+    return [x, y];
+}
@@ -0,0 +1,36 @@
+/**
+ * ChunkWorker.js
+ * Module Web Worker that runs quantizeProcessDataAs on a single chunk
+ *
+ * Receives { taskId, buffer, dataType, isLittleEndian, quantizationBits, projectionMode, tupleMode, layout, normalization, countDensity, projectionParams, reduction }
+ * with the chunk ArrayBuffer transferred in, and replies with { taskId, result } where the
+ * result's Float32Array buffers are transferred back to the main thread.
+ */
+
+import { quantizeProcessDataAs } from '../processing/DataProcessor.js';
+
+self.onmessage = (e) => {
+    const { taskId, buffer, dataType, isLittleEndian, quantizationBits, projectionMode, tupleMode, layout, normalization, countDensity, projectionParams, reduction } = e.data;
+
+    try {
+        const result = quantizeProcessDataAs(buffer, dataType, isLittleEndian, quantizationBits, projectionMode, tupleMode, layout, normalization, countDensity, projectionParams, reduction);
+
+        const transfer = [result.points.buffer];
+        if (result.colors.buffer !== result.points.buffer) {
+            transfer.push(result.colors.buffer);
+        }
+        if (result.alphas) {
+            transfer.push(result.alphas.buffer);
+        }
+        if (result.counts) {
+            transfer.push(result.counts.buffer);
+        }
+        if (result.offsets) {
+            transfer.push(result.offsets.buffer);
+        }
+
+        self.postMessage({ taskId, result }, transfer);
+    } catch (error) {
+        self.postMessage({ taskId, error: error.message });
+    }
+};
@@ -0,0 +1,309 @@
+/**
+ * BVH.test.js
+ * Structural invariants of BVH.build, BVH.buildFlat and their flattening, the node table shared
+ * with Octree.build and KDTree.build, and spatial queries checked against brute force
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BVH, BVH_SPLIT_STRATEGIES, BVH_NODE_STRIDE, BVH_BOUNDS_STRIDE } from '../src/spatial/BVH.js';
+import { Octree } from '../src/spatial/Octree.js';
+import { KDTree } from '../src/spatial/KDTree.js';
+import { projectToScreen, selectInBox, screenRectFrustum } from '../src/utils/ScreenSelection.js';
+import { BUILD_CASES, randomPoints, node, cell } from './helpers.js';
+
+const SEED = 3;
+
+function contains(outer, inner) {
+    return ['x', 'y', 'z'].every(axis => outer.min[axis] <= inner.min[axis] && inner.max[axis] <= outer.max[axis]);
+}
+
+function walk(node, visit, parent = null) {
+    if (!node) return;
+    visit(node, parent);
+    walk(node.left, visit, node);
+    walk(node.right, visit, node);
+}
+
+/**
+ * Summed surface area x points of all inner nodes' children, the cost the SAH split minimizes
+ */
+function treeCost(root) {
+    let cost = 0;
+    walk(root, node => {
+        if (node.isLeaf) return;
+        for (const child of [node.left, node.right]) {
+            const { min, max } = child.bounds;
+            const [dx, dy, dz] = [max.x - min.x, max.y - min.y, max.z - min.z];
+            cost += (dx * dy + dy * dz + dz * dx) * child.indices.length;
+        }
+    });
+    return cost;
+}
+
+for (const strategy of BVH_SPLIT_STRATEGIES) {
+    for (const [count, maxDepth, minPoints] of BUILD_CASES) {
+        test(`${strategy} build(${count} points, maxDepth ${maxDepth}, minPoints ${minPoints}) satisfies the BVH invariants`, () => {
+            const points = randomPoints(count, SEED);
+            const root = BVH.build(points, maxDepth, minPoints, strategy);
+            const leafIndices = [];
+
+            walk(root, (node, parent) => {
+                // Bounds are tight around the node's points and nested in the parent's bounds
+                assert.deepEqual(node.bounds, BVH.calculateAABB(points, node.indices));
+                if (parent) {
+                    assert.equal(node.depth, parent.depth + 1);
+                    assert.ok(contains(parent.bounds, node.bounds), `depth ${node.depth} box escapes its parent`);
+                }
+                assert.ok(node.depth <= maxDepth);
+
+                if (node.isLeaf) {
+                    assert.equal(node.left, null);
+                    assert.equal(node.right, null);
+                    assert.ok(node.indices.length <= minPoints || node.depth === maxDepth,
+                        `leaf with ${node.indices.length} points at depth ${node.depth}`);
+                    leafIndices.push(...node.indices);
+                } else {
+                    // Children partition the node's points; the median split halves them
+                    const left = node.left.indices.length;
+                    const right = node.right.indices.length;
+                    assert.equal(left + right, node.indices.length);
+                    assert.ok(left > 0 && right > 0);
+                    if (strategy === 'median') {
+                        assert.equal(left, Math.floor(node.indices.length / 2));
+                    }
+                }
+            });
+
+            // Every point lands in exactly one leaf
+            assert.deepEqual(leafIndices.sort((a, b) => a - b), Array.from({ length: count }, (_, i) => i));
+        });
+    }
+}
+
+test('flattenTree returns one plain box per node, or only the nodes of one level', () => {
+    const points = randomPoints(500, SEED);
+    const maxDepth = 6;
+    const root = BVH.build(points, maxDepth, 4);
+
+    const centers = [];
+    const sizes = [];
+    const colors = [];
+    const nodes = BVH.flattenTree(root, centers, sizes, colors, maxDepth);
+    assert.equal(nodes.length, BVH.countNodes(root));
+    assert.equal(centers.length, nodes.length * 3);
+    assert.equal(sizes.length, nodes.length * 3);
+    assert.equal(colors.length, nodes.length * 3);
+
+    // The first box is the root, as plain structured-clonable data
+    const { min, max } = root.bounds;
+    assert.deepEqual(nodes[0].center, { x: (min.x + max.x) / 2, y: (min.y + max.y) / 2, z: (min.z + max.z) / 2 });
+    assert.deepEqual(nodes[0].size, { x: max.x - min.x, y: max.y - min.y, z: max.z - min.z });
+    assert.deepEqual(structuredClone(nodes[0]), nodes[0]);
+
+    // Occupancy: the root holds every point, its first child (the next box) its left half
+    assert.deepEqual([nodes[0].depth, nodes[0].count, nodes[0].parentCount, nodes[0].rootCount, nodes[0].children], [0, 500, 500, 500, 2]);
+    assert.deepEqual([nodes[1].depth, nodes[1].count, nodes[1].parentCount, nodes[1].rootCount], [1, root.left.indices.length, 500, 500]);
+
+    // Depth 0 is red in the HSL rainbow (hue 0, saturation 0.8, lightness 0.5)
+    for (const [channel, expected] of Object.entries({ r: 0.9, g: 0.1, b: 0.1 })) {
+        assert.ok(Math.abs(nodes[0].color[channel] - expected) < 1e-12, `root ${channel}`);
+    }
+
+    let levelTwo = 0;
+    walk(root, node => { if (node.depth === 2) levelTwo++; });
+    assert.equal(BVH.flattenTree(root, null, null, null, maxDepth, 2).length, levelTwo);
+});
+
+test('flattenTable matches flattenTree of the same build', () => {
+    const points = randomPoints(700, SEED);
+    for (const strategy of BVH_SPLIT_STRATEGIES) {
+        const table = BVH.buildFlat(points, { maxDepth: 7, minPoints: 4, strategy });
+        const root = BVH.toTree(table);
+        assert.equal(table.nodeCount, BVH.countNodes(root));
+        for (const level of [-1, 0, 3, 7]) {
+            assert.deepEqual(BVH.flattenTable(table, null, null, null, 7, level), BVH.flattenTree(root, null, null, null, 7, level), `${strategy} level ${level}`);
+        }
+    }
+});
+
+/**
+ * Builders that emit the flat node table, which flattenTable and the queries read
+ */
+const TABLE_BUILDERS = {
+    'BVH.buildFlat': BVH.buildFlat.bind(BVH),
+    'Octree.build': Octree.build.bind(Octree),
+    'KDTree.build': KDTree.build.bind(KDTree)
+};
+
+for (const [builder, build] of Object.entries(TABLE_BUILDERS)) {
+    for (const [count, maxDepth, minPoints] of BUILD_CASES) {
+        test(`${builder}(${count} points, maxDepth ${maxDepth}, minPoints ${minPoints}) emits a typed node table over one in-place index buffer`, () => {
+            const points = randomPoints(count, SEED);
+            const table = build(points, { maxDepth, minPoints });
+            assert.ok(table.nodes instanceof Uint32Array);
+            assert.ok(table.bounds instanceof Float32Array);
+            assert.ok(table.indices instanceof Uint32Array);
+            assert.equal(table.nodes.length, table.nodeCount * BVH_NODE_STRIDE);
+            assert.equal(table.bounds.length, table.nodeCount * BVH_BOUNDS_STRIDE);
+            assert.deepEqual(Array.from(table.indices).sort((a, b) => a - b), Array.from({ length: count }, (_, i) => i));
+
+            // The root covers the whole buffer
+            const [rootFirst, rootCount, , , rootDepth] = node(table, 0);
+            assert.deepEqual([rootFirst, rootCount, rootDepth], [0, count, 0]);
+
+            for (let n = 0; n < table.nodeCount; n++) {
+                const [first, nodeCount, firstChild, childCount, depth] = node(table, n);
+                const bounds = cell(table, n);
+                assert.ok(depth <= maxDepth);
+                for (let i = first; i < first + nodeCount; i++) {
+                    for (let axis = 0; axis < 3; axis++) {
+                        const value = points[table.indices[i] * 3 + axis];
+                        assert.ok(bounds[axis] <= value && value <= bounds[3 + axis], `point outside its depth ${depth} box`);
+                    }
+                }
+
+                if (childCount === 0) {
+                    assert.ok(nodeCount <= minPoints || depth === maxDepth, `leaf with ${nodeCount} points at depth ${depth}`);
+                    continue;
+                }
+
+                // Children are consecutive, non-empty, one level deeper and inside their parent, and cover its range in order
+                let next = first;
+                for (let child = firstChild; child < firstChild + childCount; child++) {
+                    const [childFirst, childPoints, , , childDepth] = node(table, child);
+                    assert.equal(childFirst, next);
+                    assert.ok(childPoints > 0, 'empty child stored');
+                    assert.equal(childDepth, depth + 1);
+                    const childBounds = cell(table, child);
+                    for (let axis = 0; axis < 3; axis++) {
+                        assert.ok(bounds[axis] <= childBounds[axis] && childBounds[3 + axis] <= bounds[3 + axis], `depth ${childDepth} box escapes its parent`);
+                    }
+                    next += childPoints;
+                }
+                assert.equal(next, first + nodeCount);
+            }
+        });
+    }
+}
+
+test('SAH splits cost less than median splits on clustered points', () => {
+    const points = randomPoints(4000, SEED);
+    const sah = treeCost(BVH.build(points, 8, 8, 'sah'));
+    const median = treeCost(BVH.build(points, 8, 8, 'median'));
+    assert.ok(sah < median, `SAH cost ${sah} >= median cost ${median}`);
+});
+
+test('coincident, flat and collinear points still split down to the leaf size', () => {
+    const coincident = new Float32Array(300).fill(0.25);
+    const flat = randomPoints(100, SEED).map((v, i) => i % 3 === 2 ? 0 : v);
+    const line = randomPoints(100, SEED).map((v, i) => i % 3 === 0 ? v : 0);
+    for (const points of [coincident, flat, line]) {
+        for (const strategy of BVH_SPLIT_STRATEGIES) {
+            walk(BVH.build(points, 12, 4, strategy), node => {
+                if (node.isLeaf) assert.ok(node.indices.length <= 4 || node.depth === 12);
+            });
+        }
+    }
+});
+
+test('rejects unknown split strategies', () => {
+    assert.throws(() => BVH.buildFlat(randomPoints(10, SEED), { strategy: 'spatial' }), /Unknown BVH split strategy/);
+});
+
+/**
+ * Point indices with their squared distance to a position, nearest first (ties by index)
+ */
+function bruteForceDistances(points, [x, y, z]) {
+    const distances = [];
+    for (let i = 0; i < points.length / 3; i++) {
+        distances.push({ index: i, distanceSq: (points[i * 3] - x) ** 2 + (points[i * 3 + 1] - y) ** 2 + (points[i * 3 + 2] - z) ** 2 });
+    }
+    return distances.sort((a, b) => a.distanceSq - b.distanceSq || a.index - b.index);
+}
+
+const QUERIES = [[0, 0, 0], [0.9, -0.9, 0.5], [0.01, 0.02, -0.03], [3, 3, 3]];
+
+test('nearest returns the k closest points, nearest first', () => {
+    const points = randomPoints(1500, SEED);
+    for (const strategy of BVH_SPLIT_STRATEGIES) {
+        const table = BVH.buildFlat(points, { maxDepth: 10, minPoints: 8, strategy });
+        for (const query of QUERIES) {
+            const expected = bruteForceDistances(points, query);
+            for (const k of [1, 5, 40]) {
+                const found = BVH.nearest(table, points, query, k);
+                assert.equal(found.length, k);
+                found.forEach(({ index, distance }, i) => {
+                    assert.ok(Math.abs(distance - Math.sqrt(expected[i].distanceSq)) < 1e-12, `${strategy} k=${k} #${i}`);
+                    const actual = Math.hypot(...query.map((v, axis) => points[index * 3 + axis] - v));
+                    assert.ok(Math.abs(distance - actual) < 1e-12, `${strategy} k=${k} #${i} index ${index}`);
+                });
+            }
+        }
+        assert.equal(BVH.nearest(table, points, [0, 0, 0], 5000).length, 1500);
+    }
+});
+
+test('withinRadius returns exactly the points inside the sphere', () => {
+    const points = randomPoints(1500, SEED);
+    const table = BVH.buildFlat(points, { maxDepth: 10, minPoints: 8 });
+    for (const query of QUERIES) {
+        for (const radius of [0, 0.02, 0.3, 10]) {
+            const expected = bruteForceDistances(points, query).filter(d => d.distanceSq <= radius * radius).map(d => d.index).sort((a, b) => a - b);
+            const found = Array.from(BVH.withinRadius(table, points, query, radius)).sort((a, b) => a - b);
+            assert.deepEqual(found, expected, `radius ${radius} around ${query}`);
+        }
+    }
+});
+
+test('raycast returns the points near the ray in front of its origin, nearest first', () => {
+    const points = randomPoints(1500, SEED);
+    const table = BVH.buildFlat(points, { maxDepth: 10, minPoints: 8 });
+    const rays = [[[0, 0, -5], [0, 0, 1]], [[-3, 2, 1], [3, -2, -1]], [[0, 0, 0], [1, 0, 0]], [[0.5, 5, 0], [0, -2, 0]]];
+
+    for (const [origin, direction] of rays) {
+        for (const threshold of [0.01, 0.1]) {
+            const length = Math.hypot(...direction);
+            const unit = direction.map(v => v / length);
+            const expected = [];
+            for (let i = 0; i < points.length / 3; i++) {
+                const offset = [0, 1, 2].map(axis => points[i * 3 + axis] - origin[axis]);
+                const t = offset[0] * unit[0] + offset[1] * unit[1] + offset[2] * unit[2];
+                const distanceToRay = Math.hypot(...offset.map((v, axis) => v - t * unit[axis]));
+                if (t >= 0 && distanceToRay <= threshold) expected.push(i);
+            }
+
+            const hits = BVH.raycast(table, points, origin, direction, threshold);
+            assert.deepEqual(hits.map(hit => hit.index).sort((a, b) => a - b), expected, `ray ${origin} ${direction} threshold ${threshold}`);
+            for (let i = 1; i < hits.length; i++) assert.ok(hits[i - 1].distance <= hits[i].distance);
+            assert.ok(hits.every(hit => hit.distanceToRay <= threshold));
+        }
+    }
+    assert.deepEqual(BVH.raycast(table, points, [0, 0, 0], [0, 0, 0], 1), []);
+});
+
+test('frustumCull with a screen rectangle frustum selects what selectInBox selects', () => {
+    const points = randomPoints(3000, SEED);
+    const table = BVH.buildFlat(points, { maxDepth: 10, minPoints: 8 });
+
+    // Perspective camera (60° fov, square, near 0.1, far 100) at z = 3 looking down -z, column-major
+    const f = 1 / Math.tan(Math.PI / 6);
+    const [near, far] = [0.1, 100];
+    const matrix = [f, 0, 0, 0, 0, f, 0, 0, 0, 0, (far + near) / (near - far), -1, 0, 0, 2 * far * near / (near - far) - 3 * (far + near) / (near - far), 3];
+    const [width, height] = [400, 300];
+    const screen = projectToScreen(points, points.length / 3, matrix, width, height);
+
+    for (const [x0, y0, x1, y1] of [[100, 50, 300, 250], [390, 10, 200, 140], [0, 0, width, height], [-50, -50, -10, -10]]) {
+        const culled = Array.from(BVH.frustumCull(table, points, screenRectFrustum(matrix, width, height, x0, y0, x1, y1))).sort((a, b) => a - b);
+        const boxed = Array.from(selectInBox(screen, x0, y0, x1, y1));
+
+        // Points on the rectangle's edge may fall either way through rounding
+        const onEdge = i => [screen[i * 2] - x0, screen[i * 2] - x1, screen[i * 2 + 1] - y0, screen[i * 2 + 1] - y1].some(d => Math.abs(d) < 1e-3);
+        assert.deepEqual(culled.filter(i => !onEdge(i)), boxed.filter(i => !onEdge(i)), `rectangle ${x0},${y0} ${x1},${y1}`);
+        assert.equal(culled.length > 0, x1 > 0);
+    }
+    assert.equal(BVH.frustumCull(table, points, []).length, 3000);
+});
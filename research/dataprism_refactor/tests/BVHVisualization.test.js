@@ -0,0 +1,78 @@
+/**
+ * BVHVisualization.test.js
+ * Box hovering with findBoxAt (the instanced box mesh itself needs THREE and is not tested here)
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findBoxAt } from '../src/rendering/BVHVisualization.js';
+import { randomSigned } from './helpers.js';
+
+const box = (min, max, depth = 0) => ({
+    center: { x: (min[0] + max[0]) / 2, y: (min[1] + max[1]) / 2, z: (min[2] + max[2]) / 2 },
+    size: { x: max[0] - min[0], y: max[1] - min[1], z: max[2] - min[2] },
+    depth
+});
+
+const DOWN = [0, 0, -1];
+
+test('a ray crossing an edge hits the box, at the crossing distance', () => {
+    const hit = findBoxAt([box([-1, -1, -1], [1, 1, 1])], [0.5, 1.02, 5], DOWN, 0.05);
+    assert.equal(hit.index, 0);
+    assert.ok(Math.abs(hit.distance - 4) < 1e-12);
+    assert.ok(Math.abs(hit.distanceToRay - 0.02) < 1e-12);
+});
+
+test('a ray through a face away from the edges misses', () => {
+    assert.equal(findBoxAt([box([-1, -1, -1], [1, 1, 1])], [0, 0, 5], DOWN, 0.05), null);
+    assert.equal(findBoxAt([], [0, 0, 5], DOWN, 0.05), null);
+});
+
+test('edges behind the ray origin are not hit', () => {
+    assert.equal(findBoxAt([box([-1, -1, -1], [1, 1, 1])], [0.5, 1, -5], DOWN, 0.05), null);
+});
+
+test('the closest edge wins, and the deepest box when edges coincide', () => {
+    const parent = box([-1, -1, -1], [1, 1, 1], 0);
+    const child = box([0, 0, 0], [1, 1, 1], 1);
+    const other = box([-1, -1, -1], [0, 0, 0], 1);
+
+    // The child's top edge lies on the parent's top edge
+    assert.equal(findBoxAt([parent, child, other], [0.5, 1, 5], DOWN, 0.05).index, 1);
+    assert.equal(findBoxAt([child, parent], [0.5, 1, 5], DOWN, 0.05).index, 0);
+
+    // Only the parent has an edge near (0.5, -1), only the other box one near (-0.5, 0)
+    assert.equal(findBoxAt([parent, other], [0.5, -0.99, 5], DOWN, 0.05).index, 0);
+    assert.equal(findBoxAt([parent, other], [-0.5, 0.01, 5], DOWN, 0.05).index, 1);
+});
+
+test('distance to the ray matches sampled edge points on oblique rays', () => {
+    const random = randomSigned(5);
+
+    for (let trial = 0; trial < 20; trial++) {
+        const min = [random(), random(), random()];
+        const max = min.map(v => v + 0.2 + Math.abs(random()));
+        const origin = [random() * 3, random() * 3, 4];
+        const target = [random(), random(), random()];
+        const length = Math.hypot(...target.map((v, i) => v - origin[i]));
+        const direction = target.map((v, i) => (v - origin[i]) / length);
+
+        // Brute force: every edge sampled at 2001 points, distance to the ray (t >= 0)
+        let expected = Infinity;
+        for (let edge = 0; edge < 12; edge++) {
+            const axis = edge >> 2;
+            for (let s = 0; s <= 2000; s++) {
+                const point = [0, 1, 2].map(a => a === axis ? min[a] + (max[a] - min[a]) * s / 2000 :
+                    (edge & (a === (axis + 1) % 3 ? 1 : 2) ? max[a] : min[a]));
+                const t = Math.max(0, point.reduce((sum, v, a) => sum + (v - origin[a]) * direction[a], 0));
+                expected = Math.min(expected, Math.hypot(...point.map((v, a) => v - origin[a] - t * direction[a])));
+            }
+        }
+
+        const hit = findBoxAt([box(min, max)], origin, direction, expected + 0.01);
+        assert.ok(Math.abs(hit.distanceToRay - expected) < 1e-3, `trial ${trial}: ${hit.distanceToRay} != ${expected}`);
+    }
+});
@@ -0,0 +1,96 @@
+/**
+ * BatchConverter.test.js
+ * Headless conversion to one point cloud, with path and box projections exported as edges
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { convertToPointCloud } from '../src/core/BatchConverter.js';
+import { StreamingReader } from '../src/processing/StreamingReader.js';
+import { plyHeader, encodeVertices, encodeEdges } from '../src/processing/PlyWriter.js';
+import { parsePLY } from '../src/processing/PointCloudParser.js';
+import { randomPoints } from './helpers.js';
+
+const source = () => new StreamingReader(randomPoints(200, 7).buffer);
+
+test('box projections export each box as 8 corner vertices and 12 edges', async () => {
+    const cloud = await convertToPointCloud(source(), { projectionMode: 'bvh-only', gridSize: 2, chunkSize: 1200 });
+    assert.equal(cloud.cells.length, 2);
+    assert.ok(cloud.numPoints > 0);
+    assert.equal(cloud.numPoints % 8, 0);
+    const boxCount = cloud.numPoints / 8;
+    assert.equal(cloud.edges.length, boxCount * 12 * 2);
+
+    for (let box = 0; box < boxCount; box++) {
+        const corner = (c, axis) => cloud.points[(box * 8 + c) * 3 + axis];
+        // Every edge joins two corners of its own box along one axis
+        for (let e = box * 12; e < (box + 1) * 12; e++) {
+            const [a, b] = [cloud.edges[e * 2], cloud.edges[e * 2 + 1]];
+            assert.equal(Math.floor(a / 8), box);
+            assert.equal(Math.floor(b / 8), box);
+            const moved = [0, 1, 2].filter(axis => corner(a % 8, axis) !== corner(b % 8, axis));
+            assert.ok(moved.length <= 1);
+        }
+        // Corner 7 is the max corner, and all 8 corners share the box color
+        for (let axis = 0; axis < 3; axis++) {
+            assert.ok(corner(0, axis) <= corner(7, axis));
+        }
+        for (let c = 1; c < 8; c++) {
+            assert.deepEqual(cloud.colors.subarray((box * 8 + c) * 3, (box * 8 + c + 1) * 3), cloud.colors.subarray(box * 24, box * 24 + 3));
+        }
+    }
+
+    // Boxes are placed at their chunk's lattice cell, like the points they bound
+    const [first, second] = cloud.cells.map(cell => cell.position[0]);
+    const xs = Array.from({ length: cloud.numPoints }, (_, i) => cloud.points[i * 3]);
+    assert.ok(xs.some(x => Math.abs(x - first) <= 1.01) && xs.some(x => Math.abs(x - second) <= 1.01));
+});
+
+test('boxes drawn with points follow the data points', async () => {
+    const cloud = await convertToPointCloud(source(), { projectionMode: 'octree-with-points' });
+    const points = cloud.cells[0].numPoints;
+    assert.ok(points > 0);
+    assert.equal((cloud.numPoints - points) % 8, 0);
+    assert.ok(cloud.numPoints > points);
+    assert.ok(Array.from(cloud.edges).every(vertex => vertex >= points));
+});
+
+test('path projections connect consecutive points within each chunk', async () => {
+    const cloud = await convertToPointCloud(source(), { projectionMode: 'hilbert-curve', gridSize: 2, chunkSize: 1200 });
+    const [first, second] = cloud.cells.map(cell => cell.numPoints);
+    assert.equal(cloud.numPoints, first + second);
+    assert.equal(cloud.edges.length, (first - 1 + second - 1) * 2);
+    assert.deepEqual(Array.from(cloud.edges.subarray(0, 4)), [0, 1, 1, 2]);
+    // No edge crosses from the last point of one chunk to the first of the next
+    for (let e = 0; e < cloud.edges.length; e += 2) {
+        assert.equal(cloud.edges[e + 1], cloud.edges[e] + 1);
+        assert.notEqual(cloud.edges[e], first - 1);
+    }
+});
+
+test('point projections have no edges', async () => {
+    const cloud = await convertToPointCloud(source(), { projectionMode: 'standard' });
+    assert.equal(cloud.edges, null);
+});
+
+test('exported edges follow the vertices and reload as the same vertices', async () => {
+    const cloud = await convertToPointCloud(source(), { projectionMode: 'kdtree-only' });
+    const edgeCount = cloud.edges.length / 2;
+    for (const format of ['ascii', 'binary_little_endian', 'binary_big_endian']) {
+        const parts = [plyHeader(format, cloud.numPoints, edgeCount),
+            encodeVertices(format, cloud.points, cloud.colors, null, 0, cloud.numPoints),
+            encodeEdges(format, cloud.edges, 0, edgeCount)];
+        const bytes = await new Blob(parts).arrayBuffer();
+        const header = new TextDecoder().decode(bytes.slice(0, 400));
+        assert.match(header, new RegExp(`element edge ${edgeCount}\nproperty int vertex1\nproperty int vertex2\nend_header`));
+
+        const parsed = parsePLY(bytes);
+        assert.equal(parsed.numPoints, cloud.numPoints, format);
+        assert.deepEqual(parsed.points, cloud.points, format);
+    }
+    assert.equal(encodeEdges('ascii', cloud.edges, 0, 1), `${cloud.edges[0]} ${cloud.edges[1]}\n`);
+    assert.throws(() => encodeEdges('raw_fp16', cloud.edges, 0, 1), /cannot hold edges/);
+});
@@ -0,0 +1,70 @@
+/**
+ * ByteInspector.test.js
+ * Hex dumps, decoding as every data type, and the byte ranges covered by selected records
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { formatHexDump, decodeAllTypes, recordByteRanges, mergeByteRanges, MAX_INSPECTED_VALUES } from '../src/processing/ByteInspector.js';
+
+test('hex dump rows show the absolute offset, hex bytes and printable ASCII', () => {
+    const bytes = Uint8Array.from({ length: 20 }, (_, i) => i + 60);
+    bytes[1] = 0x0A;
+    assert.deepEqual(formatHexDump(bytes.buffer, 64), [
+        '00000040  3c 0a 3e 3f 40 41 42 43 44 45 46 47 48 49 4a 4b  <.>?@ABCDEFGHIJK',
+        '00000050  4c 4d 4e 4f                                      LMNO'
+    ]);
+    assert.deepEqual(formatHexDump(new ArrayBuffer(0)), []);
+});
+
+test('bytes decode as every scalar type that fits, in the requested byte order', () => {
+    // 1.0 and 10.0 as big endian fp32, then two more bytes
+    const buffer = Uint8Array.from([0x3F, 0x80, 0, 0, 0x41, 0x20, 0, 0, 0x12, 0x34]).buffer;
+    const decoded = Object.fromEntries(decodeAllTypes(buffer, false).map(entry => [entry.dataType, entry]));
+
+    assert.deepEqual(decoded.fp32.values, [1, 10]);
+    assert.deepEqual(decoded.bf16.values.slice(0, 4), [1, 0, 10, 0]);
+    assert.deepEqual(decoded.uint16.values, [0x3F80, 0, 0x4120, 0, 0x1234]);
+    assert.equal(decoded.fp64.values.length, 1);
+    assert.equal(decoded.uint8.values.length, MAX_INSPECTED_VALUES);
+    assert.equal(decoded.uint8.truncated, true);
+    assert.equal(decoded.fp32.truncated, false);
+    assert.equal(decodeAllTypes(buffer, true).find(entry => entry.dataType === 'uint16').values[0], 0x803F);
+
+    // Packed vector types are not decoded as scalars
+    assert.ok(!('int10_10_10_2' in decoded));
+});
+
+test('a fractional start decodes sub-byte types from that bit and whole-byte types from its byte', () => {
+    const buffer = Uint8Array.from([0x3F, 0x80]).buffer;
+    const decoded = Object.fromEntries(decodeAllTypes(buffer, true, 0.5, 1).map(entry => [entry.dataType, entry.values]));
+    assert.deepEqual(decoded.uint8, [0x3F]);
+    assert.deepEqual(decoded.uint4, [3, 0]);
+    assert.ok(!('uint16' in decoded));
+});
+
+test('record byte ranges merge touching and overlapping records', () => {
+    assert.deepEqual(recordByteRanges([0, 12, 24], 12), [[0, 36]]);
+    assert.deepEqual(recordByteRanges([24, 0], 12), [[0, 12], [24, 36]]);
+    assert.deepEqual(recordByteRanges([0, 6], 12, 100), [[100, 118]]);
+    assert.deepEqual(recordByteRanges([], 12), []);
+});
+
+test('sub-byte strides widen to the bytes that hold each record', () => {
+    // 4-bit records: two share a byte
+    assert.deepEqual(recordByteRanges([0, 0.5, 1.5, 3], 0.5), [[0, 2], [3, 4]]);
+    // 10-bit records straddle byte boundaries
+    assert.deepEqual(recordByteRanges([0, 1.25, 2.5, 5], 1.25), [[0, 4], [5, 7]]);
+    assert.deepEqual(recordByteRanges([3.75], 1.25, 10), [[13, 15]]);
+});
+
+test('byte ranges are sorted and merged where they touch, overlap or contain each other', () => {
+    const ranges = [[20, 30], [0, 10], [10, 12], [25, 28], [29, 40], [50, 51]];
+    assert.deepEqual(mergeByteRanges(ranges), [[0, 12], [20, 40], [50, 51]]);
+    // The input is left as it was
+    assert.deepEqual(ranges[0], [20, 30]);
+    assert.deepEqual(mergeByteRanges([[5, 6], [7, 8]]), [[5, 6], [7, 8]]);
+});
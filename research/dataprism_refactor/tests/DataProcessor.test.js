@@ -0,0 +1,215 @@
+/**
+ * DataProcessor.test.js
+ * Deduplication counts of quantizeProcessDataAs across bit depths and tuple modes
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { quantizeProcessDataAs } from '../src/processing/DataProcessor.js';
+import { tupleLayout, mixedTupleLayout } from '../src/processing/RecordLayout.js';
+import { float32ToFp16, float32ToFp8E4M3 } from '../src/utils/FloatUtils.js';
+
+const LINEAR = { strategy: 'linear' };
+
+/**
+ * uint8 records whose x, y, z each take the 16 values k * 17 (k = 0..15), all 4096 combinations
+ * Linear normalization maps k * 17 to 2k/15 - 1, so at q bits an axis falls into floor(k * 2^q / 15)
+ * clamped to 2^q - 1: 4 cells per axis at 2 bits, 8 at 3 bits and all 16 from 4 bits on.
+ * @param {number} [repeats=1] - Times the whole grid is repeated
+ * @param {number} [extra=0] - Extra bytes per record after x, y, z (a per-record byte pattern)
+ */
+function gridRecords(repeats = 1, extra = 0) {
+    const stride = 3 + extra;
+    const bytes = new Uint8Array(4096 * repeats * stride);
+    for (let r = 0; r < 4096 * repeats; r++) {
+        const i = r % 4096;
+        const coordinates = [(i & 15) * 17, ((i >> 4) & 15) * 17, (i >> 8) * 17];
+        bytes.set(coordinates, r * stride);
+        for (let e = 0; e < extra; e++) {
+            bytes[r * stride + 3 + e] = (r * 7 + e) & 255;
+        }
+    }
+    return bytes.buffer;
+}
+
+const EXPECTED_CELLS = { 2: 4 ** 3, 3: 8 ** 3, 4: 16 ** 3, 8: 16 ** 3, 12: 16 ** 3, 16: 16 ** 3 };
+
+for (const [bits, cells] of Object.entries(EXPECTED_CELLS)) {
+    test(`3-tuple keeps ${cells} of 4096 distinct points at ${bits} bits`, () => {
+        const result = quantizeProcessDataAs(gridRecords(), 'uint8', true, Number(bits), 'standard', '3-tuple', null, LINEAR);
+        assert.equal(result.numPoints, cells);
+
+        // Repeating the data adds no points
+        const repeated = quantizeProcessDataAs(gridRecords(3), 'uint8', true, Number(bits), 'standard', '3-tuple', null, LINEAR);
+        assert.equal(repeated.numPoints, cells);
+    });
+}
+
+test('density counts add up to the number of records at dense and sparse bit depths', () => {
+    for (const bits of [2, 4, 12]) {
+        const result = quantizeProcessDataAs(gridRecords(2), 'uint8', true, bits, 'standard', '3-tuple', null, LINEAR, true);
+        const total = result.counts.subarray(0, result.numPoints).reduce((sum, count) => sum + count, 0);
+        assert.equal(total, 8192, `${bits} bits`);
+        assert.equal(result.numPoints, EXPECTED_CELLS[bits]);
+        if (bits >= 4) {
+            assert.ok(result.counts.subarray(0, result.numPoints).every(count => count === 2));
+        }
+    }
+});
+
+test('kept points are the first record of each cell, with their record offsets', () => {
+    const result = quantizeProcessDataAs(gridRecords(2), 'uint8', true, 8, 'standard', '3-tuple', null, LINEAR);
+    assert.equal(result.numPoints, 4096);
+    for (let p = 0; p < result.numPoints; p++) {
+        assert.equal(result.offsets[p], p * 3);
+    }
+    assert.deepEqual(Array.from(result.points.subarray(0, 6)), [-1, -1, -1, Math.fround(17 * 2 / 255 - 1), -1, -1]);
+});
+
+test('6-tuple deduplicates on position only and keeps the first record\'s color', () => {
+    const buffer = gridRecords(2, 3);
+    const result = quantizeProcessDataAs(buffer, 'uint8', true, 8, 'standard', '6-tuple', null, LINEAR);
+    assert.equal(result.numPoints, 4096);
+
+    const bytes = new Uint8Array(buffer);
+    for (const p of [0, 1, 100, 4095]) {
+        const color = Array.from(result.colors.subarray(p * 3, p * 3 + 3));
+        const expected = Array.from(bytes.subarray(p * 6 + 3, p * 6 + 6), v => Math.fround(((v * 2 / 255 - 1) + 1) / 2));
+        color.forEach((c, i) => assert.ok(Math.abs(c - expected[i]) < 1e-6, `point ${p} channel ${i}`));
+    }
+});
+
+test('mixed tuples use the record layout stride', () => {
+    // fp32 x, y, z followed by uint8 r, g, b: 15-byte records on a 4x4x4 grid, stored twice
+    const stride = 15;
+    const buffer = new ArrayBuffer(64 * 2 * stride);
+    const view = new DataView(buffer);
+    for (let r = 0; r < 128; r++) {
+        const i = r % 64;
+        [(i & 3), (i >> 2) & 3, i >> 4].forEach((k, axis) => view.setFloat32(r * stride + axis * 4, k / 2 - 0.75, true));
+        view.setUint8(r * stride + 12, r);
+    }
+
+    const layout = mixedTupleLayout('fp32', 'uint8');
+    for (const bits of [2, 8]) {
+        const result = quantizeProcessDataAs(buffer, 'fp32', true, bits, 'standard', 'xyz-rgb-mixed', layout, LINEAR);
+        assert.equal(result.numPoints, 64, `${bits} bits`);
+        assert.equal(result.offsets[1], stride);
+        // Colors come from the uint8 red channel of the first 64 records
+        assert.ok(Math.abs(result.colors[3] - 1 / 255) < 1e-6);
+    }
+});
+
+test('curve orderings carry each point\'s color, alpha, count and offset along with its position', () => {
+    // uint8 x, y, z, r, g, b, a: the 4096-point grid, then the first 1000 records again
+    const stride = 7;
+    const grid = new Uint8Array(gridRecords());
+    const bytes = new Uint8Array(5096 * stride);
+    for (let r = 0; r < 5096; r++) {
+        const i = r % 4096;
+        bytes.set(grid.subarray(i * 3, i * 3 + 3), r * stride);
+        bytes.set([i & 255, i >> 4, (i * 7) & 255, (i * 3) & 255], r * stride + 3);
+    }
+
+    const layout = mixedTupleLayout('uint8', 'uint8', true);
+    const result = quantizeProcessDataAs(bytes.buffer, 'uint8', true, 8, 'hilbert-curve', 'xyz-rgb-mixed', layout, LINEAR, true);
+    assert.equal(result.numPoints, 4096);
+
+    const unit = v => Math.fround(((v * 2 / 255 - 1) + 1) / 2);
+    let moved = 0;
+    for (let p = 0; p < result.numPoints; p++) {
+        const offset = result.offsets[p];
+        const record = offset / stride;
+        moved += record !== p;
+        const position = Array.from(bytes.subarray(offset, offset + 3), v => Math.fround(v * 2 / 255 - 1));
+        assert.deepEqual(Array.from(result.points.subarray(p * 3, p * 3 + 3)), position, `point ${p}`);
+        const color = Array.from(result.colors.subarray(p * 3, p * 3 + 3));
+        Array.from(bytes.subarray(offset + 3, offset + 6), unit).forEach((c, i) => assert.ok(Math.abs(color[i] - c) < 1e-6, `point ${p} channel ${i}`));
+        assert.ok(Math.abs(result.alphas[p] - unit(bytes[offset + 6])) < 1e-6, `point ${p} alpha`);
+        assert.equal(result.counts[p], record < 1000 ? 2 : 1, `point ${p} count`);
+    }
+    assert.ok(moved > 4000, 'the curve reorders the points');
+});
+
+test('N-tuples collapse repeated vectors', () => {
+    const dimensions = 8;
+    const vectors = new Float32Array(200 * dimensions);
+    for (let i = 0; i < vectors.length; i++) {
+        vectors[i] = Math.sin(i * 12.9898) * 0.9;
+    }
+    const repeated = new Float32Array(vectors.length * 3);
+    repeated.set(vectors, 0);
+    repeated.set(vectors, vectors.length);
+    repeated.set(vectors, vectors.length * 2);
+
+    const layout = tupleLayout('fp32', 'n-tuple', dimensions);
+    for (const method of ['pca', 'random']) {
+        const once = quantizeProcessDataAs(vectors.buffer.slice(0), 'fp32', true, 10, 'standard', 'n-tuple', layout, LINEAR, false, null, { method });
+        const thrice = quantizeProcessDataAs(repeated.buffer.slice(0), 'fp32', true, 10, 'standard', 'n-tuple', layout, LINEAR, false, null, { method });
+        assert.ok(once.numPoints > 150, `${method} keeps most distinct vectors`);
+        assert.equal(thrice.numPoints, once.numPoints, method);
+        assert.equal(thrice.offsets[1], dimensions * 4);
+    }
+});
+
+test('padded N-tuple records decode like packed ones, table-decoded types included', () => {
+    // 4 values per record, packed (8 bytes of fp16) or 2 bytes in at a 12-byte stride
+    const dimensions = 4;
+    for (const [dataType, write] of [['fp16', (view, offset, value) => view.setUint16(offset, float32ToFp16(value), true)],
+        ['fp8_e4m3', (view, offset, value) => view.setUint8(offset, float32ToFp8E4M3(value))],
+        ['fp32', (view, offset, value) => view.setFloat32(offset, value, true)]]) {
+        const size = tupleLayout(dataType, 'n-tuple', dimensions).stride / dimensions;
+        const stride = dimensions * size + 4;
+        const packed = new DataView(new ArrayBuffer(300 * dimensions * size));
+        const padded = new DataView(new ArrayBuffer(300 * stride));
+        for (let r = 0; r < 300; r++) {
+            for (let d = 0; d < dimensions; d++) {
+                const value = Math.sin(r * 0.37 + d * 1.3) * 0.9;
+                write(packed, (r * dimensions + d) * size, value);
+                write(padded, r * stride + 2 + d * size, value);
+            }
+            // Padding bytes that would corrupt the values if read
+            padded.setUint8(r * stride, 0x7F);
+            padded.setUint8(r * stride + stride - 1, 0x7F);
+        }
+
+        const layout = { stride, dimensions, fields: { x: { offset: 2 }, y: { offset: 2 + size }, z: { offset: 2 + 2 * size } } };
+        const reduction = { method: 'pca' };
+        const expected = quantizeProcessDataAs(packed.buffer, dataType, true, 10, 'standard', 'n-tuple', tupleLayout(dataType, 'n-tuple', dimensions), LINEAR, false, null, reduction);
+        const actual = quantizeProcessDataAs(padded.buffer, dataType, true, 10, 'standard', 'n-tuple', layout, LINEAR, false, null, reduction);
+        assert.ok(expected.numPoints > 100, dataType);
+        assert.equal(actual.numPoints, expected.numPoints, dataType);
+        assert.deepEqual(actual.points.subarray(0, actual.numPoints * 3), expected.points.subarray(0, expected.numPoints * 3), dataType);
+        assert.equal(actual.offsets[1], stride, dataType);
+    }
+
+    // Values running past the stride are rejected
+    assert.throws(() => quantizeProcessDataAs(new ArrayBuffer(120), 'fp16', true, 10, 'standard', 'n-tuple',
+        { stride: 8, dimensions: 4, fields: { x: { offset: 2 }, y: { offset: 4 }, z: { offset: 6 } } }, LINEAR), /N-tuple values span 10 bytes, which exceeds the stride of 8/);
+});
+
+test('percentile fields clip the default tails with or without a normalization option', () => {
+    // 200 fp32 records on a ramp, with one far outlier on x
+    const values = new Float32Array(200 * 3);
+    for (let r = 0; r < 200; r++) {
+        values.set([r, r, r], r * 3);
+    }
+    values[0] = -1e6;
+    const field = offset => ({ offset, type: 'fp32', normalize: 'percentile' });
+    const layout = { stride: 12, fields: { x: field(0), y: field(4), z: field(8) } };
+    const process = normalization => quantizeProcessDataAs(values.buffer.slice(0), 'fp32', true, 16, 'standard', '3-tuple', layout, normalization);
+
+    const withoutOption = process(null);
+    assert.deepEqual(withoutOption.points, process({ strategy: 'auto' }).points);
+
+    // Clipped to the 1-99 percentile, the outlier does not squash the ramp towards +1
+    assert.ok(withoutOption.points[3 * 100] < 0.2, `x of record 100 at ${withoutOption.points[3 * 100]}`);
+});
+
+test('rejects quantization bits out of range and buffers shorter than a record', () => {
+    assert.throws(() => quantizeProcessDataAs(gridRecords(), 'uint8', true, 1), /Quantization bits/);
+    assert.throws(() => quantizeProcessDataAs(new ArrayBuffer(2), 'uint8', true, 8), /Buffer too small/);
+});
@@ -0,0 +1,105 @@
+/**
+ * DataTypes.test.js
+ * Known-byte decoding for every DATA_TYPES entry, in both byte orders
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DATA_TYPES } from '../src/utils/Constants.js';
+import { createExtendedDataView, NF4_VALUES } from '../src/utils/FloatUtils.js';
+import { tupleLayout } from '../src/processing/RecordLayout.js';
+
+/**
+ * Hand-encoded values per type: bytes, byte offset, byte order and the expected value
+ * Sub-byte fields are read LSB-first in little endian and MSB-first in big endian.
+ */
+const VECTORS = {
+    int8: [{ bytes: [0xFF], expected: -1 }, { bytes: [0x80], expected: -128 }],
+    uint8: [{ bytes: [0xFF], expected: 255 }],
+    int16: [{ bytes: [0x00, 0x80], expected: -32768 }, { bytes: [0xFF, 0xFE], littleEndian: false, expected: -2 }],
+    uint16: [{ bytes: [0x34, 0x12], expected: 0x1234 }, { bytes: [0x12, 0x34], littleEndian: false, expected: 0x1234 }],
+    int32: [{ bytes: [0xFE, 0xFF, 0xFF, 0xFF], expected: -2 }],
+    uint32: [{ bytes: [0x78, 0x56, 0x34, 0x12], expected: 0x12345678 }, { bytes: [0x12, 0x34, 0x56, 0x78], littleEndian: false, expected: 0x12345678 }],
+    int64: [{ bytes: [0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF], expected: -1 }, { bytes: [0, 0, 0, 0, 0, 0, 0, 0x80], expected: -(2 ** 63) }],
+    uint64: [{ bytes: [0, 0, 0, 0, 1, 0, 0, 0], expected: 2 ** 32 }, { bytes: [0, 0, 0, 1, 0, 0, 0, 0], littleEndian: false, expected: 2 ** 32 }],
+    fp16: [{ bytes: [0x00, 0x3C], expected: 1 }, { bytes: [0x00, 0xC0], expected: -2 }, { bytes: [0x7C, 0x00], littleEndian: false, expected: Infinity }, { bytes: [0x01, 0x00], expected: 2 ** -24 }],
+    bf16: [{ bytes: [0x80, 0x3F], expected: 1 }, { bytes: [0x40, 0xC0], littleEndian: false, expected: 6 }],
+    fp32: [{ bytes: [0x00, 0x00, 0x80, 0x3F], expected: 1 }, { bytes: [0xBF, 0x00, 0x00, 0x00], littleEndian: false, expected: -0.5 }],
+    fp64: [{ bytes: [0, 0, 0, 0, 0, 0, 0xF0, 0x3F], expected: 1 }],
+    // E4M3 here keeps IEEE-style specials: exponent 1111 is infinity (mantissa 0) or NaN
+    fp8_e4m3: [{ bytes: [0x38], expected: 1 }, { bytes: [0x77], expected: 240 }, { bytes: [0x78], expected: Infinity }, { bytes: [0x7C], expected: NaN }, { bytes: [0x01], expected: 2 ** -9 }],
+    fp8_e5m2: [{ bytes: [0x3C], expected: 1 }, { bytes: [0x7B], expected: 57344 }, { bytes: [0xFC], expected: -Infinity }],
+    // 1.0 = exponent 01, mantissa 000 (bias 1); the second field starts 6 bits in
+    fp6_e2m3: [{ bytes: [0x08], expected: 1 }, { bytes: [0x00, 0x02], offset: 0.75, expected: 1 }, { bytes: [0x20], littleEndian: false, expected: 1 }],
+    // 1.0 = exponent 011, mantissa 00 (bias 3)
+    fp6_e3m2: [{ bytes: [0x0C], expected: 1 }, { bytes: [0x30], littleEndian: false, expected: 1 }],
+    mxfp4: [{ bytes: [0x72], expected: 1 }, { bytes: [0x72], offset: 0.5, expected: 6 }, { bytes: [0x72], littleEndian: false, expected: 6 }],
+    nf4: [{ bytes: [0x0F], expected: NF4_VALUES[15] }, { bytes: [0x0F], offset: 0.5, expected: NF4_VALUES[0] }],
+    int4: [{ bytes: [0x8F], expected: -1 }, { bytes: [0x8F], offset: 0.5, expected: -8 }, { bytes: [0x8F], littleEndian: false, expected: -8 }],
+    uint4: [{ bytes: [0x8F], expected: 15 }, { bytes: [0x8F], offset: 0.5, expected: 8 }, { bytes: [0x8F], littleEndian: false, offset: 0.5, expected: 15 }],
+    uint2: [
+        { bytes: [0xE4], expected: 0 }, { bytes: [0xE4], offset: 0.25, expected: 1 },
+        { bytes: [0xE4], offset: 0.75, expected: 3 }, { bytes: [0xE4], littleEndian: false, expected: 3 }
+    ],
+    int10: [{ bytes: [0xFF, 0x03], expected: -1 }, { bytes: [0x00, 0x02], expected: -512 }, { bytes: [0x7F, 0xC0], littleEndian: false, expected: 511 }],
+    // The second field starts 10 bits in: bits 2-7 of byte 1 and bits 0-3 of byte 2
+    uint10: [{ bytes: [0xFF, 0x03], expected: 1023 }, { bytes: [0x00, 0x04, 0x00], offset: 1.25, expected: 1 }, { bytes: [0xFF, 0xC0], littleEndian: false, expected: 1023 }]
+};
+
+/**
+ * Packed 10:10:10:2 words: lane values in x, y, z, w order, least significant lane first
+ */
+const LANE_VECTORS = {
+    uint10_10_10_2: { lanes: [1023, 0, 512, 3] },
+    int10_10_10_2: { lanes: [-1, 511, -512, 2] }
+};
+
+function assertSameValue(actual, expected, message) {
+    if (Number.isNaN(expected)) {
+        assert.ok(Number.isNaN(actual), `${message}: expected NaN, got ${actual}`);
+    } else {
+        assert.equal(actual, expected, message);
+    }
+}
+
+test('every data type has decoding vectors', () => {
+    const covered = [...Object.keys(VECTORS), ...Object.keys(LANE_VECTORS)].sort();
+    assert.deepEqual(covered, Object.keys(DATA_TYPES).sort());
+});
+
+for (const [type, vectors] of Object.entries(VECTORS)) {
+    test(`${type} decodes known bytes`, () => {
+        const method = DATA_TYPES[type].method;
+        for (const { bytes, offset = 0, littleEndian = true, expected } of vectors) {
+            const view = createExtendedDataView(Uint8Array.from(bytes).buffer);
+            const hex = bytes.map(b => b.toString(16).padStart(2, '0')).join(' ');
+            assertSameValue(view[method](offset, littleEndian), expected, `${type} [${hex}] at ${offset} ${littleEndian ? 'LE' : 'BE'}`);
+        }
+    });
+}
+
+for (const [type, { lanes }] of Object.entries(LANE_VECTORS)) {
+    test(`${type} lanes decode through the tuple layout`, () => {
+        const widths = DATA_TYPES[type].lanes.map(lane => DATA_TYPES[lane].bits);
+        let word = 0;
+        let shift = 0;
+        lanes.forEach((value, i) => {
+            word += (value & ((1 << widths[i]) - 1)) * 2 ** shift;
+            shift += widths[i];
+        });
+
+        const buffer = new ArrayBuffer(4);
+        new DataView(buffer).setUint32(0, word, true);
+        const view = createExtendedDataView(buffer);
+
+        const { fields, stride } = tupleLayout(type, '3-tuple');
+        assert.equal(stride, 4);
+        ['x', 'y', 'z'].forEach((component, i) => {
+            const field = fields[component];
+            assert.equal(view[DATA_TYPES[field.type].method](field.offset, true), lanes[i], `${type} lane ${component}`);
+        });
+    });
+}
@@ -0,0 +1,252 @@
+/**
+ * FloatUtils.test.js
+ * Parity tests for the table-driven and bulk float decoders against the per-value converters,
+ * and round-trip tests for the encoders
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    fp16ToFloat32,
+    bf16ToFloat32,
+    fp8e4m3ToFloat32,
+    fp8e5m2ToFloat32,
+    fp6e2m3ToFloat32,
+    fp6e3m2ToFloat32,
+    fp4e2m1ToFloat32,
+    float32ToFp16,
+    float32ToBf16,
+    float32ToFp8E4M3,
+    float32ToFp8E5M2,
+    float32ToFp6E2M3,
+    float32ToFp6E3M2,
+    float32ToFp4E2M1,
+    float32ToNF4,
+    NF4_VALUES,
+    getDecodeTable,
+    decodeFloatSpan,
+    encodeFloatSpan,
+    createExtendedDataView,
+    TABLE_DECODED_FORMATS
+} from '../src/utils/FloatUtils.js';
+import { DATA_TYPES } from '../src/utils/Constants.js';
+
+const CONVERTERS = {
+    fp16: { convert: fp16ToFloat32, codes: 65536, size: 2 },
+    bf16: { convert: bf16ToFloat32, codes: 65536, size: 2 },
+    fp8_e4m3: { convert: fp8e4m3ToFloat32, codes: 256, size: 1 },
+    fp8_e5m2: { convert: fp8e5m2ToFloat32, codes: 256, size: 1 }
+};
+
+/**
+ * Encoder/decoder pairs with the number of codes and the canonical NaN (null without NaN)
+ */
+const CODECS = {
+    fp16: { encode: float32ToFp16, decode: fp16ToFloat32, codes: 65536, nan: 0x7E00 },
+    bf16: { encode: float32ToBf16, decode: bf16ToFloat32, codes: 65536, nan: 0x7FC0 },
+    fp8_e4m3: { encode: float32ToFp8E4M3, decode: fp8e4m3ToFloat32, codes: 256, nan: 0x7C },
+    fp8_e5m2: { encode: float32ToFp8E5M2, decode: fp8e5m2ToFloat32, codes: 256, nan: 0x7E },
+    fp6_e2m3: { encode: float32ToFp6E2M3, decode: fp6e2m3ToFloat32, codes: 64, nan: null },
+    fp6_e3m2: { encode: float32ToFp6E3M2, decode: fp6e3m2ToFloat32, codes: 64, nan: null },
+    fp4_e2m1: { encode: float32ToFp4E2M1, decode: fp4e2m1ToFloat32, codes: 16, nan: null }
+};
+
+/**
+ * Compare two decoded values, treating NaN as equal to NaN and keeping the sign of zero
+ */
+function assertSameValue(actual, expected, message) {
+    if (Number.isNaN(expected)) {
+        assert.ok(Number.isNaN(actual), message);
+    } else {
+        assert.ok(Object.is(actual, expected), `${message}: got ${actual}, expected ${expected}`);
+    }
+}
+
+/**
+ * Deterministic pseudo-random bytes
+ */
+function randomBytes(length, seed = 1) {
+    const bytes = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+        seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+        bytes[i] = seed >>> 24;
+    }
+    return bytes;
+}
+
+test('every table-driven format has a reference converter', () => {
+    assert.deepEqual([...TABLE_DECODED_FORMATS].sort(), Object.keys(CONVERTERS).sort());
+});
+
+for (const [format, { convert, codes }] of Object.entries(CONVERTERS)) {
+    test(`${format} lookup table matches the per-value converter for all ${codes} codes`, () => {
+        const table = getDecodeTable(format);
+        assert.equal(table.length, codes);
+        for (let code = 0; code < codes; code++) {
+            assertSameValue(table[code], convert(code), `${format} code 0x${code.toString(16)}`);
+        }
+    });
+}
+
+for (const [format, { convert, size }] of Object.entries(CONVERTERS)) {
+    for (const littleEndian of [true, false]) {
+        test(`${format} bulk decode matches per-value decoding (${littleEndian ? 'little' : 'big'} endian)`, () => {
+            const bytes = randomBytes(4099);
+            const view = new DataView(bytes.buffer);
+            const readCode = (offset) => (size === 2 ? view.getUint16(offset, littleEndian) : view.getUint8(offset));
+
+            // Contiguous, odd offset and interleaved (stride 6, 3 values per record) spans
+            for (const [byteOffset, stride] of [[0, size], [1, size], [2, 6], [3, 6]]) {
+                const decoded = decodeFloatSpan(format, bytes.buffer, byteOffset, undefined, littleEndian, stride);
+                const expectedCount = Math.floor((bytes.length - byteOffset - size) / stride) + 1;
+                assert.equal(decoded.length, expectedCount, `count at offset ${byteOffset}, stride ${stride}`);
+
+                for (let i = 0; i < decoded.length; i++) {
+                    const offset = byteOffset + i * stride;
+                    assertSameValue(decoded[i], Math.fround(convert(readCode(offset))), `${format} at byte ${offset}`);
+                }
+            }
+        });
+    }
+}
+
+test('bulk decode writes into a provided target and rejects spans past the buffer', () => {
+    const bytes = new Uint8Array([0x00, 0x3C, 0x00, 0xC0]); // fp16 little endian: 1.0, -2.0
+    const target = new Float32Array(2);
+
+    assert.equal(decodeFloatSpan('fp16', bytes.buffer, 0, 2, true, 2, target), target);
+    assert.deepEqual(Array.from(target), [1, -2]);
+    assert.equal(decodeFloatSpan('fp16', bytes.buffer, 4).length, 0);
+    assert.throws(() => decodeFloatSpan('fp16', bytes.buffer, 2, 2), /exceeds buffer/);
+    assert.throws(() => getDecodeTable('fp32'), /No decode table/);
+});
+
+test('extended DataView methods agree with the per-value converters', () => {
+    const bytes = randomBytes(512, 99);
+    const view = createExtendedDataView(bytes.buffer);
+
+    for (let offset = 0; offset + 2 <= bytes.length; offset++) {
+        for (const littleEndian of [true, false]) {
+            const code = view.getUint16(offset, littleEndian);
+            assertSameValue(view.getFloat16(offset, littleEndian), Math.fround(fp16ToFloat32(code)), `fp16 at ${offset}`);
+            assertSameValue(view.getBFloat16(offset, littleEndian), Math.fround(bf16ToFloat32(code)), `bf16 at ${offset}`);
+        }
+        assertSameValue(view.getFloat8E4M3(offset), Math.fround(fp8e4m3ToFloat32(bytes[offset])), `fp8_e4m3 at ${offset}`);
+        assertSameValue(view.getFloat8E5M2(offset), Math.fround(fp8e5m2ToFloat32(bytes[offset])), `fp8_e5m2 at ${offset}`);
+    }
+});
+
+for (const [format, { encode, decode, codes, nan }] of Object.entries(CODECS)) {
+    test(`${format} encoder round-trips every code`, () => {
+        for (let code = 0; code < codes; code++) {
+            const value = decode(code);
+            if (Number.isNaN(value)) {
+                assert.equal(encode(value), nan, `${format} NaN`);
+            } else if (Math.abs(value) === Infinity) {
+                assert.equal(encode(value, false), code, `${format} infinity 0x${code.toString(16)}`);
+            } else {
+                assert.equal(encode(value), code, `${format} code 0x${code.toString(16)} (${value})`);
+            }
+        }
+    });
+
+    test(`${format} encoder rounds to nearest with ties to even`, () => {
+        // Walk the positive finite codes in value order and test the points between neighbours
+        const finite = [];
+        for (let code = 0; code < codes / 2; code++) {
+            const value = decode(code);
+            if (Number.isFinite(value)) finite.push({ code, value });
+        }
+
+        for (let i = 0; i + 1 < finite.length; i++) {
+            const lo = finite[i];
+            const hi = finite[i + 1];
+            const mid = (lo.value + hi.value) / 2;
+            const even = (lo.code & 1) === 0 ? lo.code : hi.code;
+
+            assert.equal(encode(mid), even, `${format} tie between ${lo.value} and ${hi.value}`);
+            assert.equal(encode(lo.value + (mid - lo.value) / 2), lo.code, `${format} just above ${lo.value}`);
+            assert.equal(encode(mid + (hi.value - mid) / 2), hi.code, `${format} just below ${hi.value}`);
+            // Negative values mirror positive ones
+            assert.equal(encode(-hi.value), hi.code | (codes / 2), `${format} negative ${hi.value}`);
+        }
+    });
+}
+
+test('encoders handle overflow, saturation and signed zero', () => {
+    assert.equal(float32ToFp16(65504), 0x7BFF);
+    assert.equal(float32ToFp16(65519), 0x7BFF); // below the rounding midpoint
+    assert.equal(float32ToFp16(65520), 0x7C00); // ties to even overflows to Infinity
+    assert.equal(float32ToFp16(-1e9), 0xFC00);
+    assert.equal(float32ToFp16(-0), 0x8000);
+    assert.equal(float32ToFp16(1e-10), 0x0000); // underflows to zero
+    assert.equal(float32ToBf16(3.4e38), 0x7F80); // rounds up past bf16's largest finite value
+    assert.equal(float32ToFp8E4M3(1000), 0x77); // saturates to 240
+    assert.equal(float32ToFp8E4M3(1000, false), 0x78); // Infinity
+    assert.equal(float32ToFp8E4M3(-Infinity), 0xF7);
+    assert.equal(float32ToFp8E5M2(1e6), 0x7B); // saturates to 57344
+    assert.equal(float32ToFp6E2M3(100), 0x1F);
+    assert.equal(float32ToFp4E2M1(-100), 0xF);
+    assert.equal(float32ToNF4(0.3), 11);
+    assert.equal(float32ToNF4(NaN), 7);
+    assert.equal(NF4_VALUES[float32ToNF4(-2)], -1);
+});
+
+for (const [format, { size }] of Object.entries(CONVERTERS)) {
+    for (const littleEndian of [true, false]) {
+        test(`${format} bulk encode matches per-value encoding (${littleEndian ? 'little' : 'big'} endian)`, () => {
+            const values = Array.from(randomBytes(300, 5), (byte, i) => (byte - 128) * Math.pow(2, (i % 24) - 12));
+            values.push(NaN, Infinity, -Infinity, -0);
+
+            const packed = encodeFloatSpan(format, values, undefined, 0, littleEndian);
+            assert.equal(packed.byteLength, values.length * size);
+            const decoded = decodeFloatSpan(format, packed, 0, values.length, littleEndian);
+            for (let i = 0; i < values.length; i++) {
+                assertSameValue(decoded[i], getDecodeTable(format)[CODECS[format].encode(values[i])], `${format} value ${values[i]}`);
+            }
+
+            // Interleaved: fill the second component of 4-value records without touching the others
+            const stride = size * 4;
+            const interleaved = new ArrayBuffer(values.length * stride);
+            new Uint8Array(interleaved).fill(0xAB);
+            encodeFloatSpan(format, values, interleaved, size, littleEndian, stride);
+            const strided = decodeFloatSpan(format, interleaved, size, values.length, littleEndian, stride);
+            assert.deepEqual(Array.from(strided), Array.from(decoded));
+            assert.equal(new Uint8Array(interleaved)[0], 0xAB);
+            assert.throws(() => encodeFloatSpan(format, values, new ArrayBuffer(4)), /exceeds buffer/);
+        });
+    }
+}
+
+test('extended DataView setters round-trip every data type', () => {
+    const samples = [-1e6, -300, -7.25, -1, -0.4, 0, 0.3, 1, 2.5, 6, 100, 70000];
+
+    for (const [dataType, config] of Object.entries(DATA_TYPES)) {
+        if (config.lanes) continue;
+        const setter = config.method.replace(/^get/, 'set');
+
+        for (const littleEndian of [true, false]) {
+            // Write samples back to back (fractional offsets for sub-byte types), then read them back
+            const buffer = new ArrayBuffer(Math.ceil(samples.length * config.size) + 1);
+            const view = createExtendedDataView(buffer);
+            assert.equal(typeof view[setter], 'function', `${dataType} has ${setter}`);
+
+            samples.forEach((value, i) => view[setter](i * config.size, value, littleEndian));
+            samples.forEach((value, i) => {
+                const stored = view[config.method](i * config.size, littleEndian);
+                // Re-encoding the decoded value must reproduce it exactly
+                const check = createExtendedDataView(new ArrayBuffer(8));
+                check[setter](0, stored, littleEndian);
+                assertSameValue(check[config.method](0, littleEndian), stored, `${dataType} sample ${value}`);
+
+                // In-range integers are stored truncated toward zero
+                if (!config.isFloat && value >= config.min && value <= config.max) {
+                    assert.equal(stored, Math.trunc(value) || 0, `${dataType} stores ${value} as ${stored}`);
+                }
+            });
+        }
+    }
+});
@@ -0,0 +1,86 @@
+/**
+ * HilbertCurve3D.test.js
+ * Property tests for the 3D Hilbert curve: round trips, bijectivity and unit-distance steps
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HilbertCurve3D } from '../src/utils/HilbertCurve3D.js';
+import { lcg } from './helpers.js';
+
+/**
+ * Deterministic pseudo-random integers in [0, limit)
+ */
+function* randomIntegers(count, limit, seed = 1) {
+    const next = lcg(seed);
+    for (let i = 0; i < count; i++) {
+        yield Math.floor(next() / 2 ** 32 * limit);
+    }
+}
+
+function manhattan(a, b) {
+    return Math.abs(a[0] - b[0]) + Math.abs(a[1] - b[1]) + Math.abs(a[2] - b[2]);
+}
+
+for (let order = 1; order <= 4; order++) {
+    test(`order ${order} visits every cell once in unit steps and round-trips`, () => {
+        const cells = 8 ** order;
+        const visited = new Set();
+        let previous = null;
+
+        for (let index = 0; index < cells; index++) {
+            const coords = HilbertCurve3D.indexToCoords(index, order);
+            for (const c of coords) {
+                assert.ok(c >= 0 && c < 2 ** order, `coordinate ${c} out of range at index ${index}`);
+            }
+            assert.equal(HilbertCurve3D.coordsToIndex(...coords, order), index);
+
+            visited.add(coords.join(','));
+            if (previous) {
+                assert.equal(manhattan(previous, coords), 1, `indices ${index - 1} and ${index} are not neighbours`);
+            }
+            previous = coords;
+        }
+
+        assert.equal(visited.size, cells);
+        assert.deepEqual(HilbertCurve3D.indexToCoords(0, order), [0, 0, 0]);
+    });
+}
+
+test('coordsToIndex is the inverse of indexToCoords for every cell up to order 3', () => {
+    for (let order = 1; order <= 3; order++) {
+        const side = 2 ** order;
+        for (let x = 0; x < side; x++) {
+            for (let y = 0; y < side; y++) {
+                for (let z = 0; z < side; z++) {
+                    assert.deepEqual(HilbertCurve3D.indexToCoords(HilbertCurve3D.coordsToIndex(x, y, z, order), order), [x, y, z]);
+                }
+            }
+        }
+    }
+});
+
+for (const order of [7, 10]) {
+    test(`order ${order} round-trips and steps to a neighbour at sampled indices`, () => {
+        const cells = 8 ** order;
+        for (const index of randomIntegers(5000, cells - 1, order)) {
+            const coords = HilbertCurve3D.indexToCoords(index, order);
+            assert.equal(HilbertCurve3D.coordsToIndex(...coords, order), index);
+            assert.equal(manhattan(coords, HilbertCurve3D.indexToCoords(index + 1, order)), 1);
+        }
+
+        // The curve ends one step away from the origin along a single axis
+        const last = HilbertCurve3D.indexToCoords(cells - 1, order);
+        assert.equal(last.filter(c => c === 0).length, 2);
+        assert.ok(last.every(c => c === 0 || c === 2 ** order - 1));
+    });
+}
+
+test('rejects orders outside 1 to MAX_ORDER', () => {
+    assert.throws(() => HilbertCurve3D.coordsToIndex(0, 0, 0, 0), /order/);
+    assert.throws(() => HilbertCurve3D.indexToCoords(0, HilbertCurve3D.MAX_ORDER + 1), /order/);
+    assert.throws(() => HilbertCurve3D.coordsToIndex(0, 0, 0, 2.5), /order/);
+});
@@ -0,0 +1,78 @@
+/**
+ * KDTree.test.js
+ * k-d tree median splits and cut planes, and BVH flattening and queries on its node table
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { KDTree } from '../src/spatial/KDTree.js';
+import { BVH } from '../src/spatial/BVH.js';
+import { BUILD_CASES, randomPoints, node, cell } from './helpers.js';
+
+const SEED = 13;
+
+// The node table invariants shared with BVH.buildFlat and Octree.build are checked in BVH.test.js
+for (const [count, maxDepth, minPoints] of BUILD_CASES) {
+    test(`build(${count} points, maxDepth ${maxDepth}, minPoints ${minPoints}) halves cells on x, y and z in turn`, () => {
+        const table = KDTree.build(randomPoints(count, SEED), { maxDepth, minPoints });
+
+        for (let n = 0; n < table.nodeCount; n++) {
+            const [first, nodeCount, left, childCount, depth] = node(table, n);
+            if (childCount === 0) continue;
+
+            // Two children splitting the parent's range at its median
+            assert.equal(childCount, 2);
+            const [leftFirst, leftCount] = node(table, left);
+            const [rightFirst, rightCount] = node(table, left + 1);
+            assert.deepEqual([leftFirst, leftCount, rightFirst, rightCount], [first, Math.floor(nodeCount / 2), first + leftCount, nodeCount - leftCount]);
+
+            // Both cells are the parent cell, cut on the depth's axis at one shared plane
+            const axis = depth % 3;
+            const bounds = cell(table, n);
+            const leftBounds = cell(table, left);
+            const rightBounds = cell(table, left + 1);
+            assert.equal(leftBounds[3 + axis], rightBounds[axis]);
+            assert.deepEqual(leftBounds.map((value, i) => i === 3 + axis ? bounds[i] : value), bounds);
+            assert.deepEqual(rightBounds.map((value, i) => i === axis ? bounds[i] : value), bounds);
+        }
+    });
+}
+
+test('coincident points split down to the leaf size', () => {
+    const table = KDTree.build(new Float32Array(300).fill(0.25), { maxDepth: 12, minPoints: 4 });
+    for (let n = 0; n < table.nodeCount; n++) {
+        const [, count, , childCount] = node(table, n);
+        if (childCount === 0) assert.ok(count <= 4);
+    }
+});
+
+test('flattened boxes are the cells with their occupancy', () => {
+    const table = KDTree.build(randomPoints(1000, SEED), { maxDepth: 6, minPoints: 8 });
+    const boxes = BVH.flattenTable(table, null, null, null, 6);
+    assert.equal(boxes.length, table.nodeCount);
+    assert.deepEqual(structuredClone(boxes[0]), boxes[0]);
+
+    const [minX, minY, minZ, maxX, maxY, maxZ] = cell(table, 0);
+    assert.deepEqual(boxes[0].size, { x: maxX - minX, y: maxY - minY, z: maxZ - minZ });
+    assert.deepEqual([boxes[0].count, boxes[0].parentCount, boxes[0].rootCount, boxes[0].children], [1000, 1000, 1000, 2]);
+    assert.deepEqual([boxes[1].depth, boxes[1].count, boxes[1].parentCount], [1, 500, 1000]);
+});
+
+test('BVH queries on the k-d tree table return what they return on a BVH', () => {
+    const points = randomPoints(1500, SEED);
+    const kdTree = KDTree.build(points, { maxDepth: 8, minPoints: 4 });
+    const bvh = BVH.buildFlat(points, { maxDepth: 8, minPoints: 4 });
+    const sortedIndices = indices => Array.from(indices).sort((a, b) => a - b);
+
+    for (const query of [[0, 0, 0], [0.9, -0.9, 0.5], [0.01, 0.02, -0.03], [3, 3, 3]]) {
+        assert.deepEqual(BVH.nearest(kdTree, points, query, 10), BVH.nearest(bvh, points, query, 10));
+        assert.deepEqual(sortedIndices(BVH.withinRadius(kdTree, points, query, 0.3)), sortedIndices(BVH.withinRadius(bvh, points, query, 0.3)));
+    }
+
+    const origin = [-2, 0.01, 0];
+    const direction = [1, 0, 0];
+    assert.deepEqual(BVH.raycast(kdTree, points, origin, direction, 0.05), BVH.raycast(bvh, points, origin, direction, 0.05));
+});
@@ -0,0 +1,100 @@
+/**
+ * Octree.test.js
+ * Octree cells and occupied octants, and BVH flattening and queries on its node table
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Octree } from '../src/spatial/Octree.js';
+import { BVH } from '../src/spatial/BVH.js';
+import { BUILD_CASES, randomPoints, node, cell } from './helpers.js';
+
+const SEED = 11;
+
+// The node table invariants shared with BVH.buildFlat and KDTree.build are checked in BVH.test.js
+for (const [count, maxDepth, minPoints] of BUILD_CASES) {
+    test(`build(${count} points, maxDepth ${maxDepth}, minPoints ${minPoints}) subdivides cubes into occupied octants`, () => {
+        const table = Octree.build(randomPoints(count, SEED), { maxDepth, minPoints });
+
+        const [minX, minY, minZ, maxX, maxY, maxZ] = cell(table, 0);
+        assert.equal(maxX - minX, maxY - minY);
+        assert.equal(maxY - minY, maxZ - minZ);
+
+        for (let n = 0; n < table.nodeCount; n++) {
+            const [, , firstChild, childCount] = node(table, n);
+            const bounds = cell(table, n);
+            assert.ok(childCount <= 8);
+
+            // Each child cell is one of the eight halves-on-every-axis of its parent
+            for (let child = firstChild; child < firstChild + childCount; child++) {
+                const childBounds = cell(table, child);
+                for (let axis = 0; axis < 3; axis++) {
+                    const mid = Math.fround((bounds[axis] + bounds[3 + axis]) / 2);
+                    const lower = childBounds[axis] === bounds[axis] && childBounds[3 + axis] === mid;
+                    const upper = childBounds[axis] === mid && childBounds[3 + axis] === bounds[3 + axis];
+                    assert.ok(lower || upper, `child cell is not an octant on axis ${axis}`);
+                }
+            }
+        }
+    });
+}
+
+test('empty octants are not stored', () => {
+    // Two clusters in opposite corners of the root cube
+    const points = new Float32Array([0, 0, 0, 0.1, 0.1, 0.1, 0.9, 0.9, 0.9, 1, 1, 1]);
+    const table = Octree.build(points, { maxDepth: 1, minPoints: 1 });
+    assert.equal(table.nodeCount, 3);
+    assert.deepEqual(node(table, 0), [0, 4, 1, 2, 0]);
+    assert.deepEqual(cell(table, 1), [0, 0, 0, 0.5, 0.5, 0.5]);
+    assert.deepEqual(cell(table, 2), [0.5, 0.5, 0.5, 1, 1, 1]);
+});
+
+test('coincident points stop at the maximum depth', () => {
+    const table = Octree.build(new Float32Array(300).fill(0.25), { maxDepth: 5, minPoints: 4 });
+    assert.equal(table.nodeCount, 6);
+    assert.deepEqual(node(table, 5), [0, 100, 0, 0, 5]);
+});
+
+/**
+ * Occupancy of every node in depth-first order, children in table order (the order of BVH.flattenTable)
+ */
+function occupancy(table, n = 0, parentCount = table.nodes[1], out = []) {
+    const [, count, firstChild, childCount, depth] = node(table, n);
+    out.push({ depth, count, parentCount, rootCount: table.nodes[1], children: childCount });
+    for (let child = firstChild; child < firstChild + childCount; child++) {
+        occupancy(table, child, count, out);
+    }
+    return out;
+}
+
+test('flattened boxes carry occupancy statistics', () => {
+    const table = Octree.build(randomPoints(1000, SEED), { maxDepth: 5, minPoints: 8 });
+    const boxes = BVH.flattenTable(table, null, null, null, 5);
+    assert.deepEqual(structuredClone(boxes[0]), boxes[0]);
+    assert.deepEqual(boxes.map(({ depth, count, parentCount, rootCount, children }) => ({ depth, count, parentCount, rootCount, children })),
+        occupancy(table));
+    assert.deepEqual([boxes[0].count, boxes[0].parentCount, boxes[0].rootCount], [1000, 1000, 1000]);
+});
+
+test('BVH queries on the octree table match brute force', () => {
+    const points = randomPoints(1500, SEED);
+    const table = Octree.build(points, { maxDepth: 8, minPoints: 4 });
+    const count = points.length / 3;
+
+    for (const query of [[0, 0, 0], [0.9, -0.9, 0.5], [0.01, 0.02, -0.03], [3, 3, 3]]) {
+        const distances = Array.from({ length: count }, (_, i) =>
+            Math.hypot(points[i * 3] - query[0], points[i * 3 + 1] - query[1], points[i * 3 + 2] - query[2]));
+        const sorted = [...distances].sort((a, b) => a - b);
+
+        const nearest = BVH.nearest(table, points, query, 10);
+        assert.equal(nearest.length, 10);
+        nearest.forEach((hit, i) => assert.ok(Math.abs(hit.distance - sorted[i]) < 1e-9, `neighbour ${i} of ${query}`));
+
+        const radius = (sorted[50] + sorted[51]) / 2;
+        const inside = distances.flatMap((distance, i) => distance <= radius ? [i] : []);
+        assert.deepEqual(Array.from(BVH.withinRadius(table, points, query, radius)).sort((a, b) => a - b), inside);
+    }
+});
@@ -0,0 +1,92 @@
+/**
+ * PlyWriter.test.js
+ * Byte-for-byte PLY and compact raw fp16 export
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { plyHeader, encodeVertices, PLY_BINARY_VERTEX_SIZE, COMPACT_EXPORT_FORMAT, COMPACT_VERTEX_SIZE } from '../src/processing/PlyWriter.js';
+import { convertToPointCloud } from '../src/core/BatchConverter.js';
+import { StreamingReader } from '../src/processing/StreamingReader.js';
+
+// Exactly representable in float32 and fp16, so every encoding is exact
+const POSITIONS = new Float32Array([0.5, -1, 2, -1, 2, 0.5]);
+const COLORS = new Float32Array([1, 0.5, 0, 0, 1, 0.5]);
+
+const F32_LE = { 0.5: [0x00, 0x00, 0x00, 0x3F], 1: [0x00, 0x00, 0x80, 0x3F], '-1': [0x00, 0x00, 0x80, 0xBF], 2: [0x00, 0x00, 0x00, 0x40] };
+const F16_LE = { 0.5: [0x00, 0x38], '-1': [0x00, 0xBC], 2: [0x00, 0x40] };
+
+const bytesOf = encoded => Array.from(new Uint8Array(encoded));
+
+function binaryRecord(x, y, z, rgb, littleEndian) {
+    const floats = [x, y, z].flatMap(v => littleEndian ? F32_LE[v] : [...F32_LE[v]].reverse());
+    return [...floats, ...rgb];
+}
+
+function header(format, count) {
+    return `ply\nformat ${format} 1.0\ncomment Created by Binary Point Cloud Viewer\nelement vertex ${count}\n` +
+        'property float x\nproperty float y\nproperty float z\n' +
+        'property uchar red\nproperty uchar green\nproperty uchar blue\nend_header\n';
+}
+
+test('header lists XYZ float and RGB uchar properties, and is empty for the compact format', () => {
+    assert.equal(plyHeader('ascii', 2), header('ascii', 2));
+    assert.equal(plyHeader('binary_big_endian', 1234), header('binary_big_endian', 1234));
+    assert.equal(plyHeader(COMPACT_EXPORT_FORMAT, 2), '');
+});
+
+test('ascii writes one line per vertex with colors scaled to 0-255', () => {
+    assert.equal(encodeVertices('ascii', POSITIONS, COLORS, null, 0, 2), '0.5 -1 2 255 127 0\n-1 2 0.5 0 255 127\n');
+});
+
+test('binary little and big endian encode float32 positions and uchar colors', () => {
+    for (const littleEndian of [true, false]) {
+        const format = littleEndian ? 'binary_little_endian' : 'binary_big_endian';
+        const encoded = encodeVertices(format, POSITIONS, COLORS, null, 0, 2);
+        assert.equal(encoded.byteLength, 2 * PLY_BINARY_VERTEX_SIZE);
+        assert.deepEqual(bytesOf(encoded), [
+            ...binaryRecord(0.5, -1, 2, [255, 127, 0], littleEndian),
+            ...binaryRecord(-1, 2, 0.5, [0, 255, 127], littleEndian)
+        ], format);
+    }
+});
+
+test('raw fp16 packs little endian half floats followed by uint8 colors', () => {
+    const encoded = encodeVertices(COMPACT_EXPORT_FORMAT, POSITIONS, COLORS, null, 0, 2);
+    assert.equal(encoded.byteLength, 2 * COMPACT_VERTEX_SIZE);
+    assert.deepEqual(bytesOf(encoded), [
+        ...F16_LE[0.5], ...F16_LE[-1], ...F16_LE[2], 255, 127, 0,
+        ...F16_LE[-1], ...F16_LE[2], ...F16_LE[0.5], 0, 255, 127
+    ]);
+});
+
+test('index ranges and offsets select and shift vertices', () => {
+    const indices = new Uint32Array([1, 0]);
+    const offset = [1.5, 0, -2.5];
+    assert.equal(encodeVertices('ascii', POSITIONS, COLORS, indices, 1, 2, offset), '2 -1 -0.5 255 127 0\n');
+    assert.deepEqual(bytesOf(encodeVertices('binary_little_endian', POSITIONS, COLORS, indices, 0, 1, [0, -1, 0])),
+        binaryRecord(-1, 1, 0.5, [0, 255, 127], true));
+    assert.deepEqual(bytesOf(encodeVertices(COMPACT_EXPORT_FORMAT, POSITIONS, COLORS, indices, 1, 2, [0, 0, 0])),
+        [...F16_LE[0.5], ...F16_LE[-1], ...F16_LE[2], 255, 127, 0]);
+});
+
+test('a converted file exports to the expected PLY bytes', async () => {
+    // uint8 records at the extremes normalize to +-1; the third record repeats the first
+    const buffer = Uint8Array.from([0, 255, 0, 255, 0, 255, 0, 255, 0]).buffer;
+    const cloud = await convertToPointCloud(new StreamingReader(buffer), { dataType: 'uint8', isLittleEndian: true, quantizationBits: 8 });
+    assert.equal(cloud.numPoints, 2);
+
+    const ascii = plyHeader('ascii', cloud.numPoints) + encodeVertices('ascii', cloud.points, cloud.colors, null, 0, cloud.numPoints);
+    assert.equal(ascii, header('ascii', 2) + '-1 1 -1 0 255 0\n1 -1 1 255 0 255\n');
+
+    const body = encodeVertices('binary_little_endian', cloud.points, cloud.colors, null, 0, cloud.numPoints);
+    const expected = [
+        ...new TextEncoder().encode(header('binary_little_endian', 2)),
+        ...binaryRecord(-1, 1, -1, [0, 255, 0], true),
+        ...binaryRecord(1, -1, 1, [255, 0, 255], true)
+    ];
+    assert.deepEqual([...new TextEncoder().encode(plyHeader('binary_little_endian', 2)), ...bytesOf(body)], expected);
+});
@@ -0,0 +1,117 @@
+/**
+ * PointCloudParser.test.js
+ * PLY, XYZ and PCD parsing, including PLY files written by PlyWriter and truncated files
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parsePLY, parseXYZ, parsePCD, parsePointCloud, detectPointCloudFormat } from '../src/processing/PointCloudParser.js';
+import { plyHeader, encodeVertices } from '../src/processing/PlyWriter.js';
+
+// Exactly representable in float32, colors on the 0-255 grid
+const POSITIONS = new Float32Array([0.5, -1, 2, -1, 2, 0.5]);
+const COLORS = new Float32Array([1, 0, 51 / 255, 0, 1, 102 / 255]);
+
+const encode = text => new TextEncoder().encode(text);
+
+function plyFile(format) {
+    const body = encodeVertices(format, POSITIONS, COLORS, null, 0, 2);
+    const header = encode(plyHeader(format, 2));
+    const bodyBytes = typeof body === 'string' ? encode(body) : new Uint8Array(body);
+    const bytes = new Uint8Array(header.length + bodyBytes.length);
+    bytes.set(header);
+    bytes.set(bodyBytes, header.length);
+    return bytes.buffer;
+}
+
+const near = (actual, expected) => Array.from(actual).every((value, i) => Math.abs(value - expected[i]) < 1e-6);
+
+test('PLY files written by PlyWriter read back in every format', () => {
+    for (const format of ['ascii', 'binary_little_endian', 'binary_big_endian']) {
+        const cloud = parsePLY(plyFile(format));
+        assert.equal(cloud.numPoints, 2, format);
+        assert.equal(cloud.hasColors, true, format);
+        assert.deepEqual(Array.from(cloud.points), Array.from(POSITIONS), format);
+        assert.ok(near(cloud.colors, COLORS), `${format} colors`);
+    }
+});
+
+test('truncated binary PLY files fail with a truncation error', () => {
+    for (const format of ['binary_little_endian', 'binary_big_endian']) {
+        const buffer = plyFile(format);
+        for (const cut of [1, 5, 15]) {
+            assert.throws(() => parsePLY(buffer.slice(0, buffer.byteLength - cut)), /Truncated PLY file: expected 2 vertex entries/, `${format} minus ${cut}`);
+        }
+    }
+});
+
+test('binary PLY list properties are bounds checked, count and payload', () => {
+    const header = 'ply\nformat binary_little_endian 1.0\nelement face 1\nproperty list uchar int vertex_indices\n' +
+        'element vertex 1\nproperty float x\nproperty float y\nproperty float z\nend_header\n';
+    const file = (...bytes) => Uint8Array.from([...encode(header), ...bytes]).buffer;
+    const vertex = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+
+    assert.equal(parsePLY(file(1, 7, 0, 0, 0, ...vertex)).numPoints, 1);
+    assert.throws(() => parsePLY(file()), /Truncated PLY file: expected 1 face entries/);
+    assert.throws(() => parsePLY(file(3, 7, 0, 0, 0)), /Truncated PLY file: expected 1 face entries/);
+});
+
+test('truncated ASCII PLY files fail with a truncation error', () => {
+    const text = new TextDecoder().decode(plyFile('ascii'));
+    assert.throws(() => parsePLY(encode(text.slice(0, text.lastIndexOf('-1'))).buffer), /Truncated PLY file/);
+});
+
+test('XYZ lines with 0-255 colors, skipping headers and comments', () => {
+    const cloud = parseXYZ(encode('x,y,z,r,g,b\n# comment\n0.5,-1,2,255,0,51\n-1 2 0.5 0 255 102\n').buffer);
+    assert.equal(cloud.numPoints, 2);
+    assert.deepEqual(Array.from(cloud.points), Array.from(POSITIONS));
+    assert.ok(near(cloud.colors, COLORS));
+});
+
+test('ASCII PCD with packed rgb', () => {
+    const rgb = (r, g, b) => (r << 16) | (g << 8) | b;
+    const text = 'VERSION .7\nFIELDS x y z rgb\nSIZE 4 4 4 4\nTYPE F F F U\nCOUNT 1 1 1 1\nWIDTH 2\nHEIGHT 1\nPOINTS 2\nDATA ascii\n' +
+        `0.5 -1 2 ${rgb(255, 0, 51)}\n-1 2 0.5 ${rgb(0, 255, 102)}\n`;
+    const cloud = parsePCD(encode(text).buffer);
+    assert.equal(cloud.numPoints, 2);
+    assert.deepEqual(Array.from(cloud.points), Array.from(POSITIONS));
+    assert.ok(near(cloud.colors, COLORS));
+});
+
+test('formats are detected by magic bytes before extension, and clouds are normalized', () => {
+    assert.equal(detectPointCloudFormat(plyFile('ascii'), 'cloud.xyz'), 'ply');
+    assert.equal(detectPointCloudFormat(encode('1 2 3\n').buffer, 'points.csv'), 'xyz');
+    assert.equal(detectPointCloudFormat(encode('1 2 3\n').buffer, 'points.bin'), null);
+
+    const cloud = parsePointCloud(plyFile('binary_little_endian'), 'cloud.ply');
+    assert.equal(cloud.format, 'ply');
+    assert.deepEqual(cloud.bounds, { min: [-1, -1, 0.5], max: [0.5, 2, 2] });
+    assert.ok(Array.from(cloud.points).every(value => value >= -1 && value <= 1));
+});
+
+test('PCD headers without a numeric point count are rejected', () => {
+    const pcd = counts => encode(`VERSION .7\nFIELDS x y z\nSIZE 4 4 4\nTYPE F F F\nCOUNT 1 1 1\n${counts}DATA ascii\n0.5 -1 2\n-1 2 0.5\n`).buffer;
+    assert.equal(parsePCD(pcd('WIDTH 2\nHEIGHT 1\n')).numPoints, 2);
+    assert.throws(() => parsePCD(pcd('')), /Invalid PCD file: missing POINTS/);
+    assert.throws(() => parsePCD(pcd('WIDTH 2\n')), /Invalid PCD file: missing POINTS/);
+    assert.throws(() => parsePCD(pcd('POINTS two\n')), /Invalid PCD file: missing POINTS/);
+});
+
+test('binary_compressed PCD decompresses LZF literal runs and back references, and rejects truncated input', () => {
+    // x, y, z columns of POSITIONS: 0.5 -1 | -1 2 | 2 0.5, with the repeated -1 as a back reference
+    const columns = new Uint8Array(new Float32Array([0.5, -1, -1, 2, 2, 0.5]).buffer);
+    const lzf = [7, ...columns.subarray(0, 8), 2 << 5, 3, 11, ...columns.subarray(12)];
+    const pcd = data => {
+        const header = encode('VERSION .7\nFIELDS x y z\nSIZE 4 4 4\nTYPE F F F\nCOUNT 1 1 1\nPOINTS 2\nDATA binary_compressed\n');
+        const sizes = new Uint8Array(new Uint32Array([data.length, columns.length]).buffer);
+        return Uint8Array.from([...header, ...sizes, ...data]).buffer;
+    };
+
+    assert.deepEqual(Array.from(parsePCD(pcd(lzf)).points), Array.from(POSITIONS));
+    assert.throws(() => parsePCD(pcd(lzf.slice(0, -1))), /LZF input truncated in a literal run/);
+    assert.throws(() => parsePCD(pcd(lzf.slice(0, 10))), /LZF input truncated in a back reference/);
+    assert.throws(() => parsePCD(pcd([...lzf.slice(0, 9), 7 << 5, 1])), /LZF input truncated in a back reference/);
+});
@@ -0,0 +1,145 @@
+/**
+ * Projections.test.js
+ * Golden-output tests for every registered projection mode, positions and the colors carried with them
+ *
+ * The expected outputs live in tests/golden/projections.json. After an intended change to a
+ * projection, regenerate them with: UPDATE_GOLDEN=1 node --test tests/Projections.test.js
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+
+import { applyProjection, listProjections, getProjection, PROJECTION_OUTPUTS } from '../src/utils/Projections.js';
+import { quantizeProcessDataAs } from '../src/processing/DataProcessor.js';
+import { randomPoints } from './helpers.js';
+
+const GOLDEN_FILE = new URL('./golden/projections.json', import.meta.url);
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+const QUANTIZATION_BITS = 4;
+const TOLERANCE = 1e-5;
+
+/**
+ * 48 deterministic points in [-1, 1)
+ */
+const inputPoints = () => randomPoints(48, 7, { clustered: false });
+
+/**
+ * Color of input point i in [0, 1]: red and green ramp with the index, so reordered colors show
+ */
+const inputColor = i => [i / 47, 1 - i / 47, (i % 4) / 3];
+
+/**
+ * The input points as fp32 6-tuple records (x, y, z, r, g, b), colors stored in [-1, 1]
+ */
+function inputRecords() {
+    const points = inputPoints();
+    const records = new Float32Array(48 * 6);
+    for (let i = 0; i < 48; i++) {
+        records.set(points.subarray(i * 3, i * 3 + 3), i * 6);
+        records.set(inputColor(i).map(c => c * 2 - 1), i * 6 + 3);
+    }
+    return records.buffer;
+}
+
+/**
+ * Run a projection through the processing pipeline, which carries colors along with the points
+ * Linear normalization leaves fp32 values in [-1, 1] unchanged and no two points share a cell
+ * at QUANTIZATION_BITS, so the points are the same as applyProjection's.
+ */
+const processRecords = mode => quantizeProcessDataAs(inputRecords(), 'fp32', true, QUANTIZATION_BITS, mode, '6-tuple', null, { strategy: 'linear' });
+
+const round = value => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Run a projection and reduce its result to JSON-friendly golden data
+ */
+function project(mode) {
+    const result = applyProjection(inputPoints(), mode, QUANTIZATION_BITS);
+    const golden = { output: result.output, copies: result.copies, points: Array.from(result.points, round), colors: Array.from(processRecords(mode).colors, round) };
+    if (result.order) {
+        golden.order = Array.from(result.order);
+    }
+    if (result.bvhNodes) {
+        golden.showPoints = result.showPoints;
+        golden.bvhNodes = result.bvhNodes.map(({ center, size, color }) =>
+            [center.x, center.y, center.z, size.x, size.y, size.z, color.r, color.g, color.b].map(round));
+    }
+    return golden;
+}
+
+const modes = listProjections().map(projection => projection.id);
+const golden = UPDATE || !existsSync(GOLDEN_FILE) ? {} : JSON.parse(readFileSync(GOLDEN_FILE, 'utf8'));
+
+if (UPDATE) {
+    for (const mode of modes) {
+        golden[mode] = project(mode);
+    }
+    // One mode per line keeps diffs of regenerated outputs readable
+    const lines = Object.entries(golden).map(([mode, output]) => `  ${JSON.stringify(mode)}: ${JSON.stringify(output)}`);
+    writeFileSync(GOLDEN_FILE, `{\n${lines.join(',\n')}\n}\n`);
+}
+
+test('every registered projection has a golden output', () => {
+    assert.deepEqual(Object.keys(golden).sort(), [...modes].sort());
+});
+
+for (const mode of modes) {
+    test(`${mode} matches its golden output`, () => {
+        const expected = golden[mode];
+        assert.ok(expected, `no golden output for ${mode}`);
+
+        const actual = project(mode);
+        assert.equal(actual.output, expected.output);
+        assert.equal(actual.copies, expected.copies);
+        assert.equal(actual.points.length, expected.points.length);
+        actual.points.forEach((value, i) => {
+            assert.ok(Math.abs(value - expected.points[i]) <= TOLERANCE, `${mode} coordinate ${i}: ${value} != ${expected.points[i]}`);
+        });
+        assert.equal(actual.colors.length, expected.colors.length);
+        actual.colors.forEach((value, i) => {
+            assert.ok(Math.abs(value - expected.colors[i]) <= TOLERANCE, `${mode} color ${i}: ${value} != ${expected.colors[i]}`);
+        });
+        assert.deepEqual(actual.order, expected.order);
+        assert.equal(actual.showPoints, expected.showPoints);
+        assert.deepEqual(actual.bvhNodes, expected.bvhNodes);
+    });
+}
+
+test('output sizes follow the declared outputs', () => {
+    const count = inputPoints().length / 3;
+    for (const mode of modes) {
+        const definition = getProjection(mode);
+        const result = applyProjection(inputPoints(), mode, QUANTIZATION_BITS);
+        const copies = definition.output === PROJECTION_OUTPUTS.EXPANDED ? definition.copies : 1;
+        assert.equal(result.points.length, count * 3 * copies, mode);
+        if (result.order) {
+            assert.deepEqual(Array.from(result.order).sort((a, b) => a - b), Array.from({ length: count }, (_, i) => i), `${mode} order is a permutation`);
+        }
+    }
+});
+
+test('processed points match the projection and keep their own colors and offsets', () => {
+    for (const mode of modes) {
+        const result = applyProjection(inputPoints(), mode, QUANTIZATION_BITS);
+        const processed = processRecords(mode);
+        assert.deepEqual(processed.points, result.points, mode);
+
+        // Projected point p is a copy of input point source, whether the mode reorders or repeats points
+        const count = processed.offsets.length;
+        for (let p = 0; p < count; p++) {
+            const source = result.order ? result.order[Math.floor(p / result.copies)] : Math.floor(p / result.copies);
+            assert.equal(processed.offsets[p], source * 24, `${mode} point ${p} offset`);
+            inputColor(source).forEach((c, channel) => {
+                assert.ok(Math.abs(processed.colors[p * 3 + channel] - c) < 1e-6, `${mode} point ${p} channel ${channel}`);
+            });
+        }
+    }
+});
+
+test('unknown modes fall back to standard', () => {
+    const result = applyProjection(inputPoints(), 'no-such-mode', QUANTIZATION_BITS);
+    assert.deepEqual(result.points, applyProjection(inputPoints(), 'standard', QUANTIZATION_BITS).points);
+});
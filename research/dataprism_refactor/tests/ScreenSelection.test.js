@@ -0,0 +1,112 @@
+/**
+ * ScreenSelection.test.js
+ * Projection to canvas pixels, box and lasso selection, and the frustum behind a screen rectangle
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { projectToScreen, selectInBox, selectInLasso, pointInPolygon, screenRectFrustum } from '../src/utils/ScreenSelection.js';
+
+const WIDTH = 800;
+const HEIGHT = 600;
+
+/**
+ * Column-major model-view-projection matrix: a perspective camera at the origin looking down -z
+ * (90 degree vertical field of view) at a scene moved 5 units away
+ */
+function cameraMatrix(near = 1, far = 10) {
+    const aspect = WIDTH / HEIGHT;
+    const depth = near - far;
+    const projection = [1 / aspect, 0, 0, 0, 0, 1, 0, 0, 0, 0, (far + near) / depth, -1, 0, 0, 2 * far * near / depth, 0];
+    const view = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, -5, 1];
+    return Array.from({ length: 16 }, (_, i) => {
+        const column = Math.floor(i / 4), row = i % 4;
+        return [0, 1, 2, 3].reduce((sum, k) => sum + projection[k * 4 + row] * view[column * 4 + k], 0);
+    });
+}
+
+const near = (actual, expected) => Math.abs(actual - expected) < 1e-3;
+
+test('points project to canvas pixels with y down', () => {
+    const positions = new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 2.5]);
+    const screen = projectToScreen(positions, 4, cameraMatrix(), WIDTH, HEIGHT);
+
+    // At distance 5 one unit is 1/5 of the half height; at distance 2.5 the center stays put
+    assert.ok(near(screen[0], 400) && near(screen[1], 300));
+    assert.ok(near(screen[2], 400 + 300 / 5) && near(screen[3], 300));
+    assert.ok(near(screen[4], 400) && near(screen[5], 300 - 300 / 5));
+    assert.ok(near(screen[6], 400) && near(screen[7], 300));
+});
+
+test('points behind the camera or outside the depth range project to NaN', () => {
+    // Camera-space z: -1.5 (in front), +1 (behind), -0.5 (before near), -11 (beyond far)
+    const positions = new Float32Array([0, 0, 3.5, 0, 0, 6, 0.2, 0.2, 4.5, 1, 1, -6]);
+    const screen = projectToScreen(positions, 4, cameraMatrix(), WIDTH, HEIGHT);
+    assert.ok(Number.isFinite(screen[0]) && Number.isFinite(screen[1]));
+    for (let i = 2; i < 8; i++) {
+        assert.ok(Number.isNaN(screen[i]), `value ${i}`);
+    }
+
+    // Only the first count points are projected
+    assert.equal(projectToScreen(positions, 2, cameraMatrix(), WIDTH, HEIGHT).length, 4);
+});
+
+test('box selection is inclusive, takes corners in any order and skips clipped points', () => {
+    const screen = new Float32Array([10, 10, 20, 20, 30, 5, NaN, NaN, 15, 25]);
+    assert.deepEqual(Array.from(selectInBox(screen, 10, 10, 20, 25)), [0, 1, 4]);
+    assert.deepEqual(Array.from(selectInBox(screen, 20, 25, 10, 10)), [0, 1, 4]);
+    assert.deepEqual(Array.from(selectInBox(screen, 0, 0, 100, 100)), [0, 1, 2, 4]);
+    assert.deepEqual(Array.from(selectInBox(screen, 40, 40, 50, 50)), []);
+    assert.ok(selectInBox(screen, 0, 0, 1, 1) instanceof Uint32Array);
+});
+
+test('lasso selection follows a concave outline and skips clipped points', () => {
+    // An L shape: the notch at the top right is inside the bounding box but outside the lasso
+    const lasso = [[0, 0], [10, 0], [10, 10], [20, 10], [20, 20], [0, 20]];
+    const screen = new Float32Array([5, 5, 15, 5, 15, 15, 5, 15, 25, 15, NaN, NaN]);
+    assert.deepEqual(Array.from(selectInLasso(screen, lasso)), [0, 2, 3]);
+
+    // The lasso closes implicitly and needs three vertices
+    assert.deepEqual(Array.from(selectInLasso(screen, [[0, 0], [30, 0], [0, 30]])), [0, 1, 3]);
+    assert.deepEqual(Array.from(selectInLasso(screen, [[0, 0], [30, 30]])), []);
+
+    assert.equal(pointInPolygon(15, 5, lasso), false);
+    assert.equal(pointInPolygon(15, 15, lasso), true);
+});
+
+test('the frustum behind a screen rectangle holds exactly the points projected into it', () => {
+    // Grid points straddle the near and far planes and the sides of the view
+    const matrix = cameraMatrix(2.9, 7.1);
+    const positions = [];
+    for (let x = -4; x <= 4; x += 0.4) {
+        for (let y = -4; y <= 4; y += 0.4) {
+            for (let z = -3; z <= 3; z += 0.4) {
+                positions.push(x, y, z);
+            }
+        }
+    }
+    const points = new Float32Array(positions);
+    const count = points.length / 3;
+    const screen = projectToScreen(points, count, matrix, WIDTH, HEIGHT);
+    assert.ok(screen.some(Number.isNaN), 'some points are clipped');
+
+    const rectangles = [[0, 0, WIDTH, HEIGHT], [123.4, 87.3, 411.7, 402.1], [700.2, 500.9, 350.3, 40.6], [395.5, 295.5, 404.5, 304.5]];
+    for (const rectangle of rectangles) {
+        const planes = screenRectFrustum(matrix, WIDTH, HEIGHT, ...rectangle);
+        assert.equal(planes.length, 6);
+
+        const inside = [];
+        for (let i = 0; i < count; i++) {
+            const [x, y, z] = points.subarray(i * 3, i * 3 + 3);
+            if (planes.every(([nx, ny, nz, d]) => nx * x + ny * y + nz * z + d >= 0)) {
+                inside.push(i);
+            }
+        }
+        const selected = Array.from(selectInBox(screen, ...rectangle));
+        assert.ok(selected.length > 0, rectangle.join(', '));
+        assert.deepEqual(inside, selected, rectangle.join(', '));
+    }
+});
@@ -0,0 +1,107 @@
+/**
+ * SpaceFillingCurves.test.js
+ * Property tests for the Morton, Gray-code and Peano indices and the 2D Hilbert/Morton positions
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { mortonIndex3D, grayCodeIndex3D, peanoIndex3D, hilbertIndexToXY, mortonIndexToXY } from '../src/utils/SpaceFillingCurves.js';
+
+function manhattan(a, b) {
+    return a.reduce((sum, value, axis) => sum + Math.abs(value - b[axis]), 0);
+}
+
+/**
+ * Cell at each curve index, checking every index is in range and used exactly once
+ */
+function cellsByIndex(indexOf, side, order) {
+    const cells = new Array(side ** 3);
+    for (let x = 0; x < side; x++) {
+        for (let y = 0; y < side; y++) {
+            for (let z = 0; z < side; z++) {
+                const index = indexOf(x, y, z, order);
+                assert.ok(Number.isInteger(index) && index >= 0 && index < cells.length, `index ${index} out of range`);
+                assert.equal(cells[index], undefined, `cells ${cells[index]} and ${[x, y, z]} share index ${index}`);
+                cells[index] = [x, y, z];
+            }
+        }
+    }
+    return cells;
+}
+
+for (let order = 1; order <= 3; order++) {
+    test(`order ${order} Morton and Gray-code indices are bijective, and Gray steps change one Morton bit`, () => {
+        const side = 2 ** order;
+        cellsByIndex(mortonIndex3D, side, order);
+        const gray = cellsByIndex(grayCodeIndex3D, side, order);
+
+        for (let index = 1; index < gray.length; index++) {
+            const changed = mortonIndex3D(...gray[index - 1], order) ^ mortonIndex3D(...gray[index], order);
+            assert.equal(changed & (changed - 1), 0, `indices ${index - 1} and ${index} differ in more than one bit`);
+        }
+    });
+
+    test(`order ${order} Peano curve visits every cell once in unit steps`, () => {
+        const cells = cellsByIndex(peanoIndex3D, 3 ** order, order);
+        assert.deepEqual(cells[0], [0, 0, 0]);
+        for (let index = 1; index < cells.length; index++) {
+            assert.equal(manhattan(cells[index - 1], cells[index]), 1, `indices ${index - 1} and ${index} are not neighbours`);
+        }
+        // The curve ends at the corner opposite its start
+        assert.deepEqual(cells[cells.length - 1], Array(3).fill(3 ** order - 1));
+    });
+}
+
+test('Morton bits interleave with x most significant, exactly beyond 32 bits', () => {
+    assert.equal(mortonIndex3D(1, 0, 0, 1), 4);
+    assert.equal(mortonIndex3D(0, 1, 0, 1), 2);
+    assert.equal(mortonIndex3D(0, 0, 1, 1), 1);
+    assert.equal(mortonIndex3D(2, 1, 3, 2), 0b101011);
+
+    const max = 2 ** 17 - 1;
+    assert.equal(mortonIndex3D(max, max, max, 17), 2 ** 51 - 1);
+    assert.equal(grayCodeIndex3D(0, 0, 0, 17), 0);
+});
+
+for (let order = 1; order <= 5; order++) {
+    test(`order ${order} 2D Hilbert positions visit every cell once in unit steps`, () => {
+        const side = 2 ** order;
+        const visited = new Set();
+        let previous = null;
+
+        for (let index = 0; index < side * side; index++) {
+            const cell = hilbertIndexToXY(index, order);
+            assert.ok(cell.every(c => Number.isInteger(c) && c >= 0 && c < side), `cell ${cell} out of range at index ${index}`);
+            visited.add(cell.join(','));
+            if (previous) {
+                assert.equal(manhattan(previous, cell), 1, `indices ${index - 1} and ${index} are not neighbours`);
+            }
+            previous = cell;
+        }
+
+        assert.equal(visited.size, side * side);
+        assert.deepEqual(hilbertIndexToXY(0, order), [0, 0]);
+    });
+}
+
+test('2D Morton positions de-interleave the index bits, x most significant', () => {
+    for (let order = 1; order <= 4; order++) {
+        const side = 2 ** order;
+        for (let x = 0; x < side; x++) {
+            for (let y = 0; y < side; y++) {
+                let index = 0;
+                for (let bit = order - 1; bit >= 0; bit--) {
+                    index = index * 4 + ((x >> bit) & 1) * 2 + ((y >> bit) & 1);
+                }
+                assert.deepEqual(mortonIndexToXY(index, order), [x, y]);
+            }
+        }
+    }
+
+    // Exact beyond 32 bits
+    assert.deepEqual(mortonIndexToXY(4 ** 20 - 1, 20), [2 ** 20 - 1, 2 ** 20 - 1]);
+    assert.deepEqual(mortonIndexToXY(2 ** 39, 20), [2 ** 19, 0]);
+});
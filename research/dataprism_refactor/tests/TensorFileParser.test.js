@@ -0,0 +1,205 @@
+/**
+ * TensorFileParser.test.js
+ * Tensor offsets, dtypes and shapes from safetensors, GGUF, .npy and .npz headers built in memory,
+ * and errors on truncated or malformed headers
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+
+import { detectTensorFormat, readTensorIndex, openTensor, describeTensor } from '../src/processing/TensorFileParser.js';
+import { StreamingReader } from '../src/processing/StreamingReader.js';
+
+/**
+ * Little endian byte writer
+ */
+function writer() {
+    const out = [];
+    const w = {
+        u8: v => { out.push(v & 255); return w; },
+        u16: v => w.u8(v).u8(v >> 8),
+        u32: v => w.u16(v & 0xFFFF).u16(v >>> 16),
+        u64: v => w.u32(v % 2 ** 32).u32(Math.floor(v / 2 ** 32)),
+        text: s => { out.push(...new TextEncoder().encode(s)); return w; },
+        bytes: b => { out.push(...b); return w; },
+        pad: (multiple, value = 0) => { while (out.length % multiple) out.push(value); return w; },
+        get length() { return out.length; },
+        buffer: () => Uint8Array.from(out).buffer
+    };
+    return w;
+}
+
+const index = (buffer, format) => readTensorIndex(new StreamingReader(buffer), format);
+const pick = (tensor, ...keys) => Object.fromEntries(keys.map(key => [key, tensor[key]]));
+
+function safetensors(header, dataBytes = 28) {
+    const json = JSON.stringify(header);
+    return writer().u64(json.length).text(json).bytes(new Array(dataBytes).fill(7)).buffer();
+}
+
+test('safetensors tensors are offset past the header and sorted by offset', async () => {
+    const buffer = safetensors({
+        __metadata__: { format: 'pt' },
+        b: { dtype: 'BF16', shape: [2, 3], data_offsets: [16, 28] },
+        a: { dtype: 'F32', shape: [4], data_offsets: [0, 16] }
+    });
+    assert.equal(detectTensorFormat(buffer, 'model.bin'), 'safetensors');
+
+    const { tensors, metadata } = await index(buffer, 'safetensors');
+    const dataStart = buffer.byteLength - 28;
+    assert.deepEqual(metadata, { format: 'pt' });
+    assert.deepEqual(tensors.map(t => pick(t, 'name', 'dtype', 'dataType', 'exact', 'shape', 'elementCount', 'offset', 'byteLength', 'isLittleEndian')), [
+        { name: 'a', dtype: 'F32', dataType: 'fp32', exact: true, shape: [4], elementCount: 4, offset: dataStart, byteLength: 16, isLittleEndian: true },
+        { name: 'b', dtype: 'BF16', dataType: 'bf16', exact: true, shape: [2, 3], elementCount: 6, offset: dataStart + 16, byteLength: 12, isLittleEndian: true }
+    ]);
+    assert.equal(describeTensor(tensors[1]), 'b (BF16 [2, 3])');
+});
+
+test('safetensors headers that overrun the file or are not JSON are rejected', async () => {
+    const buffer = safetensors({ a: { dtype: 'F32', shape: [4], data_offsets: [0, 16] } });
+    await assert.rejects(index(buffer.slice(0, 20), 'safetensors'), /Invalid safetensors header length/);
+
+    const malformed = writer().u64(5).text('{"a":').u32(0).buffer();
+    await assert.rejects(index(malformed, 'safetensors'), SyntaxError);
+});
+
+/**
+ * A .npy file: magic, version, header length, dict literal padded to a multiple of 64 bytes, then the data
+ */
+function npy(header, dataBytes, major = 1) {
+    const w = writer().u8(0x93).text('NUMPY').u8(major).u8(0);
+    const preamble = major === 1 ? 10 : 12;
+    const padded = header + ' '.repeat((64 - (preamble + header.length + 1) % 64) % 64) + '\n';
+    (major === 1 ? w.u16(padded.length) : w.u32(padded.length)).text(padded);
+    return w.bytes(new Array(dataBytes).fill(1)).buffer();
+}
+
+test('.npy headers give the dtype, byte order, shape and data offset', async () => {
+    const v1 = npy("{'descr': '>i2', 'fortran_order': False, 'shape': (3, 4), }", 24);
+    assert.equal(detectTensorFormat(v1), 'npy');
+    const [tensor] = (await index(v1, 'npy')).tensors;
+    assert.deepEqual(pick(tensor, 'name', 'dtype', 'dataType', 'exact', 'shape', 'elementCount', 'offset', 'byteLength', 'isLittleEndian'),
+        { name: 'array', dtype: '>i2', dataType: 'int16', exact: true, shape: [3, 4], elementCount: 12, offset: v1.byteLength - 24, byteLength: 24, isLittleEndian: false });
+
+    const v2 = npy("{'descr': '<f4', 'fortran_order': False, 'shape': (5,), }", 20, 2);
+    const [vector] = (await index(v2, 'npy')).tensors;
+    assert.deepEqual(pick(vector, 'dataType', 'shape', 'offset', 'byteLength', 'isLittleEndian'),
+        { dataType: 'fp32', shape: [5], offset: v2.byteLength - 20, byteLength: 20, isLittleEndian: true });
+
+    // Scalars have an empty shape and one element
+    const [scalar] = (await index(npy("{'descr': '<f8', 'fortran_order': False, 'shape': (), }", 8), 'npy')).tensors;
+    assert.deepEqual([scalar.shape, scalar.elementCount, scalar.byteLength], [[], 1, 8]);
+});
+
+test('.npy headers without descr or shape, or cut short, are rejected', async () => {
+    await assert.rejects(index(npy("{'fortran_order': False, 'shape': (3,), }", 12), 'npy'), /Invalid \.npy header/);
+    const buffer = npy("{'descr': '<f4', 'fortran_order': False, 'shape': (3,), }", 12);
+    await assert.rejects(index(buffer.slice(0, 30), 'npy'), /Invalid \.npy header/);
+});
+
+/**
+ * A zip archive of .npy members, stored (method 0) or deflated (method 8)
+ */
+function npz(members) {
+    const w = writer();
+    const central = [];
+    for (const { name, data, method } of members) {
+        const stored = new Uint8Array(method === 8 ? deflateRawSync(new Uint8Array(data)) : data);
+        central.push({ name, method, localOffset: w.length, compressedSize: stored.length, size: data.byteLength });
+        w.u32(0x04034B50).u16(20).u16(0).u16(method).u32(0).u32(0).u32(stored.length).u32(data.byteLength)
+            .u16(name.length).u16(0).text(name).bytes(stored);
+    }
+    const directoryOffset = w.length;
+    for (const entry of central) {
+        w.u32(0x02014B50).u16(20).u16(20).u16(0).u16(entry.method).u32(0).u32(0)
+            .u32(entry.compressedSize).u32(entry.size).u16(entry.name.length).u16(0).u16(0).u16(0).u16(0).u32(0)
+            .u32(entry.localOffset).text(entry.name);
+    }
+    const directorySize = w.length - directoryOffset;
+    return w.u32(0x06054B50).u16(0).u16(0).u16(central.length).u16(central.length).u32(directorySize).u32(directoryOffset).u16(0).buffer();
+}
+
+test('.npz members are indexed in place when stored and inflated when deflated', async () => {
+    const weights = npy("{'descr': '<u1', 'fortran_order': False, 'shape': (2, 2), }", 4);
+    const bias = npy("{'descr': '<f2', 'fortran_order': False, 'shape': (3,), }", 6);
+    const buffer = npz([{ name: 'weights.npy', data: weights, method: 0 }, { name: 'bias.npy', data: bias, method: 8 }]);
+    assert.equal(detectTensorFormat(buffer, 'arrays.npz'), 'npz');
+
+    const source = new StreamingReader(buffer);
+    const { tensors } = await readTensorIndex(source, 'npz');
+    assert.deepEqual(tensors.map(t => pick(t, 'name', 'dataType', 'shape', 'byteLength')), [
+        { name: 'weights', dataType: 'uint8', shape: [2, 2], byteLength: 4 },
+        { name: 'bias', dataType: 'fp16', shape: [3], byteLength: 6 }
+    ]);
+    // The stored member's data follows its 30-byte local header and name, then the .npy header
+    assert.equal(tensors[0].offset, 30 + 'weights.npy'.length + weights.byteLength - 4);
+    assert.equal(tensors[1].compressed.dataOffset, bias.byteLength - 6);
+
+    for (const tensor of tensors) {
+        const data = new Uint8Array(await (await openTensor(source, tensor)).readAll());
+        assert.deepEqual(Array.from(data), new Array(tensor.byteLength).fill(1), tensor.name);
+    }
+});
+
+test('.npz archives without an end of central directory are rejected', async () => {
+    const buffer = npz([{ name: 'a.npy', data: npy("{'descr': '<u1', 'fortran_order': False, 'shape': (1,), }", 1), method: 0 }]);
+    await assert.rejects(index(buffer.slice(0, buffer.byteLength - 22), 'npz'), /end of central directory not found/);
+});
+
+/**
+ * A GGUF v3 file: metadata (alignment, a string and a skipped string array) and tensor infos
+ */
+function gguf({ version = 3, alignment = 64 } = {}) {
+    const string = (w, s) => w.u64(s.length).text(s);
+    const w = writer().text('GGUF').u32(version).u64(3).u64(3);
+
+    string(w, 'general.alignment').u32(4).u32(alignment);
+    string(w, 'general.name').u32(8);
+    string(w, 'tiny');
+    string(w, 'tokenizer.ggml.tokens').u32(9).u32(8).u64(2);
+    string(w, 'a');
+    string(w, 'bc');
+
+    // ggml lists dimensions fastest varying first
+    const tensor = (name, dims, type, offset) => {
+        string(w, name).u32(dims.length);
+        dims.forEach(d => w.u64(d));
+        w.u32(type).u64(offset);
+    };
+    tensor('token_embd', [4, 2], 1, 0);   // F16: 16 bytes
+    tensor('blk.0.q', [256], 12, 64);     // Q4_K: one 144-byte block
+    tensor('blk.0.x', [10], 99, 256);     // unknown: spans to the end of the file
+
+    const headerEnd = w.length;
+    w.pad(alignment).bytes(new Array(256 + 40).fill(0));
+    return { buffer: w.buffer(), dataStart: Math.ceil(headerEnd / alignment) * alignment };
+}
+
+test('GGUF v3 tensors are placed after the aligned header, with block-quantized types as raw bytes', async () => {
+    const { buffer, dataStart } = gguf();
+    assert.equal(detectTensorFormat(buffer), 'gguf');
+
+    const { tensors, metadata } = await index(buffer, 'gguf');
+    assert.deepEqual(metadata, {
+        version: 3,
+        'general.alignment': 64,
+        'general.name': 'tiny',
+        'tokenizer.ggml.tokens': { array: 8, length: 2 }
+    });
+    assert.deepEqual(tensors.map(t => pick(t, 'name', 'dtype', 'dataType', 'exact', 'shape', 'elementCount', 'offset', 'byteLength')), [
+        { name: 'token_embd', dtype: 'F16', dataType: 'fp16', exact: true, shape: [2, 4], elementCount: 8, offset: dataStart, byteLength: 16 },
+        { name: 'blk.0.q', dtype: 'Q4_K', dataType: 'uint8', exact: false, shape: [256], elementCount: 256, offset: dataStart + 64, byteLength: 144 },
+        { name: 'blk.0.x', dtype: 'GGML_99', dataType: 'uint8', exact: false, shape: [10], elementCount: 10, offset: dataStart + 256, byteLength: 40 }
+    ]);
+    assert.equal(describeTensor(tensors[1]), 'blk.0.q (Q4_K as uint8 [256])');
+});
+
+test('GGUF headers that are cut short or too old are rejected', async () => {
+    const { buffer } = gguf();
+    await assert.rejects(index(buffer.slice(0, 100), 'gguf'), /Tensor file header is truncated or too large/);
+    await assert.rejects(index(gguf({ version: 1 }).buffer, 'gguf'), /GGUF version 1 is not supported/);
+    await assert.rejects(index(buffer, 'pickle'), /Unsupported tensor format: pickle/);
+});
@@ -0,0 +1,135 @@
+/**
+ * TypeDetector.test.js
+ * Data type and byte order suggestions for generated buffers, including ambiguous and
+ * low-confidence data
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { detectDataTypes, scoreDataType, byteEntropy, describeSuggestion, HIGH_ENTROPY_BITS } from '../src/processing/TypeDetector.js';
+import { float32ToFp16 } from '../src/utils/FloatUtils.js';
+
+const COUNT = 4096;
+
+/**
+ * A slow wave with a faster ripple, like a sensor trace
+ */
+const signal = i => Math.sin(i * 0.01) * 3 + Math.sin(i * 0.137) * 0.5;
+
+/**
+ * COUNT values of the signal, each written with size bytes by write(view, offset, value)
+ */
+function generate(size, write) {
+    const buffer = new ArrayBuffer(COUNT * size);
+    const view = new DataView(buffer);
+    for (let i = 0; i < COUNT; i++) {
+        write(view, i * size, signal(i));
+    }
+    return buffer;
+}
+
+/**
+ * Deterministic uniformly random bytes (xorshift32)
+ */
+function randomBytes(length) {
+    let state = 2463534242;
+    return new Uint8Array(length).map(() => {
+        state ^= state << 13;
+        state ^= state >>> 17;
+        state ^= state << 5;
+        return state & 255;
+    }).buffer;
+}
+
+const CASES = {
+    'fp32 LE': [generate(4, (view, offset, value) => view.setFloat32(offset, value, true)), 'fp32', true],
+    'fp32 BE': [generate(4, (view, offset, value) => view.setFloat32(offset, value, false)), 'fp32', false],
+    'fp16 LE': [generate(2, (view, offset, value) => view.setUint16(offset, float32ToFp16(value), true)), 'fp16', true],
+    'int16 BE': [generate(2, (view, offset, value) => view.setInt16(offset, Math.round(value * 5000), false)), 'int16', false],
+    'uint8': [generate(1, (view, offset, value) => view.setUint8(offset, Math.round(128 + value * 35))), 'uint8', true]
+};
+
+for (const [name, [buffer, dataType, isLittleEndian]] of Object.entries(CASES)) {
+    test(`${name} data is suggested first`, () => {
+        const { suggestions } = detectDataTypes(buffer);
+        const [best, runnerUp] = suggestions;
+        assert.deepEqual([best.dataType, best.isLittleEndian], [dataType, isLittleEndian], describeSuggestion(best));
+        assert.ok(best.score > runnerUp.score);
+        assert.ok(best.metrics.smoothness > 0.5, `smoothness ${best.metrics.smoothness}`);
+        assert.equal(best.metrics.nonFinite, 0);
+
+        // Reading multi-byte data in the wrong byte order scores lower
+        if (dataType !== 'uint8') {
+            assert.ok(scoreDataType(buffer, dataType, !isLittleEndian).score < best.score);
+        }
+    });
+}
+
+test('floats are suggested with clear confidence', () => {
+    for (const name of ['fp32 LE', 'fp32 BE']) {
+        const [best] = detectDataTypes(CASES[name][0]).suggestions;
+        assert.ok(best.confidence > 0.4, `${name}: ${describeSuggestion(best)}`);
+        assert.ok(best.metrics.plausibility > 0.5);
+    }
+});
+
+test('confidences are a distribution over every candidate', () => {
+    const { suggestions } = detectDataTypes(CASES['int16 BE'][0], 1000);
+    const total = suggestions.reduce((sum, suggestion) => sum + suggestion.confidence, 0);
+    assert.ok(Math.abs(total - 1) < 1e-9);
+    assert.deepEqual(suggestions.map(s => s.score), [...suggestions.map(s => s.score)].sort((a, b) => b - a));
+    assert.equal(detectDataTypes(CASES['int16 BE'][0], 3).suggestions.length, 3);
+});
+
+test('positive int16 data is ambiguous between signed, unsigned and fp16', () => {
+    const buffer = generate(2, (view, offset, value) => view.setInt16(offset, Math.round(10000 + value * 2000), true));
+    const { suggestions } = detectDataTypes(buffer);
+
+    // Values below 32768 read the same as int16 and uint16, so the two tie exactly
+    const int16 = suggestions.find(s => s.dataType === 'int16' && s.isLittleEndian);
+    const uint16 = suggestions.find(s => s.dataType === 'uint16' && s.isLittleEndian);
+    assert.ok(int16 && uint16);
+    assert.equal(int16.score, uint16.score);
+    assert.equal(int16.confidence, uint16.confidence);
+
+    // No interpretation stands out
+    assert.ok(suggestions.slice(0, 3).some(s => s.dataType === 'fp16'));
+    assert.ok(suggestions[0].confidence < 0.3, describeSuggestion(suggestions[0]));
+});
+
+test('random bytes have high entropy and no confident suggestion', () => {
+    const { entropy, suggestions } = detectDataTypes(randomBytes(65536));
+    assert.ok(entropy > HIGH_ENTROPY_BITS, `entropy ${entropy}`);
+    assert.ok(suggestions[0].confidence < 0.2, describeSuggestion(suggestions[0]));
+    assert.ok(suggestions.every(suggestion => suggestion.metrics.smoothness < 0.1));
+});
+
+test('constant data has zero entropy and no smooth candidate', () => {
+    const { entropy, suggestions } = detectDataTypes(new ArrayBuffer(8192));
+    assert.equal(entropy, 0);
+    assert.ok(suggestions.every(suggestion => suggestion.metrics.smoothness === 0));
+    assert.ok(suggestions[0].confidence < 0.1, describeSuggestion(suggestions[0]));
+});
+
+test('byte entropy ranges from 0 for constant to 8 bits for uniform bytes', () => {
+    assert.equal(byteEntropy(new ArrayBuffer(0)), 0);
+    assert.equal(byteEntropy(new Uint8Array(100).fill(9).buffer), 0);
+    assert.equal(byteEntropy(Uint8Array.from({ length: 512 }, (_, i) => i & 255).buffer), 8);
+    assert.equal(byteEntropy(Uint8Array.from([0, 1, 0, 1]).buffer), 1);
+});
+
+test('too-short samples score null and vector types are rejected', () => {
+    assert.equal(scoreDataType(new ArrayBuffer(60), 'fp32', true), null);
+    assert.notEqual(scoreDataType(new ArrayBuffer(64), 'fp32', true), null);
+    assert.throws(() => scoreDataType(new ArrayBuffer(64), 'int10_10_10_2', true), /Cannot score data type/);
+    assert.throws(() => scoreDataType(new ArrayBuffer(64), 'fp128', true), /Cannot score data type/);
+});
+
+test('suggestions are described with byte order, confidence and reasons', () => {
+    const suggestion = { dataType: 'fp32', isLittleEndian: false, confidence: 0.874, metrics: { smoothness: 0.9, plausibility: 0.8, nonFinite: 0.05 } };
+    assert.equal(describeSuggestion(suggestion), 'fp32 BE 87% (smooth, plausible exponents, 5% NaN/Inf)');
+    assert.equal(describeSuggestion({ ...suggestion, dataType: 'uint8', confidence: 0.2, metrics: { smoothness: 0.1, plausibility: 0.6, nonFinite: 0 } }), 'uint8 20%');
+});
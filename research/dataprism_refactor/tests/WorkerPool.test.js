@@ -0,0 +1,96 @@
+/**
+ * WorkerPool.test.js
+ * Task dispatch, and giving up on workers whose script fails to load
+ *
+ * Node has no Web Workers, so a minimal stand-in with the browser's onmessage/onerror
+ * interface is installed as the global Worker. Scripts named missing.js fail to load;
+ * any other script doubles the value it is sent.
+ *
+ * Run with: node --test tests/
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { WorkerPool } from '../src/processing/WorkerPool.js';
+
+let created = 0;
+
+class FakeWorker {
+    constructor(url) {
+        created++;
+        this.loads = !String(url).endsWith('missing.js');
+        this.terminated = false;
+        if (!this.loads) {
+            // Unreferenced, so a pool that respawns forever fails the test instead of hanging it
+            setTimeout(() => this.emitError()).unref();
+        }
+    }
+
+    emitError() {
+        if (!this.terminated && this.onerror) {
+            this.onerror({ message: '', preventDefault() {} });
+        }
+    }
+
+    postMessage({ taskId, value }) {
+        setTimeout(() => {
+            if (!this.terminated && this.loads) {
+                this.onmessage({ data: { taskId, result: value * 2 } });
+            }
+        });
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+globalThis.Worker = FakeWorker;
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+beforeEach(() => {
+    created = 0;
+});
+
+test('tasks run on the workers and resolve with their results', async () => {
+    const pool = new WorkerPool('chunk.js', 2);
+    const results = await Promise.all([1, 2, 3, 4, 5].map(value => pool.run({ value })));
+    assert.deepEqual(results, [2, 4, 6, 8, 10]);
+    assert.equal(created, 2);
+    assert.equal(pool.failed, false);
+    pool.terminate();
+});
+
+test('a worker script that fails to load stops the pool instead of respawning forever', { timeout: 5000 }, async () => {
+    const pool = new WorkerPool('missing.js', 4);
+    const tasks = [1, 2, 3, 4, 5, 6].map(value => pool.run({ value }).then(() => 'resolved', error => error.message));
+
+    const outcomes = await Promise.all(tasks);
+    assert.ok(outcomes.every(outcome => /Worker error|Worker pool unavailable/.test(outcome)), outcomes.join(', '));
+    assert.equal(pool.failed, true);
+    assert.deepEqual([pool.workers.length, pool.idle.length, pool.queue.length, pool.active.size], [0, 0, 0, 0]);
+
+    // No respawning after the pool gave up, and later tasks are rejected at once
+    await settle();
+    const spawned = created;
+    await settle();
+    assert.equal(created, spawned);
+    assert.ok(created <= 4 + 3, `${created} workers created`);
+    await assert.rejects(pool.run({ value: 1 }), /Worker pool unavailable/);
+});
+
+test('errors from workers that have replied do not count as startup failures', async () => {
+    const pool = new WorkerPool('chunk.js', 1);
+
+    // Each replacement worker replies once before it errors, so the pool keeps going
+    for (let i = 0; i < 5; i++) {
+        assert.equal(await pool.run({ value: i }), i * 2);
+        pool.workers[0].emitError();
+    }
+    assert.equal(pool.failed, false);
+    assert.equal(created, 6);
+    assert.equal(await pool.run({ value: 21 }), 42);
+    pool.terminate();
+});
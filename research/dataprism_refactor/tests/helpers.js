@@ -0,0 +1,68 @@
+/**
+ * helpers.js
+ * Shared test fixtures: deterministic random points and flat node table accessors
+ *
+ * Not a test file itself; node --test only runs the *.test.js files next to it.
+ */
+
+import { BVH_NODE_STRIDE, BVH_BOUNDS_STRIDE } from '../src/spatial/BVH.js';
+
+/**
+ * Point counts and build options (maxDepth, minPoints) the node table builders are checked with:
+ * a single point, a depth limit reached early, and clustered points split into small and single-point leaves
+ * @type {Array<[number, number, number]>}
+ */
+export const BUILD_CASES = [[1, 8, 8], [100, 4, 8], [2000, 8, 8], [2000, 12, 1]];
+
+/**
+ * Linear congruential generator, so failures are reproducible
+ * @param {number} seed - Initial state
+ * @returns {function(): number} - The next 32-bit unsigned state on each call
+ */
+export function lcg(seed) {
+    return () => (seed = (seed * 1103515245 + 12345) >>> 0);
+}
+
+/**
+ * Deterministic random value in [-1, 1) on each call
+ * @param {number} seed - Initial LCG state
+ * @returns {function(): number}
+ */
+export function randomSigned(seed) {
+    const next = lcg(seed);
+    return () => next() / 2 ** 31 - 1;
+}
+
+/**
+ * Deterministic points in [-1, 1), by default with a dense cluster (the first third of the values
+ * scaled by 0.05) so spatial partitions are uneven
+ * @param {number} count - Number of points
+ * @param {number} seed - Initial LCG state
+ * @param {{ clustered?: boolean }} [options]
+ * @returns {Float32Array} - x, y, z per point
+ */
+export function randomPoints(count, seed, { clustered = true } = {}) {
+    const random = randomSigned(seed);
+    const points = new Float32Array(count * 3);
+    for (let i = 0; i < points.length; i++) {
+        const value = random();
+        points[i] = clustered && i < count ? value * 0.05 : value;
+    }
+    return points;
+}
+
+/**
+ * A node table entry: [first, count, firstChild, childCount, depth]
+ * @param {{ nodes: Uint32Array }} table - Node table (BVH.buildFlat, Octree.build, KDTree.build)
+ * @param {number} n - Node index
+ * @returns {number[]}
+ */
+export const node = (table, n) => Array.from(table.nodes.subarray(n * BVH_NODE_STRIDE, (n + 1) * BVH_NODE_STRIDE));
+
+/**
+ * A node's bounds: [minX, minY, minZ, maxX, maxY, maxZ]
+ * @param {{ bounds: Float32Array }} table - Node table
+ * @param {number} n - Node index
+ * @returns {number[]}
+ */
+export const cell = (table, n) => Array.from(table.bounds.subarray(n * BVH_BOUNDS_STRIDE, (n + 1) * BVH_BOUNDS_STRIDE));